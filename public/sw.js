@@ -0,0 +1,138 @@
+// Service worker: keeps the app shell and quiz media available offline.
+// Supabase API calls always go to the network; the app queues what it cannot send.
+
+const CACHE_VERSION = 'v2';
+const SHELL_CACHE = `quiz-shell-${CACHE_VERSION}`;
+const MEDIA_CACHE = `quiz-media-${CACHE_VERSION}`;
+const SHELL_URLS = ['/', '/index.html'];
+
+// Public files in Supabase storage (question and passage images, audio)
+const isStorageMedia = (url) => url.pathname.includes('/storage/v1/object/public/');
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key !== SHELL_CACHE && key !== MEDIA_CACHE)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+const cacheFirst = async (cacheName, request) => {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  // Partial (range) responses cannot be cached
+  if (response.status === 200) {
+    const cache = await caches.open(cacheName);
+    cache.put(request, response.clone());
+  }
+  return response;
+};
+
+// Files without a hash in their name (public files such as /user-guide.html) can
+// change between deploys, so the cached copy is only used without a connection
+const networkFirst = async (cacheName, request) => {
+  try {
+    const response = await fetch(request);
+    if (response.status === 200) {
+      const cache = await caches.open(cacheName);
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    return (await caches.match(request)) || Response.error();
+  }
+};
+
+// Audio elements ask for byte ranges; answer them from the cached file when there
+// is one so listening questions still play offline
+const cachedRange = async (request) => {
+  const cached = await caches.match(request.url);
+  if (!cached) return fetch(request);
+
+  const blob = await cached.blob();
+  const [, startText, endText] = /bytes=(\d*)-(\d*)/.exec(request.headers.get('range')) || [];
+  const start = Number(startText) || 0;
+  const end = endText ? Math.min(Number(endText), blob.size - 1) : blob.size - 1;
+
+  return new Response(blob.slice(start, end + 1), {
+    status: 206,
+    headers: {
+      'Content-Type': cached.headers.get('Content-Type') || blob.type,
+      'Content-Length': String(end - start + 1),
+      'Content-Range': `bytes ${start}-${end}/${blob.size}`
+    }
+  });
+};
+
+// Pages always try the network first so a new deploy is picked up, then fall back to the shell.
+// Only a successful same-origin page replaces the cached shell; an error or captive-portal
+// page must not be what offline loads serve
+const networkFirstPage = async (request) => {
+  const cachedShell = () => caches.match('/index.html');
+
+  try {
+    const response = await fetch(request);
+    if (!response.ok || response.type !== 'basic') {
+      return (await cachedShell()) || response;
+    }
+
+    const cache = await caches.open(SHELL_CACHE);
+    cache.put('/index.html', response.clone());
+    return response;
+  } catch (error) {
+    return (await cachedShell()) || Response.error();
+  }
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (request.headers.has('range')) {
+    if (isStorageMedia(url)) {
+      event.respondWith(cachedRange(request));
+    }
+    return;
+  }
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirstPage(request));
+  } else if (url.origin === self.location.origin && url.pathname.startsWith('/assets/')) {
+    // Built assets have hashed names, so a cached copy never goes stale
+    event.respondWith(cacheFirst(SHELL_CACHE, request));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(networkFirst(SHELL_CACHE, request));
+  } else if (isStorageMedia(url)) {
+    event.respondWith(cacheFirst(MEDIA_CACHE, request));
+  }
+});
+
+// QuizTaking sends the images of a freshly started quiz, and each audio clip once the
+// server hands it out, so they can be used offline later
+self.addEventListener('message', (event) => {
+  if (event.data?.type !== 'CACHE_MEDIA') return;
+
+  event.waitUntil(
+    caches.open(MEDIA_CACHE).then(cache => Promise.all(
+      event.data.urls.map(url =>
+        cache.match(url).then(cached => cached || cache.add(url).catch(() => null))
+      )
+    ))
+  );
+});
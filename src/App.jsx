@@ -5,6 +5,7 @@ import 'react-toastify/dist/ReactToastify.css';
 
 import { AuthProvider, useAuth } from './contexts/AuthContext.jsx';
 import Navbar from './components/Navbar.jsx';
+import SyncStatus from './components/SyncStatus.jsx';
 import Login from './pages/Login.jsx';
 import Register from './pages/Register.jsx';
 import StudentDashboard from './pages/StudentDashboard.jsx';
@@ -13,9 +14,16 @@ import SuperTutorDashboard from './pages/SuperTutorDashboard.jsx';
 import QuizTaking from './pages/QuizTaking.jsx';
 import QuizDetail from './pages/QuizDetail.jsx';
 import QuizResults from './pages/QuizResults.jsx';
+import AdaptiveQuiz from './pages/AdaptiveQuiz.jsx';
+import ReviewSession from './pages/ReviewSession.jsx';
+import PlacementTest from './pages/PlacementTest.jsx';
 import QuestionManagement from './pages/QuestionManagement.jsx';
+import PassageManagement from './pages/PassageManagement.jsx';
+import QuizSettings from './pages/QuizSettings.jsx';
 import UserManagement from './pages/UserManagement.jsx';
 import FeedbackManagement from './pages/FeedbackManagement.jsx';
+import GradingQueue from './pages/GradingQueue.jsx';
+import SpeakingReview from './pages/SpeakingReview.jsx';
 import StudentProgress from './pages/StudentProgress.jsx';
 import StudentFeedback from './pages/StudentFeedback.jsx';
 import Loading from './components/Loading.jsx';
@@ -110,6 +118,7 @@ function App() {
       <Router>
         <div className="App">
           <Navbar />
+          <SyncStatus />
           <Routes>
             {/* Public Routes */}
             <Route
@@ -157,6 +166,38 @@ function App() {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/student/:studentId/practice/:categoryId/:difficultyId"
+              element={
+                <ProtectedRoute allowedRoles={['student']}>
+                  <QuizTaking practice />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/student/:studentId/adaptive/:categoryId"
+              element={
+                <ProtectedRoute allowedRoles={['student']}>
+                  <AdaptiveQuiz />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/student/:studentId/review"
+              element={
+                <ProtectedRoute allowedRoles={['student']}>
+                  <ReviewSession />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/student/:studentId/placement"
+              element={
+                <ProtectedRoute allowedRoles={['student']}>
+                  <PlacementTest />
+                </ProtectedRoute>
+              }
+            />
             <Route
               path="/student/:studentId/quiz-results/:attemptId"
               element={
@@ -191,6 +232,22 @@ function App() {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/passages"
+              element={
+                <ProtectedRoute allowedRoles={['tutor', 'super_tutor']}>
+                  <PassageManagement />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/quiz-settings"
+              element={
+                <ProtectedRoute allowedRoles={['tutor', 'super_tutor']}>
+                  <QuizSettings />
+                </ProtectedRoute>
+              }
+            />
             <Route
               path="/feedback"
               element={
@@ -199,6 +256,22 @@ function App() {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/grading"
+              element={
+                <ProtectedRoute allowedRoles={['tutor', 'super_tutor']}>
+                  <GradingQueue />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/speaking-review"
+              element={
+                <ProtectedRoute allowedRoles={['tutor', 'super_tutor']}>
+                  <SpeakingReview />
+                </ProtectedRoute>
+              }
+            />
             <Route
               path="/student-progress/:studentId"
               element={
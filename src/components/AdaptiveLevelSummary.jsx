@@ -0,0 +1,67 @@
+import React from 'react';
+import { Compass } from 'lucide-react';
+
+// Result of an adaptive attempt: the estimated level on the difficulty ladder and
+// how sure the estimate is, explained in place of a percentage score
+const AdaptiveLevelSummary = ({ attempt, questions }) => {
+  const ladder = attempt.ladder || [];
+  const ability = Number(attempt.ability_estimate ?? 0);
+  const standardError = Number(attempt.ability_se ?? 0);
+  const lastPosition = Math.max(ladder.length - 1, 0);
+  const clamp = (position) => Math.min(Math.max(position, 0), lastPosition);
+
+  // Levels within one standard error of the estimate
+  const lowest = ladder[clamp(Math.round(ability - standardError))];
+  const highest = ladder[clamp(Math.round(ability + standardError))];
+  const correctCount = questions.filter(question => question.is_correct).length;
+
+  // Where the estimate sits along the ladder, for the marker
+  const markerPercent = lastPosition > 0 ? (clamp(ability) / lastPosition) * 100 : 50;
+
+  return (
+    <div className="text-center mb-6">
+      <Compass size={48} className="text-blue-600 mx-auto mb-4" />
+      <p className="text-gray-600 mb-1">Estimated level</p>
+      <div className="text-5xl font-bold mb-4 text-blue-600">{attempt.estimated_difficulty_name}</div>
+
+      {ladder.length > 1 && (
+        <div className="max-w-xl mx-auto mb-4">
+          <div className="relative h-2 bg-gray-200 rounded-full mb-2">
+            <div
+              className="absolute w-4 h-4 bg-blue-600 rounded-full"
+              style={{ left: `calc(${markerPercent}% - 8px)`, top: '-4px' }}
+            ></div>
+          </div>
+          <div className="flex justify-between text-sm text-gray-600">
+            {ladder.map(level => (
+              <span
+                key={level.id}
+                className={level.id === attempt.estimated_difficulty_id ? 'font-bold text-blue-600' : ''}
+              >
+                {level.name}
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <p className="text-gray-600 max-w-xl mx-auto mb-2">
+        Each question was picked from your answers so far: a right answer led to a harder question and a
+        wrong one to an easier question. Your level is the one where you answer about half of the
+        questions correctly.
+      </p>
+      {lowest && highest && lowest.id !== highest.id && (
+        <p className="text-gray-600 max-w-xl mx-auto mb-2">
+          Your answers fit anywhere from {lowest.name} to {highest.name}. A longer or repeated check
+          will narrow this down.
+        </p>
+      )}
+      <p className="text-sm text-gray-500">
+        You answered {correctCount} of {questions.length} questions correctly. The questions came from
+        different levels, so this count is not a score.
+      </p>
+    </div>
+  );
+};
+
+export default AdaptiveLevelSummary;
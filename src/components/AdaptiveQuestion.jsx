@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import { quizService } from '../services/supabaseService.js';
+import { toast } from 'react-toastify';
+import QuestionInput from './QuestionInput.jsx';
+import ListeningPlayer from './ListeningPlayer.jsx';
+import {
+  QUESTION_TYPES,
+  getQuestionType,
+  isAnswered,
+  buildAnswerPayload
+} from '../lib/questionTypes.js';
+import { ArrowRight } from 'lucide-react';
+
+// Current question of an adaptive attempt or placement run. The answer is sent
+// on its own and onAnswered receives the attempt state the server returns next.
+// Render with key={question.id} so each question starts with a blank answer
+const AdaptiveQuestion = ({ attempt, onAnswered }) => {
+  const question = attempt.question;
+
+  const [answer, setAnswer] = useState(undefined);
+  const [sending, setSending] = useState(false);
+  const [playsUsed, setPlaysUsed] = useState(attempt.plays_used || 0);
+
+  const handleSubmitAnswer = async () => {
+    if (!isAnswered(question, answer)) return;
+
+    setSending(true);
+    try {
+      const response = await quizService.answerAdaptiveQuestion(
+        attempt.attempt_id,
+        question.id,
+        buildAnswerPayload(question, answer)
+      );
+
+      if (!response.success) {
+        toast.error(response.error || 'Failed to send your answer');
+        setSending(false);
+        return;
+      }
+
+      onAnswered(response.data);
+    } catch (error) {
+      console.error('Error sending adaptive answer:', error);
+      toast.error('Failed to send your answer');
+      setSending(false);
+    }
+  };
+
+  // The server counts the play and only returns the audio URL while plays remain
+  const handleRequestAudio = async () => {
+    try {
+      const response = await quizService.registerAudioPlay(attempt.attempt_id, { question_id: question.id });
+
+      if (!response.success) {
+        toast.error(response.error || 'Failed to play audio');
+        return null;
+      }
+
+      setPlaysUsed(response.data.plays_used);
+      return response.data.audio_url;
+    } catch (error) {
+      console.error('Error playing audio:', error);
+      toast.error('Failed to play audio');
+      return null;
+    }
+  };
+
+  const isCloze = getQuestionType(question) === QUESTION_TYPES.CLOZE;
+  const isMultiSelect = getQuestionType(question) === QUESTION_TYPES.MULTIPLE_SELECT;
+  const questionNumber = attempt.answered_count + 1;
+
+  return (
+    <div className="card">
+      <div className="card-body">
+        <div className="mb-6">
+          <h2 className="text-xl font-semibold mb-4">
+            Question {questionNumber}: {isCloze ? 'Fill in the blanks' : question.question_text}
+          </h2>
+          {isMultiSelect && (
+            <p className="text-sm text-blue-600">Select all answers that apply.</p>
+          )}
+        </div>
+
+        {question.has_audio && (
+          <ListeningPlayer
+            maxPlays={question.max_plays}
+            playsUsed={playsUsed}
+            onRequestPlay={handleRequestAudio}
+          />
+        )}
+
+        <QuestionInput
+          question={question}
+          value={answer}
+          onChange={setAnswer}
+        />
+
+        <div className="flex justify-between items-center mt-8">
+          <p className="text-sm text-gray-500">Answers cannot be changed once sent.</p>
+          <button
+            onClick={handleSubmitAnswer}
+            disabled={sending || !isAnswered(question, answer)}
+            className="btn btn-primary flex items-center gap-2"
+          >
+            {sending ? 'Sending...' : 'Next'}
+            <ArrowRight size={16} />
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AdaptiveQuestion;
@@ -0,0 +1,166 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { Mic, Square, RotateCcw } from 'lucide-react';
+import RecordingPlayer from './RecordingPlayer.jsx';
+
+// Browsers record in different containers; use the first one supported
+const RECORDING_MIME_TYPES = ['audio/webm', 'audio/mp4', 'audio/ogg'];
+
+const getSupportedMimeType = () =>
+  RECORDING_MIME_TYPES.find(type => window.MediaRecorder?.isTypeSupported?.(type)) || '';
+
+const formatSeconds = (seconds) => {
+  const whole = Math.floor(seconds);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+};
+
+// Records a spoken answer with MediaRecorder, stopping at `timeLimit` seconds.
+// `recording` is the saved answer ({ path, duration }); `onRecorded(blob, duration)` fires when a take ends.
+const AudioRecorder = ({ timeLimit, recording = null, uploading = false, onRecorded }) => {
+  const [isRecording, setIsRecording] = useState(false);
+  const [elapsed, setElapsed] = useState(0);
+  const [previewUrl, setPreviewUrl] = useState(null);
+  const [error, setError] = useState(null);
+  const recorderRef = useRef(null);
+  const streamRef = useRef(null);
+  const timerRef = useRef(null);
+  const startedAtRef = useRef(0);
+
+  const isSupported = typeof window !== 'undefined' && !!window.MediaRecorder && !!navigator.mediaDevices?.getUserMedia;
+
+  const releaseMicrophone = () => {
+    clearInterval(timerRef.current);
+    streamRef.current?.getTracks().forEach(track => track.stop());
+    streamRef.current = null;
+  };
+
+  useEffect(() => () => {
+    if (recorderRef.current?.state === 'recording') {
+      recorderRef.current.onstop = null;
+      recorderRef.current.stop();
+    }
+    releaseMicrophone();
+  }, []);
+
+  useEffect(() => () => {
+    if (previewUrl) URL.revokeObjectURL(previewUrl);
+  }, [previewUrl]);
+
+  const stopRecording = () => {
+    if (recorderRef.current?.state === 'recording') {
+      recorderRef.current.stop();
+    }
+  };
+
+  const startRecording = async () => {
+    setError(null);
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      streamRef.current = stream;
+
+      const mimeType = getSupportedMimeType();
+      const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+      const chunks = [];
+
+      recorder.ondataavailable = (e) => {
+        if (e.data.size > 0) chunks.push(e.data);
+      };
+
+      recorder.onstop = () => {
+        const duration = Math.min((Date.now() - startedAtRef.current) / 1000, timeLimit);
+        const blob = new Blob(chunks, { type: recorder.mimeType || mimeType || 'audio/webm' });
+
+        releaseMicrophone();
+        setIsRecording(false);
+        setPreviewUrl(URL.createObjectURL(blob));
+        onRecorded(blob, Math.round(duration));
+      };
+
+      recorderRef.current = recorder;
+      startedAtRef.current = Date.now();
+      setElapsed(0);
+      setIsRecording(true);
+      recorder.start();
+
+      timerRef.current = setInterval(() => {
+        const seconds = (Date.now() - startedAtRef.current) / 1000;
+        setElapsed(seconds);
+        if (seconds >= timeLimit) {
+          stopRecording();
+        }
+      }, 250);
+    } catch (err) {
+      console.error('Error starting recording:', err);
+      releaseMicrophone();
+      setError('Microphone access is needed to record your answer. Check your browser permissions and try again.');
+    }
+  };
+
+  const hasRecording = !!previewUrl || !!recording?.path;
+
+  if (!isSupported) {
+    return (
+      <div className="bg-red-50 p-4 rounded-lg text-red-700">
+        Your browser cannot record audio. Please use an up-to-date version of Chrome, Firefox, Edge or Safari.
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-4 rounded-lg border border-gray-200 bg-gray-50">
+      <div className="flex justify-between items-center mb-3">
+        <span className="text-sm text-gray-600">Time limit: {formatSeconds(timeLimit)}</span>
+        {isRecording && (
+          <span className="text-sm font-medium text-red-600">
+            ● Recording {formatSeconds(elapsed)} / {formatSeconds(timeLimit)}
+          </span>
+        )}
+      </div>
+
+      {isRecording && (
+        <div className="progress-bar mb-3">
+          <div className="progress-fill" style={{ width: `${Math.min(elapsed / timeLimit, 1) * 100}%` }} />
+        </div>
+      )}
+
+      {!isRecording && hasRecording && (
+        <div className="mb-3">
+          {previewUrl ? (
+            <audio controls src={previewUrl} className="w-full" />
+          ) : (
+            <RecordingPlayer path={recording.path} />
+          )}
+          <p className="text-sm mt-2 text-gray-600">
+            {uploading
+              ? 'Saving your recording...'
+              : recording?.path
+                ? `Recording saved (${formatSeconds(recording.duration || 0)}).`
+                : 'Recording not saved yet.'}
+          </p>
+        </div>
+      )}
+
+      <div className="flex gap-3">
+        {isRecording ? (
+          <button type="button" onClick={stopRecording} className="btn btn-danger flex items-center gap-2">
+            <Square size={16} />
+            Stop
+          </button>
+        ) : (
+          <button
+            type="button"
+            onClick={startRecording}
+            disabled={uploading}
+            className={`btn flex items-center gap-2 ${hasRecording ? 'btn-outline' : 'btn-primary'}`}
+          >
+            {hasRecording ? <RotateCcw size={16} /> : <Mic size={16} />}
+            {hasRecording ? 'Re-record' : 'Start Recording'}
+          </button>
+        )}
+      </div>
+
+      {error && <p className="text-sm text-red-600 mt-3">{error}</p>}
+    </div>
+  );
+};
+
+export default AudioRecorder;
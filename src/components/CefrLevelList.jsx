@@ -0,0 +1,47 @@
+import React from 'react';
+import { CEFR_LEVELS } from '../lib/cefr.js';
+
+// Estimated CEFR level per skill (category), from the `cefr` of each category in
+// get_student_progress. A skill without one has no counted score that shows a level yet
+const CefrLevelList = ({ categories }) => {
+  if (categories.length === 0) {
+    return <p className="text-gray-500 text-center py-8">No CEFR estimate yet. Complete a quiz to get one.</p>;
+  }
+
+  return (
+    <div className="space-y-4">
+      {categories.map(category => {
+        const position = category.cefr ? CEFR_LEVELS.indexOf(category.cefr.level) : -1;
+
+        return (
+          <div key={category.category_name} className="p-4 bg-gray-50 rounded-lg">
+            <div className="flex items-center justify-between mb-2">
+              <h4 className="font-semibold">{category.category_name}</h4>
+              {category.cefr ? (
+                <span className="text-2xl font-bold text-blue-600">{category.cefr.level}</span>
+              ) : (
+                <span className="text-sm text-gray-500">Below A1 so far</span>
+              )}
+            </div>
+            <div className="flex gap-1 mb-2">
+              {CEFR_LEVELS.map((level, index) => (
+                <div
+                  key={level}
+                  title={level}
+                  className={`flex-1 h-2 rounded-full ${index <= position ? 'bg-blue-600' : 'bg-gray-200'}`}
+                ></div>
+              ))}
+            </div>
+            {category.cefr && (
+              <p className="text-sm text-gray-600">
+                <span className="font-medium">{category.cefr.name}:</span> {category.cefr.descriptor}
+              </p>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default CefrLevelList;
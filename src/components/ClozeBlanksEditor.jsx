@@ -0,0 +1,71 @@
+import React from 'react';
+import { Plus } from 'lucide-react';
+import { getClozeBlankIndexes, createEmptyBlank } from '../lib/questionTypes.js';
+
+// Accepted answers and normalization rules for every {{n}} blank in the question text
+const ClozeBlanksEditor = ({ text, blanks, onChange, onInsertBlank }) => {
+  const blankIndexes = getClozeBlankIndexes(text);
+
+  return (
+    <div className="form-group">
+      <div className="flex justify-between items-center mb-2">
+        <label className="form-label">Blanks *</label>
+        <button type="button" onClick={onInsertBlank} className="btn btn-sm btn-outline">
+          <Plus size={14} />
+          Insert Blank
+        </button>
+      </div>
+      <p className="text-sm text-gray-600 mb-3">
+        Mark each blank in the question text as {'{{1}}'}, {'{{2}}'}, ... and list the accepted answers, one per line.
+      </p>
+
+      {blankIndexes.length === 0 ? (
+        <p className="text-sm text-gray-500">No blanks in the question text yet.</p>
+      ) : (
+        blankIndexes.map(index => {
+          const blank = blanks[index] || createEmptyBlank();
+          return (
+            <div key={index} className="p-3 mb-3 border rounded-lg bg-gray-50">
+              <div className="font-medium text-sm mb-2">Blank {index}</div>
+              <textarea
+                value={blank.accepted_answers}
+                onChange={(e) => onChange(index, 'accepted_answers', e.target.value)}
+                className="form-control mb-2"
+                rows="2"
+                placeholder="Accepted answers, one per line"
+              />
+              <div className="flex flex-wrap gap-4 text-sm">
+                <label className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={blank.case_sensitive}
+                    onChange={(e) => onChange(index, 'case_sensitive', e.target.checked)}
+                  />
+                  Case sensitive
+                </label>
+                <label className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={blank.normalize_whitespace}
+                    onChange={(e) => onChange(index, 'normalize_whitespace', e.target.checked)}
+                  />
+                  Ignore extra spaces
+                </label>
+                <label className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={blank.ignore_punctuation}
+                    onChange={(e) => onChange(index, 'ignore_punctuation', e.target.checked)}
+                  />
+                  Ignore punctuation
+                </label>
+              </div>
+            </div>
+          );
+        })
+      )}
+    </div>
+  );
+};
+
+export default ClozeBlanksEditor;
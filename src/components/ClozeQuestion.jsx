@@ -0,0 +1,53 @@
+import React from 'react';
+import { splitClozeText } from '../lib/questionTypes.js';
+
+// Renders cloze text with an inline input per blank. With `results`, shows the
+// graded answers instead of inputs.
+const ClozeQuestion = ({ text, value = {}, onChange, results = null }) => {
+  const resultsByIndex = {};
+  (results || []).forEach(blank => {
+    resultsByIndex[blank.blank_index] = blank;
+  });
+
+  return (
+    <p className="text-lg text-gray-800 leading-loose">
+      {splitClozeText(text).map((part, i) => {
+        if (part.type === 'text') {
+          return <span key={i}>{part.value}</span>;
+        }
+
+        if (results) {
+          const blank = resultsByIndex[part.index];
+          return (
+            <span
+              key={i}
+              className={`px-2 py-1 mx-1 rounded border font-medium ${
+                blank?.is_correct
+                  ? 'border-green-500 bg-green-50 text-green-800'
+                  : 'border-red-500 bg-red-50 text-red-800'
+              }`}
+            >
+              {blank?.given_answer || '—'}
+            </span>
+          );
+        }
+
+        return (
+          <input
+            key={i}
+            type="text"
+            value={value[part.index] || ''}
+            onChange={(e) => onChange(part.index, e.target.value)}
+            className="form-control inline-block mx-1"
+            style={{ width: '10rem' }}
+            aria-label={`Blank ${part.index}`}
+            autoComplete="off"
+            spellCheck={false}
+          />
+        );
+      })}
+    </p>
+  );
+};
+
+export default ClozeQuestion;
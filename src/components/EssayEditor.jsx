@@ -0,0 +1,53 @@
+import React from 'react';
+import { countWords } from '../lib/questionTypes.js';
+
+// Essay textarea with a live word count against the optional word limits
+const EssayEditor = ({ value = '', onChange, minWords = null, maxWords = null, rubric = [] }) => {
+  const wordCount = countWords(value);
+  const isUnder = minWords && wordCount < minWords;
+  const isOver = maxWords && wordCount > maxWords;
+
+  const getLimitText = () => {
+    if (minWords && maxWords) return `${minWords}–${maxWords} words`;
+    if (minWords) return `at least ${minWords} words`;
+    if (maxWords) return `at most ${maxWords} words`;
+    return null;
+  };
+
+  return (
+    <div>
+      <textarea
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className="form-control"
+        rows="12"
+        placeholder="Write your answer here..."
+        spellCheck={false}
+      />
+      <div className="flex justify-between items-center mt-2 text-sm">
+        <span className="text-gray-500">
+          {getLimitText() ? `Aim for ${getLimitText()}.` : 'Your tutor will grade this answer after you submit the quiz.'}
+        </span>
+        <span className={`font-medium ${isUnder || isOver ? 'text-red-600' : 'text-green-600'}`}>
+          {wordCount} word{wordCount === 1 ? '' : 's'}
+        </span>
+      </div>
+
+      {rubric.length > 0 && (
+        <div className="bg-blue-50 p-4 rounded-lg mt-4">
+          <h4 className="font-medium text-blue-800 mb-2">You will be assessed on:</h4>
+          <ul className="list-disc list-inside space-y-1 text-blue-700 text-sm">
+            {rubric.map(criterion => (
+              <li key={criterion.id}>
+                <span className="font-medium">{criterion.name}</span>
+                {criterion.description && ` — ${criterion.description}`}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EssayEditor;
@@ -0,0 +1,42 @@
+import React from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+
+// Hints for a question, in the order students reveal them
+const HintsEditor = ({ hints, onChange, onAdd, onRemove }) => (
+  <div className="form-group">
+    <div className="flex justify-between items-center mb-2">
+      <label className="form-label">Hints (Optional)</label>
+      <button type="button" onClick={onAdd} className="btn btn-sm btn-outline">
+        <Plus size={14} />
+        Add Hint
+      </button>
+    </div>
+    <p className="text-sm text-gray-600 mb-3">
+      Students reveal hints one at a time, from the first down, and each hint costs the quiz's hint
+      penalty. Start general and get more specific.
+    </p>
+
+    {hints.map((hint, index) => (
+      <div key={index} className="flex items-center gap-3 mb-2">
+        <span className="text-sm text-gray-600">{index + 1}.</span>
+        <input
+          type="text"
+          value={hint.hint_text}
+          onChange={(e) => onChange(index, e.target.value)}
+          className="form-control flex-1"
+          placeholder={index === 0 ? 'e.g. Look at the tense of the first verb' : 'A more specific hint'}
+        />
+        <button
+          type="button"
+          onClick={() => onRemove(index)}
+          className="btn btn-sm btn-danger"
+          title="Remove hint"
+        >
+          <Trash2 size={14} />
+        </button>
+      </div>
+    ))}
+  </div>
+);
+
+export default HintsEditor;
@@ -0,0 +1,159 @@
+import React, { useState, useRef } from 'react';
+import { Play, Pause, Headphones } from 'lucide-react';
+
+const formatSeconds = (seconds) => {
+  const whole = Math.floor(seconds || 0);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+};
+
+// Audio player for listening questions. Every play from the start goes through
+// `onRequestPlay`, which counts it and resolves to the audio URL (or null when refused).
+// In exam mode the student can pause and resume but not seek.
+const ListeningPlayer = ({ maxPlays = null, playsUsed = 0, examMode = true, onRequestPlay }) => {
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [inProgress, setInProgress] = useState(false);
+  const [requesting, setRequesting] = useState(false);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [duration, setDuration] = useState(0);
+  const audioRef = useRef(null);
+  const lastTimeRef = useRef(0);
+
+  const playsLeft = maxPlays ? Math.max(maxPlays - playsUsed, 0) : null;
+  const canStartNewPlay = playsLeft === null || playsLeft > 0;
+
+  const handlePlay = async () => {
+    const audio = audioRef.current;
+
+    // Resuming a paused play does not count as a new one
+    if (inProgress) {
+      audio.play();
+      return;
+    }
+
+    if (!canStartNewPlay) return;
+
+    setRequesting(true);
+    try {
+      const url = await onRequestPlay();
+      if (!url) return;
+
+      if (audio.src !== url) {
+        audio.src = url;
+      }
+      audio.currentTime = 0;
+      lastTimeRef.current = 0;
+      setInProgress(true);
+      await audio.play();
+    } catch (error) {
+      console.error('Error playing audio:', error);
+      setInProgress(false);
+    } finally {
+      setRequesting(false);
+    }
+  };
+
+  const handleTimeUpdate = () => {
+    const audio = audioRef.current;
+    if (!audio.seeking) {
+      lastTimeRef.current = audio.currentTime;
+    }
+    setCurrentTime(audio.currentTime);
+  };
+
+  // Browser shortcuts can still seek a media element, so jump back to where playback was
+  const handleSeeking = () => {
+    const audio = audioRef.current;
+    if (examMode && Math.abs(audio.currentTime - lastTimeRef.current) > 0.5) {
+      audio.currentTime = lastTimeRef.current;
+    }
+  };
+
+  const handleSeek = (e) => {
+    const audio = audioRef.current;
+    audio.currentTime = parseFloat(e.target.value);
+    lastTimeRef.current = audio.currentTime;
+  };
+
+  const handleEnded = () => {
+    setIsPlaying(false);
+    setInProgress(false);
+  };
+
+  return (
+    <div className="p-4 rounded-lg border border-gray-200 bg-gray-50 mb-4">
+      <audio
+        ref={audioRef}
+        preload="none"
+        onPlay={() => setIsPlaying(true)}
+        onPause={() => setIsPlaying(false)}
+        onEnded={handleEnded}
+        onTimeUpdate={handleTimeUpdate}
+        onSeeking={handleSeeking}
+        onLoadedMetadata={(e) => setDuration(e.target.duration)}
+        onContextMenu={(e) => e.preventDefault()}
+      />
+
+      <div className="flex items-center gap-3">
+        {isPlaying ? (
+          <button
+            type="button"
+            onClick={() => audioRef.current.pause()}
+            className="btn btn-outline flex items-center gap-2"
+          >
+            <Pause size={16} />
+            Pause
+          </button>
+        ) : (
+          <button
+            type="button"
+            onClick={handlePlay}
+            disabled={requesting || (!inProgress && !canStartNewPlay)}
+            className="btn btn-primary flex items-center gap-2"
+          >
+            <Play size={16} />
+            {inProgress ? 'Resume' : playsUsed > 0 ? 'Play Again' : 'Play Audio'}
+          </button>
+        )}
+
+        <div className="flex-1">
+          {examMode ? (
+            <div className="progress-bar">
+              <div
+                className="progress-fill"
+                style={{ width: `${duration ? Math.min(currentTime / duration, 1) * 100 : 0}%` }}
+              />
+            </div>
+          ) : (
+            <input
+              type="range"
+              min="0"
+              max={duration || 0}
+              step="0.1"
+              value={currentTime}
+              onChange={handleSeek}
+              disabled={!inProgress}
+              className="w-full"
+              aria-label="Seek"
+            />
+          )}
+        </div>
+
+        <span className="text-sm text-gray-600 whitespace-nowrap">
+          {formatSeconds(currentTime)} / {formatSeconds(duration)}
+        </span>
+      </div>
+
+      <p className="text-sm text-gray-600 mt-2 flex items-center gap-2">
+        <Headphones size={14} />
+        {playsLeft === null
+          ? 'You can play this audio as often as you like.'
+          : playsLeft === 0 && !inProgress
+            ? `You have used all ${maxPlays} plays.`
+            : `Plays left: ${playsLeft} of ${maxPlays}`}
+        {examMode && ' Skipping forward or back is disabled.'}
+      </p>
+    </div>
+  );
+};
+
+export default ListeningPlayer;
@@ -0,0 +1,51 @@
+import React from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+
+// Left/right pairs of a matching question, in the order students see the left column
+const MatchPairsEditor = ({ pairs, onChange, onAdd, onRemove }) => (
+  <div className="form-group">
+    <div className="flex justify-between items-center mb-2">
+      <label className="form-label">Pairs *</label>
+      <button type="button" onClick={onAdd} className="btn btn-sm btn-outline">
+        <Plus size={14} />
+        Add Pair
+      </button>
+    </div>
+    <p className="text-sm text-gray-600 mb-3">
+      Enter each item with its match, e.g. a word and its definition. Students see the right-hand
+      column shuffled.
+    </p>
+
+    {pairs.map((pair, index) => (
+      <div key={index} className="flex items-center gap-3 mb-2">
+        <span className="w-6 text-sm font-medium">{index + 1}.</span>
+        <input
+          type="text"
+          value={pair.left_text}
+          onChange={(e) => onChange(index, 'left_text', e.target.value)}
+          className="form-control flex-1"
+          placeholder="Item"
+        />
+        <span className="text-gray-500">↔</span>
+        <input
+          type="text"
+          value={pair.right_text}
+          onChange={(e) => onChange(index, 'right_text', e.target.value)}
+          className="form-control flex-1"
+          placeholder="Match"
+        />
+        <button
+          type="button"
+          onClick={() => onRemove(index)}
+          className="btn btn-sm btn-danger"
+          disabled={pairs.length <= 2}
+          title="Remove pair"
+        >
+          <Trash2 size={14} />
+        </button>
+      </div>
+    ))}
+  </div>
+);
+
+export default MatchPairsEditor;
@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+
+// Two-column matcher: pick an item on the left, then its partner on the right.
+// `value` maps each left item id to the position of the chosen right-hand text.
+const MatchingQuestion = ({ items = [], choices = [], value = {}, onChange }) => {
+  const [activeItemId, setActiveItemId] = useState(null);
+
+  const itemNumber = (itemId) => items.findIndex(item => item.id === itemId) + 1;
+
+  const matchedItemFor = (choiceIndex) =>
+    Object.keys(value).find(itemId => value[itemId] === choiceIndex);
+
+  const handleItemClick = (itemId) => {
+    setActiveItemId(prev => (prev === itemId ? null : itemId));
+  };
+
+  const handleChoiceClick = (choiceIndex) => {
+    const matchedItemId = matchedItemFor(choiceIndex);
+
+    if (activeItemId === null) {
+      // Clicking a matched choice with nothing selected undoes that match
+      if (matchedItemId !== undefined) {
+        const next = { ...value };
+        delete next[matchedItemId];
+        onChange(next);
+      }
+      return;
+    }
+
+    // Each right-hand text can only be matched once
+    const next = { ...value };
+    if (matchedItemId !== undefined) {
+      delete next[matchedItemId];
+    }
+    next[activeItemId] = choiceIndex;
+    onChange(next);
+    setActiveItemId(null);
+  };
+
+  return (
+    <div>
+      <p className="text-sm text-blue-600 mb-3">
+        Select an item on the left, then select its match on the right. Select a matched item on the
+        right again to undo the match.
+      </p>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div className="space-y-3">
+          {items.map((item, index) => {
+            const isMatched = value[item.id] !== undefined;
+            return (
+              <button
+                key={item.id}
+                type="button"
+                onClick={() => handleItemClick(item.id)}
+                className={`quiz-option w-full text-left ${activeItemId === item.id ? 'selected' : ''}`}
+                aria-pressed={activeItemId === item.id}
+              >
+                <div className="flex items-center gap-3">
+                  <span className="badge badge-primary">{index + 1}</span>
+                  <span className="flex-1 text-gray-800">{item.text}</span>
+                  {isMatched && (
+                    <span className="text-sm text-gray-500">→ {choices[value[item.id]]}</span>
+                  )}
+                </div>
+              </button>
+            );
+          })}
+        </div>
+
+        <div className="space-y-3">
+          {choices.map((choice, choiceIndex) => {
+            const matchedItemId = matchedItemFor(choiceIndex);
+            return (
+              <button
+                key={choiceIndex}
+                type="button"
+                onClick={() => handleChoiceClick(choiceIndex)}
+                className={`quiz-option w-full text-left ${matchedItemId !== undefined ? 'selected' : ''}`}
+              >
+                <div className="flex items-center gap-3">
+                  {matchedItemId !== undefined && (
+                    <span className="badge badge-primary">{itemNumber(parseInt(matchedItemId))}</span>
+                  )}
+                  <span className="flex-1 text-gray-800">{choice}</span>
+                </div>
+              </button>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MatchingQuestion;
@@ -1,7 +1,7 @@
 import React from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext.jsx';
-import { LogOut, User, BookOpen, Users, Settings, BarChart3 } from 'lucide-react';
+import { LogOut, User, BookOpen, Users, Settings, BarChart3, ClipboardCheck, Mic, FileText } from 'lucide-react';
 
 const Navbar = () => {
   const { user, logout } = useAuth();
@@ -28,7 +28,11 @@ const Navbar = () => {
         baseLinks.push(
           { to: '/tutor', label: 'Dashboard', icon: BarChart3 },
           { to: '/questions', label: 'Questions', icon: BookOpen },
+          { to: '/passages', label: 'Passages', icon: FileText },
+          { to: '/quiz-settings', label: 'Quiz Settings', icon: Settings },
           { to: '/feedback', label: 'Feedback', icon: User },
+          { to: '/grading', label: 'Grading', icon: ClipboardCheck },
+          { to: '/speaking-review', label: 'Speaking', icon: Mic },
         );
         break;
       
@@ -36,8 +40,12 @@ const Navbar = () => {
         baseLinks.push(
           { to: '/admin', label: 'Dashboard', icon: BarChart3 },
           { to: '/questions', label: 'Questions', icon: BookOpen },
+          { to: '/passages', label: 'Passages', icon: FileText },
+          { to: '/quiz-settings', label: 'Quiz Settings', icon: Settings },
           { to: '/users', label: 'Users', icon: Users },
           { to: '/feedback', label: 'Feedback', icon: User },
+          { to: '/grading', label: 'Grading', icon: ClipboardCheck },
+          { to: '/speaking-review', label: 'Speaking', icon: Mic },
         );
         break;
       
@@ -0,0 +1,122 @@
+import React from 'react';
+import Transcript from './Transcript.jsx';
+import { QUESTION_TYPES, getQuestionType } from '../lib/questionTypes.js';
+import { CheckCircle, XCircle, Clock } from 'lucide-react';
+
+// Shown under a practice question once its answer is checked: the verdict,
+// the correct answer for the question type and the explanation. The server
+// leaves out the answer and explanation while the quiz still has attempts left
+const PracticeFeedback = ({ question, feedback }) => {
+  const questionType = getQuestionType(question);
+  const isPartial = !feedback.is_correct && feedback.credit > 0;
+
+  const renderCorrectAnswer = () => {
+    switch (questionType) {
+      case QUESTION_TYPES.CLOZE:
+        return (
+          <ul className="space-y-1">
+            {(feedback.blanks || []).map(blank => (
+              <li key={blank.blank_index} className={blank.is_correct ? 'text-green-700' : 'text-red-700'}>
+                Blank {blank.blank_index + 1}: {(blank.accepted_answers || []).join(' / ')}
+              </li>
+            ))}
+          </ul>
+        );
+
+      case QUESTION_TYPES.MATCHING:
+        return (
+          <ul className="space-y-1">
+            {(feedback.pairs || []).map(pair => (
+              <li key={pair.id} className={pair.is_correct ? 'text-green-700' : 'text-red-700'}>
+                {pair.left_text} → {pair.right_text}
+              </li>
+            ))}
+          </ul>
+        );
+
+      case QUESTION_TYPES.REORDER: {
+        const [primary, ...alternatives] = feedback.accepted_orders || [];
+        return (
+          <div>
+            {primary && <p className="text-green-700">{primary.join(' ')}</p>}
+            {alternatives.length > 0 && (
+              <p className="text-sm text-gray-600 mt-1">
+                Also accepted: {alternatives.map(order => order.join(' ')).join('; ')}
+              </p>
+            )}
+          </div>
+        );
+      }
+
+      case QUESTION_TYPES.SINGLE_CHOICE:
+      case QUESTION_TYPES.MULTIPLE_SELECT:
+        return (
+          <ul className="space-y-1">
+            {(question.options || [])
+              .filter(option => (feedback.correct_option_ids || []).includes(option.id))
+              .map(option => (
+                <li key={option.id} className="text-green-700">{option.option_text}</li>
+              ))}
+          </ul>
+        );
+
+      default:
+        return null;
+    }
+  };
+
+  const correctAnswer = feedback.key_hidden ? null : renderCorrectAnswer();
+
+  return (
+    <div className="mt-6 space-y-4">
+      <div className={`p-4 rounded-lg border ${
+        feedback.needs_grading ? 'bg-blue-50 border-blue-200' :
+        feedback.is_correct ? 'bg-green-50 border-green-200' :
+        isPartial ? 'bg-yellow-50 border-yellow-200' : 'bg-red-50 border-red-200'
+      }`}>
+        <div className="flex items-center gap-2 font-semibold mb-2">
+          {feedback.needs_grading ? (
+            <>
+              <Clock size={18} className="text-blue-600" />
+              <span className="text-blue-800">Your tutor will grade this answer</span>
+            </>
+          ) : feedback.is_correct ? (
+            <>
+              <CheckCircle size={18} className="text-green-600" />
+              <span className="text-green-800">Correct</span>
+            </>
+          ) : (
+            <>
+              <XCircle size={18} className={isPartial ? 'text-yellow-600' : 'text-red-600'} />
+              <span className={isPartial ? 'text-yellow-800' : 'text-red-800'}>
+                {isPartial ? `Partially correct (${Math.round(feedback.credit * 100)}%)` : 'Incorrect'}
+              </span>
+            </>
+          )}
+        </div>
+        {correctAnswer && !feedback.needs_grading && (
+          <div>
+            <p className="text-sm font-medium text-gray-700 mb-1">Correct answer:</p>
+            {correctAnswer}
+          </div>
+        )}
+        {feedback.key_hidden && !feedback.is_correct && !feedback.needs_grading && (
+          <p className="text-sm text-gray-700">
+            The correct answer is shown once you have no attempts left at this quiz.
+          </p>
+        )}
+      </div>
+
+      <Transcript text={feedback.transcript} />
+
+      {feedback.explanation && (
+        <div className="p-4 bg-blue-50 border-l-4 border-blue-500 rounded-r-lg">
+          <h4 className="font-semibold text-blue-800 mb-2">Explanation:</h4>
+          <p className="text-blue-700">{feedback.explanation}</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PracticeFeedback;
@@ -0,0 +1,140 @@
+import React from 'react';
+import ClozeQuestion from './ClozeQuestion.jsx';
+import ReorderQuestion from './ReorderQuestion.jsx';
+import MatchingQuestion from './MatchingQuestion.jsx';
+import EssayEditor from './EssayEditor.jsx';
+import AudioRecorder from './AudioRecorder.jsx';
+import {
+  QUESTION_TYPES,
+  DEFAULT_RECORDING_TIME_LIMIT,
+  getQuestionType
+} from '../lib/questionTypes.js';
+import { Check } from 'lucide-react';
+
+// Answer area for one question of any type. `value` is the answer in the shape
+// kept by the quiz pages and onChange receives the whole new answer
+const QuestionInput = ({ question, value, onChange, onRecorded, uploading = false }) => {
+  const questionType = getQuestionType(question);
+  const isMultiSelect = questionType === QUESTION_TYPES.MULTIPLE_SELECT;
+
+  const handleOptionSelect = (optionId) => {
+    if (isMultiSelect) {
+      const selected = value || [];
+      onChange(selected.includes(optionId)
+        ? selected.filter(id => id !== optionId)
+        : [...selected, optionId]);
+      return;
+    }
+
+    onChange(optionId);
+  };
+
+  switch (questionType) {
+    case QUESTION_TYPES.CLOZE:
+      return (
+        <ClozeQuestion
+          text={question.question_text}
+          value={value || {}}
+          onChange={(blankIndex, text) => onChange({ ...(value || {}), [blankIndex]: text })}
+        />
+      );
+
+    case QUESTION_TYPES.SPEAKING:
+      return (
+        <AudioRecorder
+          key={question.id}
+          timeLimit={question.recording_time_limit || DEFAULT_RECORDING_TIME_LIMIT}
+          recording={value || null}
+          uploading={uploading}
+          onRecorded={onRecorded}
+        />
+      );
+
+    case QUESTION_TYPES.ESSAY:
+      return (
+        <EssayEditor
+          value={value || ''}
+          onChange={onChange}
+          minWords={question.min_words}
+          maxWords={question.max_words}
+          rubric={question.rubric || []}
+        />
+      );
+
+    case QUESTION_TYPES.SHORT_ANSWER:
+      return (
+        <div>
+          <textarea
+            value={value || ''}
+            onChange={(e) => onChange(e.target.value)}
+            className="form-control"
+            rows="4"
+            placeholder="Type your answer here..."
+          />
+          <p className="text-sm text-gray-500 mt-2">
+            Your tutor will grade this answer after you submit the quiz.
+          </p>
+        </div>
+      );
+
+    case QUESTION_TYPES.MATCHING:
+      return (
+        <MatchingQuestion
+          key={question.id}
+          items={question.match_items || []}
+          choices={question.match_choices || []}
+          value={value || {}}
+          onChange={onChange}
+        />
+      );
+
+    case QUESTION_TYPES.REORDER:
+      return (
+        <ReorderQuestion
+          tokens={question.tokens || []}
+          value={value || []}
+          onChange={onChange}
+        />
+      );
+
+    default:
+      return (
+        <div className="space-y-3">
+          {question.options && question.options.map(option => {
+            const isSelected = isMultiSelect
+              ? (value || []).includes(option.id)
+              : value === option.id;
+
+            return (
+              <div
+                key={option.id}
+                className={`p-4 rounded-lg border-2 cursor-pointer transition-all duration-200 hover:bg-gray-50 ${
+                  isSelected
+                    ? 'border-blue-500 bg-blue-50'
+                    : 'border-gray-200 hover:border-gray-300'
+                }`}
+                onClick={() => handleOptionSelect(option.id)}
+              >
+                <div className="flex items-center gap-3">
+                  <div className={`w-4 h-4 ${isMultiSelect ? 'rounded' : 'rounded-full'} border-2 flex items-center justify-center ${
+                    isSelected
+                      ? 'border-blue-600 bg-blue-600'
+                      : 'border-gray-300'
+                  }`}>
+                    {isSelected && (isMultiSelect ? (
+                      <Check size={10} className="text-white" />
+                    ) : (
+                      <div className="w-2 h-2 bg-white rounded-full"></div>
+                    ))}
+                  </div>
+                  <span className="flex-1 text-gray-800">{option.option_text}</span>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      );
+  }
+};
+
+export default QuestionInput;
@@ -0,0 +1,60 @@
+import React from 'react';
+import { BookOpen } from 'lucide-react';
+
+// Passages use a blank line between paragraphs, **bold** and *italic*
+const INLINE_PATTERN = /(\*\*[^*]+\*\*|\*[^*]+\*)/g;
+
+const renderInline = (text) =>
+  text.split(INLINE_PATTERN).map((part, i) => {
+    if (part.startsWith('**') && part.endsWith('**') && part.length > 4) {
+      return <strong key={i}>{part.slice(2, -2)}</strong>;
+    }
+    if (part.startsWith('*') && part.endsWith('*') && part.length > 2) {
+      return <em key={i}>{part.slice(1, -1)}</em>;
+    }
+    return part.split('\n').map((line, j) => (
+      <React.Fragment key={`${i}-${j}`}>
+        {j > 0 && <br />}
+        {line}
+      </React.Fragment>
+    ));
+  });
+
+export const PassageText = ({ content }) => (
+  <div className="passage-text text-gray-800">
+    {(content || '')
+      .split(/\n\s*\n/)
+      .filter(paragraph => paragraph.trim())
+      .map((paragraph, i) => (
+        <p key={i}>{renderInline(paragraph.trim())}</p>
+      ))}
+  </div>
+);
+
+// `subtitle` tells the student which questions the passage belongs to;
+// `children` (e.g. the audio player of a listening passage) go above the text
+const ReadingPassage = ({ passage, subtitle = null, className = '', children = null }) => (
+  <div className={`card ${className}`}>
+    <div className="card-body">
+      <div className="flex items-center gap-2 mb-1">
+        <BookOpen size={18} className="text-blue-600" />
+        <h3 className="font-semibold text-lg">{passage.title}</h3>
+      </div>
+      {subtitle && <p className="text-sm text-gray-500 mb-4">{subtitle}</p>}
+
+      {children}
+
+      {passage.image_url && (
+        <img
+          src={passage.image_url}
+          alt={passage.title}
+          className="w-full rounded-lg mb-4"
+        />
+      )}
+
+      {passage.content && <PassageText content={passage.content} />}
+    </div>
+  </div>
+);
+
+export default ReadingPassage;
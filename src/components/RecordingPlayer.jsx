@@ -0,0 +1,41 @@
+import React, { useState, useEffect } from 'react';
+import { storageService } from '../services/supabaseService.js';
+import { SPEAKING_BUCKET } from '../lib/questionTypes.js';
+
+// Plays a recording from the private speaking bucket through a signed URL
+const RecordingPlayer = ({ path }) => {
+  const [url, setUrl] = useState(null);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadUrl = async () => {
+      setUrl(null);
+      setFailed(false);
+      if (!path) return;
+
+      const response = await storageService.getSignedUrl(SPEAKING_BUCKET, path);
+      if (cancelled) return;
+
+      if (response.success && response.data) {
+        setUrl(response.data);
+      } else {
+        setFailed(true);
+      }
+    };
+
+    loadUrl();
+    return () => {
+      cancelled = true;
+    };
+  }, [path]);
+
+  if (!path) return <p className="text-sm text-gray-500">No recording</p>;
+  if (failed) return <p className="text-sm text-red-600">The recording could not be loaded.</p>;
+  if (!url) return <p className="text-sm text-gray-500">Loading recording...</p>;
+
+  return <audio controls src={url} className="w-full" />;
+};
+
+export default RecordingPlayer;
@@ -0,0 +1,128 @@
+import React, { useState, useRef, useEffect } from 'react';
+
+// Word tiles the student drags (or moves with the keyboard) into order.
+// `value` holds the placed tiles as indexes into `tokens`.
+const ReorderQuestion = ({ tokens = [], value = [], onChange }) => {
+  const [dragging, setDragging] = useState(null);
+  const [focusPosition, setFocusPosition] = useState(null);
+  const placedRefs = useRef([]);
+
+  const bank = tokens.map((_, index) => index).filter(index => !value.includes(index));
+
+  useEffect(() => {
+    if (focusPosition !== null) {
+      placedRefs.current[focusPosition]?.focus();
+      setFocusPosition(null);
+    }
+  }, [focusPosition]);
+
+  const placeTile = (tokenIndex, position = value.length) => {
+    const next = value.filter(index => index !== tokenIndex);
+    next.splice(Math.min(position, next.length), 0, tokenIndex);
+    onChange(next);
+  };
+
+  const removeTile = (position) => {
+    onChange(value.filter((_, i) => i !== position));
+  };
+
+  const moveTile = (from, to) => {
+    if (to < 0 || to >= value.length) return;
+    const next = [...value];
+    const [tokenIndex] = next.splice(from, 1);
+    next.splice(to, 0, tokenIndex);
+    onChange(next);
+    setFocusPosition(to);
+  };
+
+  const handlePlacedKeyDown = (e, position) => {
+    if (e.key === 'ArrowLeft' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      moveTile(position, position - 1);
+    } else if (e.key === 'ArrowRight' || e.key === 'ArrowDown') {
+      e.preventDefault();
+      moveTile(position, position + 1);
+    } else if (e.key === 'Backspace' || e.key === 'Delete') {
+      e.preventDefault();
+      removeTile(position);
+    }
+  };
+
+  const handleDrop = (e, position) => {
+    e.preventDefault();
+    e.stopPropagation();
+    if (dragging !== null) {
+      placeTile(dragging, position);
+    }
+    setDragging(null);
+  };
+
+  const handleBankDrop = (e) => {
+    e.preventDefault();
+    if (dragging !== null && value.includes(dragging)) {
+      onChange(value.filter(index => index !== dragging));
+    }
+    setDragging(null);
+  };
+
+  return (
+    <div>
+      <p className="text-sm text-blue-600 mb-3">
+        Drag the words into the correct order, or click a word to add it. Use the arrow keys to move a
+        selected word and Backspace to remove it.
+      </p>
+
+      <div
+        className="reorder-zone mb-4"
+        onDragOver={(e) => e.preventDefault()}
+        onDrop={(e) => handleDrop(e, value.length)}
+        aria-label="Your sentence"
+      >
+        {value.length === 0 && (
+          <span className="text-gray-500 text-sm">Your sentence will appear here</span>
+        )}
+        {value.map((tokenIndex, position) => (
+          <button
+            key={tokenIndex}
+            type="button"
+            ref={(el) => { placedRefs.current[position] = el; }}
+            draggable
+            onDragStart={() => setDragging(tokenIndex)}
+            onDragEnd={() => setDragging(null)}
+            onDragOver={(e) => e.preventDefault()}
+            onDrop={(e) => handleDrop(e, position)}
+            onClick={() => removeTile(position)}
+            onKeyDown={(e) => handlePlacedKeyDown(e, position)}
+            className="reorder-tile placed"
+            aria-label={`${tokens[tokenIndex]}, position ${position + 1} of ${value.length}`}
+          >
+            {tokens[tokenIndex]}
+          </button>
+        ))}
+      </div>
+
+      <div
+        className="reorder-zone bank"
+        onDragOver={(e) => e.preventDefault()}
+        onDrop={handleBankDrop}
+        aria-label="Available words"
+      >
+        {bank.map(tokenIndex => (
+          <button
+            key={tokenIndex}
+            type="button"
+            draggable
+            onDragStart={() => setDragging(tokenIndex)}
+            onDragEnd={() => setDragging(null)}
+            onClick={() => placeTile(tokenIndex)}
+            className="reorder-tile"
+          >
+            {tokens[tokenIndex]}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ReorderQuestion;
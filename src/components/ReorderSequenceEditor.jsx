@@ -0,0 +1,51 @@
+import React from 'react';
+import { splitReorderTokens, REORDER_TOKEN_SEPARATOR } from '../lib/questionTypes.js';
+
+// Correct tile order plus any alternative orders that are also accepted
+const ReorderSequenceEditor = ({ tokens, alternatives, onChange }) => {
+  const tiles = splitReorderTokens(tokens);
+
+  return (
+    <>
+      <div className="form-group">
+        <label className="form-label">Correct Order *</label>
+        <input
+          type="text"
+          name="reorder_tokens"
+          value={tokens}
+          onChange={onChange}
+          className="form-control"
+          placeholder={`I ${REORDER_TOKEN_SEPARATOR} went ${REORDER_TOKEN_SEPARATOR} to school ${REORDER_TOKEN_SEPARATOR} yesterday`}
+        />
+        <p className="text-xs text-gray-500 mt-1">
+          Separate the tiles with "{REORDER_TOKEN_SEPARATOR}". A tile can hold more than one word.
+          Students see the tiles shuffled.
+        </p>
+        {tiles.length > 0 && (
+          <div className="flex flex-wrap gap-2 mt-2">
+            {tiles.map((tile, index) => (
+              <span key={index} className="reorder-tile">{tile}</span>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="form-group">
+        <label className="form-label">Also Accepted (Optional)</label>
+        <textarea
+          name="reorder_alternatives"
+          value={alternatives}
+          onChange={onChange}
+          className="form-control"
+          rows="2"
+          placeholder={`Yesterday ${REORDER_TOKEN_SEPARATOR} I ${REORDER_TOKEN_SEPARATOR} went ${REORDER_TOKEN_SEPARATOR} to school`}
+        />
+        <p className="text-xs text-gray-500 mt-1">
+          One alternative order per line, using the same tiles
+        </p>
+      </div>
+    </>
+  );
+};
+
+export default ReorderSequenceEditor;
@@ -0,0 +1,78 @@
+import React from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import { RUBRIC_MAX_SCORE } from '../lib/questionTypes.js';
+
+// Word limits and rubric criteria for a writing task
+const RubricEditor = ({ criteria, minWords, maxWords, onCriterionChange, onAddCriterion, onRemoveCriterion, onFormChange }) => (
+  <>
+    <div className="grid grid-cols-2 gap-4">
+      <div className="form-group">
+        <label className="form-label">Minimum Words (Optional)</label>
+        <input
+          type="number"
+          name="min_words"
+          min="1"
+          value={minWords}
+          onChange={onFormChange}
+          className="form-control"
+          placeholder="e.g. 150"
+        />
+      </div>
+      <div className="form-group">
+        <label className="form-label">Maximum Words (Optional)</label>
+        <input
+          type="number"
+          name="max_words"
+          min="1"
+          value={maxWords}
+          onChange={onFormChange}
+          className="form-control"
+          placeholder="e.g. 250"
+        />
+      </div>
+    </div>
+
+    <div className="form-group">
+      <div className="flex justify-between items-center mb-2">
+        <label className="form-label">Rubric *</label>
+        <button type="button" onClick={onAddCriterion} className="btn btn-sm btn-outline">
+          <Plus size={14} />
+          Add Criterion
+        </button>
+      </div>
+      <p className="text-sm text-gray-600 mb-3">
+        Tutors rate each criterion from 1 to {RUBRIC_MAX_SCORE}. Students see the criteria while writing.
+      </p>
+
+      {criteria.map((criterion, index) => (
+        <div key={index} className="flex items-center gap-3 mb-2">
+          <input
+            type="text"
+            value={criterion.name}
+            onChange={(e) => onCriterionChange(index, 'name', e.target.value)}
+            className="form-control flex-1"
+            placeholder="Criterion, e.g. Grammar"
+          />
+          <input
+            type="text"
+            value={criterion.description}
+            onChange={(e) => onCriterionChange(index, 'description', e.target.value)}
+            className="form-control flex-1"
+            placeholder="What the tutor looks for (optional)"
+          />
+          <button
+            type="button"
+            onClick={() => onRemoveCriterion(index)}
+            className="btn btn-sm btn-danger"
+            disabled={criteria.length <= 1}
+            title="Remove criterion"
+          >
+            <Trash2 size={14} />
+          </button>
+        </div>
+      ))}
+    </div>
+  </>
+);
+
+export default RubricEditor;
@@ -0,0 +1,33 @@
+import React from 'react';
+
+// Rate each rubric criterion from 1 to its max score; `value` maps criterion id to rating
+const RubricScoring = ({ rubric = [], value = {}, onChange }) => (
+  <div className="space-y-3">
+    {rubric.map(criterion => (
+      <div key={criterion.id} className="flex justify-between items-center gap-4">
+        <div className="flex-1">
+          <div className="font-medium">{criterion.name}</div>
+          {criterion.description && (
+            <div className="text-sm text-gray-500">{criterion.description}</div>
+          )}
+        </div>
+        <div className="flex gap-1" role="radiogroup" aria-label={criterion.name}>
+          {Array.from({ length: criterion.max_score }, (_, i) => i + 1).map(score => (
+            <button
+              key={score}
+              type="button"
+              role="radio"
+              aria-checked={value[criterion.id] === score}
+              onClick={() => onChange(criterion.id, score)}
+              className={`btn btn-sm ${value[criterion.id] === score ? 'btn-primary' : 'btn-outline'}`}
+            >
+              {score}
+            </button>
+          ))}
+        </div>
+      </div>
+    ))}
+  </div>
+);
+
+export default RubricScoring;
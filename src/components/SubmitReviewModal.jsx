@@ -0,0 +1,74 @@
+import React from 'react';
+import { isAnswered } from '../lib/questionTypes.js';
+import { X, Flag, CheckCircle, AlertCircle } from 'lucide-react';
+
+// Last look before submitting: every question with its answered and flagged state.
+// Clicking a question closes the review and jumps to it.
+const SubmitReviewModal = ({ questions, answers, flagged, submitting, onJump, onCancel, onSubmit }) => {
+  const unanswered = questions.filter(question => !isAnswered(question, answers[question.id]));
+  const flaggedCount = questions.filter(question => flagged[question.id]).length;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6">
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-2xl font-bold">Review Before Submitting</h2>
+            <button onClick={onCancel} className="text-gray-500 hover:text-gray-700">
+              <X size={24} />
+            </button>
+          </div>
+
+          <p className="text-gray-600 mb-4">
+            {questions.length - unanswered.length} of {questions.length} questions answered
+            {flaggedCount > 0 && `, ${flaggedCount} flagged for review`}.
+            Once submitted, your answers cannot be changed.
+          </p>
+
+          <div className="space-y-2 mb-6">
+            {questions.map((question, index) => {
+              const answered = isAnswered(question, answers[question.id]);
+              return (
+                <button
+                  key={question.id}
+                  onClick={() => onJump(index)}
+                  className={`w-full flex items-center gap-3 p-3 rounded-lg border text-left hover:bg-gray-50 ${
+                    answered ? 'border-gray-200' : 'border-yellow-300 bg-yellow-50'
+                  }`}
+                >
+                  {answered ? (
+                    <CheckCircle size={16} className="text-green-600 flex-shrink-0" />
+                  ) : (
+                    <AlertCircle size={16} className="text-yellow-600 flex-shrink-0" />
+                  )}
+                  <span className="font-medium">Question {index + 1}</span>
+                  <span className="flex-1 text-sm text-gray-600 truncate">
+                    {answered ? 'Answered' : 'Not answered'}
+                  </span>
+                  {flagged[question.id] && (
+                    <span className="flex items-center gap-1 text-sm text-orange-600">
+                      <Flag size={14} />
+                      Flagged
+                    </span>
+                  )}
+                </button>
+              );
+            })}
+          </div>
+
+          <div className="flex justify-end gap-3">
+            <button onClick={onCancel} className="btn btn-outline">
+              Keep Working
+            </button>
+            <button onClick={onSubmit} disabled={submitting} className="btn btn-success">
+              <CheckCircle size={16} />
+              {submitting ? 'Submitting...' : 'Submit Quiz'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SubmitReviewModal;
@@ -0,0 +1,142 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { useAuth } from '../contexts/AuthContext.jsx';
+import {
+  OFFLINE_STORE_EVENT,
+  getStudentOfflineAttempts,
+  deleteOfflineAttempt
+} from '../lib/offlineQuizStore.js';
+import { syncQueuedSubmissions } from '../lib/offlineSync.js';
+import { WifiOff, RefreshCw, AlertTriangle } from 'lucide-react';
+
+// Retry queued submissions this often while the browser claims to be online
+const RETRY_INTERVAL = 30000;
+
+// Sends quiz submissions queued while offline and lets the student resolve conflicts.
+// Shown to students only, and only while there is something to report.
+const SyncStatus = () => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [syncing, setSyncing] = useState(false);
+  const [queued, setQueued] = useState([]);
+  const [conflicts, setConflicts] = useState([]);
+
+  const studentId = user?.role === 'student' ? user.id : null;
+
+  useEffect(() => {
+    if (!studentId) return;
+
+    refresh();
+    syncNow();
+
+    const handleOnline = () => {
+      setIsOnline(true);
+      syncNow();
+    };
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    window.addEventListener(OFFLINE_STORE_EVENT, refresh);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      window.removeEventListener(OFFLINE_STORE_EVENT, refresh);
+    };
+  }, [studentId]);
+
+  // The online event does not fire when the Wi-Fi is up but the connection is not
+  useEffect(() => {
+    if (!studentId || queued.length === 0) return;
+    const timer = setInterval(syncNow, RETRY_INTERVAL);
+    return () => clearInterval(timer);
+  }, [studentId, queued.length]);
+
+  const refresh = async () => {
+    try {
+      const attempts = await getStudentOfflineAttempts(studentId);
+      setQueued(attempts.filter(attempt => attempt.status === 'queued'));
+      setConflicts(attempts.filter(attempt => attempt.status === 'conflict'));
+    } catch (error) {
+      console.error('Error reading offline attempts:', error);
+    }
+  };
+
+  const syncNow = async () => {
+    if (!navigator.onLine) return;
+
+    setSyncing(true);
+    try {
+      const results = await syncQueuedSubmissions(studentId);
+      const submitted = results.filter(result => result.status === 'submitted').length;
+      if (submitted > 0) {
+        toast.success(`${submitted} quiz submission${submitted === 1 ? '' : 's'} saved while offline ${submitted === 1 ? 'has' : 'have'} been sent`);
+      }
+    } catch (error) {
+      console.error('Error syncing offline submissions:', error);
+    } finally {
+      setSyncing(false);
+    }
+  };
+
+  const handleViewResults = async (attempt) => {
+    await deleteOfflineAttempt(attempt.attempt_id);
+    navigate(`/student/${studentId}/quiz-results/${attempt.attempt_id}`);
+  };
+
+  if (!studentId || (isOnline && queued.length === 0 && conflicts.length === 0)) {
+    return null;
+  }
+
+  return (
+    <div className="sync-status">
+      {!isOnline && (
+        <p className="flex items-center gap-2 text-sm font-medium text-gray-700">
+          <WifiOff size={16} />
+          You are offline. Answers are kept on this device.
+        </p>
+      )}
+
+      {queued.length > 0 && (
+        <div className="flex items-center justify-between gap-2 text-sm text-gray-700 mt-2">
+          <span className="flex items-center gap-2">
+            <RefreshCw size={16} />
+            {syncing
+              ? 'Sending queued submissions...'
+              : `${queued.length} quiz submission${queued.length === 1 ? '' : 's'} waiting to sync`}
+          </span>
+          {isOnline && !syncing && (
+            <button onClick={syncNow} className="btn btn-sm btn-outline">
+              Retry
+            </button>
+          )}
+        </div>
+      )}
+
+      {conflicts.map(attempt => (
+        <div key={attempt.attempt_id} className="mt-2">
+          <p className="flex items-center gap-2 text-sm font-medium text-red-600">
+            <AlertTriangle size={16} />
+            {attempt.quiz?.categoryName} ({attempt.quiz?.difficultyName}) was already submitted
+          </p>
+          <p className="text-xs text-gray-500 mt-1">
+            The attempt was finalized on the server before the answers from this device arrived,
+            so they were not added.
+          </p>
+          <div className="flex gap-2 mt-2">
+            <button onClick={() => handleViewResults(attempt)} className="btn btn-sm btn-primary">
+              View Results
+            </button>
+            <button onClick={() => deleteOfflineAttempt(attempt.attempt_id)} className="btn btn-sm btn-outline">
+              Discard
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default SyncStatus;
@@ -0,0 +1,19 @@
+import React from 'react';
+import { FileText } from 'lucide-react';
+
+// Collapsible audio transcript, only shown once the answer is revealed
+const Transcript = ({ text }) => {
+  if (!text) return null;
+
+  return (
+    <details className="bg-gray-50 p-3 rounded-lg border border-gray-200 mb-3">
+      <summary className="cursor-pointer font-medium text-gray-700 flex items-center gap-2">
+        <FileText size={14} />
+        Transcript
+      </summary>
+      <p className="text-gray-700 whitespace-pre-wrap mt-2">{text}</p>
+    </details>
+  );
+};
+
+export default Transcript;
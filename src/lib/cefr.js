@@ -0,0 +1,6 @@
+// CEFR levels in order (mirrors the cefr_levels table)
+export const CEFR_LEVELS = ['A1', 'A2', 'B1', 'B2', 'C1', 'C2'];
+
+// A question's own CEFR level, or its difficulty level's when it has none
+export const getQuestionCefrLevel = (question) =>
+  question.cefr_level || question.difficulty_levels?.cefr_level || null;
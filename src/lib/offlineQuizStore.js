@@ -0,0 +1,99 @@
+// IndexedDB copy of in-progress attempts so a quiz keeps working without a connection.
+// One record per attempt; `status` is 'in_progress', 'queued' (submitted while offline,
+// waiting to be sent) or 'conflict' (the server had already finalized the attempt).
+
+const DB_NAME = 'english-quiz-offline';
+const DB_VERSION = 1;
+const ATTEMPTS_STORE = 'attempts';
+
+// Fired on window whenever a record changes, so status indicators can refresh
+export const OFFLINE_STORE_EVENT = 'offline-quiz-store-change';
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(ATTEMPTS_STORE, { keyPath: 'attempt_id' });
+        store.createIndex('student_id', 'student_id');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+const runRequest = async (mode, callback) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(ATTEMPTS_STORE, mode);
+    const request = callback(transaction.objectStore(ATTEMPTS_STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+const notifyChange = () => window.dispatchEvent(new Event(OFFLINE_STORE_EVENT));
+
+export const getOfflineAttempt = (attemptId) =>
+  runRequest('readonly', store => store.get(attemptId));
+
+export const getStudentOfflineAttempts = async (studentId) =>
+  (await runRequest('readonly', store => store.index('student_id').getAll(studentId))) || [];
+
+// Records stored before practice mode existed have no mode and are normal attempts
+const isSameQuiz = (attempt, categoryId, difficultyId, mode) =>
+  attempt.category_id === categoryId &&
+  attempt.difficulty_id === difficultyId &&
+  (attempt.mode || 'standard') === mode;
+
+// Latest local attempt for a quiz that has not been sent yet
+export const findOfflineAttempt = async (studentId, categoryId, difficultyId, mode = 'standard') => {
+  const attempts = await getStudentOfflineAttempts(studentId);
+  return attempts
+    .filter(attempt => isSameQuiz(attempt, categoryId, difficultyId, mode))
+    .sort((a, b) => b.updated_at.localeCompare(a.updated_at))[0] || null;
+};
+
+export const saveOfflineAttempt = async (attempt) => {
+  const existing = await getOfflineAttempt(attempt.attempt_id);
+  await runRequest('readwrite', store => store.put({
+    status: 'in_progress',
+    ...existing,
+    ...attempt,
+    updated_at: new Date().toISOString()
+  }));
+  notifyChange();
+};
+
+export const updateOfflineAttempt = async (attemptId, changes) => {
+  const existing = await getOfflineAttempt(attemptId);
+  if (!existing) return;
+  await saveOfflineAttempt({ ...existing, ...changes });
+};
+
+// Drops local copies of earlier attempts at a quiz once the server has handed out a newer one
+export const deleteOtherOfflineAttempts = async (studentId, categoryId, difficultyId, keepAttemptId, mode = 'standard') => {
+  const attempts = await getStudentOfflineAttempts(studentId);
+  const stale = attempts.filter(attempt =>
+    isSameQuiz(attempt, categoryId, difficultyId, mode) &&
+    attempt.attempt_id !== keepAttemptId &&
+    attempt.status === 'in_progress'
+  );
+  for (const attempt of stale) {
+    await runRequest('readwrite', store => store.delete(attempt.attempt_id));
+  }
+  if (stale.length > 0) notifyChange();
+};
+
+export const deleteOfflineAttempt = async (attemptId) => {
+  await runRequest('readwrite', store => store.delete(attemptId));
+  notifyChange();
+};
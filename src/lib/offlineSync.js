@@ -0,0 +1,78 @@
+import { quizService } from '../services/supabaseService.js';
+import {
+  getStudentOfflineAttempts,
+  updateOfflineAttempt,
+  deleteOfflineAttempt
+} from './offlineQuizStore.js';
+
+// Errors thrown by fetch when there is no connection (Chrome, Firefox, Safari)
+export const isNetworkError = (message = '') =>
+  /failed to fetch|networkerror|load failed|network request failed/i.test(message);
+
+export const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+// Asks the service worker to cache images and audio the quiz will use, so they load offline
+export const cacheQuizMedia = (urls) => {
+  const controller = navigator.serviceWorker?.controller;
+  const mediaUrls = [...new Set(urls.filter(Boolean))];
+  if (controller && mediaUrls.length > 0) {
+    controller.postMessage({ type: 'CACHE_MEDIA', urls: mediaUrls });
+  }
+};
+
+// True when the server has finalized the attempt or no longer has it
+export const isAttemptClosed = async (attemptId) => {
+  const response = await quizService.getAttemptStatus(attemptId);
+  return response.success && (!response.data || response.data.is_completed);
+};
+
+// Replays one queued submission. Resolves to { status: 'submitted' | 'conflict' | 'pending' }
+export const sendQueuedSubmission = async (attempt) => {
+  const response = await quizService.submitQuiz({
+    attempt_id: attempt.attempt_id,
+    answers: attempt.submission
+  });
+
+  if (response.success) {
+    await deleteOfflineAttempt(attempt.attempt_id);
+    return { status: 'submitted', data: response.data };
+  }
+
+  if (isOffline() || isNetworkError(response.error)) {
+    return { status: 'pending' };
+  }
+
+  // A rejected submission is a conflict when the server has already finalized (or removed) the attempt
+  if (await isAttemptClosed(attempt.attempt_id)) {
+    await updateOfflineAttempt(attempt.attempt_id, { status: 'conflict' });
+    return { status: 'conflict' };
+  }
+
+  return { status: 'pending', error: response.error };
+};
+
+let runningSync = null;
+
+// Sends every queued submission of the student, oldest first. Only one sync runs at a time,
+// since sending the same submission twice would look like a conflict.
+export const syncQueuedSubmissions = (studentId) => {
+  if (!runningSync) {
+    runningSync = sendAllQueued(studentId).finally(() => {
+      runningSync = null;
+    });
+  }
+  return runningSync;
+};
+
+const sendAllQueued = async (studentId) => {
+  const attempts = await getStudentOfflineAttempts(studentId);
+  const queued = attempts
+    .filter(attempt => attempt.status === 'queued')
+    .sort((a, b) => a.updated_at.localeCompare(b.updated_at));
+
+  const results = [];
+  for (const attempt of queued) {
+    results.push({ attempt, ...(await sendQueuedSubmission(attempt)) });
+  }
+  return results;
+};
@@ -0,0 +1,207 @@
+// Question types supported by the quiz engine (mirrors questions.question_type)
+export const QUESTION_TYPES = {
+  SINGLE_CHOICE: 'single_choice',
+  MULTIPLE_SELECT: 'multiple_select',
+  CLOZE: 'cloze',
+  REORDER: 'reorder',
+  MATCHING: 'matching',
+  SHORT_ANSWER: 'short_answer',
+  ESSAY: 'essay',
+  SPEAKING: 'speaking'
+};
+
+export const QUESTION_TYPE_LABELS = {
+  [QUESTION_TYPES.SINGLE_CHOICE]: 'Single Choice',
+  [QUESTION_TYPES.MULTIPLE_SELECT]: 'Multiple Select',
+  [QUESTION_TYPES.CLOZE]: 'Fill in the Blank',
+  [QUESTION_TYPES.REORDER]: 'Sentence Reorder',
+  [QUESTION_TYPES.MATCHING]: 'Matching Pairs',
+  [QUESTION_TYPES.SHORT_ANSWER]: 'Short Answer',
+  [QUESTION_TYPES.ESSAY]: 'Writing Task',
+  [QUESTION_TYPES.SPEAKING]: 'Speaking Task'
+};
+
+export const SCORING_MODE_LABELS = {
+  all_or_nothing: 'All or nothing',
+  partial: 'Partial credit'
+};
+
+// Question types whose scoring_mode can award partial credit
+export const PARTIAL_CREDIT_TYPES = [QUESTION_TYPES.MULTIPLE_SELECT, QUESTION_TYPES.CLOZE, QUESTION_TYPES.MATCHING, QUESTION_TYPES.REORDER];
+
+// "1 point", "2.5 points"; points come back from the database as decimal strings
+export const formatPoints = (points) => {
+  const value = Number(points);
+  return `${value} point${value === 1 ? '' : 's'}`;
+};
+
+// Question types a tutor scores by hand after the quiz is submitted
+export const MANUALLY_GRADED_TYPES = [QUESTION_TYPES.SHORT_ANSWER, QUESTION_TYPES.ESSAY, QUESTION_TYPES.SPEAKING];
+
+// Private storage bucket for recorded speaking answers
+export const SPEAKING_BUCKET = 'speaking-responses';
+
+export const DEFAULT_RECORDING_TIME_LIMIT = 60;
+
+// Starting rubric for new writing tasks; each criterion is rated 1-5
+export const DEFAULT_RUBRIC = [
+  { name: 'Task achievement', description: 'Answers every part of the prompt' },
+  { name: 'Coherence and cohesion', description: 'Ideas are organised and linked clearly' },
+  { name: 'Vocabulary', description: 'Range and accuracy of word choice' },
+  { name: 'Grammar', description: 'Range and accuracy of grammatical structures' }
+];
+
+export const RUBRIC_MAX_SCORE = 5;
+
+export const countWords = (text = '') => {
+  const trimmed = text.trim();
+  return trimmed === '' ? 0 : trimmed.split(/\s+/).length;
+};
+
+export const getQuestionType = (question) => question?.question_type || QUESTION_TYPES.SINGLE_CHOICE;
+
+export const isOptionBased = (questionType) =>
+  questionType === QUESTION_TYPES.SINGLE_CHOICE || questionType === QUESTION_TYPES.MULTIPLE_SELECT;
+
+// Cloze blanks are written in question_text as {{1}}, {{2}}, ...
+const CLOZE_BLANK_PATTERN = /\{\{(\d+)\}\}/g;
+
+export const getClozeBlankIndexes = (text = '') => {
+  const indexes = new Set();
+  for (const match of text.matchAll(CLOZE_BLANK_PATTERN)) {
+    indexes.add(parseInt(match[1]));
+  }
+  return Array.from(indexes).sort((a, b) => a - b);
+};
+
+export const createEmptyBlank = () => ({
+  accepted_answers: '',
+  case_sensitive: false,
+  normalize_whitespace: true,
+  ignore_punctuation: true
+});
+
+// Split cloze text into plain text and blank parts for rendering
+export const splitClozeText = (text = '') => {
+  const parts = [];
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(CLOZE_BLANK_PATTERN)) {
+    if (match.index > lastIndex) {
+      parts.push({ type: 'text', value: text.slice(lastIndex, match.index) });
+    }
+    parts.push({ type: 'blank', index: parseInt(match[1]) });
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < text.length) {
+    parts.push({ type: 'text', value: text.slice(lastIndex) });
+  }
+
+  return parts;
+};
+
+// Reorder tiles are authored as "I / went / to school"
+export const REORDER_TOKEN_SEPARATOR = '/';
+
+export const splitReorderTokens = (text = '') =>
+  text
+    .split(REORDER_TOKEN_SEPARATOR)
+    .map(token => token.trim())
+    .filter(token => token !== '');
+
+export const joinReorderTokens = (tokens = []) => tokens.join(` ${REORDER_TOKEN_SEPARATOR} `);
+
+// Whether the student has given an answer for the question
+export const isAnswered = (question, answer) => {
+  if (answer === undefined || answer === null) return false;
+
+  switch (getQuestionType(question)) {
+    case QUESTION_TYPES.MULTIPLE_SELECT:
+      return Array.isArray(answer) && answer.length > 0;
+    case QUESTION_TYPES.CLOZE:
+      return Object.values(answer).some(value => value && value.trim() !== '');
+    case QUESTION_TYPES.REORDER:
+      return Array.isArray(answer) && answer.length > 0;
+    case QUESTION_TYPES.MATCHING:
+      return Object.keys(answer).length > 0;
+    case QUESTION_TYPES.SHORT_ANSWER:
+    case QUESTION_TYPES.ESSAY:
+      return answer.trim() !== '';
+    case QUESTION_TYPES.SPEAKING:
+      return Boolean(answer.path);
+    default:
+      return answer !== '';
+  }
+};
+
+// Convert the in-page answer state into the shape submit_quiz_answers expects
+export const buildAnswerPayload = (question, answer) => {
+  const payload = { question_id: question.id };
+
+  switch (getQuestionType(question)) {
+    case QUESTION_TYPES.MULTIPLE_SELECT:
+      payload.selected_option_ids = (answer || []).map(id => parseInt(id));
+      break;
+    case QUESTION_TYPES.CLOZE:
+      payload.answer_data = answer || {};
+      break;
+    case QUESTION_TYPES.MATCHING:
+      // Matches are tracked as choice positions; the server grades the chosen text
+      payload.answer_data = Object.fromEntries(
+        Object.entries(answer || {}).map(([pairId, choiceIndex]) => [pairId, question.match_choices[choiceIndex]])
+      );
+      break;
+    case QUESTION_TYPES.SHORT_ANSWER:
+    case QUESTION_TYPES.ESSAY:
+      payload.answer_data = { text: (answer || '').trim() };
+      break;
+    case QUESTION_TYPES.SPEAKING:
+      // The recording is already uploaded; only its storage path is submitted
+      payload.answer_data = answer || {};
+      break;
+    case QUESTION_TYPES.REORDER:
+      // The page tracks tile positions; the server grades the token text
+      payload.answer_data = (answer || []).map(index => question.tokens[index]);
+      break;
+    default:
+      payload.selected_option_id = parseInt(answer);
+      break;
+  }
+
+  return payload;
+};
+
+// Turn an answer saved on the server back into the in-page answer state (inverse of buildAnswerPayload)
+export const restoreAnswer = (question, saved) => {
+  const data = saved.answer_data;
+
+  switch (getQuestionType(question)) {
+    case QUESTION_TYPES.MULTIPLE_SELECT:
+      return saved.selected_option_ids || [];
+    case QUESTION_TYPES.CLOZE:
+      return data || {};
+    case QUESTION_TYPES.MATCHING:
+      return Object.fromEntries(
+        Object.entries(data || {})
+          .map(([pairId, text]) => [pairId, (question.match_choices || []).indexOf(text)])
+          .filter(([, choiceIndex]) => choiceIndex !== -1)
+      );
+    case QUESTION_TYPES.SHORT_ANSWER:
+    case QUESTION_TYPES.ESSAY:
+      return data?.text || '';
+    case QUESTION_TYPES.SPEAKING:
+      return data || null;
+    case QUESTION_TYPES.REORDER: {
+      // Repeated tiles share their text, so each one maps to the first unused position
+      const used = new Set();
+      return (data || []).map(token => {
+        const index = (question.tokens || []).findIndex((tile, i) => tile === token && !used.has(i));
+        used.add(index);
+        return index;
+      }).filter(index => index !== -1);
+    }
+    default:
+      return saved.selected_option_id;
+  }
+};
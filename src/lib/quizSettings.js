@@ -0,0 +1,36 @@
+// Per category/difficulty quiz settings (mirrors the quiz_settings table)
+
+// Which completed attempt counts towards the student's score
+export const SCORE_POLICY_LABELS = {
+  best: 'Best score',
+  latest: 'Latest score',
+  average: 'Average of attempts'
+};
+
+// Quizzes without a settings row allow a single 30-minute attempt of 10 questions
+export const DEFAULT_QUIZ_SETTINGS = {
+  max_attempts: 1,
+  cooldown_minutes: 0,
+  score_policy: 'best',
+  time_limit_minutes: 30,
+  question_count: 10,
+  pass_mark: 60,
+  negative_marking: 0,
+  hint_penalty: 25
+};
+
+export const formatTimeLimit = (minutes) => (minutes ? `${minutes} min` : 'No time limit');
+
+export const formatCooldown = (minutes) => {
+  if (!minutes) return 'None';
+  if (minutes % 1440 === 0) return `${minutes / 1440} day${minutes === 1440 ? '' : 's'}`;
+  if (minutes % 60 === 0) return `${minutes / 60} hour${minutes === 60 ? '' : 's'}`;
+  return `${minutes} min`;
+};
+
+// Short line such as "2 of 3 attempts left" for a policy from get_quiz_policy
+export const describeAttempts = (policy) => {
+  if (!policy) return '';
+  if (policy.max_attempts === null || policy.max_attempts === undefined) return 'Unlimited attempts';
+  return `${policy.attempts_remaining} of ${policy.max_attempts} attempt${policy.max_attempts === 1 ? '' : 's'} left`;
+};
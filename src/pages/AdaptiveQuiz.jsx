@@ -0,0 +1,95 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { quizService } from '../services/supabaseService.js';
+import { toast } from 'react-toastify';
+import Loading from '../components/Loading.jsx';
+import AdaptiveQuestion from '../components/AdaptiveQuestion.jsx';
+import { Compass } from 'lucide-react';
+
+// Adaptive quiz: the server picks each question from the student's answers so far,
+// so there is no going back and answers are sent one at a time
+const AdaptiveQuiz = () => {
+  const { studentId, categoryId } = useParams();
+  const navigate = useNavigate();
+
+  const [loading, setLoading] = useState(true);
+  const [attempt, setAttempt] = useState(null);
+
+  useEffect(() => {
+    startAdaptiveQuiz();
+  }, [categoryId]);
+
+  const showState = (state) => {
+    if (state.is_completed) {
+      navigate(`/student/${studentId}/quiz-results/${state.attempt_id}`);
+      return;
+    }
+
+    setAttempt(state);
+  };
+
+  const startAdaptiveQuiz = async () => {
+    try {
+      const response = await quizService.startAdaptiveQuiz(parseInt(categoryId));
+
+      if (!response.success) {
+        toast.error(response.error || 'Failed to start the adaptive quiz');
+        navigate(`/student/${studentId}`);
+        return;
+      }
+
+      if (response.data.is_resumed) {
+        toast.info('Continuing your unfinished adaptive quiz');
+      }
+      showState(response.data);
+    } catch (error) {
+      console.error('Error starting adaptive quiz:', error);
+      toast.error('Failed to start the adaptive quiz');
+      navigate(`/student/${studentId}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) return <Loading message="Starting your adaptive quiz..." />;
+
+  if (!attempt?.question) return null;
+
+  const questionNumber = attempt.answered_count + 1;
+
+  return (
+    <div className="container">
+      <div className="main-content">
+        <div className="card mb-6">
+          <div className="card-body">
+            <div className="flex items-center gap-3 mb-4">
+              <Compass size={28} className="text-blue-600" />
+              <div>
+                <h1 className="text-2xl font-bold">{attempt.category_name} Level Check</h1>
+                <p className="text-gray-600">
+                  Each question is chosen from your answers so far. The quiz ends once your level is clear,
+                  after at most {attempt.max_questions} questions.
+                </p>
+              </div>
+            </div>
+
+            <div className="flex justify-between items-center mb-2">
+              <span className="text-sm text-gray-600">Question {questionNumber}</span>
+              <span className="text-sm text-gray-600">Up to {attempt.max_questions} questions</span>
+            </div>
+            <div className="w-full bg-gray-200 rounded-full h-2">
+              <div
+                className="bg-blue-600 h-2 rounded-full transition-all duration-300"
+                style={{ width: `${(attempt.answered_count / attempt.max_questions) * 100}%` }}
+              ></div>
+            </div>
+          </div>
+        </div>
+
+        <AdaptiveQuestion key={attempt.question.id} attempt={attempt} onAnswered={showState} />
+      </div>
+    </div>
+  );
+};
+
+export default AdaptiveQuiz;
@@ -0,0 +1,269 @@
+import React, { useState, useEffect } from 'react';
+import { gradingService } from '../services/supabaseService.js';
+import { toast } from 'react-toastify';
+import Loading from '../components/Loading.jsx';
+import RubricScoring from '../components/RubricScoring.jsx';
+import { QUESTION_TYPES, QUESTION_TYPE_LABELS, countWords } from '../lib/questionTypes.js';
+import { ClipboardCheck, Search, Save } from 'lucide-react';
+
+const GradingQueue = () => {
+  const [loading, setLoading] = useState(true);
+  const [queue, setQueue] = useState([]);
+  const [search, setSearch] = useState('');
+  const [grades, setGrades] = useState({});
+  const [savingId, setSavingId] = useState(null);
+
+  useEffect(() => {
+    fetchQueue();
+  }, []);
+
+  const fetchQueue = async () => {
+    try {
+      const response = await gradingService.getGradingQueue();
+
+      if (!response.success) {
+        toast.error(response.error || 'Failed to load grading queue');
+        setQueue([]);
+        return;
+      }
+
+      // Speaking answers are scored on the Speaking Review page
+      setQueue((response.data || []).filter(item => item.question_type !== QUESTION_TYPES.SPEAKING));
+    } catch (error) {
+      console.error('Error fetching grading queue:', error);
+      toast.error('Failed to load grading queue');
+      setQueue([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const getGrade = (answerId) => grades[answerId] || { score: '', comment: '', rubric: {} };
+
+  const handleGradeChange = (answerId, field, value) => {
+    setGrades(prev => ({
+      ...prev,
+      [answerId]: { ...getGrade(answerId), [field]: value }
+    }));
+  };
+
+  const handleRubricChange = (answerId, criterionId, score) => {
+    const grade = getGrade(answerId);
+    handleGradeChange(answerId, 'rubric', { ...grade.rubric, [criterionId]: score });
+  };
+
+  const isEssay = (item) => item.question_type === QUESTION_TYPES.ESSAY;
+
+  const handleSaveGrade = async (item) => {
+    const grade = getGrade(item.answer_id);
+    const score = parseFloat(grade.score);
+    const rubric = item.rubric || [];
+
+    if (isEssay(item)) {
+      if (rubric.some(criterion => !grade.rubric[criterion.id])) {
+        toast.error('Rate every rubric criterion');
+        return;
+      }
+    } else if (isNaN(score) || score < 0 || score > 100) {
+      toast.error('Enter a score between 0 and 100');
+      return;
+    }
+
+    setSavingId(item.answer_id);
+    try {
+      const response = isEssay(item)
+        ? await gradingService.gradeEssay(
+          item.answer_id,
+          rubric.map(criterion => ({ criterion_id: criterion.id, score: grade.rubric[criterion.id] })),
+          grade.comment
+        )
+        : await gradingService.gradeAnswer(item.answer_id, score / 100, grade.comment);
+
+      if (!response.success) {
+        toast.error(response.error || 'Failed to save grade');
+        return;
+      }
+
+      toast.success(response.data?.grading_status === 'graded'
+        ? 'Grade saved. The attempt is fully graded.'
+        : 'Grade saved');
+      setQueue(prev => prev.filter(entry => entry.answer_id !== item.answer_id));
+    } catch (error) {
+      console.error('Error saving grade:', error);
+      toast.error('Failed to save grade');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const filteredQueue = queue.filter(item => {
+    if (!search) return true;
+    const term = search.toLowerCase();
+    return (
+      `${item.student?.first_name} ${item.student?.last_name}`.toLowerCase().includes(term) ||
+      item.question_text?.toLowerCase().includes(term) ||
+      item.category_name?.toLowerCase().includes(term)
+    );
+  });
+
+  if (loading) return <Loading message="Loading grading queue..." />;
+
+  return (
+    <div className="container">
+      <div className="main-content">
+        <div className="flex justify-between items-center mb-6">
+          <h1 className="text-3xl font-bold">Grading Queue</h1>
+          <span className="badge badge-warning">
+            {queue.length} answer{queue.length === 1 ? '' : 's'} to grade
+          </span>
+        </div>
+
+        {/* Filters */}
+        <div className="card mb-6">
+          <div className="card-body">
+            <div className="form-group">
+              <label className="form-label">Search</label>
+              <div className="relative">
+                <Search size={16} className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" />
+                <input
+                  type="text"
+                  value={search}
+                  onChange={(e) => setSearch(e.target.value)}
+                  className="form-control pl-10"
+                  placeholder="Search by student, question or category..."
+                />
+              </div>
+            </div>
+          </div>
+        </div>
+
+        {/* Answers */}
+        <div className="space-y-4">
+          {filteredQueue.length === 0 ? (
+            <div className="card">
+              <div className="card-body text-center py-12">
+                <ClipboardCheck size={48} className="text-gray-400 mx-auto mb-4" />
+                <h3 className="text-xl font-semibold text-gray-600 mb-2">Nothing to Grade</h3>
+                <p className="text-gray-500">
+                  {search
+                    ? 'No answers match your search.'
+                    : 'All submitted answers have been graded.'}
+                </p>
+              </div>
+            </div>
+          ) : (
+            filteredQueue.map(item => {
+              const grade = getGrade(item.answer_id);
+              return (
+                <div key={item.answer_id} className="card">
+                  <div className="card-body">
+                    <div className="flex items-center gap-4 mb-2">
+                      <h3 className="font-semibold text-lg">
+                        {item.student?.first_name} {item.student?.last_name}
+                      </h3>
+                      <span className="text-sm text-gray-500">
+                        {new Date(item.completed_at).toLocaleDateString()}
+                      </span>
+                    </div>
+
+                    <div className="flex items-center gap-2 mb-3">
+                      <span className="badge badge-info">{item.category_name}</span>
+                      <span className="badge badge-warning">{item.difficulty_name}</span>
+                      <span className="badge badge-success">{QUESTION_TYPE_LABELS[item.question_type]}</span>
+                    </div>
+
+                    <p className="text-gray-800 font-medium mb-3">{item.question_text}</p>
+
+                    <div className="bg-blue-50 p-4 rounded-lg mb-3">
+                      <div className="flex justify-between items-center mb-2">
+                        <h4 className="font-medium text-blue-800">Student Answer:</h4>
+                        {isEssay(item) && (
+                          <span className="text-sm text-blue-700">
+                            {countWords(item.answer_data?.text)} words
+                            {(item.min_words || item.max_words) &&
+                              ` (limit ${item.min_words || 0}–${item.max_words || '∞'})`}
+                          </span>
+                        )}
+                      </div>
+                      <p className="text-blue-700 whitespace-pre-wrap">
+                        {item.answer_data?.text || 'No answer'}
+                      </p>
+                    </div>
+
+                    {item.explanation && (
+                      <div className="bg-green-50 p-4 rounded-lg mb-3">
+                        <h4 className="font-medium text-green-800 mb-2">Model Answer / Explanation:</h4>
+                        <p className="text-green-700">{item.explanation}</p>
+                      </div>
+                    )}
+
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                      {isEssay(item) ? (
+                        <div className="form-group md:col-span-3">
+                          <label className="form-label">Rubric *</label>
+                          <RubricScoring
+                            rubric={item.rubric || []}
+                            value={grade.rubric}
+                            onChange={(criterionId, score) => handleRubricChange(item.answer_id, criterionId, score)}
+                          />
+                        </div>
+                      ) : (
+                        <div className="form-group">
+                          <label className="form-label">Score (%) *</label>
+                          <input
+                            type="number"
+                            min="0"
+                            max="100"
+                            value={grade.score}
+                            onChange={(e) => handleGradeChange(item.answer_id, 'score', e.target.value)}
+                            className="form-control"
+                          />
+                          <div className="flex gap-2 mt-2">
+                            {[0, 50, 100].map(preset => (
+                              <button
+                                key={preset}
+                                type="button"
+                                onClick={() => handleGradeChange(item.answer_id, 'score', String(preset))}
+                                className="btn btn-sm btn-outline"
+                              >
+                                {preset}%
+                              </button>
+                            ))}
+                          </div>
+                        </div>
+                      )}
+
+                      <div className="form-group md:col-span-2">
+                        <label className="form-label">Comment (Optional)</label>
+                        <textarea
+                          value={grade.comment}
+                          onChange={(e) => handleGradeChange(item.answer_id, 'comment', e.target.value)}
+                          className="form-control"
+                          rows="3"
+                          placeholder="Explain the score to the student..."
+                        />
+                      </div>
+                    </div>
+
+                    <div className="flex justify-end">
+                      <button
+                        onClick={() => handleSaveGrade(item)}
+                        disabled={savingId === item.answer_id}
+                        className="btn btn-primary"
+                      >
+                        <Save size={16} />
+                        {savingId === item.answer_id ? 'Saving...' : 'Save Grade'}
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              );
+            })
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GradingQueue;
@@ -0,0 +1,489 @@
+import React, { useState, useEffect } from 'react';
+import { passagesService, categoriesService } from '../services/supabaseService.js';
+import { toast } from 'react-toastify';
+import Loading from '../components/Loading.jsx';
+import ReadingPassage from '../components/ReadingPassage.jsx';
+import { Plus, Edit, Trash2, Search, FileText, Save, X, Eye } from 'lucide-react';
+
+const EMPTY_FORM = {
+  title: '',
+  category_id: '',
+  content: '',
+  image_url: '',
+  audio_url: '',
+  max_plays: '',
+  transcript: ''
+};
+
+const PassageManagement = () => {
+  const [loading, setLoading] = useState(true);
+  const [passages, setPassages] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [filters, setFilters] = useState({
+    category_id: '',
+    search: ''
+  });
+  const [showModal, setShowModal] = useState(false);
+  const [showPreview, setShowPreview] = useState(false);
+  const [editingPassage, setEditingPassage] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+
+  useEffect(() => {
+    fetchCategories();
+  }, []);
+
+  useEffect(() => {
+    fetchPassages();
+  }, [filters]);
+
+  const fetchCategories = async () => {
+    try {
+      const response = await categoriesService.getCategories();
+      setCategories(response.success && Array.isArray(response.data) ? response.data : []);
+    } catch (error) {
+      console.error('Error fetching categories:', error);
+      setCategories([]);
+    }
+  };
+
+  const fetchPassages = async () => {
+    try {
+      const response = await passagesService.getPassages(filters);
+
+      if (!response.success) {
+        toast.error(response.error || 'Failed to load passages');
+        setPassages([]);
+        return;
+      }
+
+      setPassages(response.data || []);
+    } catch (error) {
+      console.error('Error fetching passages:', error);
+      toast.error('Failed to load passages');
+      setPassages([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handleCreatePassage = () => {
+    setFormData(EMPTY_FORM);
+    setEditingPassage(null);
+    setShowPreview(false);
+    setShowModal(true);
+  };
+
+  const handleEditPassage = (passage) => {
+    setFormData({
+      title: passage.title || '',
+      category_id: passage.category_id || '',
+      content: passage.content || '',
+      image_url: passage.image_url || '',
+      audio_url: passage.audio_url || '',
+      max_plays: passage.max_plays || '',
+      transcript: passage.transcript || ''
+    });
+    setEditingPassage(passage);
+    setShowPreview(false);
+    setShowModal(true);
+  };
+
+  const handleDeletePassage = async (passage) => {
+    const linkedCount = (passage.questions || []).length;
+    const message = linkedCount > 0
+      ? `This passage is used by ${linkedCount} question${linkedCount === 1 ? '' : 's'}. They will be kept without the passage. Delete it?`
+      : 'Are you sure you want to delete this passage?';
+
+    if (!window.confirm(message)) {
+      return;
+    }
+
+    try {
+      const response = await passagesService.deletePassage(passage.id);
+
+      if (!response.success) {
+        toast.error(response.error || 'Failed to delete passage');
+        return;
+      }
+
+      fetchPassages();
+    } catch (error) {
+      console.error('Error deleting passage:', error);
+      toast.error('Failed to delete passage');
+    }
+  };
+
+  const handleFormChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const validateForm = () => {
+    if (!formData.title.trim()) {
+      toast.error('Please enter a title');
+      return false;
+    }
+
+    if (!formData.content.trim() && !formData.image_url.trim() && !formData.audio_url.trim()) {
+      toast.error('A passage needs text, an image or audio');
+      return false;
+    }
+
+    if (formData.audio_url && formData.max_plays) {
+      const maxPlays = parseInt(formData.max_plays);
+      if (isNaN(maxPlays) || maxPlays < 1 || maxPlays > 10) {
+        toast.error('The play limit must be between 1 and 10');
+        return false;
+      }
+    }
+
+    return true;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validateForm()) return;
+
+    try {
+      const submitData = {
+        title: formData.title.trim(),
+        category_id: formData.category_id ? parseInt(formData.category_id) : null,
+        content: formData.content.trim(),
+        image_url: formData.image_url.trim(),
+        audio_url: formData.audio_url.trim(),
+        max_plays: formData.audio_url.trim() && formData.max_plays ? parseInt(formData.max_plays) : null,
+        transcript: formData.audio_url.trim() ? formData.transcript.trim() : ''
+      };
+
+      const response = editingPassage
+        ? await passagesService.updatePassage(editingPassage.id, submitData)
+        : await passagesService.createPassage(submitData);
+
+      if (!response.success) {
+        toast.error(response.error || 'Failed to save passage');
+        return;
+      }
+
+      setShowModal(false);
+      fetchPassages();
+    } catch (error) {
+      console.error('Error saving passage:', error);
+      toast.error('Failed to save passage');
+    }
+  };
+
+  if (loading) return <Loading message="Loading passages..." />;
+
+  return (
+    <div className="container">
+      <div className="main-content">
+        <div className="flex justify-between items-center mb-6">
+          <h1 className="text-3xl font-bold">Passages &amp; Audio Clips</h1>
+          <button onClick={handleCreatePassage} className="btn btn-primary">
+            <Plus size={16} />
+            Add Passage
+          </button>
+        </div>
+
+        {/* Filters */}
+        <div className="card mb-6">
+          <div className="card-body">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="form-group">
+                <label className="form-label">Search</label>
+                <div className="relative">
+                  <Search size={16} className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" />
+                  <input
+                    type="text"
+                    name="search"
+                    value={filters.search}
+                    onChange={handleFilterChange}
+                    className="form-control pl-10"
+                    placeholder="Search by title..."
+                  />
+                </div>
+              </div>
+
+              <div className="form-group">
+                <label className="form-label">Category</label>
+                <select
+                  name="category_id"
+                  value={filters.category_id}
+                  onChange={handleFilterChange}
+                  className="form-control form-select"
+                >
+                  <option value="">All Categories</option>
+                  {categories.map(category => (
+                    <option key={category.id} value={category.id}>
+                      {category.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="form-group">
+                <label className="form-label">&nbsp;</label>
+                <button
+                  onClick={() => setFilters({ category_id: '', search: '' })}
+                  className="btn btn-outline w-full"
+                >
+                  Clear Filters
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        {/* Passages List */}
+        <div className="space-y-4">
+          {passages.length === 0 ? (
+            <div className="card">
+              <div className="card-body text-center py-12">
+                <FileText size={48} className="text-gray-400 mx-auto mb-4" />
+                <h3 className="text-xl font-semibold text-gray-600 mb-2">No Passages Found</h3>
+                <p className="text-gray-500 mb-4">
+                  {Object.values(filters).some(f => f)
+                    ? 'Try adjusting your filters or create a new passage.'
+                    : 'Create a passage, then link reading questions to it from Question Management.'}
+                </p>
+                <button onClick={handleCreatePassage} className="btn btn-primary">
+                  <Plus size={16} />
+                  Add Passage
+                </button>
+              </div>
+            </div>
+          ) : (
+            passages.map(passage => {
+              const linkedCount = (passage.questions || []).length;
+              return (
+                <div key={passage.id} className="card">
+                  <div className="card-body">
+                    <div className="flex justify-between items-start">
+                      <div className="flex-1">
+                        <div className="flex items-center gap-3 mb-2">
+                          {passage.categories?.name && (
+                            <span className="badge badge-info">{passage.categories.name}</span>
+                          )}
+                          <span className="badge badge-success">
+                            {linkedCount} question{linkedCount === 1 ? '' : 's'}
+                          </span>
+                          {passage.image_url && <span className="badge badge-warning">Image</span>}
+                          {passage.audio_url && (
+                            <span className="badge badge-warning">
+                              Audio{passage.max_plays ? ` · ${passage.max_plays} play${passage.max_plays === 1 ? '' : 's'}` : ''}
+                            </span>
+                          )}
+                        </div>
+                        <h3 className="text-lg font-semibold mb-2">{passage.title}</h3>
+                        {passage.content && (
+                          <p className="text-sm text-gray-600">
+                            {passage.content.length > 240 ? `${passage.content.slice(0, 240)}…` : passage.content}
+                          </p>
+                        )}
+                      </div>
+
+                      <div className="flex gap-2 ml-4">
+                        <button
+                          onClick={() => handleEditPassage(passage)}
+                          className="btn btn-sm btn-outline"
+                        >
+                          <Edit size={14} />
+                          Edit
+                        </button>
+                        <button
+                          onClick={() => handleDeletePassage(passage)}
+                          className="btn btn-sm btn-danger"
+                        >
+                          <Trash2 size={14} />
+                          Delete
+                        </button>
+                      </div>
+                    </div>
+                  </div>
+                </div>
+              );
+            })
+          )}
+        </div>
+
+        {/* Passage Modal */}
+        {showModal && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+            <div className="bg-white rounded-lg max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+              <div className="p-6">
+                <div className="flex justify-between items-center mb-6">
+                  <h2 className="text-2xl font-bold">
+                    {editingPassage ? 'Edit Passage' : 'Create New Passage'}
+                  </h2>
+                  <button
+                    onClick={() => setShowModal(false)}
+                    className="text-gray-500 hover:text-gray-700"
+                  >
+                    <X size={24} />
+                  </button>
+                </div>
+
+                <form onSubmit={handleSubmit}>
+                  <div className="grid grid-cols-2 gap-4">
+                    <div className="form-group">
+                      <label className="form-label">Title *</label>
+                      <input
+                        type="text"
+                        name="title"
+                        value={formData.title}
+                        onChange={handleFormChange}
+                        className="form-control"
+                        maxLength={200}
+                        required
+                      />
+                    </div>
+
+                    <div className="form-group">
+                      <label className="form-label">Category (Optional)</label>
+                      <select
+                        name="category_id"
+                        value={formData.category_id}
+                        onChange={handleFormChange}
+                        className="form-control form-select"
+                      >
+                        <option value="">Any Category</option>
+                        {categories.map(category => (
+                          <option key={category.id} value={category.id}>
+                            {category.name}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                  </div>
+
+                  <div className="form-group">
+                    <label className="form-label">Passage Text</label>
+                    <textarea
+                      name="content"
+                      value={formData.content}
+                      onChange={handleFormChange}
+                      className="form-control"
+                      rows="10"
+                      placeholder="Paste the reading text here..."
+                    />
+                    <p className="text-xs text-gray-500 mt-1">
+                      Leave a blank line between paragraphs. Use **bold** and *italic* for emphasis.
+                    </p>
+                  </div>
+
+                  <div className="form-group">
+                    <label className="form-label">Image URL (Optional)</label>
+                    <input
+                      type="url"
+                      name="image_url"
+                      value={formData.image_url}
+                      onChange={handleFormChange}
+                      className="form-control"
+                      placeholder="https://example.com/notice.jpg"
+                    />
+                    <p className="text-xs text-gray-500 mt-1">
+                      Use an image for signs, notices or charts the questions refer to
+                    </p>
+                  </div>
+
+                  <div className="form-group">
+                    <label className="form-label">Audio URL (Optional)</label>
+                    <input
+                      type="url"
+                      name="audio_url"
+                      value={formData.audio_url}
+                      onChange={handleFormChange}
+                      className="form-control"
+                      placeholder="https://example.com/conversation.mp3"
+                    />
+                    <p className="text-xs text-gray-500 mt-1">
+                      One recording shared by every linked listening question
+                    </p>
+                  </div>
+
+                  {formData.audio_url && (
+                    <div className="grid grid-cols-2 gap-4">
+                      <div className="form-group">
+                        <label className="form-label">Play Limit (Optional)</label>
+                        <input
+                          type="number"
+                          name="max_plays"
+                          min="1"
+                          max="10"
+                          value={formData.max_plays}
+                          onChange={handleFormChange}
+                          className="form-control"
+                          placeholder="Unlimited"
+                        />
+                        <p className="text-xs text-gray-500 mt-1">
+                          How many times a student may play the clip in one attempt
+                        </p>
+                      </div>
+
+                      <div className="form-group">
+                        <label className="form-label">Transcript (Optional)</label>
+                        <textarea
+                          name="transcript"
+                          value={formData.transcript}
+                          onChange={handleFormChange}
+                          className="form-control"
+                          rows="3"
+                        />
+                        <p className="text-xs text-gray-500 mt-1">
+                          Shown to students only in their results
+                        </p>
+                      </div>
+                    </div>
+                  )}
+
+                  {showPreview && (formData.content.trim() || formData.image_url.trim()) && (
+                    <ReadingPassage
+                      passage={{ ...formData, title: formData.title || 'Untitled passage' }}
+                      className="mb-4"
+                    />
+                  )}
+
+                  <div className="flex justify-end gap-3">
+                    <button
+                      type="button"
+                      onClick={() => setShowPreview(prev => !prev)}
+                      className="btn btn-outline"
+                    >
+                      <Eye size={16} />
+                      {showPreview ? 'Hide Preview' : 'Preview'}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setShowModal(false)}
+                      className="btn btn-outline"
+                    >
+                      Cancel
+                    </button>
+                    <button type="submit" className="btn btn-primary">
+                      <Save size={16} />
+                      {editingPassage ? 'Update Passage' : 'Create Passage'}
+                    </button>
+                  </div>
+                </form>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PassageManagement;
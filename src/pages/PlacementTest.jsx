@@ -0,0 +1,184 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams, useNavigate } from 'react-router-dom';
+import { quizService } from '../services/supabaseService.js';
+import { toast } from 'react-toastify';
+import Loading from '../components/Loading.jsx';
+import AdaptiveQuestion from '../components/AdaptiveQuestion.jsx';
+import { ArrowLeft, CheckCircle, Compass, Play, RotateCcw } from 'lucide-react';
+
+const STATUS_BADGES = {
+  placed: 'badge-success',
+  in_progress: 'badge-info',
+  pending: 'badge-primary'
+};
+
+// Placement test: a short adaptive run in each category in turn. Each run ends
+// as soon as the student's level in it is clear, and the level it settles on is
+// saved as the recommended starting level for that category
+const PlacementTest = () => {
+  const { studentId } = useParams();
+  const navigate = useNavigate();
+
+  const [loading, setLoading] = useState(true);
+  const [overview, setOverview] = useState(null);
+  const [current, setCurrent] = useState(null);
+
+  useEffect(() => {
+    loadPlacementTest();
+  }, []);
+
+  // Also moves on to the next category once a run ends
+  const loadPlacementTest = async (restart = false) => {
+    setLoading(true);
+    try {
+      const response = await quizService.startPlacementTest(restart);
+
+      if (!response.success) {
+        toast.error(response.error || 'Failed to start the placement test');
+        navigate(`/student/${studentId}`);
+        return;
+      }
+
+      setOverview(response.data.overview);
+      setCurrent(response.data.current);
+    } catch (error) {
+      console.error('Error starting placement test:', error);
+      toast.error('Failed to start the placement test');
+      navigate(`/student/${studentId}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAnswered = (state) => {
+    if (state.is_completed) {
+      loadPlacementTest();
+      return;
+    }
+
+    setCurrent(state);
+  };
+
+  const handleRestart = () => {
+    if (!window.confirm('Retake the placement test? Your current recommendations stay until each category is placed again.')) {
+      return;
+    }
+
+    loadPlacementTest(true);
+  };
+
+  if (loading) return <Loading message="Loading your placement test..." />;
+
+  const categories = overview?.categories || [];
+  const placedCount = categories.filter(category => category.status === 'placed').length;
+
+  if (!current) {
+    return (
+      <div className="container">
+        <div className="main-content">
+          <div className="flex items-center gap-4 mb-6">
+            <Link to={`/student/${studentId}`} className="btn btn-outline">
+              <ArrowLeft size={16} />
+              Dashboard
+            </Link>
+            <div>
+              <h1 className="text-3xl font-bold">Placement Test Results</h1>
+              {overview?.completed_at && (
+                <p className="text-gray-600">
+                  Completed on {new Date(overview.completed_at).toLocaleDateString()}
+                </p>
+              )}
+            </div>
+          </div>
+
+          <div className="card">
+            <div className="card-body">
+              {categories.length === 0 ? (
+                <div className="text-center py-8">
+                  <Compass size={48} className="text-gray-400 mx-auto mb-4" />
+                  <p className="text-gray-500">There are no questions for a placement test yet.</p>
+                </div>
+              ) : (
+                <>
+                  <p className="text-gray-600 mb-6">
+                    These are the levels we recommend starting from. Quizzes at your recommended level are
+                    marked on your dashboard.
+                  </p>
+                  <div className="space-y-3 mb-6">
+                    {categories.map(category => (
+                      <div key={category.category_id} className="flex justify-between items-center p-3 bg-gray-50 rounded-lg">
+                        <div className="flex items-center gap-3">
+                          <CheckCircle size={20} className="text-green-600" />
+                          <div>
+                            <p className="font-semibold">{category.category_name}</p>
+                            <p className="text-sm text-gray-600">Recommended level: {category.difficulty_name}</p>
+                          </div>
+                        </div>
+                        <Link
+                          to={`/student/${studentId}/quiz-detail/${category.category_id}/${category.difficulty_id}`}
+                          className="btn btn-primary flex items-center gap-2"
+                        >
+                          <Play size={16} />
+                          View Quiz
+                        </Link>
+                      </div>
+                    ))}
+                  </div>
+                  <button onClick={handleRestart} className="btn btn-outline flex items-center gap-2">
+                    <RotateCcw size={16} />
+                    Retake Placement Test
+                  </button>
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container">
+      <div className="main-content">
+        <div className="card mb-6">
+          <div className="card-body">
+            <div className="flex items-center gap-3 mb-4">
+              <Compass size={28} className="text-blue-600" />
+              <div>
+                <h1 className="text-2xl font-bold">Placement Test: {current.category_name}</h1>
+                <p className="text-gray-600">
+                  A few questions from each category find the level to start from. Each part ends once your
+                  level is clear, after at most {current.max_questions} questions.
+                </p>
+              </div>
+            </div>
+
+            <div className="flex flex-wrap gap-2 mb-4">
+              {categories.map(category => (
+                <span key={category.category_id} className={`badge ${STATUS_BADGES[category.status]}`}>
+                  {category.category_name}
+                </span>
+              ))}
+            </div>
+
+            <div className="flex justify-between items-center mb-2">
+              <span className="text-sm text-gray-600">
+                {placedCount} of {categories.length} categories done
+              </span>
+            </div>
+            <div className="w-full bg-gray-200 rounded-full h-2">
+              <div
+                className="bg-blue-600 h-2 rounded-full transition-all duration-300"
+                style={{ width: `${(placedCount / Math.max(categories.length, 1)) * 100}%` }}
+              ></div>
+            </div>
+          </div>
+        </div>
+
+        <AdaptiveQuestion key={current.question.id} attempt={current} onAnswered={handleAnswered} />
+      </div>
+    </div>
+  );
+};
+
+export default PlacementTest;
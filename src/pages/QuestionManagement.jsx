@@ -1,7 +1,29 @@
 import React, { useState, useEffect } from 'react';
-import { questionsService, categoriesService } from '../services/supabaseService.js';
+import { questionsService, categoriesService, passagesService } from '../services/supabaseService.js';
 import { toast } from 'react-toastify';
 import Loading from '../components/Loading.jsx';
+import ClozeBlanksEditor from '../components/ClozeBlanksEditor.jsx';
+import ReorderSequenceEditor from '../components/ReorderSequenceEditor.jsx';
+import MatchPairsEditor from '../components/MatchPairsEditor.jsx';
+import RubricEditor from '../components/RubricEditor.jsx';
+import HintsEditor from '../components/HintsEditor.jsx';
+import {
+  QUESTION_TYPES,
+  QUESTION_TYPE_LABELS,
+  SCORING_MODE_LABELS,
+  PARTIAL_CREDIT_TYPES,
+  getQuestionType,
+  isOptionBased,
+  MANUALLY_GRADED_TYPES,
+  DEFAULT_RUBRIC,
+  DEFAULT_RECORDING_TIME_LIMIT,
+  getClozeBlankIndexes,
+  createEmptyBlank,
+  splitReorderTokens,
+  joinReorderTokens,
+  formatPoints
+} from '../lib/questionTypes.js';
+import { CEFR_LEVELS, getQuestionCefrLevel } from '../lib/cefr.js';
 import { Plus, Edit, Trash2, Search, BookOpen, Save, X } from 'lucide-react';
 
 const QuestionManagement = () => {
@@ -9,6 +31,7 @@ const QuestionManagement = () => {
   const [questions, setQuestions] = useState([]);
   const [categories, setCategories] = useState([]);
   const [difficultyLevels, setDifficultyLevels] = useState([]);
+  const [passages, setPassages] = useState([]);
   const [filters, setFilters] = useState({
     category_id: '',
     difficulty_id: '',
@@ -26,16 +49,37 @@ const QuestionManagement = () => {
   const [formData, setFormData] = useState({
     category_id: '',
     difficulty_id: '',
+    question_type: QUESTION_TYPES.SINGLE_CHOICE,
+    scoring_mode: 'all_or_nothing',
+    points: 1,
+    shuffle_options: true,
     question_text: '',
     explanation: '',
     image_url: '',
     audio_url: '',
+    max_plays: '',
+    transcript: '',
+    passage_id: '',
+    cefr_level: '',
+    hints: [],
     options: [
       { text: '', is_correct: false },
       { text: '', is_correct: false },
       { text: '', is_correct: false },
       { text: '', is_correct: false }
-    ]
+    ],
+    blanks: {},
+    reorder_tokens: '',
+    reorder_alternatives: '',
+    pairs: [
+      { left_text: '', right_text: '' },
+      { left_text: '', right_text: '' },
+      { left_text: '', right_text: '' }
+    ],
+    min_words: '',
+    max_words: '',
+    rubric: DEFAULT_RUBRIC.map(criterion => ({ ...criterion })),
+    recording_time_limit: DEFAULT_RECORDING_TIME_LIMIT
   });
 
   useEffect(() => {
@@ -48,9 +92,10 @@ const QuestionManagement = () => {
 
   const fetchInitialData = async () => {
     try {
-      const [categoriesRes, difficultyRes] = await Promise.all([
+      const [categoriesRes, difficultyRes, passagesRes] = await Promise.all([
         categoriesService.getCategories(),
-        categoriesService.getDifficultyLevels()
+        categoriesService.getDifficultyLevels(),
+        passagesService.getPassages()
       ]);
       
       // Add safety checks for response data
@@ -59,6 +104,7 @@ const QuestionManagement = () => {
       
       setCategories(Array.isArray(categoriesData) ? categoriesData : []);
       setDifficultyLevels(Array.isArray(difficultyData) ? difficultyData : []);
+      setPassages(passagesRes.success && Array.isArray(passagesRes.data) ? passagesRes.data : []);
     } catch (error) {
       console.error('Error fetching initial data:', error);
       toast.error('Failed to load categories and difficulty levels');
@@ -133,16 +179,37 @@ const QuestionManagement = () => {
     setFormData({
       category_id: '',
       difficulty_id: '',
+      question_type: QUESTION_TYPES.SINGLE_CHOICE,
+      scoring_mode: 'all_or_nothing',
+      points: 1,
+      shuffle_options: true,
       question_text: '',
       explanation: '',
       image_url: '',
       audio_url: '',
+      max_plays: '',
+      transcript: '',
+      passage_id: '',
+      cefr_level: '',
+      hints: [],
       options: [
         { text: '', is_correct: false },
         { text: '', is_correct: false },
         { text: '', is_correct: false },
         { text: '', is_correct: false }
-      ]
+      ],
+      blanks: {},
+      reorder_tokens: '',
+      reorder_alternatives: '',
+      pairs: [
+        { left_text: '', right_text: '' },
+        { left_text: '', right_text: '' },
+        { left_text: '', right_text: '' }
+      ],
+      min_words: '',
+      max_words: '',
+      rubric: DEFAULT_RUBRIC.map(criterion => ({ ...criterion })),
+      recording_time_limit: DEFAULT_RECORDING_TIME_LIMIT
     });
     setEditingQuestion(null);
   };
@@ -154,13 +221,14 @@ const QuestionManagement = () => {
 
   const handleEditQuestion = (question) => {
     // Add safety checks for question data
-    const questionOptions = question.options || [];
+    const questionOptions = [...(question.options || [])].sort((a, b) => a.order_index - b.order_index);
     const normalizedOptions = [];
     
     // Ensure we have exactly 4 options
     for (let i = 0; i < 4; i++) {
       if (questionOptions[i]) {
         normalizedOptions.push({
+          id: questionOptions[i].id,
           text: questionOptions[i].option_text || '',
           is_correct: questionOptions[i].is_correct || false
         });
@@ -172,14 +240,67 @@ const QuestionManagement = () => {
       }
     }
 
+    // Cloze blanks are keyed by their {{n}} index
+    const blanks = {};
+    (question.blanks || []).forEach(blank => {
+      blanks[blank.blank_index] = {
+        accepted_answers: (blank.accepted_answers || []).join('\n'),
+        case_sensitive: blank.case_sensitive ?? false,
+        normalize_whitespace: blank.normalize_whitespace ?? true,
+        ignore_punctuation: blank.ignore_punctuation ?? true
+      };
+    });
+
+    const sequences = question.sequences || [];
+    const primarySequence = sequences.find(sequence => sequence.is_primary);
+
     setFormData({
       category_id: question.category_id || '',
       difficulty_id: question.difficulty_id || '',
+      question_type: getQuestionType(question),
+      scoring_mode: question.scoring_mode || 'all_or_nothing',
+      points: question.points ?? 1,
+      shuffle_options: question.shuffle_options ?? true,
       question_text: question.question_text || '',
       explanation: question.explanation || '',
       image_url: question.image_url || '',
       audio_url: question.audio_url || '',
-      options: normalizedOptions
+      max_plays: question.max_plays || '',
+      transcript: question.transcript || '',
+      passage_id: question.passage_id || '',
+      cefr_level: question.cefr_level || '',
+      hints: [...(question.hints || [])]
+        .sort((a, b) => a.order_index - b.order_index)
+        .map(hint => ({ id: hint.id, hint_text: hint.hint_text })),
+      options: normalizedOptions,
+      blanks,
+      reorder_tokens: primarySequence ? joinReorderTokens(primarySequence.tokens) : '',
+      reorder_alternatives: sequences
+        .filter(sequence => !sequence.is_primary)
+        .map(sequence => joinReorderTokens(sequence.tokens))
+        .join('\n'),
+      pairs: question.pairs && question.pairs.length > 0
+        ? [...question.pairs]
+          .sort((a, b) => a.order_index - b.order_index)
+          .map(pair => ({ id: pair.id, left_text: pair.left_text, right_text: pair.right_text }))
+        : [
+          { left_text: '', right_text: '' },
+          { left_text: '', right_text: '' },
+          { left_text: '', right_text: '' }
+        ],
+      min_words: question.min_words || '',
+      max_words: question.max_words || '',
+      rubric: question.rubric && question.rubric.length > 0
+        ? [...question.rubric]
+          .sort((a, b) => a.order_index - b.order_index)
+          .map(criterion => ({
+            id: criterion.id,
+            name: criterion.name,
+            description: criterion.description || '',
+            max_score: criterion.max_score
+          }))
+        : DEFAULT_RUBRIC.map(criterion => ({ ...criterion })),
+      recording_time_limit: question.recording_time_limit || DEFAULT_RECORDING_TIME_LIMIT
     });
     setEditingQuestion(question);
     setShowModal(true);
@@ -214,6 +335,23 @@ const QuestionManagement = () => {
     }));
   };
 
+  const handleQuestionTypeChange = (e) => {
+    const questionType = e.target.value;
+    setFormData(prev => {
+      // Single choice questions can only keep one correct option
+      const firstCorrect = prev.options.findIndex(option => option.is_correct);
+      return {
+        ...prev,
+        question_type: questionType,
+        // Matching questions award credit per pair unless the tutor opts out
+        scoring_mode: questionType === QUESTION_TYPES.MATCHING ? 'partial' : prev.scoring_mode,
+        options: questionType === QUESTION_TYPES.SINGLE_CHOICE
+          ? prev.options.map((option, i) => ({ ...option, is_correct: i === firstCorrect }))
+          : prev.options
+      };
+    });
+  };
+
   const handleOptionChange = (index, field, value) => {
     setFormData(prev => ({
       ...prev,
@@ -223,13 +361,119 @@ const QuestionManagement = () => {
     }));
   };
 
+  const handleBlankChange = (index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      blanks: {
+        ...prev.blanks,
+        [index]: { ...(prev.blanks[index] || createEmptyBlank()), [field]: value }
+      }
+    }));
+  };
+
+  const handleInsertBlank = () => {
+    setFormData(prev => {
+      const indexes = getClozeBlankIndexes(prev.question_text);
+      const nextIndex = indexes.length > 0 ? Math.max(...indexes) + 1 : 1;
+      return {
+        ...prev,
+        question_text: `${prev.question_text.trimEnd()} {{${nextIndex}}}`.trimStart()
+      };
+    });
+  };
+
+  const getAcceptedAnswers = (blank) =>
+    (blank?.accepted_answers || '')
+      .split('\n')
+      .map(answer => answer.trim())
+      .filter(answer => answer !== '');
+
+  const handlePairChange = (index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      pairs: prev.pairs.map((pair, i) => (i === index ? { ...pair, [field]: value } : pair))
+    }));
+  };
+
+  const handleAddPair = () => {
+    setFormData(prev => ({
+      ...prev,
+      pairs: [...prev.pairs, { left_text: '', right_text: '' }]
+    }));
+  };
+
+  const handleRemovePair = (index) => {
+    setFormData(prev => ({
+      ...prev,
+      pairs: prev.pairs.filter((_, i) => i !== index)
+    }));
+  };
+
+  const handleHintChange = (index, value) => {
+    setFormData(prev => ({
+      ...prev,
+      hints: prev.hints.map((hint, i) => (i === index ? { ...hint, hint_text: value } : hint))
+    }));
+  };
+
+  const handleAddHint = () => {
+    setFormData(prev => ({
+      ...prev,
+      hints: [...prev.hints, { hint_text: '' }]
+    }));
+  };
+
+  const handleRemoveHint = (index) => {
+    setFormData(prev => ({
+      ...prev,
+      hints: prev.hints.filter((_, i) => i !== index)
+    }));
+  };
+
+  const handleCriterionChange = (index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      rubric: prev.rubric.map((criterion, i) => (i === index ? { ...criterion, [field]: value } : criterion))
+    }));
+  };
+
+  const handleAddCriterion = () => {
+    setFormData(prev => ({
+      ...prev,
+      rubric: [...prev.rubric, { name: '', description: '' }]
+    }));
+  };
+
+  const handleRemoveCriterion = (index) => {
+    setFormData(prev => ({
+      ...prev,
+      rubric: prev.rubric.filter((_, i) => i !== index)
+    }));
+  };
+
+  const getAlternativeOrders = () =>
+    formData.reorder_alternatives
+      .split('\n')
+      .map(line => splitReorderTokens(line))
+      .filter(tokens => tokens.length > 0);
+
+  // Alternatives must be a rearrangement of exactly the same tiles
+  const usesSameTiles = (tokens, otherTokens) =>
+    tokens.length === otherTokens.length &&
+    [...tokens].sort().join('\n') === [...otherTokens].sort().join('\n');
+
   const handleCorrectAnswerChange = (index) => {
     setFormData(prev => ({
       ...prev,
-      options: prev.options.map((option, i) => ({
-        ...option,
-        is_correct: i === index
-      }))
+      options: prev.options.map((option, i) => {
+        if (prev.question_type === QUESTION_TYPES.MULTIPLE_SELECT) {
+          return i === index ? { ...option, is_correct: !option.is_correct } : option;
+        }
+        return {
+          ...option,
+          is_correct: i === index
+        };
+      })
     }));
   };
 
@@ -249,6 +493,91 @@ const QuestionManagement = () => {
       return false;
     }
 
+    const points = parseFloat(formData.points);
+    if (isNaN(points) || points <= 0) {
+      toast.error('A question must be worth more than 0 points');
+      return false;
+    }
+
+    if (formData.question_type === QUESTION_TYPES.CLOZE) {
+      const blankIndexes = getClozeBlankIndexes(formData.question_text);
+      if (blankIndexes.length === 0) {
+        toast.error('Add at least one blank, e.g. {{1}}, to the question text');
+        return false;
+      }
+
+      // findIndex rather than find, since {{0}} is a valid blank and 0 is falsy
+      const missing = blankIndexes.findIndex(index => getAcceptedAnswers(formData.blanks[index]).length === 0);
+      if (missing !== -1) {
+        toast.error(`Blank ${blankIndexes[missing]} needs at least one accepted answer`);
+        return false;
+      }
+
+      return true;
+    }
+
+    if (formData.question_type === QUESTION_TYPES.ESSAY) {
+      if (formData.rubric.length === 0 || formData.rubric.some(criterion => !criterion.name.trim())) {
+        toast.error('Every rubric criterion needs a name');
+        return false;
+      }
+
+      if (formData.min_words && formData.max_words && parseInt(formData.min_words) > parseInt(formData.max_words)) {
+        toast.error('Minimum words cannot be more than maximum words');
+        return false;
+      }
+    }
+
+    if (formData.audio_url && formData.max_plays) {
+      const maxPlays = parseInt(formData.max_plays);
+      if (isNaN(maxPlays) || maxPlays < 1 || maxPlays > 10) {
+        toast.error('The play limit must be between 1 and 10');
+        return false;
+      }
+    }
+
+    if (formData.question_type === QUESTION_TYPES.SPEAKING) {
+      const limit = parseInt(formData.recording_time_limit);
+      if (isNaN(limit) || limit < 5 || limit > 600) {
+        toast.error('The recording time limit must be between 5 and 600 seconds');
+        return false;
+      }
+    }
+
+    // Manually graded questions have no answer key to check
+    if (MANUALLY_GRADED_TYPES.includes(formData.question_type)) {
+      return true;
+    }
+
+    if (formData.question_type === QUESTION_TYPES.MATCHING) {
+      if (formData.pairs.length < 2) {
+        toast.error('A matching question needs at least two pairs');
+        return false;
+      }
+
+      if (formData.pairs.some(pair => !pair.left_text.trim() || !pair.right_text.trim())) {
+        toast.error('Both sides of every pair must be filled');
+        return false;
+      }
+
+      return true;
+    }
+
+    if (formData.question_type === QUESTION_TYPES.REORDER) {
+      const tokens = splitReorderTokens(formData.reorder_tokens);
+      if (tokens.length < 2) {
+        toast.error('Enter at least two tiles in the correct order');
+        return false;
+      }
+
+      if (getAlternativeOrders().some(alternative => !usesSameTiles(tokens, alternative))) {
+        toast.error('Every alternative order must use the same tiles as the correct order');
+        return false;
+      }
+
+      return true;
+    }
+
     const hasEmptyOption = formData.options.some(opt => !opt.text.trim());
     if (hasEmptyOption) {
       toast.error('All answer options must be filled');
@@ -257,7 +586,9 @@ const QuestionManagement = () => {
 
     const hasCorrectAnswer = formData.options.some(opt => opt.is_correct);
     if (!hasCorrectAnswer) {
-      toast.error('Please select the correct answer');
+      toast.error(formData.question_type === QUESTION_TYPES.MULTIPLE_SELECT
+        ? 'Please select at least one correct answer'
+        : 'Please select the correct answer');
       return false;
     }
 
@@ -273,14 +604,60 @@ const QuestionManagement = () => {
       const submitData = {
         category_id: parseInt(formData.category_id),
         difficulty_id: parseInt(formData.difficulty_id),
+        question_type: formData.question_type,
+        scoring_mode: PARTIAL_CREDIT_TYPES.includes(formData.question_type) ? formData.scoring_mode : 'all_or_nothing',
+        points: parseFloat(formData.points),
+        shuffle_options: formData.shuffle_options,
         question_text: formData.question_text,
         explanation: formData.explanation || null,
         image_url: formData.image_url || null,
         audio_url: formData.audio_url || null,
-        options: formData.options.map(option => ({
-          option_text: option.text,
-          is_correct: option.is_correct
-        }))
+        max_plays: formData.audio_url && formData.max_plays ? parseInt(formData.max_plays) : null,
+        transcript: formData.audio_url && formData.transcript.trim() ? formData.transcript.trim() : null,
+        passage_id: formData.passage_id ? parseInt(formData.passage_id) : null,
+        cefr_level: formData.cefr_level || null,
+        hints: formData.hints.filter(hint => hint.hint_text.trim()),
+        options: isOptionBased(formData.question_type)
+          ? formData.options.map(option => ({
+            id: option.id,
+            option_text: option.text,
+            is_correct: option.is_correct
+          }))
+          : [],
+        blanks: formData.question_type === QUESTION_TYPES.CLOZE
+          ? getClozeBlankIndexes(formData.question_text).map(index => ({
+            blank_index: index,
+            accepted_answers: getAcceptedAnswers(formData.blanks[index]),
+            case_sensitive: formData.blanks[index]?.case_sensitive ?? false,
+            normalize_whitespace: formData.blanks[index]?.normalize_whitespace ?? true,
+            ignore_punctuation: formData.blanks[index]?.ignore_punctuation ?? true
+          }))
+          : [],
+        sequences: formData.question_type === QUESTION_TYPES.REORDER
+          ? [
+            { tokens: splitReorderTokens(formData.reorder_tokens), is_primary: true },
+            ...getAlternativeOrders().map(tokens => ({ tokens, is_primary: false }))
+          ]
+          : [],
+        min_words: formData.question_type === QUESTION_TYPES.ESSAY && formData.min_words ? parseInt(formData.min_words) : null,
+        max_words: formData.question_type === QUESTION_TYPES.ESSAY && formData.max_words ? parseInt(formData.max_words) : null,
+        recording_time_limit: formData.question_type === QUESTION_TYPES.SPEAKING
+          ? parseInt(formData.recording_time_limit)
+          : null,
+        rubric: formData.question_type === QUESTION_TYPES.ESSAY
+          ? formData.rubric.map(criterion => ({
+            ...criterion,
+            name: criterion.name.trim(),
+            description: criterion.description.trim()
+          }))
+          : [],
+        pairs: formData.question_type === QUESTION_TYPES.MATCHING
+          ? formData.pairs.map(pair => ({
+            id: pair.id,
+            left_text: pair.left_text.trim(),
+            right_text: pair.right_text.trim()
+          }))
+          : []
       };
 
       let response;
@@ -313,6 +690,8 @@ const QuestionManagement = () => {
 
   if (loading) return <Loading message="Loading questions..." />;
 
+  const selectedDifficultyCefr = difficultyLevels.find(level => level.id == formData.difficulty_id)?.cefr_level;
+
   return (
     <div className="container">
       <div className="main-content">
@@ -433,11 +812,67 @@ const QuestionManagement = () => {
                           <span className="badge badge-warning">
                             {difficultyName}
                           </span>
+                          {getQuestionCefrLevel(question) && (
+                            <span className="badge badge-primary">
+                              CEFR {getQuestionCefrLevel(question)}
+                            </span>
+                          )}
+                          {getQuestionType(question) !== QUESTION_TYPES.SINGLE_CHOICE && (
+                            <span className="badge badge-success">
+                              {QUESTION_TYPE_LABELS[getQuestionType(question)]}
+                            </span>
+                          )}
+                          {question.passage && (
+                            <span className="badge badge-info">
+                              Passage: {question.passage.title}
+                            </span>
+                          )}
+                          {Number(question.points) !== 1 && (
+                            <span className="badge badge-warning">
+                              {formatPoints(question.points)}
+                            </span>
+                          )}
                         </div>
                         <h3 className="text-lg font-semibold mb-3">
                           {question.question_text}
                         </h3>
                         
+                        {getQuestionType(question) === QUESTION_TYPES.CLOZE && (
+                          <div className="space-y-1 mb-3">
+                            {[...(question.blanks || [])]
+                              .sort((a, b) => a.blank_index - b.blank_index)
+                              .map(blank => (
+                                <div key={blank.id || blank.blank_index} className="p-2 rounded border text-sm border-green-500 bg-green-50 text-green-800">
+                                  Blank {blank.blank_index}: {(blank.accepted_answers || []).join(' / ')}
+                                </div>
+                              ))}
+                          </div>
+                        )}
+
+                        {getQuestionType(question) === QUESTION_TYPES.MATCHING && (
+                          <div className="space-y-1 mb-3">
+                            {[...(question.pairs || [])]
+                              .sort((a, b) => a.order_index - b.order_index)
+                              .map(pair => (
+                                <div key={pair.id} className="p-2 rounded border text-sm border-green-500 bg-green-50 text-green-800">
+                                  {pair.left_text} ↔ {pair.right_text}
+                                </div>
+                              ))}
+                          </div>
+                        )}
+
+                        {getQuestionType(question) === QUESTION_TYPES.REORDER && (
+                          <div className="space-y-1 mb-3">
+                            {[...(question.sequences || [])]
+                              .sort((a, b) => Number(b.is_primary) - Number(a.is_primary))
+                              .map(sequence => (
+                                <div key={sequence.id} className="p-2 rounded border text-sm border-green-500 bg-green-50 text-green-800">
+                                  {sequence.is_primary ? 'Correct order' : 'Also accepted'}: {joinReorderTokens(sequence.tokens)}
+                                </div>
+                              ))}
+                          </div>
+                        )}
+
                         <div className="grid grid-cols-1 md:grid-cols-2 gap-2 mb-3">
                           {questionOptions.map((option, index) => (
                             <div 
@@ -465,6 +900,18 @@ const QuestionManagement = () => {
                             </p>
                           </div>
                         )}
+
+                        {(question.hints || []).length > 0 && (
+                          <ol className="text-sm text-gray-600 mt-3 space-y-1">
+                            {[...question.hints]
+                              .sort((a, b) => a.order_index - b.order_index)
+                              .map((hint, index) => (
+                                <li key={hint.id}>
+                                  <strong>Hint {index + 1}:</strong> {hint.hint_text}
+                                </li>
+                              ))}
+                          </ol>
+                        )}
                       </div>
                       
                       <div className="flex gap-2 ml-4">
@@ -574,6 +1021,86 @@ const QuestionManagement = () => {
                     </div>
                   </div>
 
+                  <div className="form-group">
+                    <label className="form-label">CEFR Level</label>
+                    <select
+                      name="cefr_level"
+                      value={formData.cefr_level}
+                      onChange={handleFormChange}
+                      className="form-control form-select"
+                    >
+                      <option value="">
+                        {selectedDifficultyCefr ? `Same as the difficulty level (${selectedDifficultyCefr})` : 'Same as the difficulty level'}
+                      </option>
+                      {CEFR_LEVELS.map(level => (
+                        <option key={level} value={level}>
+                          {level}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <div className="grid grid-cols-3 gap-4">
+                    <div className="form-group">
+                      <label className="form-label">Question Type *</label>
+                      <select
+                        name="question_type"
+                        value={formData.question_type}
+                        onChange={handleQuestionTypeChange}
+                        className="form-control form-select"
+                      >
+                        {Object.entries(QUESTION_TYPE_LABELS).map(([value, label]) => (
+                          <option key={value} value={value}>
+                            {label}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+
+                    {PARTIAL_CREDIT_TYPES.includes(formData.question_type) && (
+                      <div className="form-group">
+                        <label className="form-label">Scoring</label>
+                        <select
+                          name="scoring_mode"
+                          value={formData.scoring_mode}
+                          onChange={handleFormChange}
+                          className="form-control form-select"
+                        >
+                          {Object.entries(SCORING_MODE_LABELS).map(([value, label]) => (
+                            <option key={value} value={value}>
+                              {label}
+                            </option>
+                          ))}
+                        </select>
+                        <p className="text-xs text-gray-500 mt-1">
+                          {formData.question_type === QUESTION_TYPES.CLOZE
+                            ? 'Partial credit awards each correct blank separately'
+                            : formData.question_type === QUESTION_TYPES.MATCHING
+                              ? 'Partial credit awards each correct pair separately'
+                              : formData.question_type === QUESTION_TYPES.REORDER
+                                ? 'Partial credit awards each word in the right position'
+                                : 'Partial credit deducts one correct pick for every wrong pick'}
+                        </p>
+                      </div>
+                    )}
+
+                    <div className="form-group">
+                      <label className="form-label">Points *</label>
+                      <input
+                        type="number"
+                        name="points"
+                        value={formData.points}
+                        onChange={handleFormChange}
+                        className="form-control"
+                        min="0.5"
+                        step="0.5"
+                      />
+                      <p className="text-xs text-gray-500 mt-1">
+                        Harder questions can be worth more
+                      </p>
+                    </div>
+                  </div>
+
                   <div className="form-group">
                     <label className="form-label">Question Text *</label>
                     <textarea
@@ -582,11 +1109,40 @@ const QuestionManagement = () => {
                       onChange={handleFormChange}
                       className="form-control"
                       rows="3"
-                      placeholder="Enter your question here..."
+                      placeholder={formData.question_type === QUESTION_TYPES.CLOZE
+                        ? 'Yesterday I {{1}} to the market and {{2}} some apples.'
+                        : formData.question_type === QUESTION_TYPES.REORDER
+                          ? 'Put the words in the correct order.'
+                          : 'Enter your question here...'}
                       required
                     />
                   </div>
 
+                  <div className="form-group">
+                    <label className="form-label">Reading Passage (Optional)</label>
+                    <select
+                      name="passage_id"
+                      value={formData.passage_id}
+                      onChange={handleFormChange}
+                      className="form-control form-select"
+                    >
+                      <option value="">No passage</option>
+                      {passages
+                        .filter(passage => !passage.category_id ||
+                          !formData.category_id ||
+                          passage.category_id === parseInt(formData.category_id) ||
+                          passage.id === parseInt(formData.passage_id))
+                        .map(passage => (
+                          <option key={passage.id} value={passage.id}>
+                            {passage.title}
+                          </option>
+                        ))}
+                    </select>
+                    <p className="text-xs text-gray-500 mt-1">
+                      Questions sharing a passage or audio clip are shown next to it and always drawn together. Manage passages on the Passages page.
+                    </p>
+                  </div>
+
                   {/* Media Fields */}
                   <div className="grid grid-cols-2 gap-4">
                     <div className="form-group">
@@ -620,47 +1176,179 @@ const QuestionManagement = () => {
                     </div>
                   </div>
 
-                  <div className="form-group">
-                    <label className="form-label">Answer Options *</label>
-                    <p className="text-sm text-gray-600 mb-3">
-                      Enter four answer options and select the correct one:
-                    </p>
-                    {formData.options.map((option, index) => (
-                      <div key={index} className="flex items-center gap-3 mb-2">
+                  {formData.audio_url && (
+                    <div className="grid grid-cols-2 gap-4">
+                      <div className="form-group">
+                        <label className="form-label">Play Limit (Optional)</label>
                         <input
-                          type="radio"
-                          name="correct_answer"
-                          checked={option.is_correct}
-                          onChange={() => handleCorrectAnswerChange(index)}
-                          className="w-4 h-4"
+                          type="number"
+                          name="max_plays"
+                          min="1"
+                          max="10"
+                          value={formData.max_plays}
+                          onChange={handleFormChange}
+                          className="form-control"
+                          placeholder="Unlimited"
                         />
-                        <span className="w-6 text-sm font-medium">
-                          {String.fromCharCode(65 + index)}.
-                        </span>
-                        <input
-                          type="text"
-                          value={option.text}
-                          onChange={(e) => handleOptionChange(index, 'text', e.target.value)}
-                          className="form-control flex-1"
-                          placeholder={`Option ${String.fromCharCode(65 + index)}`}
-                          required
+                        <p className="text-xs text-gray-500 mt-1">
+                          How many times a student may play the audio in one attempt
+                        </p>
+                      </div>
+
+                      <div className="form-group">
+                        <label className="form-label">Transcript (Optional)</label>
+                        <textarea
+                          name="transcript"
+                          value={formData.transcript}
+                          onChange={handleFormChange}
+                          className="form-control"
+                          rows="3"
                         />
+                        <p className="text-xs text-gray-500 mt-1">
+                          Shown to students only in their results
+                        </p>
                       </div>
-                    ))}
-                  </div>
+                    </div>
+                  )}
+
+                  {formData.question_type === QUESTION_TYPES.CLOZE && (
+                    <ClozeBlanksEditor
+                      text={formData.question_text}
+                      blanks={formData.blanks}
+                      onChange={handleBlankChange}
+                      onInsertBlank={handleInsertBlank}
+                    />
+                  )}
+
+                  {MANUALLY_GRADED_TYPES.includes(formData.question_type) && (
+                    <div className="bg-blue-50 p-4 rounded-lg mb-4">
+                      <p className="text-blue-700 text-sm">
+                        {formData.question_type === QUESTION_TYPES.ESSAY
+                          ? 'Students write an essay in a word-counted editor. Tutors rate it against the rubric from the Grading page.'
+                          : formData.question_type === QUESTION_TYPES.SPEAKING
+                            ? 'Students record a spoken answer in the browser. Tutors listen to and score it from the Speaking Review page.'
+                            : 'Students type a free-text answer that a tutor grades from the Grading page.'}
+                        {' '}Use the explanation below as the model answer for graders.
+                      </p>
+                    </div>
+                  )}
+
+                  {formData.question_type === QUESTION_TYPES.SPEAKING && (
+                    <div className="form-group">
+                      <label className="form-label">Recording Time Limit (seconds) *</label>
+                      <input
+                        type="number"
+                        name="recording_time_limit"
+                        min="5"
+                        max="600"
+                        value={formData.recording_time_limit}
+                        onChange={handleFormChange}
+                        className="form-control"
+                      />
+                      <p className="text-xs text-gray-500 mt-1">
+                        Recording stops automatically when the limit is reached
+                      </p>
+                    </div>
+                  )}
+
+                  {formData.question_type === QUESTION_TYPES.ESSAY && (
+                    <RubricEditor
+                      criteria={formData.rubric}
+                      minWords={formData.min_words}
+                      maxWords={formData.max_words}
+                      onCriterionChange={handleCriterionChange}
+                      onAddCriterion={handleAddCriterion}
+                      onRemoveCriterion={handleRemoveCriterion}
+                      onFormChange={handleFormChange}
+                    />
+                  )}
+
+                  {formData.question_type === QUESTION_TYPES.MATCHING && (
+                    <MatchPairsEditor
+                      pairs={formData.pairs}
+                      onChange={handlePairChange}
+                      onAdd={handleAddPair}
+                      onRemove={handleRemovePair}
+                    />
+                  )}
+
+                  {formData.question_type === QUESTION_TYPES.REORDER && (
+                    <ReorderSequenceEditor
+                      tokens={formData.reorder_tokens}
+                      alternatives={formData.reorder_alternatives}
+                      onChange={handleFormChange}
+                    />
+                  )}
+
+                  {isOptionBased(formData.question_type) && (
+                    <div className="form-group">
+                      <label className="form-label">Answer Options *</label>
+                      <p className="text-sm text-gray-600 mb-3">
+                        {formData.question_type === QUESTION_TYPES.MULTIPLE_SELECT
+                          ? 'Enter four answer options and tick every correct one:'
+                          : 'Enter four answer options and select the correct one:'}
+                      </p>
+                      {formData.options.map((option, index) => (
+                        <div key={index} className="flex items-center gap-3 mb-2">
+                          <input
+                            type={formData.question_type === QUESTION_TYPES.MULTIPLE_SELECT ? 'checkbox' : 'radio'}
+                            name="correct_answer"
+                            checked={option.is_correct}
+                            onChange={() => handleCorrectAnswerChange(index)}
+                            className="w-4 h-4"
+                          />
+                          <span className="w-6 text-sm font-medium">
+                            {String.fromCharCode(65 + index)}.
+                          </span>
+                          <input
+                            type="text"
+                            value={option.text}
+                            onChange={(e) => handleOptionChange(index, 'text', e.target.value)}
+                            className="form-control flex-1"
+                            placeholder={`Option ${String.fromCharCode(65 + index)}`}
+                            required
+                          />
+                        </div>
+                      ))}
+                      <label className="flex items-center gap-2 text-sm mt-3">
+                        <input
+                          type="checkbox"
+                          checked={formData.shuffle_options}
+                          onChange={(e) => setFormData(prev => ({ ...prev, shuffle_options: e.target.checked }))}
+                        />
+                        Shuffle options for each attempt
+                      </label>
+                      <p className="text-xs text-gray-500 mt-1">
+                        Turn this off when the order matters, e.g. for "All of the above".
+                      </p>
+                    </div>
+                  )}
 
                   <div className="form-group">
-                    <label className="form-label">Explanation (Optional)</label>
+                    <label className="form-label">
+                      {MANUALLY_GRADED_TYPES.includes(formData.question_type)
+                        ? 'Model Answer / Explanation (Optional)'
+                        : 'Explanation (Optional)'}
+                    </label>
                     <textarea
                       name="explanation"
                       value={formData.explanation}
                       onChange={handleFormChange}
                       className="form-control"
                       rows="2"
-                      placeholder="Explain why this is the correct answer..."
+                      placeholder={MANUALLY_GRADED_TYPES.includes(formData.question_type)
+                        ? 'Describe what a full-credit answer should contain...'
+                        : 'Explain why this is the correct answer...'}
                     />
                   </div>
 
+                  <HintsEditor
+                    hints={formData.hints}
+                    onChange={handleHintChange}
+                    onAdd={handleAddHint}
+                    onRemove={handleRemoveHint}
+                  />
+
                   <div className="flex justify-end gap-3">
                     <button
                       type="button"
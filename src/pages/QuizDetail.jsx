@@ -3,7 +3,8 @@ import { Link, useParams, useNavigate } from 'react-router-dom';
 import { categoriesService, quizService } from '../services/supabaseService.js';
 import { toast } from 'react-toastify';
 import Loading from '../components/Loading.jsx';
-import { BookOpen, Clock, Award, Users, Play, ArrowLeft, Info, Target, BarChart3 } from 'lucide-react';
+import { SCORE_POLICY_LABELS, formatCooldown, formatTimeLimit, describeAttempts } from '../lib/quizSettings.js';
+import { BookOpen, Clock, Award, Users, Play, ArrowLeft, Info, Target, BarChart3, Dumbbell, Star } from 'lucide-react';
 
 const QuizDetail = () => {
   const { studentId, categoryId, difficultyId } = useParams();
@@ -20,7 +21,7 @@ const QuizDetail = () => {
     try {
       // Get available quizzes and quiz results using supabaseService
       const [quizzesRes, resultsRes] = await Promise.allSettled([
-        categoriesService.getAvailableQuizzes(),
+        categoriesService.getAvailableQuizzes(studentId),
         quizService.getQuizResults({ limit: 50 })
       ]);
 
@@ -34,14 +35,23 @@ const QuizDetail = () => {
           data.forEach(category => {
             if (category.id == categoryId && category.difficulties) {
               const difficulty = category.difficulties.find(d => d.id == difficultyId);
+              const recommended = category.difficulties.find(d => d.is_recommended);
               if (difficulty) {
                 foundQuiz = {
                   category_name: category.name,
                   category_description: category.description,
                   difficulty_name: difficulty.name,
                   difficulty_description: difficulty.description,
+                  cefr_level: difficulty.cefr_level || null,
+                  cefr_descriptor: difficulty.cefr_descriptor || null,
                   question_count: difficulty.question_count || 10,
-                  estimated_time: Math.ceil((difficulty.question_count || 10) * 1.5)
+                  time_limit_minutes: difficulty.policy ? difficulty.policy.time_limit_minutes : 30,
+                  pass_mark: difficulty.policy?.pass_mark ?? 60,
+                  negative_marking: Number(difficulty.policy?.negative_marking ?? 0),
+                  hint_penalty: Number(difficulty.policy?.hint_penalty ?? 0),
+                  policy: difficulty.policy || null,
+                  is_recommended: Boolean(difficulty.is_recommended),
+                  recommended_difficulty: recommended || null
                 };
               }
             }
@@ -86,11 +96,22 @@ const QuizDetail = () => {
       toast.error('No questions available for this quiz');
       return;
     }
+
+    if (quizDetail.policy && !quizDetail.policy.can_start) {
+      toast.error(quizDetail.policy.reason);
+      return;
+    }
     
     // Navigate to quiz taking page
     navigate(`/student/${studentId}/quiz/${categoryId}/${difficultyId}`);
   };
 
+  // Practice ignores the attempt limit, so it stays available after the quiz is used up.
+  // It is closed while an attempt is open and only shows the answers once none are left
+  const handleStartPractice = () => {
+    navigate(`/student/${studentId}/practice/${categoryId}/${difficultyId}`);
+  };
+
   if (loading) return <Loading message="Loading quiz details..." />;
 
   if (!quizDetail) {
@@ -121,6 +142,8 @@ const QuizDetail = () => {
     ? Math.round(previousAttempts.reduce((sum, attempt) => sum + attempt.score, 0) / previousAttempts.length)
     : 0;
 
+  const policy = quizDetail.policy;
+
   const getDifficultyColor = (difficulty) => {
     switch (difficulty?.toLowerCase()) {
       case 'beginner': return 'text-green-600 bg-green-100';
@@ -178,6 +201,28 @@ const QuizDetail = () => {
                   </span>
                 </div>
 
+                {/* Starting level from the placement test */}
+                {quizDetail.is_recommended ? (
+                  <div className="flex items-center gap-2 p-3 mb-6 bg-blue-50 border-l-4 border-blue-500 rounded-r-lg text-blue-800">
+                    <Star size={18} className="text-blue-600" />
+                    <span>Recommended for you: your placement test suggests starting {quizDetail.category_name} at this level.</span>
+                  </div>
+                ) : quizDetail.recommended_difficulty && (
+                  <div className="flex items-center gap-2 p-3 mb-6 bg-gray-50 rounded-lg text-gray-700">
+                    <Star size={18} className="text-gray-500" />
+                    <span>
+                      Your placement test recommends{' '}
+                      <Link
+                        to={`/student/${studentId}/quiz-detail/${categoryId}/${quizDetail.recommended_difficulty.id}`}
+                        className="text-blue-600 font-medium"
+                      >
+                        {quizDetail.recommended_difficulty.name}
+                      </Link>
+                      {' '}for this category.
+                    </span>
+                  </div>
+                )}
+
                 <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
                   <div className="flex items-center gap-3 p-3 bg-blue-50 rounded-lg">
                     <BookOpen size={24} className="text-blue-600" />
@@ -190,8 +235,8 @@ const QuizDetail = () => {
                   <div className="flex items-center gap-3 p-3 bg-green-50 rounded-lg">
                     <Clock size={24} className="text-green-600" />
                     <div>
-                      <p className="text-sm text-gray-600">Est. Time</p>
-                      <p className="font-semibold">~{quizDetail.estimated_time || Math.ceil(quizDetail.question_count * 1.5)} min</p>
+                      <p className="text-sm text-gray-600">Time Limit</p>
+                      <p className="font-semibold">{formatTimeLimit(quizDetail.time_limit_minutes)}</p>
                     </div>
                   </div>
 
@@ -199,7 +244,10 @@ const QuizDetail = () => {
                     <Target size={24} className="text-purple-600" />
                     <div>
                       <p className="text-sm text-gray-600">Difficulty</p>
-                      <p className="font-semibold">{quizDetail.difficulty_name}</p>
+                      <p className="font-semibold">
+                        {quizDetail.difficulty_name}
+                        {quizDetail.cefr_level && ` (CEFR ${quizDetail.cefr_level})`}
+                      </p>
                     </div>
                   </div>
                 </div>
@@ -210,6 +258,13 @@ const QuizDetail = () => {
                     <p className="text-gray-700">{quizDetail.difficulty_description}</p>
                   </div>
                 )}
+
+                {quizDetail.cefr_descriptor && (
+                  <div className="bg-gray-50 p-4 rounded-lg mt-4">
+                    <h4 className="font-semibold mb-2">CEFR {quizDetail.cefr_level}:</h4>
+                    <p className="text-gray-700">{quizDetail.cefr_descriptor}</p>
+                  </div>
+                )}
               </div>
             </div>
 
@@ -226,7 +281,7 @@ const QuizDetail = () => {
                   </div>
                   <div className="flex items-start gap-3">
                     <div className="w-6 h-6 bg-blue-100 text-blue-600 rounded-full flex items-center justify-center text-sm font-semibold">2</div>
-                    <p>You can only select one answer per question.</p>
+                    <p>Select one answer per question, unless the question says to select all that apply.</p>
                   </div>
                   <div className="flex items-start gap-3">
                     <div className="w-6 h-6 bg-blue-100 text-blue-600 rounded-full flex items-center justify-center text-sm font-semibold">3</div>
@@ -234,12 +289,25 @@ const QuizDetail = () => {
                   </div>
                   <div className="flex items-start gap-3">
                     <div className="w-6 h-6 bg-blue-100 text-blue-600 rounded-full flex items-center justify-center text-sm font-semibold">4</div>
-                    <p>Your results will be available immediately after completion.</p>
+                    <p>Your results will be available immediately after completion. You need {Math.round(quizDetail.pass_mark)}% to pass.</p>
                   </div>
                   <div className="flex items-start gap-3">
                     <div className="w-6 h-6 bg-blue-100 text-blue-600 rounded-full flex items-center justify-center text-sm font-semibold">5</div>
-                    <p>Take your time - there's no strict time limit, but aim to complete within the estimated time.</p>
+                    <p>
+                      {quizDetail.time_limit_minutes
+                        ? `You have ${quizDetail.time_limit_minutes} minutes. The quiz is submitted automatically when time runs out.`
+                        : "Take your time - there's no time limit for this quiz."}
+                    </p>
                   </div>
+                  {quizDetail.negative_marking > 0 && (
+                    <div className="flex items-start gap-3">
+                      <div className="w-6 h-6 bg-blue-100 text-blue-600 rounded-full flex items-center justify-center text-sm font-semibold">6</div>
+                      <p>
+                        Wrong answers cost {Math.round(quizDetail.negative_marking)}% of the question's points.
+                        Unanswered questions and partly correct answers lose nothing.
+                      </p>
+                    </div>
+                  )}
                 </div>
               </div>
             </div>
@@ -258,13 +326,57 @@ const QuizDetail = () => {
                   </p>
                 </div>
 
-                {quizDetail.question_count > 0 ? (
+                {policy && (
+                  <div className="bg-gray-50 p-3 rounded-lg text-sm text-left mb-4 space-y-1">
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">Pass mark:</span>
+                      <span className="font-semibold">{Math.round(policy.pass_mark)}%</span>
+                    </div>
+                    {quizDetail.negative_marking > 0 && (
+                      <div className="flex justify-between">
+                        <span className="text-gray-600">Negative marking:</span>
+                        <span className="font-semibold">{Math.round(quizDetail.negative_marking)}%</span>
+                      </div>
+                    )}
+                    {quizDetail.hint_penalty > 0 && (
+                      <div className="flex justify-between">
+                        <span className="text-gray-600">Hint penalty:</span>
+                        <span className="font-semibold">{Math.round(quizDetail.hint_penalty)}% per hint</span>
+                      </div>
+                    )}
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">Attempts:</span>
+                      <span className="font-semibold">{describeAttempts(policy)}</span>
+                    </div>
+                    {policy.cooldown_minutes > 0 && (
+                      <div className="flex justify-between">
+                        <span className="text-gray-600">Wait between attempts:</span>
+                        <span className="font-semibold">{formatCooldown(policy.cooldown_minutes)}</span>
+                      </div>
+                    )}
+                    {(policy.max_attempts === null || policy.max_attempts > 1) && (
+                      <div className="flex justify-between">
+                        <span className="text-gray-600">Score that counts:</span>
+                        <span className="font-semibold">{SCORE_POLICY_LABELS[policy.score_policy]}</span>
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                {quizDetail.question_count > 0 && policy && !policy.can_start ? (
+                  <div className="text-center">
+                    <p className="text-gray-500 mb-3">{policy.reason}</p>
+                    <button className="btn btn-disabled w-full" disabled>
+                      {policy.next_attempt_at ? 'Retake Not Yet Available' : 'No Attempts Left'}
+                    </button>
+                  </div>
+                ) : quizDetail.question_count > 0 ? (
                   <button
                     onClick={handleStartQuiz}
                     className="btn btn-primary w-full flex items-center justify-center gap-2"
                   >
                     <Play size={16} />
-                    Start Quiz
+                    {policy?.has_open_attempt ? 'Resume Quiz' : policy?.attempts_used > 0 ? 'Retake Quiz' : 'Start Quiz'}
                   </button>
                 ) : (
                   <div className="text-center">
@@ -274,6 +386,22 @@ const QuizDetail = () => {
                     </button>
                   </div>
                 )}
+
+                {quizDetail.question_count > 0 && !policy?.has_open_attempt && (
+                  <div className="mt-4 pt-4 border-t">
+                    <button
+                      onClick={handleStartPractice}
+                      className="btn btn-outline w-full flex items-center justify-center gap-2"
+                    >
+                      <Dumbbell size={16} />
+                      Practice
+                    </button>
+                    <p className="text-xs text-gray-500 mt-2">
+                      Check each answer as you go. Practice is untimed and does not count towards your scores.
+                      {policy?.attempts_remaining !== 0 && ' The correct answers are shown once you have no attempts left.'}
+                    </p>
+                  </div>
+                )}
               </div>
             </div>
 
@@ -304,6 +432,14 @@ const QuizDetail = () => {
                         {averageScore}%
                       </span>
                     </div>
+                    {policy?.policy_score !== null && policy?.policy_score !== undefined && (
+                      <div className="flex justify-between items-center border-t pt-3">
+                        <span className="text-gray-600">Counted Score ({SCORE_POLICY_LABELS[policy.score_policy]}):</span>
+                        <span className={`font-semibold ${getScoreColor(policy.policy_score)}`}>
+                          {Math.round(policy.policy_score)}% {policy.passed ? '(Passed)' : '(Not passed)'}
+                        </span>
+                      </div>
+                    )}
                   </div>
                 </div>
               </div>
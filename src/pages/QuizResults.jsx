@@ -4,7 +4,13 @@ import { quizService, feedbackService } from '../services/supabaseService.js';
 import { toast } from 'react-toastify';
 import { useAuth } from '../contexts/AuthContext.jsx';
 import Loading from '../components/Loading.jsx';
-import { ArrowLeft, CheckCircle, XCircle, Award, Clock, BookOpen, TrendingUp, MessageSquare, Star } from 'lucide-react';
+import ClozeQuestion from '../components/ClozeQuestion.jsx';
+import RecordingPlayer from '../components/RecordingPlayer.jsx';
+import ReadingPassage from '../components/ReadingPassage.jsx';
+import Transcript from '../components/Transcript.jsx';
+import AdaptiveLevelSummary from '../components/AdaptiveLevelSummary.jsx';
+import { QUESTION_TYPES, MANUALLY_GRADED_TYPES, getQuestionType, formatPoints } from '../lib/questionTypes.js';
+import { ArrowLeft, CheckCircle, XCircle, MinusCircle, Award, Clock, BookOpen, TrendingUp, MessageSquare, Star, Flag } from 'lucide-react';
 
 const QuizResults = () => {
   const { attemptId } = useParams();
@@ -117,10 +123,44 @@ const QuizResults = () => {
     );
   }
 
-  const { attempt, questions } = results;
+  const { attempt, questions, passages = [] } = results;
   const correctAnswers = questions.filter(q => q.is_correct).length;
   const totalQuestions = questions.length;
-  const scorePercentage = Math.round((correctAnswers / totalQuestions) * 100);
+  // attempt.score is the share of points earned, with partial credit and negative marking
+  const scorePercentage = attempt.score !== null && attempt.score !== undefined
+    ? Math.round(attempt.score)
+    : Math.round((correctAnswers / totalQuestions) * 100);
+
+  const hasPassed = (attempt.score ?? scorePercentage) >= attempt.pass_mark;
+
+  const isPartiallyCorrect = (question) => !question.is_correct && question.credit > 0;
+
+  const partialAnswers = questions.filter(isPartiallyCorrect).length;
+
+  const roundPoints = (points) => Math.round(Number(points) * 100) / 100;
+
+  // Points lost to negative marking across the attempt
+  const deductedPoints = roundPoints(questions
+    .filter(question => Number(question.points_awarded) < 0)
+    .reduce((sum, question) => sum - Number(question.points_awarded), 0));
+
+  // Points the revealed hints took off correct answers
+  const hintDeduction = roundPoints(questions
+    .reduce((sum, question) => sum + Number(question.hint_deduction || 0), 0));
+
+  const getPassage = (passageId) => (passages || []).find(passage => passage.id === passageId);
+
+  // A passage is shown once, above the first of its questions
+  const isFirstOfPassage = (index) => {
+    const passageId = questions[index].passage_id;
+    return !!getPassage(passageId) && (index === 0 || questions[index - 1].passage_id !== passageId);
+  };
+
+  // Attempts with manually graded answers have no final score until a tutor grades them
+  const isAwaitingGrading = attempt.grading_status === 'pending';
+  // Adaptive attempts end with an estimated level rather than a percentage
+  const isAdaptive = attempt.mode === 'adaptive';
+  const isPractice = attempt.mode === 'practice';
 
   const getScoreColor = (score) => {
     if (score >= 80) return 'text-green-600';
@@ -154,7 +194,8 @@ const QuizResults = () => {
           <div>
             <h1 className="text-3xl font-bold">Quiz Results</h1>
             <p className="text-gray-600">
-              {attempt.category_name} • {attempt.difficulty_name} Level
+              {attempt.category_name} • {isAdaptive ? 'Adaptive level check' : `${attempt.difficulty_name} Level`}
+              {isPractice && ' • Practice'}
             </p>
             {/* Show student name if viewing as tutor/super_tutor */}
             {user && ['tutor', 'super_tutor'].includes(user.role) && attempt.student_name && (
@@ -162,34 +203,74 @@ const QuizResults = () => {
                 Student: {attempt.student_name}
               </p>
             )}
+            {user && ['tutor', 'super_tutor'].includes(user.role) && attempt.flagged_count > 0 && (
+              <p className="text-sm text-orange-600">
+                The student flagged {attempt.flagged_count} question{attempt.flagged_count === 1 ? '' : 's'} for review
+              </p>
+            )}
           </div>
         </div>
 
         {/* Score Overview */}
         <div className="card mb-8">
           <div className="card-body">
-            <div className="text-center mb-6">
-              <div className={`text-6xl font-bold mb-2 ${getScoreColor(scorePercentage)}`}>
-                {scorePercentage}%
-              </div>
-              <div className="flex justify-center mb-4">
-                <span className={`badge ${getScoreBadge(scorePercentage)} text-lg px-4 py-2`}>
-                  {correctAnswers} out of {totalQuestions} correct
-                </span>
-              </div>
-              <p className="text-lg text-gray-600 mb-4">
-                {getPerformanceMessage(scorePercentage)}
+            {isPractice && (
+              <p className="text-center text-sm text-gray-500 mb-4">
+                This was a practice attempt, so it does not count towards your scores or attempts.
               </p>
-              <div className="flex justify-center">
-                {scorePercentage >= 80 ? (
-                  <Award size={48} className="text-yellow-500" />
-                ) : scorePercentage >= 60 ? (
-                  <TrendingUp size={48} className="text-blue-500" />
-                ) : (
-                  <BookOpen size={48} className="text-gray-500" />
+            )}
+            {isAdaptive ? (
+              <AdaptiveLevelSummary attempt={attempt} questions={questions} />
+            ) : isAwaitingGrading ? (
+              <div className="text-center mb-6">
+                <Clock size={48} className="text-blue-500 mx-auto mb-4" />
+                <div className="text-3xl font-bold mb-2 text-blue-600">Awaiting Grading</div>
+                <p className="text-lg text-gray-600 mb-4">
+                  Some of your answers are waiting for your tutor to grade them. Your final score will
+                  appear here once grading is done.
+                </p>
+              </div>
+            ) : (
+              <div className="text-center mb-6">
+                <div className={`text-6xl font-bold mb-2 ${getScoreColor(scorePercentage)}`}>
+                  {scorePercentage}%
+                </div>
+                <div className="flex justify-center gap-2 mb-4">
+                  <span className={`badge ${getScoreBadge(scorePercentage)} text-lg px-4 py-2`}>
+                    {correctAnswers} out of {totalQuestions} correct
+                  </span>
+                  {attempt.pass_mark !== undefined && (
+                    <span className={`badge ${hasPassed ? 'badge-success' : 'badge-error'} text-lg px-4 py-2`}>
+                      {hasPassed ? 'Passed' : 'Not passed'} (pass mark {Math.round(attempt.pass_mark)}%)
+                    </span>
+                  )}
+                </div>
+                {attempt.total_points !== null && attempt.total_points !== undefined && (
+                  <p className="text-gray-600 mb-2">
+                    {roundPoints(attempt.points_earned)} of {formatPoints(attempt.total_points)} earned
+                    {deductedPoints > 0 && ` after ${formatPoints(deductedPoints)} deducted for wrong answers`}
+                  </p>
                 )}
+                {attempt.hints_used > 0 && (
+                  <p className="text-gray-600 mb-2">
+                    {attempt.hints_used} hint{attempt.hints_used === 1 ? '' : 's'} used
+                    {hintDeduction > 0 && `, costing ${formatPoints(hintDeduction)}`}
+                  </p>
+                )}
+                <p className="text-lg text-gray-600 mb-4">
+                  {getPerformanceMessage(scorePercentage)}
+                </p>
+                <div className="flex justify-center">
+                  {scorePercentage >= 80 ? (
+                    <Award size={48} className="text-yellow-500" />
+                  ) : scorePercentage >= 60 ? (
+                    <TrendingUp size={48} className="text-blue-500" />
+                  ) : (
+                    <BookOpen size={48} className="text-gray-500" />
+                  )}
+                </div>
               </div>
-            </div>
+            )}
 
             {/* Stats Grid */}
             <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
@@ -207,8 +288,11 @@ const QuizResults = () => {
 
               <div className="text-center p-4 bg-red-50 rounded-lg">
                 <XCircle size={24} className="text-red-600 mx-auto mb-2" />
-                <div className="text-2xl font-bold text-red-600">{totalQuestions - correctAnswers}</div>
+                <div className="text-2xl font-bold text-red-600">{totalQuestions - correctAnswers - partialAnswers}</div>
                 <div className="text-sm text-gray-600">Incorrect Answers</div>
+                {partialAnswers > 0 && (
+                  <div className="text-sm text-yellow-600">{partialAnswers} partially correct</div>
+                )}
               </div>
 
               <div className="text-center p-4 bg-purple-50 rounded-lg">
@@ -236,81 +320,289 @@ const QuizResults = () => {
         {/* Questions Review */}
         <div className="space-y-6">
           {questions.map((question, index) => (
-            <div key={question.id} className="card">
-              <div className="card-body">
-                <div className="flex items-start gap-4">
-                  <div className={`flex-shrink-0 w-8 h-8 rounded-full flex items-center justify-center ${
-                    question.is_correct ? 'bg-green-100 text-green-600' : 'bg-red-100 text-red-600'
-                  }`}>
-                    {question.is_correct ? (
-                      <CheckCircle size={16} />
-                    ) : (
-                      <XCircle size={16} />
-                    )}
-                  </div>
-                  
-                  <div className="flex-1">
-                    <div className="flex justify-between items-start mb-4">
-                      <h3 className="text-lg font-semibold">
-                        Question {index + 1}
-                      </h3>
-                      <span className={`badge ${question.is_correct ? 'badge-success' : 'badge-error'}`}>
-                        {question.is_correct ? 'Correct' : 'Incorrect'}
-                      </span>
+            <React.Fragment key={question.id}>
+              {isFirstOfPassage(index) && (
+                <ReadingPassage
+                  passage={getPassage(question.passage_id)}
+                  subtitle="The following questions refer to this passage"
+                >
+                  {getPassage(question.passage_id).audio_url && (
+                    <audio controls src={getPassage(question.passage_id).audio_url} className="w-full mb-3" />
+                  )}
+                  <Transcript text={getPassage(question.passage_id).transcript} />
+                </ReadingPassage>
+              )}
+              <div className="card">
+                <div className="card-body">
+                  <div className="flex items-start gap-4">
+                    <div className={`flex-shrink-0 w-8 h-8 rounded-full flex items-center justify-center ${
+                      question.needs_grading ? 'bg-blue-100 text-blue-600' :
+                      question.is_correct ? 'bg-green-100 text-green-600' :
+                      isPartiallyCorrect(question) ? 'bg-yellow-100 text-yellow-600' : 'bg-red-100 text-red-600'
+                    }`}>
+                      {question.needs_grading ? (
+                        <Clock size={16} />
+                      ) : question.is_correct ? (
+                        <CheckCircle size={16} />
+                      ) : isPartiallyCorrect(question) ? (
+                        <MinusCircle size={16} />
+                      ) : (
+                        <XCircle size={16} />
+                      )}
                     </div>
+                  
+                    <div className="flex-1">
+                      <div className="flex justify-between items-start mb-4">
+                        <h3 className="text-lg font-semibold">
+                          Question {index + 1}
+                        </h3>
+                        <div className="flex items-center gap-2">
+                          {isAdaptive && question.difficulty_name && (
+                            <span className="badge badge-info">{question.difficulty_name}</span>
+                          )}
+                          {question.is_flagged && (
+                            <span className="flex items-center gap-1 text-sm text-orange-600" title="The student flagged this question for review">
+                              <Flag size={14} />
+                              Flagged
+                            </span>
+                          )}
+                          {!question.needs_grading && question.points_awarded !== null && question.points_awarded !== undefined && (
+                            <span className="text-sm text-gray-600">
+                              {roundPoints(question.points_awarded)} / {formatPoints(question.points)}
+                            </span>
+                          )}
+                          <span className={`badge ${
+                            question.needs_grading ? 'badge-info' :
+                            question.is_correct ? 'badge-success' :
+                            isPartiallyCorrect(question) ? 'badge-warning' : 'badge-error'
+                          }`}>
+                            {question.needs_grading ? 'Awaiting Grading' :
+                              question.is_correct ? 'Correct' :
+                              isPartiallyCorrect(question) ? `Partially Correct (${Math.round(question.credit * 100)}%)` : 'Incorrect'}
+                          </span>
+                        </div>
+                      </div>
                     
-                    <p className="text-gray-800 mb-4">{question.question_text}</p>
+                      {getQuestionType(question) === QUESTION_TYPES.CLOZE ? (
+                        <div className="mb-4">
+                          <ClozeQuestion text={question.question_text} results={question.blanks || []} />
+                        </div>
+                      ) : (
+                        <p className="text-gray-800 mb-4">{question.question_text}</p>
+                      )}
+                      {question.audio_url && (
+                        <div className="mb-3">
+                          <audio controls src={question.audio_url} className="w-full" />
+                          {question.plays_used > 0 && (
+                            <p className="text-xs text-gray-500 mt-1">
+                              Played {question.plays_used} time{question.plays_used === 1 ? '' : 's'} during the quiz
+                            </p>
+                          )}
+                        </div>
+                      )}
+                      <Transcript text={question.transcript} />
+                      {question.hints_used > 0 && (
+                        <p className="text-sm text-gray-500 mb-2">
+                          {question.hints_used} hint{question.hints_used === 1 ? '' : 's'} used
+                          {Number(question.hint_deduction) > 0 && ` (−${formatPoints(roundPoints(question.hint_deduction))})`}
+                        </p>
+                      )}
+                      {getQuestionType(question) === QUESTION_TYPES.MULTIPLE_SELECT && (
+                        <p className="text-sm text-gray-500 mb-2">Multiple answers could be selected.</p>
+                      )}
                     
-                    <div className="space-y-2">
-                      {question.options.map(option => {
-                        const isSelected = option.id === question.selected_option_id;
-                        const isCorrect = option.is_correct;
-                        
-                        let optionClass = 'p-3 rounded-lg border ';
-                        if (isCorrect) {
-                          optionClass += 'border-green-500 bg-green-50 text-green-800';
-                        } else if (isSelected && !isCorrect) {
-                          optionClass += 'border-red-500 bg-red-50 text-red-800';
-                        } else {
-                          optionClass += 'border-gray-200 bg-gray-50 text-gray-700';
-                        }
-                        
-                        return (
-                          <div key={option.id} className={optionClass}>
-                            <div className="flex items-center gap-3">
-                              <div className="flex items-center gap-2">
-                                {isCorrect && <CheckCircle size={16} className="text-green-600" />}
-                                {isSelected && !isCorrect && <XCircle size={16} className="text-red-600" />}
+                      {getQuestionType(question) === QUESTION_TYPES.CLOZE && (
+                        <div className="space-y-2">
+                          {(question.blanks || []).map(blank => (
+                            <div
+                              key={blank.blank_index}
+                              className={`p-3 rounded-lg border ${
+                                blank.is_correct
+                                  ? 'border-green-500 bg-green-50 text-green-800'
+                                  : 'border-red-500 bg-red-50 text-red-800'
+                              }`}
+                            >
+                              <div className="flex items-center gap-3">
+                                {blank.is_correct
+                                  ? <CheckCircle size={16} className="text-green-600" />
+                                  : <XCircle size={16} className="text-red-600" />}
+                                <span className="flex-1">
+                                  Blank {blank.blank_index}: {blank.given_answer || 'No answer'}
+                                </span>
+                                <span className="text-xs px-2 py-1 bg-green-100 text-green-800 rounded">
+                                  Accepted: {(blank.accepted_answers || []).join(' / ')}
+                                </span>
                               </div>
-                              <span className="flex-1">{option.option_text}</span>
-                              <div className="flex gap-2">
-                                {isSelected && (
-                                  <span className="text-xs px-2 py-1 bg-blue-100 text-blue-800 rounded">
-                                    Your Answer
-                                  </span>
-                                )}
-                                {isCorrect && (
+                            </div>
+                          ))}
+                        </div>
+                      )}
+
+                      {MANUALLY_GRADED_TYPES.includes(getQuestionType(question)) && (
+                        <div className="space-y-2">
+                          <div className="p-3 rounded-lg border border-gray-200 bg-gray-50 text-gray-700">
+                            <div className="flex items-start gap-3">
+                              <span className="flex-1 whitespace-pre-wrap">
+                                {getQuestionType(question) === QUESTION_TYPES.SPEAKING
+                                  ? <RecordingPlayer path={question.answer_data?.path} />
+                                  : question.answer_data?.text || 'No answer'}
+                              </span>
+                              <span className="text-xs px-2 py-1 bg-blue-100 text-blue-800 rounded">
+                                Your Answer
+                              </span>
+                            </div>
+                          </div>
+                          {(question.rubric_scores || []).length > 0 && (
+                            <div className="p-3 rounded-lg border border-gray-200">
+                              <h4 className="font-medium mb-2">Rubric Breakdown:</h4>
+                              <div className="space-y-2">
+                                {question.rubric_scores.map(criterion => (
+                                  <div key={criterion.criterion_id}>
+                                    <div className="flex justify-between text-sm mb-1">
+                                      <span>{criterion.name}</span>
+                                      <span className="font-medium">{criterion.score}/{criterion.max_score}</span>
+                                    </div>
+                                    <div className="progress-bar">
+                                      <div
+                                        className="progress-fill"
+                                        style={{ width: `${(criterion.score / criterion.max_score) * 100}%` }}
+                                      />
+                                    </div>
+                                  </div>
+                                ))}
+                              </div>
+                            </div>
+                          )}
+                          {question.grader_comment && (
+                            <div className="p-3 rounded-lg border-l-4 border-purple-500 bg-purple-50">
+                              <h4 className="font-medium text-purple-800 mb-1">Tutor Comment:</h4>
+                              <p className="text-purple-700">{question.grader_comment}</p>
+                            </div>
+                          )}
+                        </div>
+                      )}
+
+                      {getQuestionType(question) === QUESTION_TYPES.MATCHING && (
+                        <div className="space-y-2">
+                          {(question.pairs || []).map(pair => (
+                            <div
+                              key={pair.id}
+                              className={`p-3 rounded-lg border ${
+                                pair.is_correct
+                                  ? 'border-green-500 bg-green-50 text-green-800'
+                                  : 'border-red-500 bg-red-50 text-red-800'
+                              }`}
+                            >
+                              <div className="flex items-center gap-3">
+                                {pair.is_correct
+                                  ? <CheckCircle size={16} className="text-green-600" />
+                                  : <XCircle size={16} className="text-red-600" />}
+                                <span className="flex-1">
+                                  {pair.left_text} → {pair.given_answer || 'No answer'}
+                                </span>
+                                {!pair.is_correct && (
                                   <span className="text-xs px-2 py-1 bg-green-100 text-green-800 rounded">
-                                    Correct Answer
+                                    Correct: {pair.right_text}
                                   </span>
                                 )}
                               </div>
                             </div>
+                          ))}
+                        </div>
+                      )}
+
+                      {getQuestionType(question) === QUESTION_TYPES.REORDER && (
+                        <div className="space-y-2">
+                          <div
+                            className={`p-3 rounded-lg border ${
+                              question.is_correct
+                                ? 'border-green-500 bg-green-50 text-green-800'
+                                : isPartiallyCorrect(question)
+                                  ? 'border-yellow-500 bg-yellow-50 text-yellow-800'
+                                  : 'border-red-500 bg-red-50 text-red-800'
+                            }`}
+                          >
+                            <div className="flex items-center gap-3">
+                              {question.is_correct
+                                ? <CheckCircle size={16} className="text-green-600" />
+                                : isPartiallyCorrect(question)
+                                  ? <MinusCircle size={16} className="text-yellow-600" />
+                                  : <XCircle size={16} className="text-red-600" />}
+                              <span className="flex-1">
+                                {Array.isArray(question.answer_data) && question.answer_data.length > 0
+                                  ? question.answer_data.join(' ')
+                                  : 'No answer'}
+                              </span>
+                              <span className="text-xs px-2 py-1 bg-blue-100 text-blue-800 rounded">
+                                Your Answer
+                              </span>
+                            </div>
                           </div>
-                        );
-                      })}
-                    </div>
-                    
-                    {showExplanations && question.explanation && (
-                      <div className="mt-4 p-4 bg-blue-50 border-l-4 border-blue-500 rounded-r-lg">
-                        <h4 className="font-semibold text-blue-800 mb-2">Explanation:</h4>
-                        <p className="text-blue-700">{question.explanation}</p>
+                          {(question.accepted_orders || []).map((tokens, index) => (
+                            <div key={index} className="p-3 rounded-lg border border-green-500 bg-green-50 text-green-800">
+                              <div className="flex items-center gap-3">
+                                <CheckCircle size={16} className="text-green-600" />
+                                <span className="flex-1">{tokens.join(' ')}</span>
+                                <span className="text-xs px-2 py-1 bg-green-100 text-green-800 rounded">
+                                  {index === 0 ? 'Correct Answer' : 'Also Accepted'}
+                                </span>
+                              </div>
+                            </div>
+                          ))}
+                        </div>
+                      )}
+
+                      <div className="space-y-2">
+                        {(question.options || []).map(option => {
+                          const isSelected = option.is_selected ?? option.id === question.selected_option_id;
+                          const isCorrect = option.is_correct;
+                        
+                          let optionClass = 'p-3 rounded-lg border ';
+                          if (isCorrect) {
+                            optionClass += 'border-green-500 bg-green-50 text-green-800';
+                          } else if (isSelected && !isCorrect) {
+                            optionClass += 'border-red-500 bg-red-50 text-red-800';
+                          } else {
+                            optionClass += 'border-gray-200 bg-gray-50 text-gray-700';
+                          }
+                        
+                          return (
+                            <div key={option.id} className={optionClass}>
+                              <div className="flex items-center gap-3">
+                                <div className="flex items-center gap-2">
+                                  {isCorrect && <CheckCircle size={16} className="text-green-600" />}
+                                  {isSelected && !isCorrect && <XCircle size={16} className="text-red-600" />}
+                                </div>
+                                <span className="flex-1">{option.option_text}</span>
+                                <div className="flex gap-2">
+                                  {isSelected && (
+                                    <span className="text-xs px-2 py-1 bg-blue-100 text-blue-800 rounded">
+                                      Your Answer
+                                    </span>
+                                  )}
+                                  {isCorrect && (
+                                    <span className="text-xs px-2 py-1 bg-green-100 text-green-800 rounded">
+                                      Correct Answer
+                                    </span>
+                                  )}
+                                </div>
+                              </div>
+                            </div>
+                          );
+                        })}
                       </div>
-                    )}
+                    
+                      {showExplanations && question.explanation && (
+                        <div className="mt-4 p-4 bg-blue-50 border-l-4 border-blue-500 rounded-r-lg">
+                          <h4 className="font-semibold text-blue-800 mb-2">Explanation:</h4>
+                          <p className="text-blue-700">{question.explanation}</p>
+                        </div>
+                      )}
+                    </div>
                   </div>
                 </div>
               </div>
-            </div>
+            </React.Fragment>
           ))}
         </div>
 
@@ -320,6 +612,15 @@ const QuizResults = () => {
             {getBackText()}
           </Link>
 
+          {isAdaptive && canRetakeQuiz() && (
+            <Link
+              to={`/student/${user.id}/adaptive/${attempt.category_id}`}
+              className="btn btn-outline"
+            >
+              Check Again
+            </Link>
+          )}
+
           {/* Add feedback button for tutors */}
           {user && ['tutor', 'super_tutor'].includes(user.role) && (
             <button
@@ -430,18 +731,31 @@ const QuizResults = () => {
               <div className="text-blue-700">
                 <p className="mb-2">📊 Student Performance Analysis:</p>
                 <ul className="list-disc list-inside space-y-1">
-                  <li>Score: {scorePercentage}% ({correctAnswers}/{totalQuestions} correct)</li>
+                  <li>
+                    {isAdaptive
+                      ? `Estimated level: ${attempt.estimated_difficulty_name}`
+                      : `Score: ${isAwaitingGrading ? 'awaiting grading' : `${scorePercentage}%`}`} ({correctAnswers}/{totalQuestions} correct)
+                  </li>
                   <li>Time taken: {attempt.time_taken ? Math.round(attempt.time_taken / 60) : 'N/A'} minutes</li>
                   <li>Category: {attempt.category_name}</li>
-                  <li>Difficulty: {attempt.difficulty_name}</li>
-                  {scorePercentage < 60 && <li className="text-red-600">⚠️ Student may need additional support in this area</li>}
-                  {scorePercentage >= 80 && <li className="text-green-600">✅ Student shows strong understanding</li>}
+                  <li>{isAdaptive ? 'Starting level' : 'Difficulty'}: {attempt.difficulty_name}</li>
+                  {!isAdaptive && scorePercentage < 60 && <li className="text-red-600">⚠️ Student may need additional support in this area</li>}
+                  {!isAdaptive && scorePercentage >= 80 && <li className="text-green-600">✅ Student shows strong understanding</li>}
                 </ul>
               </div>
             ) : (
               // Tips for students
               <>
-                {scorePercentage >= 80 ? (
+                {isAdaptive ? (
+                  <div className="text-blue-700">
+                    <p className="mb-2">🧭 Use your estimated level to choose what to practise next.</p>
+                    <ul className="list-disc list-inside space-y-1">
+                      <li>Take the {attempt.estimated_difficulty_name} quizzes in {attempt.category_name}</li>
+                      <li>Review the questions above that you missed</li>
+                      <li>Check your level again after some practice</li>
+                    </ul>
+                  </div>
+                ) : scorePercentage >= 80 ? (
                   <div className="text-green-700">
                     <p className="mb-2">🎉 Excellent performance! You've mastered this topic.</p>
                     <ul className="list-disc list-inside space-y-1">
@@ -493,7 +807,7 @@ const QuizResults = () => {
                   <strong>Category:</strong> {attempt.category_name}
                 </div>
                 <div>
-                  <strong>Difficulty:</strong> {attempt.difficulty_name}
+                  <strong>{isAdaptive ? 'Starting level' : 'Difficulty'}:</strong> {attempt.difficulty_name}
                 </div>
                 <div>
                   <strong>Total Questions:</strong> {totalQuestions}
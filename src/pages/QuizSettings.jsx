@@ -0,0 +1,418 @@
+import React, { useState, useEffect } from 'react';
+import { categoriesService, quizSettingsService, cefrService } from '../services/supabaseService.js';
+import { toast } from 'react-toastify';
+import Loading from '../components/Loading.jsx';
+import { SCORE_POLICY_LABELS, DEFAULT_QUIZ_SETTINGS, formatCooldown, formatTimeLimit } from '../lib/quizSettings.js';
+import { CEFR_LEVELS } from '../lib/cefr.js';
+import { Settings, Save } from 'lucide-react';
+
+const settingsKey = (categoryId, difficultyId) => `${categoryId}-${difficultyId}`;
+
+const QuizSettings = () => {
+  const [loading, setLoading] = useState(true);
+  const [categories, setCategories] = useState([]);
+  const [difficultyLevels, setDifficultyLevels] = useState([]);
+  // Editable settings keyed by "<category id>-<difficulty id>"
+  const [settings, setSettings] = useState({});
+  const [savingKey, setSavingKey] = useState(null);
+  // Minimum scores per CEFR level, keyed like the settings
+  const [bands, setBands] = useState({});
+  const [savingBandsKey, setSavingBandsKey] = useState(null);
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const fetchData = async () => {
+    try {
+      const [categoriesRes, difficultyRes, settingsRes, bandsRes] = await Promise.all([
+        categoriesService.getCategories(),
+        categoriesService.getDifficultyLevels(),
+        quizSettingsService.getSettings(),
+        cefrService.getScoreBands()
+      ]);
+
+      setCategories(categoriesRes.success && Array.isArray(categoriesRes.data) ? categoriesRes.data : []);
+      setDifficultyLevels(difficultyRes.success && Array.isArray(difficultyRes.data) ? difficultyRes.data : []);
+
+      const settingsMap = {};
+      (settingsRes.success ? settingsRes.data || [] : []).forEach(row => {
+        settingsMap[settingsKey(row.category_id, row.difficulty_id)] = {
+          max_attempts: row.max_attempts ?? '',
+          cooldown_minutes: row.cooldown_minutes,
+          score_policy: row.score_policy,
+          time_limit_minutes: row.time_limit_minutes ?? '',
+          question_count: row.question_count,
+          pass_mark: row.pass_mark,
+          negative_marking: row.negative_marking,
+          hint_penalty: row.hint_penalty
+        };
+      });
+      setSettings(settingsMap);
+
+      const bandsMap = {};
+      (bandsRes.success ? bandsRes.data || [] : []).forEach(band => {
+        const key = settingsKey(band.category_id, band.difficulty_id);
+        bandsMap[key] = { ...bandsMap[key], [band.cefr_level]: band.min_score };
+      });
+      setBands(bandsMap);
+    } catch (error) {
+      console.error('Error fetching quiz settings:', error);
+      toast.error('Failed to load quiz settings');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const getSettings = (key) => settings[key] || { ...DEFAULT_QUIZ_SETTINGS };
+
+  const handleChange = (key, field, value) => {
+    setSettings(prev => ({
+      ...prev,
+      [key]: { ...getSettings(key), [field]: value }
+    }));
+  };
+
+  const handleSave = async (categoryId, difficultyId) => {
+    const key = settingsKey(categoryId, difficultyId);
+    const row = getSettings(key);
+    const maxAttempts = row.max_attempts === '' ? null : parseInt(row.max_attempts);
+    const cooldown = parseInt(row.cooldown_minutes) || 0;
+    const timeLimit = row.time_limit_minutes === '' ? null : parseInt(row.time_limit_minutes);
+    const questionCount = parseInt(row.question_count);
+    const passMark = parseFloat(row.pass_mark);
+    const negativeMarking = parseFloat(row.negative_marking) || 0;
+    const hintPenalty = parseFloat(row.hint_penalty) || 0;
+
+    if (maxAttempts !== null && (isNaN(maxAttempts) || maxAttempts < 1)) {
+      toast.error('Max attempts must be at least 1, or empty for unlimited');
+      return;
+    }
+
+    if (cooldown < 0) {
+      toast.error('The cooldown cannot be negative');
+      return;
+    }
+
+    if (timeLimit !== null && (isNaN(timeLimit) || timeLimit < 1)) {
+      toast.error('The time limit must be at least 1 minute, or empty for no limit');
+      return;
+    }
+
+    if (isNaN(questionCount) || questionCount < 1) {
+      toast.error('A quiz needs at least 1 question');
+      return;
+    }
+
+    if (isNaN(passMark) || passMark < 0 || passMark > 100) {
+      toast.error('The pass mark must be between 0 and 100');
+      return;
+    }
+
+    if (negativeMarking < 0 || negativeMarking > 100) {
+      toast.error('Negative marking must be between 0 and 100');
+      return;
+    }
+
+    if (hintPenalty < 0 || hintPenalty > 100) {
+      toast.error('The hint penalty must be between 0 and 100');
+      return;
+    }
+
+    setSavingKey(key);
+    try {
+      const response = await quizSettingsService.saveSettings(categoryId, difficultyId, {
+        max_attempts: maxAttempts,
+        cooldown_minutes: cooldown,
+        score_policy: row.score_policy,
+        time_limit_minutes: timeLimit,
+        question_count: questionCount,
+        pass_mark: passMark,
+        negative_marking: negativeMarking,
+        hint_penalty: hintPenalty
+      });
+
+      // The service shows the success toast
+      if (!response.success) {
+        toast.error(response.error || 'Failed to save quiz settings');
+      }
+    } catch (error) {
+      console.error('Error saving quiz settings:', error);
+      toast.error('Failed to save quiz settings');
+    } finally {
+      setSavingKey(null);
+    }
+  };
+
+  const handleBandChange = (key, cefrLevel, value) => {
+    setBands(prev => ({
+      ...prev,
+      [key]: { ...prev[key], [cefrLevel]: value }
+    }));
+  };
+
+  const handleSaveBands = async (categoryId, difficultyId) => {
+    const key = settingsKey(categoryId, difficultyId);
+    const row = bands[key] || {};
+    const levelBands = CEFR_LEVELS
+      .filter(cefrLevel => row[cefrLevel] !== undefined && row[cefrLevel] !== '')
+      .map(cefrLevel => ({ cefr_level: cefrLevel, min_score: parseFloat(row[cefrLevel]) }));
+
+    if (levelBands.some(band => isNaN(band.min_score) || band.min_score < 0 || band.min_score > 100)) {
+      toast.error('Minimum scores must be between 0 and 100');
+      return;
+    }
+
+    // A higher CEFR level must not be reached with a lower score
+    if (levelBands.some((band, index) => index > 0 && band.min_score < levelBands[index - 1].min_score)) {
+      toast.error('Higher CEFR levels need the same or a higher minimum score');
+      return;
+    }
+
+    setSavingBandsKey(key);
+    try {
+      const response = await cefrService.saveScoreBands(categoryId, difficultyId, levelBands);
+
+      // The service shows the success toast
+      if (!response.success) {
+        toast.error(response.error || 'Failed to save the CEFR mapping');
+      }
+    } catch (error) {
+      console.error('Error saving CEFR mapping:', error);
+      toast.error('Failed to save the CEFR mapping');
+    } finally {
+      setSavingBandsKey(null);
+    }
+  };
+
+  if (loading) return <Loading message="Loading quiz settings..." />;
+
+  return (
+    <div className="container">
+      <div className="main-content">
+        <div className="flex justify-between items-center mb-6">
+          <h1 className="text-3xl font-bold">Quiz Settings</h1>
+        </div>
+
+        <div className="bg-blue-50 p-4 rounded-lg mb-6">
+          <p className="text-blue-700 text-sm">
+            Each category and difficulty is its own quiz. Leave max attempts empty to allow unlimited retakes,
+            or the time limit empty for an untimed quiz. Quizzes that were never saved here allow a single
+            30-minute attempt of 10 questions with a pass mark of 60%. Negative marking deducts that percentage
+            of a question's points for each wrong answer; 0 turns it off. The hint penalty deducts that
+            percentage of a question's points for each hint used on it, and never takes more than the
+            answer earned; hints are always free in practice mode.
+          </p>
+        </div>
+
+        {categories.length === 0 ? (
+          <div className="card">
+            <div className="card-body text-center py-12">
+              <Settings size={48} className="text-gray-400 mx-auto mb-4" />
+              <h3 className="text-xl font-semibold text-gray-600 mb-2">No Categories</h3>
+              <p className="text-gray-500">Create categories before configuring quizzes.</p>
+            </div>
+          </div>
+        ) : (
+          <div className="space-y-6">
+            {categories.map(category => (
+              <div key={category.id} className="card">
+                <div className="card-header">
+                  <h2 className="card-title">{category.name}</h2>
+                </div>
+                <div className="card-body">
+                  <div className="overflow-x-auto">
+                    <table className="w-full">
+                      <thead>
+                        <tr className="border-b">
+                          <th className="text-left py-3 px-4">Difficulty</th>
+                          <th className="text-left py-3 px-4">Questions</th>
+                          <th className="text-left py-3 px-4">Time Limit (minutes)</th>
+                          <th className="text-left py-3 px-4">Pass Mark (%)</th>
+                          <th className="text-left py-3 px-4">Negative Marking (%)</th>
+                          <th className="text-left py-3 px-4">Hint Penalty (%)</th>
+                          <th className="text-left py-3 px-4">Max Attempts</th>
+                          <th className="text-left py-3 px-4">Cooldown (minutes)</th>
+                          <th className="text-left py-3 px-4">Score That Counts</th>
+                          <th className="text-left py-3 px-4"></th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {difficultyLevels.map(level => {
+                          const key = settingsKey(category.id, level.id);
+                          const row = getSettings(key);
+                          return (
+                            <tr key={key} className="border-b">
+                              <td className="py-3 px-4 font-medium">{level.name}</td>
+                              <td className="py-3 px-4">
+                                <input
+                                  type="number"
+                                  min="1"
+                                  value={row.question_count}
+                                  onChange={(e) => handleChange(key, 'question_count', e.target.value)}
+                                  className="form-control"
+                                />
+                              </td>
+                              <td className="py-3 px-4">
+                                <input
+                                  type="number"
+                                  min="1"
+                                  value={row.time_limit_minutes}
+                                  onChange={(e) => handleChange(key, 'time_limit_minutes', e.target.value)}
+                                  className="form-control"
+                                  placeholder="No limit"
+                                />
+                                <p className="text-xs text-gray-500 mt-1">
+                                  {formatTimeLimit(parseInt(row.time_limit_minutes) || null)}
+                                </p>
+                              </td>
+                              <td className="py-3 px-4">
+                                <input
+                                  type="number"
+                                  min="0"
+                                  max="100"
+                                  value={row.pass_mark}
+                                  onChange={(e) => handleChange(key, 'pass_mark', e.target.value)}
+                                  className="form-control"
+                                />
+                              </td>
+                              <td className="py-3 px-4">
+                                <input
+                                  type="number"
+                                  min="0"
+                                  max="100"
+                                  value={row.negative_marking}
+                                  onChange={(e) => handleChange(key, 'negative_marking', e.target.value)}
+                                  className="form-control"
+                                />
+                              </td>
+                              <td className="py-3 px-4">
+                                <input
+                                  type="number"
+                                  min="0"
+                                  max="100"
+                                  value={row.hint_penalty}
+                                  onChange={(e) => handleChange(key, 'hint_penalty', e.target.value)}
+                                  className="form-control"
+                                />
+                              </td>
+                              <td className="py-3 px-4">
+                                <input
+                                  type="number"
+                                  min="1"
+                                  value={row.max_attempts}
+                                  onChange={(e) => handleChange(key, 'max_attempts', e.target.value)}
+                                  className="form-control"
+                                  placeholder="Unlimited"
+                                />
+                              </td>
+                              <td className="py-3 px-4">
+                                <input
+                                  type="number"
+                                  min="0"
+                                  value={row.cooldown_minutes}
+                                  onChange={(e) => handleChange(key, 'cooldown_minutes', e.target.value)}
+                                  className="form-control"
+                                />
+                                <p className="text-xs text-gray-500 mt-1">
+                                  {formatCooldown(parseInt(row.cooldown_minutes) || 0)}
+                                </p>
+                              </td>
+                              <td className="py-3 px-4">
+                                <select
+                                  value={row.score_policy}
+                                  onChange={(e) => handleChange(key, 'score_policy', e.target.value)}
+                                  className="form-control form-select"
+                                >
+                                  {Object.entries(SCORE_POLICY_LABELS).map(([value, label]) => (
+                                    <option key={value} value={value}>
+                                      {label}
+                                    </option>
+                                  ))}
+                                </select>
+                              </td>
+                              <td className="py-3 px-4">
+                                <button
+                                  onClick={() => handleSave(category.id, level.id)}
+                                  disabled={savingKey === key}
+                                  className="btn btn-sm btn-primary"
+                                >
+                                  <Save size={14} />
+                                  {savingKey === key ? 'Saving...' : 'Save'}
+                                </button>
+                              </td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+
+                  <h3 className="text-lg font-semibold mt-6 mb-2">CEFR Mapping</h3>
+                  <p className="text-sm text-gray-600 mb-4">
+                    The minimum score on each quiz that shows a CEFR level. Leave a level empty if the quiz
+                    cannot show it. A quiz with no scores here shows its difficulty level's CEFR level once
+                    the pass mark is reached.
+                  </p>
+                  <div className="overflow-x-auto">
+                    <table className="w-full">
+                      <thead>
+                        <tr className="border-b">
+                          <th className="text-left py-3 px-4">Difficulty</th>
+                          {CEFR_LEVELS.map(cefrLevel => (
+                            <th key={cefrLevel} className="text-left py-3 px-4">{cefrLevel} from (%)</th>
+                          ))}
+                          <th className="text-left py-3 px-4"></th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {difficultyLevels.map(level => {
+                          const key = settingsKey(category.id, level.id);
+                          const row = bands[key] || {};
+                          return (
+                            <tr key={key} className="border-b">
+                              <td className="py-3 px-4">
+                                <span className="font-medium">{level.name}</span>
+                                {level.cefr_level && (
+                                  <p className="text-xs text-gray-500 mt-1">Default: {level.cefr_level}</p>
+                                )}
+                              </td>
+                              {CEFR_LEVELS.map(cefrLevel => (
+                                <td key={cefrLevel} className="py-3 px-4">
+                                  <input
+                                    type="number"
+                                    min="0"
+                                    max="100"
+                                    value={row[cefrLevel] ?? ''}
+                                    onChange={(e) => handleBandChange(key, cefrLevel, e.target.value)}
+                                    className="form-control"
+                                  />
+                                </td>
+                              ))}
+                              <td className="py-3 px-4">
+                                <button
+                                  onClick={() => handleSaveBands(category.id, level.id)}
+                                  disabled={savingBandsKey === key}
+                                  className="btn btn-sm btn-primary"
+                                >
+                                  <Save size={14} />
+                                  {savingBandsKey === key ? 'Saving...' : 'Save'}
+                                </button>
+                              </td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default QuizSettings;
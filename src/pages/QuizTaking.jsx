@@ -1,61 +1,204 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { quizService, categoriesService } from '../services/supabaseService.js';
+import { quizService, categoriesService, storageService } from '../services/supabaseService.js';
 import { toast } from 'react-toastify';
 import Loading from '../components/Loading.jsx';
-import { Clock, CheckCircle, AlertCircle, ArrowRight, ArrowLeft } from 'lucide-react';
+import QuestionInput from '../components/QuestionInput.jsx';
+import ReadingPassage from '../components/ReadingPassage.jsx';
+import ListeningPlayer from '../components/ListeningPlayer.jsx';
+import SubmitReviewModal from '../components/SubmitReviewModal.jsx';
+import PracticeFeedback from '../components/PracticeFeedback.jsx';
+import { useAuth } from '../contexts/AuthContext.jsx';
+import {
+  OFFLINE_STORE_EVENT,
+  getOfflineAttempt,
+  findOfflineAttempt,
+  saveOfflineAttempt,
+  updateOfflineAttempt,
+  deleteOfflineAttempt,
+  deleteOtherOfflineAttempts
+} from '../lib/offlineQuizStore.js';
+import { isOffline, isNetworkError, isAttemptClosed, cacheQuizMedia } from '../lib/offlineSync.js';
+import {
+  QUESTION_TYPES,
+  SPEAKING_BUCKET,
+  getQuestionType,
+  isAnswered,
+  buildAnswerPayload,
+  restoreAnswer,
+  formatPoints
+} from '../lib/questionTypes.js';
+import { Clock, CheckCircle, AlertCircle, ArrowRight, ArrowLeft, WifiOff, Flag, Lightbulb } from 'lucide-react';
 
-const QuizTaking = () => {
+// Wait this long after the last change before autosaving
+const AUTOSAVE_DELAY = 1000;
+
+// `practice` attempts are untimed, do not count and check each answer as soon as it is given
+const QuizTaking = ({ practice = false }) => {
   const { studentId, categoryId, difficultyId } = useParams();
+  const mode = practice ? 'practice' : 'standard';
   const navigate = useNavigate();
+  const { user } = useAuth();
 
   const [loading, setLoading] = useState(true);
   const [quiz, setQuiz] = useState(null);
   const [currentQuestionIndex, setCurrentQuestionIndex] = useState(0);
   const [answers, setAnswers] = useState({});
+  // Questions the student marked to come back to, keyed by question id
+  const [flagged, setFlagged] = useState({});
+  const [showReview, setShowReview] = useState(false);
+  // Practice feedback by question id, for answers that have been checked
+  const [checked, setChecked] = useState({});
+  const [checkingQuestionId, setCheckingQuestionId] = useState(null);
+  // Hints shown so far, by question id, in reveal order
+  const [revealedHints, setRevealedHints] = useState({});
+  const [revealingQuestionId, setRevealingQuestionId] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  // Seconds left before the server's deadline; null for untimed quizzes
   const [timeRemaining, setTimeRemaining] = useState(null);
+  // Deadline in the device's clock (the server's deadline corrected for clock drift)
+  const [deadline, setDeadline] = useState(null);
   const [quizStarted, setQuizStarted] = useState(false);
   const [attemptId, setAttemptId] = useState(null);
+  const [uploadingQuestionId, setUploadingQuestionId] = useState(null);
+  // Plays used so far, keyed 'question-<id>' or 'passage-<id>'
+  const [audioPlays, setAudioPlays] = useState({});
+  // Audio URLs handed out so far, same keys; the service worker caches them for offline plays
+  const [audioUrls, setAudioUrls] = useState({});
+  // 'saving', 'saved' or 'error' once autosave has run
+  const [saveStatus, setSaveStatus] = useState(null);
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  // 'queued' while a submission made offline waits to be sent, 'conflict' if the server had already finalized the attempt
+  const [submissionState, setSubmissionState] = useState(null);
+  // Last payload the server has for each question, as JSON, so unchanged answers are not resent
+  const savedPayloadsRef = useRef({});
+  // Flags as the server has them
+  const savedFlagsRef = useRef({});
+  // Saves run one after another so an older answer can never overwrite a newer one
+  const saveQueueRef = useRef(Promise.resolve(true));
+  const submittingRef = useRef(false);
+  // Latest submit handler, for the timer that outlives a render
+  const submitRef = useRef(null);
 
   useEffect(() => {
     startQuiz();
-  }, [categoryId, difficultyId]);
+  }, [categoryId, difficultyId, mode]);
 
   useEffect(() => {
-    let timer;
-    if (quizStarted && timeRemaining > 0) {
-      timer = setInterval(() => {
-        setTimeRemaining(prev => {
-          if (prev <= 1) {
-            handleSubmitQuiz();
-            return 0;
-          }
-          return prev - 1;
-        });
-      }, 1000);
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  // Answers changed while offline are sent as soon as the connection returns
+  useEffect(() => {
+    if (isOnline && quizStarted) {
+      autosaveAnswers();
     }
+  }, [isOnline]);
+
+  // Every change is kept on this device first, so nothing is lost without a connection
+  useEffect(() => {
+    if (!quizStarted) return;
+    updateOfflineAttempt(attemptId, {
+      answers,
+      flagged,
+      checked,
+      hints: revealedHints,
+      audio_plays: audioPlays,
+      audio_urls: audioUrls
+    }).catch(error => {
+      console.error('Error storing answers on this device:', error);
+    });
+  }, [answers, flagged, checked, revealedHints, audioPlays, audioUrls, quizStarted]);
+
+  // SyncStatus sends queued submissions; follow what happens to this one
+  useEffect(() => {
+    if (submissionState !== 'queued') return;
+
+    const handleStoreChange = async () => {
+      const stored = await getOfflineAttempt(attemptId);
+      if (!stored) {
+        toast.success('Your quiz has been submitted');
+        navigate(`/student/${studentId}/quiz-results/${attemptId}`);
+      } else if (stored.status === 'conflict') {
+        setSubmissionState('conflict');
+      }
+    };
+
+    window.addEventListener(OFFLINE_STORE_EVENT, handleStoreChange);
+    return () => window.removeEventListener(OFFLINE_STORE_EVENT, handleStoreChange);
+  }, [submissionState, attemptId]);
+
+  // Typing is debounced so an answer is saved once the student pauses
+  useEffect(() => {
+    if (!quizStarted) return;
+    const timer = setTimeout(autosaveAnswers, AUTOSAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [answers, flagged, quizStarted]);
+
+  // The countdown is recomputed from the deadline on every tick, so a paused or
+  // throttled tab cannot gain time
+  useEffect(() => {
+    if (!quizStarted || deadline === null) return;
+
+    const tick = () => {
+      const remaining = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+      setTimeRemaining(remaining);
+      if (remaining === 0) {
+        clearInterval(timer);
+        submitRef.current(true);
+      }
+    };
+
+    const timer = setInterval(tick, 1000);
+    tick();
     return () => clearInterval(timer);
-  }, [quizStarted, timeRemaining]);
+  }, [quizStarted, deadline]);
 
   const startQuiz = async () => {
     try {
       console.log('Starting quiz with params:', { categoryId, difficultyId });
-      
+
+      if (isOffline()) {
+        await resumeOfflineAttempt();
+        return;
+      }
+
+      // The number of questions and the time limit come from the quiz settings
       const response = await quizService.startQuiz({
         category_id: parseInt(categoryId),
         difficulty_id: parseInt(difficultyId),
-        question_count: 10 // Default to 10 questions
+        mode
       });
 
       console.log('Quiz start response:', response);
 
       if (!response.success) {
+        if (isNetworkError(response.error)) {
+          await resumeOfflineAttempt();
+          return;
+        }
+        // The server submits an unfinished attempt whose time has run out
+        if (response.data?.expired_attempt_id) {
+          toast.info(response.error);
+          navigate(`/student/${studentId}/quiz-results/${response.data.expired_attempt_id}`);
+          return;
+        }
         toast.error(response.error || 'Failed to start quiz');
         navigate(`/student/${studentId}`);
         return;
       }
 
-      const { attempt_id, questions, total_questions } = response.data;
+      const {
+        attempt_id, is_resumed, questions, passages, audio_plays, saved_answers, flagged_question_ids, checked_answers, total_questions,
+        time_limit_minutes, deadline_at, server_time, revealed_hints, hint_penalty
+      } = response.data;
       
       if (!questions || questions.length === 0) {
         toast.error('No questions available for this quiz');
@@ -82,15 +225,98 @@ const QuizTaking = () => {
         difficultyName = difficulty?.name || difficultyName;
       }
 
-      setQuiz({
+      const quizData = {
         questions: questions,
+        passages: passages || [],
         categoryName: categoryName,
         difficultyName: difficultyName,
-        totalQuestions: total_questions
-      });
-      
+        totalQuestions: total_questions,
+        timeLimitMinutes: time_limit_minutes ?? null,
+        hintPenalty: parseFloat(hint_penalty) || 0,
+        deadline: deadline_at
+          ? new Date(deadline_at).getTime() - (new Date(server_time).getTime() - Date.now())
+          : null
+      };
+      const serverPlays = Object.fromEntries((audio_plays || []).map(entry => [
+        entry.question_id ? `question-${entry.question_id}` : `passage-${entry.passage_id}`,
+        entry.plays
+      ]));
+
+      setQuiz(quizData);
       setAttemptId(attempt_id);
-      setTimeRemaining(1800); // 30 minutes default
+
+      // A resumed attempt comes back with the same questions and the answers saved so far
+      const restoredAnswers = {};
+      (saved_answers || []).forEach(saved => {
+        const question = questions.find(q => q.id === saved.question_id);
+        const answer = question ? restoreAnswer(question, saved) : undefined;
+        if (question && isAnswered(question, answer)) {
+          restoredAnswers[question.id] = answer;
+          savedPayloadsRef.current[question.id] = JSON.stringify(buildAnswerPayload(question, answer));
+        }
+      });
+
+      const restoredFlags = Object.fromEntries((flagged_question_ids || []).map(id => [id, true]));
+      savedFlagsRef.current = { ...restoredFlags };
+
+      // Changes made on this device that never reached the server win over the saved answers
+      const stored = await getOfflineAttempt(attempt_id).catch(() => null);
+
+      // Plays made offline never reached the server, so the higher count is kept
+      const playsUsed = { ...serverPlays };
+      Object.entries(stored?.audio_plays || {}).forEach(([key, plays]) => {
+        playsUsed[key] = Math.max(playsUsed[key] || 0, plays);
+      });
+      setAudioPlays(playsUsed);
+      setAudioUrls(stored?.audio_urls || {});
+
+      setAnswers(stored?.answers || restoredAnswers);
+      setFlagged(stored?.flagged || restoredFlags);
+      setChecked(Object.fromEntries((checked_answers || []).map(feedback => [feedback.question_id, feedback])));
+
+      const restoredHints = {};
+      [...(revealed_hints || [])]
+        .sort((a, b) => a.hint_number - b.hint_number)
+        .forEach(hint => {
+          restoredHints[hint.question_id] = [...(restoredHints[hint.question_id] || []), hint.hint_text];
+        });
+      setRevealedHints(restoredHints);
+
+      if (is_resumed) {
+        toast.info('Resuming your unfinished attempt');
+      }
+
+      if (stored?.status === 'queued') {
+        setSubmissionState('queued');
+        return;
+      }
+
+      try {
+        await saveOfflineAttempt({
+          attempt_id,
+          student_id: user.id,
+          category_id: parseInt(categoryId),
+          difficulty_id: parseInt(difficultyId),
+          mode,
+          quiz: quizData,
+          answers: stored?.answers || restoredAnswers,
+          flagged: stored?.flagged || restoredFlags,
+          hints: restoredHints,
+          audio_plays: playsUsed,
+          audio_urls: stored?.audio_urls || {}
+        });
+        await deleteOtherOfflineAttempts(user.id, parseInt(categoryId), parseInt(difficultyId), attempt_id, mode);
+      } catch (error) {
+        console.error('Error storing the quiz on this device:', error);
+      }
+
+      cacheQuizMedia([
+        ...questions.map(question => question.image_url),
+        ...(passages || []).map(passage => passage.image_url)
+      ]);
+
+      // No time limit leaves the timer off
+      setDeadline(quizData.deadline);
       setQuizStarted(true);
       
     } catch (error) {
@@ -102,13 +328,230 @@ const QuizTaking = () => {
     }
   };
 
-  const handleAnswerSelect = (questionId, optionId) => {
+  // Without a connection the quiz continues from the copy stored when it was started
+  const resumeOfflineAttempt = async () => {
+    const stored = await findOfflineAttempt(user.id, parseInt(categoryId), parseInt(difficultyId), mode).catch(() => null);
+
+    if (!stored || stored.status === 'conflict') {
+      toast.error('You are offline. Start the quiz while connected to continue it offline.');
+      navigate(`/student/${studentId}`);
+      return;
+    }
+
+    setQuiz(stored.quiz);
+    setAttemptId(stored.attempt_id);
+    setAudioPlays(stored.audio_plays || {});
+    setAudioUrls(stored.audio_urls || {});
+    setAnswers(stored.answers || {});
+    setFlagged(stored.flagged || {});
+    setChecked(stored.checked || {});
+    setRevealedHints(stored.hints || {});
+
+    if (stored.status === 'queued') {
+      setSubmissionState('queued');
+      return;
+    }
+
+    toast.info('You are offline. Your answers are kept on this device until the connection returns.');
+    setDeadline(stored.quiz.deadline ?? null);
+    setQuizStarted(true);
+  };
+
+  // Sends every answer and flag that changed since the last save; resolves to false if any save failed
+  const autosaveAnswers = () => {
+    const run = saveQueueRef.current.then(() => saveChanges(answers, flagged));
+    saveQueueRef.current = run.catch(() => false);
+    return run;
+  };
+
+  const saveChanges = async (answersToSave, flagsToSave) => {
+    const answerSaves = quiz.questions
+      .map(question => {
+        const answer = answersToSave[question.id];
+        const payload = isAnswered(question, answer) ? buildAnswerPayload(question, answer) : null;
+        return { question, payload, serialized: JSON.stringify(payload) };
+      })
+      .filter(({ question, serialized }) => (savedPayloadsRef.current[question.id] ?? 'null') !== serialized)
+      .map(({ question, payload, serialized }) => ({
+        send: () => quizService.saveAnswer(attemptId, question.id, payload),
+        onSaved: () => { savedPayloadsRef.current[question.id] = serialized; }
+      }));
+
+    const flagSaves = quiz.questions
+      .filter(question => !!flagsToSave[question.id] !== !!savedFlagsRef.current[question.id])
+      .map(question => {
+        const isFlagged = !!flagsToSave[question.id];
+        return {
+          send: () => quizService.setQuestionFlag(attemptId, question.id, isFlagged),
+          onSaved: () => { savedFlagsRef.current[question.id] = isFlagged; }
+        };
+      });
+
+    const changes = [...answerSaves, ...flagSaves];
+    if (changes.length === 0) return true;
+    // The changes are already on this device; they are sent once the connection returns
+    if (isOffline()) return false;
+
+    setSaveStatus('saving');
+    let allSaved = true;
+    let rejected = false;
+    for (const { send, onSaved } of changes) {
+      try {
+        const response = await send();
+        if (response.success) {
+          onSaved();
+        } else {
+          allSaved = false;
+          if (isNetworkError(response.error)) break;
+          rejected = true;
+        }
+      } catch (error) {
+        console.error('Error saving answer:', error);
+        allSaved = false;
+      }
+    }
+
+    // A save is rejected when the attempt was submitted elsewhere, e.g. in another tab
+    if (rejected && await isAttemptClosed(attemptId)) {
+      await markConflict();
+    }
+
+    setSaveStatus(allSaved ? 'saved' : 'error');
+    return allSaved;
+  };
+
+  const handleStructuredAnswerChange = (question, answer) => {
+    // A checked practice answer is final
+    if (checked[question.id]) return;
+
     setAnswers(prev => ({
       ...prev,
-      [questionId]: optionId
+      [question.id]: answer
     }));
   };
 
+  // Recordings are uploaded as soon as a take ends so submitting only sends the path
+  const handleRecordingComplete = async (question, blob, duration) => {
+    const mimeType = blob.type.split(';')[0] || 'audio/webm';
+    const extension = { 'audio/mp4': 'm4a', 'audio/ogg': 'ogg' }[mimeType] || 'webm';
+    const path = `${user.id}/${attemptId}/${question.id}-${Date.now()}.${extension}`;
+
+    setUploadingQuestionId(question.id);
+    try {
+      const response = await storageService.uploadFile(
+        SPEAKING_BUCKET,
+        path,
+        new File([blob], `${question.id}.${extension}`, { type: mimeType })
+      );
+
+      if (!response.success) {
+        toast.error(response.error || 'Failed to save recording');
+        return;
+      }
+
+      handleStructuredAnswerChange(question, { path, duration, mime_type: mimeType });
+    } catch (error) {
+      console.error('Error uploading recording:', error);
+      toast.error('Failed to save recording');
+    } finally {
+      setUploadingQuestionId(null);
+    }
+  };
+
+  // The server counts the play and only returns the audio URL while plays remain.
+  // Offline, a clip already handed out plays from the cache and the play is counted here
+  const handleRequestAudio = async (source) => {
+    const key = source.question_id ? `question-${source.question_id}` : `passage-${source.passage_id}`;
+
+    if (isOffline()) {
+      if (!audioUrls[key]) {
+        toast.error('This audio can only be played offline after it has been played once online');
+        return null;
+      }
+
+      setAudioPlays(prev => ({ ...prev, [key]: (prev[key] || 0) + 1 }));
+      return audioUrls[key];
+    }
+
+    try {
+      const response = await quizService.registerAudioPlay(attemptId, source);
+
+      if (!response.success) {
+        toast.error(response.error || 'Failed to play audio');
+        return null;
+      }
+
+      // Offline plays are not known to the server, so its count can be lower
+      setAudioPlays(prev => ({ ...prev, [key]: Math.max(response.data.plays_used, (prev[key] || 0) + 1) }));
+      setAudioUrls(prev => ({ ...prev, [key]: response.data.audio_url }));
+      cacheQuizMedia([response.data.audio_url]);
+      return response.data.audio_url;
+    } catch (error) {
+      console.error('Error playing audio:', error);
+      toast.error('Failed to play audio');
+      return null;
+    }
+  };
+
+  // Practice only: the server saves and grades the answer, then it can no longer change
+  const handleCheckAnswer = async (question) => {
+    if (isOffline()) {
+      toast.error('Answers can only be checked while you are online');
+      return;
+    }
+
+    const payload = buildAnswerPayload(question, answers[question.id]);
+    setCheckingQuestionId(question.id);
+    try {
+      const response = await quizService.checkPracticeAnswer(attemptId, question.id, payload);
+
+      if (!response.success) {
+        toast.error(response.error || 'Failed to check your answer');
+        return;
+      }
+
+      savedPayloadsRef.current[question.id] = JSON.stringify(payload);
+      setChecked(prev => ({ ...prev, [question.id]: response.data }));
+    } catch (error) {
+      console.error('Error checking answer:', error);
+      toast.error('Failed to check your answer');
+    } finally {
+      setCheckingQuestionId(null);
+    }
+  };
+
+  // The server records the reveal, so a hint used once keeps counting after a reload
+  const handleRevealHint = async (question) => {
+    if (isOffline()) {
+      toast.error('Hints can only be shown while you are online');
+      return;
+    }
+
+    setRevealingQuestionId(question.id);
+    try {
+      const response = await quizService.revealHint(attemptId, question.id);
+
+      if (!response.success) {
+        toast.error(response.error || 'Failed to show the hint');
+        return;
+      }
+
+      setRevealedHints(prev => ({
+        ...prev,
+        [question.id]: [...(prev[question.id] || []), response.data.hint_text]
+      }));
+    } catch (error) {
+      console.error('Error revealing hint:', error);
+      toast.error('Failed to show the hint');
+    } finally {
+      setRevealingQuestionId(null);
+    }
+  };
+
+  const handleToggleFlag = (questionId) => {
+    setFlagged(prev => ({ ...prev, [questionId]: !prev[questionId] }));
+  };
+
   const handleNextQuestion = () => {
     if (currentQuestionIndex < quiz.questions.length - 1) {
       setCurrentQuestionIndex(prev => prev + 1);
@@ -121,36 +564,88 @@ const QuizTaking = () => {
     }
   };
 
-  const handleSubmitQuiz = async () => {
-    if (Object.keys(answers).length === 0) {
-      toast.error('Please answer at least one question before submitting');
+  // `timeUp` submits without asking when the countdown reaches zero
+  const handleSubmitQuiz = async (timeUp = false) => {
+    if (submittingRef.current) return;
+
+    if (!timeUp) {
+      if (uploadingQuestionId) {
+        toast.error('Please wait until your recording has been saved');
+        return;
+      }
+
+      if (getAnsweredCount() === 0) {
+        toast.error('Please answer at least one question before submitting');
+        return;
+      }
+
+      // The review screen lists unanswered and flagged questions and submits from there
+      setShowReview(true);
       return;
     }
 
-    if (!window.confirm('Are you sure you want to submit your quiz? This action cannot be undone.')) {
+    toast.info('Time is up! Submitting your quiz...');
+    await runSubmission();
+  };
+  submitRef.current = handleSubmitQuiz;
+
+  const runSubmission = async () => {
+    if (submittingRef.current) return;
+
+    submittingRef.current = true;
+    setSubmitting(true);
+    try {
+      await submitAnswers();
+    } finally {
+      submittingRef.current = false;
+      setSubmitting(false);
+      setShowReview(false);
+    }
+  };
+
+  const handleReviewJump = (index) => {
+    setShowReview(false);
+    setCurrentQuestionIndex(index);
+  };
+
+  const submitAnswers = async () => {
+    const allAnswers = quiz.questions
+      .filter(question => isAnswered(question, answers[question.id]))
+      .map(question => buildAnswerPayload(question, answers[question.id]));
+
+    if (isOffline()) {
+      await queueSubmission(allAnswers);
       return;
     }
 
     try {
-      // Convert answers object to array format expected by backend
-      const answersArray = Object.entries(answers).map(([questionId, optionId]) => ({
-        question_id: parseInt(questionId),
-        selected_option_id: parseInt(optionId)
-      }));
-
-      console.log('Submitting quiz with data:', { attemptId, answersArray });
+      // The server grades the saved answers; if the last changes could not be saved, send them all
+      const allSaved = await autosaveAnswers();
 
       const response = await quizService.submitQuiz({
         attempt_id: attemptId,
-        answers: answersArray
+        answers: allSaved ? [] : allAnswers
       });
 
       if (!response.success) {
-        toast.error(response.error || 'Failed to submit quiz');
+        if (isNetworkError(response.error)) {
+          await queueSubmission(allAnswers);
+        } else if (await isAttemptClosed(attemptId)) {
+          await markConflict();
+        } else {
+          toast.error(response.error || 'Failed to submit quiz');
+        }
         return;
       }
-      
-      toast.success('Quiz submitted successfully!');
+
+      await deleteOfflineAttempt(attemptId).catch(() => null);
+      if (response.data?.is_late) {
+        toast.warning('Time was up, so only the answers saved before the deadline were counted.');
+      } else {
+        toast.success(practice ? 'Practice finished!' : response.data?.grading_status === 'pending'
+          ? 'Quiz submitted! Some answers will be graded by your tutor.'
+          : 'Quiz submitted successfully!');
+      }
       navigate(`/student/${studentId}/quiz-results/${attemptId}`);
     } catch (error) {
       console.error('Error submitting quiz:', error);
@@ -158,7 +653,35 @@ const QuizTaking = () => {
     }
   };
 
+  // The submission waits on this device; SyncStatus sends it when the connection returns
+  const queueSubmission = async (submission) => {
+    try {
+      await updateOfflineAttempt(attemptId, { status: 'queued', answers, submission });
+      setQuizStarted(false);
+      setSubmissionState('queued');
+      toast.info('You are offline. Your quiz will be submitted as soon as the connection returns.');
+    } catch (error) {
+      console.error('Error queueing submission:', error);
+      toast.error('Failed to submit quiz');
+    }
+  };
+
+  const markConflict = async () => {
+    await updateOfflineAttempt(attemptId, { status: 'conflict' }).catch(() => null);
+    setQuizStarted(false);
+    setSubmissionState('conflict');
+  };
+
+  // Resolving a conflict keeps the server's result and drops the copy on this device
+  const handleResolveConflict = async (showResults) => {
+    await deleteOfflineAttempt(attemptId).catch(() => null);
+    navigate(showResults
+      ? `/student/${studentId}/quiz-results/${attemptId}`
+      : `/student/${studentId}`);
+  };
+
   const formatTime = (seconds) => {
+    if (seconds === null) return 'No limit';
     const minutes = Math.floor(seconds / 60);
     const remainingSeconds = seconds % 60;
     return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
@@ -169,9 +692,11 @@ const QuizTaking = () => {
   };
 
   const getAnsweredCount = () => {
-    return Object.keys(answers).length;
+    return quiz.questions.filter(question => isAnswered(question, answers[question.id])).length;
   };
 
+  const getFlaggedCount = () => quiz.questions.filter(question => flagged[question.id]).length;
+
   if (loading) return <Loading message="Starting your quiz..." />;
 
   if (!quiz || !quiz.questions || quiz.questions.length === 0) {
@@ -197,9 +722,69 @@ const QuizTaking = () => {
     );
   }
 
+  if (submissionState) {
+    return (
+      <div className="container">
+        <div className="main-content">
+          <div className="card">
+            <div className="card-body text-center">
+              {submissionState === 'queued' ? (
+                <>
+                  <WifiOff size={48} className="text-blue-600 mx-auto mb-4" />
+                  <h2 className="text-2xl font-bold mb-4">Waiting for a Connection</h2>
+                  <p className="text-gray-600 mb-6">
+                    Your {getAnsweredCount()} answers are saved on this device. The quiz will be
+                    submitted automatically as soon as you are back online.
+                  </p>
+                  <button
+                    onClick={() => navigate(`/student/${studentId}`)}
+                    className="btn btn-outline"
+                  >
+                    Back to Dashboard
+                  </button>
+                </>
+              ) : (
+                <>
+                  <AlertCircle size={48} className="text-red-600 mx-auto mb-4" />
+                  <h2 className="text-2xl font-bold mb-4 text-red-600">Attempt Already Submitted</h2>
+                  <p className="text-gray-600 mb-6">
+                    This attempt was finalized on the server (for example from another tab or device)
+                    before the answers from this device arrived, so they could not be added.
+                  </p>
+                  <div className="flex justify-center gap-2">
+                    <button onClick={() => handleResolveConflict(true)} className="btn btn-primary">
+                      View Submitted Results
+                    </button>
+                    <button onClick={() => handleResolveConflict(false)} className="btn btn-outline">
+                      Back to Dashboard
+                    </button>
+                  </div>
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   const currentQuestion = quiz.questions[currentQuestionIndex];
+  const isMultiSelect = getQuestionType(currentQuestion) === QUESTION_TYPES.MULTIPLE_SELECT;
+  const isCloze = getQuestionType(currentQuestion) === QUESTION_TYPES.CLOZE;
   const isLastQuestion = currentQuestionIndex === quiz.questions.length - 1;
   const isFirstQuestion = currentQuestionIndex === 0;
+  const isRunningOut = timeRemaining !== null && timeRemaining < 300;
+  const currentPassage = quiz.passages.find(passage => passage.id === currentQuestion.passage_id);
+
+  // Questions of a passage are drawn next to each other
+  const getPassageRange = (passageId) => {
+    const numbers = quiz.questions
+      .map((question, index) => (question.passage_id === passageId ? index + 1 : null))
+      .filter(Boolean);
+    return numbers.length > 1
+      ? `Questions ${numbers[0]}–${numbers[numbers.length - 1]} refer to this passage`
+      : `Question ${numbers[0]} refers to this passage`;
+  };
 
   return (
     <div className="container">
@@ -210,20 +795,36 @@ const QuizTaking = () => {
             <div className="flex justify-between items-center mb-4">
               <div>
                 <h1 className="text-2xl font-bold">{quiz.categoryName} Quiz</h1>
-                <p className="text-gray-600">{quiz.difficultyName} Level</p>
+                <p className="text-gray-600">
+                  {quiz.difficultyName} Level{practice && ' • Practice (does not count towards your scores)'}
+                </p>
               </div>
               
               {/* Timer */}
               <div className="quiz-timer">
                 <div className="flex items-center gap-2">
-                  <Clock size={20} className={timeRemaining < 300 ? 'text-red-600' : 'text-blue-600'} />
-                  <span className={`font-bold ${timeRemaining < 300 ? 'text-red-600' : 'text-blue-600'}`}>
+                  <Clock size={20} className={isRunningOut ? 'text-red-600' : 'text-blue-600'} />
+                  <span className={`font-bold ${isRunningOut ? 'text-red-600' : 'text-blue-600'}`}>
                     {formatTime(timeRemaining)}
                   </span>
                 </div>
-                {timeRemaining < 300 && (
+                {isRunningOut && (
                   <p className="text-xs text-red-600 mt-1">Time running out!</p>
                 )}
+                {!isOnline ? (
+                  <p className="text-xs text-gray-500 mt-1 flex items-center gap-1">
+                    <WifiOff size={12} />
+                    Offline: answers kept on this device
+                  </p>
+                ) : saveStatus && (
+                  <p className={`text-xs mt-1 ${saveStatus === 'error' ? 'text-red-600' : 'text-gray-500'}`}>
+                    {saveStatus === 'saving'
+                      ? 'Saving...'
+                      : saveStatus === 'saved'
+                        ? 'All answers saved'
+                        : 'Some answers are only on this device'}
+                  </p>
+                )}
               </div>
             </div>
 
@@ -247,96 +848,162 @@ const QuizTaking = () => {
 
             {/* Question Navigation */}
             <div className="flex gap-2 overflow-x-auto pb-2">
-              {quiz.questions.map((_, index) => (
+              {quiz.questions.map((question, index) => (
                 <button
                   key={index}
                   onClick={() => setCurrentQuestionIndex(index)}
-                  className={`flex-shrink-0 w-8 h-8 rounded-full text-sm font-medium transition-colors ${
+                  title={flagged[question.id] ? 'Flagged for review' : undefined}
+                  className={`relative flex-shrink-0 w-8 h-8 rounded-full text-sm font-medium transition-colors ${
                     index === currentQuestionIndex
                       ? 'bg-blue-600 text-white'
-                      : answers[quiz.questions[index].id]
+                      : isAnswered(question, answers[question.id])
                       ? 'bg-green-100 text-green-800 border border-green-300'
                       : 'bg-gray-100 text-gray-600 border border-gray-300'
                   }`}
                 >
                   {index + 1}
+                  {flagged[question.id] && <Flag size={12} className="palette-flag" fill="currentColor" />}
                 </button>
               ))}
             </div>
           </div>
         </div>
 
-        {/* Current Question */}
-        <div className="card mb-6">
-          <div className="card-body">
-            <div className="mb-6">
-              <h2 className="text-xl font-semibold mb-4">
-                Question {currentQuestionIndex + 1}: {currentQuestion.question_text}
-              </h2>
-            </div>
-
-            <div className="space-y-3">
-              {currentQuestion.options && currentQuestion.options.map(option => {
-                const isSelected = answers[currentQuestion.id] === option.id;
-                
-                return (
-                  <div
-                    key={option.id}
-                    className={`p-4 rounded-lg border-2 cursor-pointer transition-all duration-200 hover:bg-gray-50 ${
-                      isSelected 
-                        ? 'border-blue-500 bg-blue-50' 
-                        : 'border-gray-200 hover:border-gray-300'
-                    }`}
-                    onClick={() => handleAnswerSelect(currentQuestion.id, option.id)}
-                  >
-                    <div className="flex items-center gap-3">
-                      <div className={`w-4 h-4 rounded-full border-2 flex items-center justify-center ${
-                        isSelected 
-                          ? 'border-blue-600 bg-blue-600' 
-                          : 'border-gray-300'
-                      }`}>
-                        {isSelected && (
-                          <div className="w-2 h-2 bg-white rounded-full"></div>
-                        )}
-                      </div>
-                      <span className="flex-1 text-gray-800">{option.option_text}</span>
-                    </div>
-                  </div>
-                );
-              })}
-            </div>
-
-            {/* Navigation Buttons */}
-            <div className="flex justify-between items-center mt-8">
-              <button
-                onClick={handlePreviousQuestion}
-                disabled={isFirstQuestion}
-                className={`btn flex items-center gap-2 ${
-                  isFirstQuestion ? 'btn-disabled' : 'btn-outline'
-                }`}
-              >
-                <ArrowLeft size={16} />
-                Previous
-              </button>
-
-              <div className="flex gap-3">
-                {!isLastQuestion ? (
+        {/* Current Question, next to its passage when it has one */}
+        <div className={currentPassage ? 'passage-layout mb-6' : ''}>
+          {currentPassage && (
+            <ReadingPassage
+              passage={currentPassage}
+              subtitle={getPassageRange(currentPassage.id)}
+              className="passage-pane"
+            >
+              {currentPassage.has_audio && (
+                <ListeningPlayer
+                  key={`passage-${currentPassage.id}`}
+                  maxPlays={currentPassage.max_plays}
+                  playsUsed={audioPlays[`passage-${currentPassage.id}`] || 0}
+                  examMode={!practice}
+                  onRequestPlay={() => handleRequestAudio({ passage_id: currentPassage.id })}
+                />
+              )}
+            </ReadingPassage>
+          )}
+          <div className={`card ${currentPassage ? '' : 'mb-6'}`}>
+            <div className="card-body">
+              <div className="mb-6">
+                <div className="flex justify-between items-start gap-4 mb-4">
+                  <h2 className="text-xl font-semibold">
+                    Question {currentQuestionIndex + 1}: {isCloze ? 'Fill in the blanks' : currentQuestion.question_text}
+                  </h2>
                   <button
-                    onClick={handleNextQuestion}
-                    className="btn btn-primary flex items-center gap-2"
+                    onClick={() => handleToggleFlag(currentQuestion.id)}
+                    className={`btn btn-sm flex-shrink-0 ${flagged[currentQuestion.id] ? 'btn-warning' : 'btn-outline'}`}
                   >
-                    Next
-                    <ArrowRight size={16} />
+                    <Flag size={14} />
+                    {flagged[currentQuestion.id] ? 'Flagged' : 'Flag for review'}
                   </button>
-                ) : (
+                </div>
+                {isMultiSelect && (
+                  <p className="text-sm text-blue-600">Select all answers that apply.</p>
+                )}
+                {currentQuestion.points !== undefined && (
+                  <p className="text-sm text-gray-500">{formatPoints(currentQuestion.points)}</p>
+                )}
+              </div>
+
+              {currentQuestion.has_audio && (
+                <ListeningPlayer
+                  key={`question-${currentQuestion.id}`}
+                  maxPlays={currentQuestion.max_plays}
+                  playsUsed={audioPlays[`question-${currentQuestion.id}`] || 0}
+                  examMode={!practice}
+                  onRequestPlay={() => handleRequestAudio({ question_id: currentQuestion.id })}
+                />
+              )}
+
+              <QuestionInput
+                question={currentQuestion}
+                value={answers[currentQuestion.id]}
+                onChange={(answer) => handleStructuredAnswerChange(currentQuestion, answer)}
+                uploading={uploadingQuestionId === currentQuestion.id}
+                onRecorded={(blob, duration) => handleRecordingComplete(currentQuestion, blob, duration)}
+              />
+
+              {(revealedHints[currentQuestion.id] || []).length > 0 && (
+                <div className="p-3 bg-yellow-50 border-l-4 border-yellow-500 rounded-r mt-4">
+                  {revealedHints[currentQuestion.id].map((hint, index) => (
+                    <p key={index} className="text-sm text-yellow-800">
+                      <strong>Hint {index + 1}:</strong> {hint}
+                    </p>
+                  ))}
+                </div>
+              )}
+
+              {currentQuestion.hint_count > (revealedHints[currentQuestion.id] || []).length &&
+                !(practice && checked[currentQuestion.id]) && (
+                <div className="flex items-center gap-3 mt-4">
                   <button
-                    onClick={handleSubmitQuiz}
-                    className="btn btn-success flex items-center gap-2"
+                    onClick={() => handleRevealHint(currentQuestion)}
+                    disabled={revealingQuestionId === currentQuestion.id}
+                    className="btn btn-sm btn-outline flex items-center gap-2"
                   >
-                    <CheckCircle size={16} />
-                    Submit Quiz
+                    <Lightbulb size={14} />
+                    {revealingQuestionId === currentQuestion.id ? 'Loading...' : 'Show Hint'}
                   </button>
-                )}
+                  <span className="text-sm text-gray-500">
+                    {quiz.hintPenalty > 0
+                      ? `Each hint costs ${quiz.hintPenalty}% of this question's points`
+                      : 'Hints are free here'}
+                  </span>
+                </div>
+              )}
+
+              {practice && checked[currentQuestion.id] && (
+                <PracticeFeedback question={currentQuestion} feedback={checked[currentQuestion.id]} />
+              )}
+
+              {/* Navigation Buttons */}
+              <div className="flex justify-between items-center mt-8">
+                <button
+                  onClick={handlePreviousQuestion}
+                  disabled={isFirstQuestion}
+                  className={`btn flex items-center gap-2 ${
+                    isFirstQuestion ? 'btn-disabled' : 'btn-outline'
+                  }`}
+                >
+                  <ArrowLeft size={16} />
+                  Previous
+                </button>
+
+                <div className="flex gap-3">
+                  {practice && !checked[currentQuestion.id] && (
+                    <button
+                      onClick={() => handleCheckAnswer(currentQuestion)}
+                      disabled={!isAnswered(currentQuestion, answers[currentQuestion.id]) || checkingQuestionId === currentQuestion.id}
+                      className="btn btn-outline flex items-center gap-2"
+                    >
+                      <CheckCircle size={16} />
+                      {checkingQuestionId === currentQuestion.id ? 'Checking...' : 'Check Answer'}
+                    </button>
+                  )}
+                  {!isLastQuestion ? (
+                    <button
+                      onClick={handleNextQuestion}
+                      className="btn btn-primary flex items-center gap-2"
+                    >
+                      Next
+                      <ArrowRight size={16} />
+                    </button>
+                  ) : (
+                    <button
+                      onClick={() => handleSubmitQuiz()}
+                      className="btn btn-success flex items-center gap-2"
+                    >
+                      <CheckCircle size={16} />
+                      Submit Quiz
+                    </button>
+                  )}
+                </div>
               </div>
             </div>
           </div>
@@ -367,6 +1034,17 @@ const QuizTaking = () => {
               </div>
             </div>
 
+            {getFlaggedCount() > 0 && (
+              <div className="mt-4 p-3 bg-orange-50 border border-orange-200 rounded-lg">
+                <div className="flex items-center gap-2">
+                  <Flag size={16} className="text-orange-600" />
+                  <span className="text-sm text-orange-800">
+                    You flagged {getFlaggedCount()} question{getFlaggedCount() === 1 ? '' : 's'} for review.
+                  </span>
+                </div>
+              </div>
+            )}
+
             {getAnsweredCount() < quiz.questions.length && (
               <div className="mt-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
                 <div className="flex items-center gap-2">
@@ -380,7 +1058,7 @@ const QuizTaking = () => {
 
             <div className="mt-4 pt-4 border-t">
               <button
-                onClick={handleSubmitQuiz}
+                onClick={() => handleSubmitQuiz()}
                 className="btn btn-success w-full flex items-center justify-center gap-2"
                 disabled={getAnsweredCount() === 0}
               >
@@ -390,6 +1068,18 @@ const QuizTaking = () => {
             </div>
           </div>
         </div>
+
+        {showReview && (
+          <SubmitReviewModal
+            questions={quiz.questions}
+            answers={answers}
+            flagged={flagged}
+            submitting={submitting}
+            onJump={handleReviewJump}
+            onCancel={() => setShowReview(false)}
+            onSubmit={runSubmission}
+          />
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,217 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { reviewService } from '../services/supabaseService.js';
+import { toast } from 'react-toastify';
+import Loading from '../components/Loading.jsx';
+import QuestionInput from '../components/QuestionInput.jsx';
+import ReadingPassage from '../components/ReadingPassage.jsx';
+import PracticeFeedback from '../components/PracticeFeedback.jsx';
+import {
+  QUESTION_TYPES,
+  getQuestionType,
+  isAnswered,
+  buildAnswerPayload
+} from '../lib/questionTypes.js';
+import { ArrowLeft, ArrowRight, CheckCircle, RotateCcw } from 'lucide-react';
+
+const describeNextReview = (days) =>
+  days === 1 ? 'You will see this question again tomorrow.' : `You will see this question again in ${days} days.`;
+
+// Works through the student's due review items one at a time; each answer is
+// graded right away and reschedules the item
+const ReviewSession = () => {
+  const { studentId } = useParams();
+
+  const [loading, setLoading] = useState(true);
+  const [items, setItems] = useState([]);
+  const [passages, setPassages] = useState([]);
+  const [currentIndex, setCurrentIndex] = useState(0);
+  const [answer, setAnswer] = useState(undefined);
+  const [feedback, setFeedback] = useState(null);
+  const [checking, setChecking] = useState(false);
+  const [correctCount, setCorrectCount] = useState(0);
+
+  useEffect(() => {
+    fetchSession();
+  }, []);
+
+  const fetchSession = async () => {
+    try {
+      const response = await reviewService.getReviewSession();
+
+      if (!response.success) {
+        toast.error(response.error || 'Failed to load your review');
+        return;
+      }
+
+      setItems(response.data.items || []);
+      setPassages(response.data.passages || []);
+    } catch (error) {
+      console.error('Error loading review session:', error);
+      toast.error('Failed to load your review');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCheck = async () => {
+    const item = items[currentIndex];
+    if (!isAnswered(item.question, answer)) return;
+
+    setChecking(true);
+    try {
+      const response = await reviewService.submitReviewAnswer(item.id, buildAnswerPayload(item.question, answer));
+
+      if (!response.success) {
+        toast.error(response.error || 'Failed to check your answer');
+        return;
+      }
+
+      setFeedback(response.data);
+      if (response.data.is_correct) {
+        setCorrectCount(prev => prev + 1);
+      }
+    } catch (error) {
+      console.error('Error checking review answer:', error);
+      toast.error('Failed to check your answer');
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const handleNext = () => {
+    setCurrentIndex(prev => prev + 1);
+    setAnswer(undefined);
+    setFeedback(null);
+  };
+
+  if (loading) return <Loading message="Loading your review..." />;
+
+  const backLink = (
+    <Link to={`/student/${studentId}`} className="btn btn-primary">
+      Back to Dashboard
+    </Link>
+  );
+
+  if (items.length === 0) {
+    return (
+      <div className="container">
+        <div className="main-content">
+          <div className="card">
+            <div className="card-body text-center">
+              <CheckCircle size={48} className="text-green-600 mx-auto mb-4" />
+              <h2 className="text-2xl font-bold mb-4">Nothing to Review Today</h2>
+              <p className="text-gray-600 mb-6">
+                Questions you miss in quizzes are added to your review and come back when it is time to practise them.
+              </p>
+              {backLink}
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (currentIndex >= items.length) {
+    return (
+      <div className="container">
+        <div className="main-content">
+          <div className="card">
+            <div className="card-body text-center">
+              <RotateCcw size={48} className="text-blue-600 mx-auto mb-4" />
+              <h2 className="text-2xl font-bold mb-4">Review Complete</h2>
+              <p className="text-gray-600 mb-6">
+                You answered {correctCount} of {items.length} questions correctly. Questions you missed come back
+                tomorrow; the others are spaced further apart each time you get them right.
+              </p>
+              {backLink}
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const item = items[currentIndex];
+  const question = item.question;
+  const isCloze = getQuestionType(question) === QUESTION_TYPES.CLOZE;
+  const isMultiSelect = getQuestionType(question) === QUESTION_TYPES.MULTIPLE_SELECT;
+  const passage = passages.find(p => p.id === question.passage_id);
+
+  return (
+    <div className="container">
+      <div className="main-content">
+        <div className="flex items-center gap-4 mb-6">
+          <Link to={`/student/${studentId}`} className="btn btn-outline">
+            <ArrowLeft size={16} />
+            Dashboard
+          </Link>
+          <div>
+            <h1 className="text-3xl font-bold">Review</h1>
+            <p className="text-gray-600">Question {currentIndex + 1} of {items.length}</p>
+          </div>
+        </div>
+
+        <div className={passage ? 'passage-layout mb-6' : ''}>
+          {passage && (
+            <ReadingPassage passage={passage} className="passage-pane">
+              {passage.audio_url && (
+                <audio controls src={passage.audio_url} className="w-full mb-3" />
+              )}
+            </ReadingPassage>
+          )}
+          <div className="card">
+            <div className="card-body">
+              <div className="mb-6">
+                <h2 className="text-xl font-semibold mb-4">
+                  {isCloze ? 'Fill in the blanks' : question.question_text}
+                </h2>
+                {isMultiSelect && (
+                  <p className="text-sm text-blue-600">Select all answers that apply.</p>
+                )}
+              </div>
+
+              {question.audio_url && (
+                <audio controls src={question.audio_url} className="w-full mb-4" />
+              )}
+
+              <QuestionInput
+                key={item.id}
+                question={question}
+                value={answer}
+                onChange={(value) => !feedback && setAnswer(value)}
+              />
+
+              {feedback && (
+                <>
+                  <PracticeFeedback question={question} feedback={feedback} />
+                  <p className="text-sm text-gray-600 mt-4">{describeNextReview(feedback.interval_days)}</p>
+                </>
+              )}
+
+              <div className="flex justify-end mt-8">
+                {feedback ? (
+                  <button onClick={handleNext} className="btn btn-primary flex items-center gap-2">
+                    {currentIndex === items.length - 1 ? 'Finish' : 'Next'}
+                    <ArrowRight size={16} />
+                  </button>
+                ) : (
+                  <button
+                    onClick={handleCheck}
+                    disabled={checking || !isAnswered(question, answer)}
+                    className="btn btn-primary flex items-center gap-2"
+                  >
+                    <CheckCircle size={16} />
+                    {checking ? 'Checking...' : 'Check Answer'}
+                  </button>
+                )}
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReviewSession;
@@ -0,0 +1,216 @@
+import React, { useState, useEffect } from 'react';
+import { gradingService } from '../services/supabaseService.js';
+import { toast } from 'react-toastify';
+import Loading from '../components/Loading.jsx';
+import RecordingPlayer from '../components/RecordingPlayer.jsx';
+import { QUESTION_TYPES } from '../lib/questionTypes.js';
+import { Mic, Search, Save } from 'lucide-react';
+
+const SpeakingReview = () => {
+  const [loading, setLoading] = useState(true);
+  const [submissions, setSubmissions] = useState([]);
+  const [search, setSearch] = useState('');
+  const [grades, setGrades] = useState({});
+  const [savingId, setSavingId] = useState(null);
+
+  useEffect(() => {
+    fetchSubmissions();
+  }, []);
+
+  const fetchSubmissions = async () => {
+    try {
+      const response = await gradingService.getGradingQueue();
+
+      if (!response.success) {
+        toast.error(response.error || 'Failed to load speaking submissions');
+        setSubmissions([]);
+        return;
+      }
+
+      setSubmissions((response.data || []).filter(item => item.question_type === QUESTION_TYPES.SPEAKING));
+    } catch (error) {
+      console.error('Error fetching speaking submissions:', error);
+      toast.error('Failed to load speaking submissions');
+      setSubmissions([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const getGrade = (answerId) => grades[answerId] || { score: '', comment: '' };
+
+  const handleGradeChange = (answerId, field, value) => {
+    setGrades(prev => ({
+      ...prev,
+      [answerId]: { ...getGrade(answerId), [field]: value }
+    }));
+  };
+
+  const handleSaveGrade = async (item) => {
+    const grade = getGrade(item.answer_id);
+    const score = parseFloat(grade.score);
+
+    if (isNaN(score) || score < 0 || score > 100) {
+      toast.error('Enter a score between 0 and 100');
+      return;
+    }
+
+    setSavingId(item.answer_id);
+    try {
+      const response = await gradingService.gradeAnswer(item.answer_id, score / 100, grade.comment);
+
+      if (!response.success) {
+        toast.error(response.error || 'Failed to save score');
+        return;
+      }
+
+      toast.success('Score saved');
+      setSubmissions(prev => prev.filter(entry => entry.answer_id !== item.answer_id));
+    } catch (error) {
+      console.error('Error saving score:', error);
+      toast.error('Failed to save score');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const filteredSubmissions = submissions.filter(item => {
+    if (!search) return true;
+    const term = search.toLowerCase();
+    return (
+      `${item.student?.first_name} ${item.student?.last_name}`.toLowerCase().includes(term) ||
+      item.question_text?.toLowerCase().includes(term)
+    );
+  });
+
+  if (loading) return <Loading message="Loading speaking submissions..." />;
+
+  return (
+    <div className="container">
+      <div className="main-content">
+        <div className="flex justify-between items-center mb-6">
+          <h1 className="text-3xl font-bold">Speaking Review</h1>
+          <span className="badge badge-warning">
+            {submissions.length} recording{submissions.length === 1 ? '' : 's'} to review
+          </span>
+        </div>
+
+        {/* Filters */}
+        <div className="card mb-6">
+          <div className="card-body">
+            <div className="form-group">
+              <label className="form-label">Search</label>
+              <div className="relative">
+                <Search size={16} className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" />
+                <input
+                  type="text"
+                  value={search}
+                  onChange={(e) => setSearch(e.target.value)}
+                  className="form-control pl-10"
+                  placeholder="Search by student or prompt..."
+                />
+              </div>
+            </div>
+          </div>
+        </div>
+
+        {/* Submissions */}
+        <div className="space-y-4">
+          {filteredSubmissions.length === 0 ? (
+            <div className="card">
+              <div className="card-body text-center py-12">
+                <Mic size={48} className="text-gray-400 mx-auto mb-4" />
+                <h3 className="text-xl font-semibold text-gray-600 mb-2">No Recordings to Review</h3>
+                <p className="text-gray-500">
+                  {search
+                    ? 'No recordings match your search.'
+                    : 'All speaking submissions have been scored.'}
+                </p>
+              </div>
+            </div>
+          ) : (
+            filteredSubmissions.map(item => {
+              const grade = getGrade(item.answer_id);
+              return (
+                <div key={item.answer_id} className="card">
+                  <div className="card-body">
+                    <div className="flex items-center gap-4 mb-2">
+                      <h3 className="font-semibold text-lg">
+                        {item.student?.first_name} {item.student?.last_name}
+                      </h3>
+                      <span className="text-sm text-gray-500">
+                        {new Date(item.completed_at).toLocaleDateString()}
+                      </span>
+                    </div>
+
+                    <div className="flex items-center gap-2 mb-3">
+                      <span className="badge badge-info">{item.category_name}</span>
+                      <span className="badge badge-warning">{item.difficulty_name}</span>
+                    </div>
+
+                    <p className="text-gray-800 font-medium mb-3">{item.question_text}</p>
+
+                    <div className="bg-blue-50 p-4 rounded-lg mb-3">
+                      <div className="flex justify-between items-center mb-2">
+                        <h4 className="font-medium text-blue-800">Recording:</h4>
+                        {item.answer_data?.duration !== undefined && (
+                          <span className="text-sm text-blue-700">{item.answer_data.duration}s</span>
+                        )}
+                      </div>
+                      <RecordingPlayer path={item.answer_data?.path} />
+                    </div>
+
+                    {item.explanation && (
+                      <div className="bg-green-50 p-4 rounded-lg mb-3">
+                        <h4 className="font-medium text-green-800 mb-2">Model Answer / Explanation:</h4>
+                        <p className="text-green-700">{item.explanation}</p>
+                      </div>
+                    )}
+
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                      <div className="form-group">
+                        <label className="form-label">Score (%) *</label>
+                        <input
+                          type="number"
+                          min="0"
+                          max="100"
+                          value={grade.score}
+                          onChange={(e) => handleGradeChange(item.answer_id, 'score', e.target.value)}
+                          className="form-control"
+                        />
+                      </div>
+
+                      <div className="form-group md:col-span-2">
+                        <label className="form-label">Comment (Optional)</label>
+                        <textarea
+                          value={grade.comment}
+                          onChange={(e) => handleGradeChange(item.answer_id, 'comment', e.target.value)}
+                          className="form-control"
+                          rows="3"
+                          placeholder="Pronunciation, fluency, accuracy..."
+                        />
+                      </div>
+                    </div>
+
+                    <div className="flex justify-end">
+                      <button
+                        onClick={() => handleSaveGrade(item)}
+                        disabled={savingId === item.answer_id}
+                        className="btn btn-primary"
+                      >
+                        <Save size={16} />
+                        {savingId === item.answer_id ? 'Saving...' : 'Save Score'}
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              );
+            })
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SpeakingReview;
@@ -1,10 +1,12 @@
 import React, { useState, useEffect } from 'react';
 import { Link, useParams } from 'react-router-dom';
-import { quizService, analyticsService, feedbackService, categoriesService } from '../services/supabaseService.js';
+import { quizService, analyticsService, feedbackService, categoriesService, reviewService } from '../services/supabaseService.js';
+import { describeAttempts, formatTimeLimit } from '../lib/quizSettings.js';
 import { useAuth } from '../contexts/AuthContext.jsx';
 import { toast } from 'react-toastify';
 import Loading from '../components/Loading.jsx';
-import { BookOpen, Clock, Award, TrendingUp, Play, MessageSquare } from 'lucide-react';
+import CefrLevelList from '../components/CefrLevelList.jsx';
+import { BookOpen, Clock, Award, TrendingUp, Play, MessageSquare, Compass, RotateCcw, Star } from 'lucide-react';
 import { Line, Doughnut } from 'react-chartjs-2';
 import { Chart as ChartJS, LineElement, ArcElement, CategoryScale, LinearScale, PointElement, Tooltip, Legend } from 'chart.js';
 
@@ -16,6 +18,9 @@ const StudentDashboard = () => {
   const [loading, setLoading] = useState(true);
   const [dashboardData, setDashboardData] = useState(null);
   const [availableQuizzes, setAvailableQuizzes] = useState([]);
+  const [adaptiveCategories, setAdaptiveCategories] = useState([]);
+  const [reviewSummary, setReviewSummary] = useState(null);
+  const [placementTaken, setPlacementTaken] = useState(false);
   const [recentResults, setRecentResults] = useState([]);
   const [feedback, setFeedback] = useState([]);
 
@@ -27,11 +32,12 @@ const StudentDashboard = () => {
     try {
       const currentStudentId = studentId || user?.id;
       
-      const [quizzesRes, resultsRes, feedbackRes, progressRes] = await Promise.allSettled([
-        categoriesService.getAvailableQuizzes(),
+      const [quizzesRes, resultsRes, feedbackRes, progressRes, reviewRes] = await Promise.allSettled([
+        categoriesService.getAvailableQuizzes(currentStudentId),
         quizService.getQuizResults({ student_id: currentStudentId }),
         feedbackService.getStudentFeedback(currentStudentId),
-        analyticsService.getStudentProgress(currentStudentId)
+        analyticsService.getStudentProgress(currentStudentId),
+        reviewService.getReviewSummary()
       ]);
 
       // Handle available quizzes
@@ -45,6 +51,8 @@ const StudentDashboard = () => {
           console.log('Quiz data from RPC:', data);
           
           if (Array.isArray(data)) {
+            setPlacementTaken(data.some(category => category.recommended_difficulty_id));
+
             // Transform categories with difficulties into flat quiz list
             data.forEach(category => {
               if (category.difficulties && Array.isArray(category.difficulties)) {
@@ -56,7 +64,9 @@ const StudentDashboard = () => {
                       description: category.description,
                       difficulty_id: difficulty.id,
                       difficulty_name: difficulty.name,
-                      question_count: difficulty.question_count
+                      question_count: difficulty.question_count,
+                      policy: difficulty.policy,
+                      is_recommended: difficulty.is_recommended
                     });
                   }
                 });
@@ -68,7 +78,8 @@ const StudentDashboard = () => {
         else if (quizzesRes.value && quizzesRes.value.data && Array.isArray(quizzesRes.value.data)) {
           const data = quizzesRes.value.data;
           console.log('Direct RPC data:', data);
-          
+          setPlacementTaken(data.some(category => category.recommended_difficulty_id));
+
           data.forEach(category => {
             if (category.difficulties && Array.isArray(category.difficulties)) {
               category.difficulties.forEach(difficulty => {
@@ -79,7 +90,9 @@ const StudentDashboard = () => {
                     description: category.description,
                     difficulty_id: difficulty.id,
                     difficulty_name: difficulty.name,
-                    question_count: difficulty.question_count
+                    question_count: difficulty.question_count,
+                    policy: difficulty.policy,
+                    is_recommended: difficulty.is_recommended
                   });
                 }
               });
@@ -131,24 +144,21 @@ const StudentDashboard = () => {
         console.log('Quiz results error:', resultsRes.reason);
       }
       
-      // Create a set of completed quiz combinations for this student
-      const completedQuizzes = new Set();
-      results.forEach(result => {
-        if (result.is_completed) {
-          completedQuizzes.add(`${result.category_id}-${result.difficulty_id}`);
-        }
-      });
+      // Hide quizzes whose attempts are used up; ones in a cooldown stay listed
+      const availableQuizzes = quizzes.filter(quiz =>
+        !quiz.policy || quiz.policy.can_start || quiz.policy.next_attempt_at
+      );
       
-      // Filter out completed quizzes from available quizzes
-      const availableQuizzes = quizzes.filter(quiz => {
-        const quizKey = `${quiz.category_id}-${quiz.difficulty_id}`;
-        return !completedQuizzes.has(quizKey);
-      });
-      
-      console.log('Completed quizzes:', Array.from(completedQuizzes));
       console.log('Filtered available quizzes:', availableQuizzes);
       setAvailableQuizzes(availableQuizzes);
+      // Adaptive quizzes draw from every level of a category and have no attempt limit
+      setAdaptiveCategories(quizzes.filter((quiz, index) =>
+        quizzes.findIndex(other => other.category_id === quiz.category_id) === index
+      ));
       setRecentResults(Array.isArray(results) ? results.slice(0, 5) : []);
+      if (reviewRes.status === 'fulfilled' && reviewRes.value.success) {
+        setReviewSummary(reviewRes.value.data);
+      }
 
       // Handle feedback
       let feedbackData = [];
@@ -178,7 +188,8 @@ const StudentDashboard = () => {
           categoryProgress: data.categoryStats ? Object.entries(data.categoryStats).map(([name, stats]) => ({
             category_name: name,
             attempts: stats.attempts || 0,
-            average_score: stats.averageScore || 0
+            average_score: stats.averageScore || 0,
+            cefr: stats.cefr || null
           })) : []
         };
       } else {
@@ -363,6 +374,110 @@ const StudentDashboard = () => {
           </div>
         </div>
 
+        {/* Estimated CEFR level per skill */}
+        {dashboardData?.categoryProgress?.length > 0 && (
+          <div className="card mb-8">
+            <div className="card-header">
+              <h2 className="card-title">Your CEFR Levels</h2>
+            </div>
+            <div className="card-body">
+              <CefrLevelList categories={dashboardData.categoryProgress} />
+            </div>
+          </div>
+        )}
+
+        {/* Placement test for students who have not been placed yet */}
+        {!placementTaken && adaptiveCategories.length > 0 && (
+          <div className="card mb-8">
+            <div className="card-body flex justify-between items-center gap-4">
+              <div className="flex items-center gap-3">
+                <Compass size={32} className="text-blue-600" />
+                <div>
+                  <h2 className="text-xl font-semibold">Not sure where to start?</h2>
+                  <p className="text-gray-600 text-sm">
+                    Take a short placement test. It covers every category and recommends a level to start
+                    each one from.
+                  </p>
+                </div>
+              </div>
+              <Link
+                to={`/student/${currentStudentId}/placement`}
+                className="btn btn-primary flex items-center gap-2"
+              >
+                <Play size={16} />
+                Start Placement Test
+              </Link>
+            </div>
+          </div>
+        )}
+
+        {/* Review of missed questions */}
+        {reviewSummary?.total_count > 0 && (
+          <div className="card mb-8">
+            <div className="card-body flex justify-between items-center gap-4">
+              <div className="flex items-center gap-3">
+                <RotateCcw size={32} className="text-blue-600" />
+                <div>
+                  <h2 className="text-xl font-semibold">
+                    {reviewSummary.due_count} item{reviewSummary.due_count === 1 ? '' : 's'} due today
+                  </h2>
+                  <p className="text-gray-600 text-sm">
+                    {reviewSummary.due_count > 0
+                      ? 'Questions you missed come back at growing intervals until they stick.'
+                      : reviewSummary.next_due_on
+                        ? `Your next review is on ${new Date(`${reviewSummary.next_due_on}T00:00`).toLocaleDateString()}.`
+                        : 'You are up to date with your review.'}
+                  </p>
+                </div>
+              </div>
+              {reviewSummary.due_count > 0 && (
+                <Link
+                  to={`/student/${currentStudentId}/review`}
+                  className="btn btn-primary flex items-center gap-2"
+                >
+                  <Play size={16} />
+                  Start Review
+                </Link>
+              )}
+            </div>
+          </div>
+        )}
+
+        {/* Adaptive Level Check */}
+        {adaptiveCategories.length > 0 && (
+          <div className="card mb-8">
+            <div className="card-header">
+              <h2 className="card-title">Find Your Level</h2>
+            </div>
+            <div className="card-body">
+              <p className="text-gray-600 mb-4">
+                An adaptive quiz adjusts each question to your answers and ends with an estimate of your level.
+              </p>
+              <div className="flex flex-wrap gap-2">
+                {placementTaken && (
+                  <Link
+                    to={`/student/${currentStudentId}/placement`}
+                    className="btn btn-primary flex items-center gap-2"
+                  >
+                    <Star size={16} />
+                    Placement Results
+                  </Link>
+                )}
+                {adaptiveCategories.map(category => (
+                  <Link
+                    key={category.category_id}
+                    to={`/student/${currentStudentId}/adaptive/${category.category_id}`}
+                    className="btn btn-outline flex items-center gap-2"
+                  >
+                    <Compass size={16} />
+                    {category.category_name}
+                  </Link>
+                ))}
+              </div>
+            </div>
+          </div>
+        )}
+
         {/* Available Quizzes */}
         <div className="card mb-8">
           <div className="card-header">
@@ -378,7 +493,18 @@ const StudentDashboard = () => {
             ) : (
               <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
                 {availableQuizzes.map((quiz, index) => (
-                  <div key={`${quiz.category_id}-${quiz.difficulty_id}-${index}`} className="border rounded-lg p-4 hover:shadow-md transition-shadow">
+                  <div
+                    key={`${quiz.category_id}-${quiz.difficulty_id}-${index}`}
+                    className={`border rounded-lg p-4 hover:shadow-md transition-shadow ${
+                      quiz.is_recommended ? 'border-l-4 border-blue-500 bg-blue-50' : ''
+                    }`}
+                  >
+                    {quiz.is_recommended && (
+                      <p className="text-sm font-semibold text-blue-600 flex items-center gap-1 mb-2">
+                        <Star size={14} />
+                        Recommended for you
+                      </p>
+                    )}
                     <div className="flex justify-between items-start mb-3">
                       <h3 className="font-semibold text-lg">{quiz.category_name}</h3>
                       <span className={`badge ${
@@ -393,9 +519,20 @@ const StudentDashboard = () => {
 
                     <div className="flex justify-between items-center text-sm text-gray-500 mb-4">
                       <span>{quiz.question_count} questions</span>
-                      <span>~{Math.ceil(quiz.question_count * 1.5)} min</span>
+                      <span>{quiz.policy ? formatTimeLimit(quiz.policy.time_limit_minutes) : `~${Math.ceil(quiz.question_count * 1.5)} min`}</span>
                     </div>
 
+                    {quiz.policy?.attempts_used > 0 && (
+                      <div className="text-sm mb-4">
+                        <span className="text-gray-600">{describeAttempts(quiz.policy)}</span>
+                        {quiz.policy.next_attempt_at && (
+                          <span className="block text-orange-600">
+                            Next attempt from {new Date(quiz.policy.next_attempt_at).toLocaleString()}
+                          </span>
+                        )}
+                      </div>
+                    )}
+
                     <Link
                       to={`/student/${currentStudentId}/quiz-detail/${quiz.category_id}/${quiz.difficulty_id}`}
                       className="btn btn-primary w-full flex items-center justify-center gap-2"
@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { useParams, Link } from 'react-router-dom';
 import { analyticsService, feedbackService, usersService } from '../services/supabaseService.js';
 import Loading from '../components/Loading.jsx';
+import CefrLevelList from '../components/CefrLevelList.jsx';
 import { ArrowLeft, TrendingUp, Award, BookOpen, Clock, MessageSquare } from 'lucide-react';
 import { Line, Bar, Doughnut } from 'react-chartjs-2';
 import { Chart as ChartJS, LineElement, BarElement, ArcElement, CategoryScale, LinearScale, PointElement, Tooltip, Legend } from 'chart.js';
@@ -18,10 +19,11 @@ const StudentProgress = () => {
   useEffect(() => {
     const fetchStudentProgress = async () => {
       try {
-        const [progressRes, feedbackRes, userRes] = await Promise.all([
+        const [progressRes, feedbackRes, userRes, rubricRes] = await Promise.all([
           analyticsService.getStudentProgress(studentId),
           feedbackService.getFeedback(studentId),
-          usersService.getUserProfile(studentId)
+          usersService.getUserProfile(studentId),
+          analyticsService.getRubricBreakdown(studentId)
         ]);
 
         // Build progress data structure from supabase responses
@@ -35,7 +37,8 @@ const StudentProgress = () => {
           },
           recent_attempts: [],
           category_progress: [],
-          difficulty_progress: []
+          difficulty_progress: [],
+          rubric_breakdown: []
         };
 
         // Handle user profile
@@ -53,7 +56,8 @@ const StudentProgress = () => {
             total_attempts: data.totalAttempts || 0,
             completed_attempts: data.totalAttempts || 0,
             average_score: data.averageScore || 0,
-            best_score: data.averageScore || 0 // Using average as best for now
+            best_score: data.averageScore || 0, // Using average as best for now
+            hints_used: data.hintsUsed || 0
           };
           
           progressData.recent_attempts = data.recentAttempts || [];
@@ -64,11 +68,17 @@ const StudentProgress = () => {
               category_name: name,
               average_score: stats.averageScore || 0,
               attempts: stats.attempts || 0,
-              best_score: stats.averageScore || 0
+              best_score: stats.averageScore || 0,
+              cefr: stats.cefr || null
             }));
           }
         }
 
+        // Writing rubric averages
+        if (rubricRes.success && rubricRes.data) {
+          progressData.rubric_breakdown = rubricRes.data;
+        }
+
         setProgress(progressData);
         
         // Handle feedback
@@ -159,6 +169,28 @@ const StudentProgress = () => {
     ]
   };
 
+  const rubricData = {
+    labels: progress.rubric_breakdown.map(criterion => criterion.criterion),
+    datasets: [
+      {
+        label: 'Average Rating',
+        data: progress.rubric_breakdown.map(criterion => criterion.average_score),
+        backgroundColor: 'rgba(139, 92, 246, 0.8)'
+      }
+    ]
+  };
+
+  const rubricOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    scales: {
+      y: {
+        beginAtZero: true,
+        max: Math.max(5, ...progress.rubric_breakdown.map(criterion => criterion.max_score))
+      }
+    }
+  };
+
   const chartOptions = {
     responsive: true,
     maintainAspectRatio: false,
@@ -193,7 +225,11 @@ const StudentProgress = () => {
             <h1 className="text-3xl font-bold">
               {progress.student.first_name} {progress.student.last_name}
             </h1>
-            <p className="text-gray-600">Student Progress Report</p>
+            <p className="text-gray-600">
+              Student Progress Report
+              {progress.overall_stats.hints_used > 0 &&
+                ` • ${progress.overall_stats.hints_used} hint${progress.overall_stats.hints_used === 1 ? '' : 's'} used in quizzes`}
+            </p>
           </div>
         </div>
 
@@ -270,6 +306,23 @@ const StudentProgress = () => {
           </div>
         </div>
 
+        {/* Writing Rubric Breakdown */}
+        {progress.rubric_breakdown.length > 0 && (
+          <div className="card mb-8">
+            <div className="card-header">
+              <h2 className="card-title">Writing Rubric Breakdown</h2>
+            </div>
+            <div className="card-body">
+              <div style={{ height: '300px' }}>
+                <Bar data={rubricData} options={rubricOptions} />
+              </div>
+              <p className="text-sm text-gray-500 mt-2">
+                Average rating per criterion across {progress.student.first_name || 'the student'}'s graded writing tasks
+              </p>
+            </div>
+          </div>
+        )}
+
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-8">
           {/* Difficulty Distribution */}
           <div className="card">
@@ -321,6 +374,16 @@ const StudentProgress = () => {
           </div>
         </div>
 
+        {/* Estimated CEFR level per skill */}
+        <div className="card mb-8">
+          <div className="card-header">
+            <h2 className="card-title">CEFR Levels</h2>
+          </div>
+          <div className="card-body">
+            <CefrLevelList categories={progress.category_progress} />
+          </div>
+        </div>
+
         {/* Recent Quiz Attempts */}
         <div className="card mb-8">
           <div className="card-header">
@@ -339,6 +402,7 @@ const StudentProgress = () => {
                       <th className="text-left py-3 px-4">Difficulty</th>
                       <th className="text-left py-3 px-4">Score</th>
                       <th className="text-left py-3 px-4">Questions</th>
+                      <th className="text-left py-3 px-4">Hints Used</th>
                       <th className="text-right py-3 px-4">Actions</th>
                     </tr>
                   </thead>
@@ -369,6 +433,9 @@ const StudentProgress = () => {
                         <td className="py-3 px-4">
                           {attempt.total_questions}
                         </td>
+                        <td className="py-3 px-4">
+                          {attempt.hints_used || 0}
+                        </td>
                         <td className="py-3 px-4 text-right">
                           <Link 
                             to={`/student/${studentId}/quiz-results/${attempt.id}`}
@@ -14,6 +14,9 @@ const handleResponse = (data, error, successMessage = null) => {
   return { success: true, error: null, data };
 };
 
+// Attempt modes kept out of results lists and statistics
+const UNCOUNTED_MODES = '(practice,adaptive,placement)';
+
 // Categories Service
 export const categoriesService = {
   async getCategories() {
@@ -89,9 +92,13 @@ export const categoriesService = {
     }
   },
 
-  async getAvailableQuizzes() {
+  // Each difficulty carries the retake policy for the student (the caller by default)
+  async getAvailableQuizzes(studentId = null) {
     try {
-      const { data, error } = await supabase.rpc('get_available_quizzes');
+      const { data, error } = await supabase.rpc(
+        'get_available_quizzes',
+        studentId ? { p_student_id: studentId } : {}
+      );
       
       if (error) {
         console.error('RPC get_available_quizzes error:', error);
@@ -121,9 +128,15 @@ export const questionsService = {
         .select(`
           *,
           categories(id, name),
-          difficulty_levels(id, name),
+          difficulty_levels(id, name, cefr_level),
           users(first_name, last_name),
-          options:question_options(*)
+          options:question_options(*),
+          blanks:question_blanks(*),
+          sequences:question_reorder_sequences(*),
+          pairs:question_match_pairs(*),
+          rubric:question_rubric_criteria(*),
+          hints:question_hints(*),
+          passage:reading_passages(id, title)
         `)
         .eq('is_active', true);
 
@@ -186,7 +199,12 @@ export const questionsService = {
           *,
           categories(id, name),
           difficulty_levels(id, name),
-          options:question_options(*)
+          options:question_options(*),
+          blanks:question_blanks(*),
+          sequences:question_reorder_sequences(*),
+          pairs:question_match_pairs(*),
+          rubric:question_rubric_criteria(*),
+          passage:reading_passages(id, title)
         `)
         .eq('id', id)
         .single();
@@ -207,10 +225,21 @@ export const questionsService = {
         .insert([{
           category_id: questionData.category_id,
           difficulty_id: questionData.difficulty_id,
+          question_type: questionData.question_type || 'single_choice',
+          scoring_mode: questionData.scoring_mode || 'all_or_nothing',
+          points: questionData.points || 1,
+          shuffle_options: questionData.shuffle_options ?? true,
           question_text: questionData.question_text,
           explanation: questionData.explanation,
           image_url: questionData.image_url,
           audio_url: questionData.audio_url,
+          min_words: questionData.min_words || null,
+          max_words: questionData.max_words || null,
+          recording_time_limit: questionData.recording_time_limit || null,
+          passage_id: questionData.passage_id || null,
+          max_plays: questionData.max_plays || null,
+          transcript: questionData.transcript || null,
+          cefr_level: questionData.cefr_level || null,
           created_by: user.user?.id
         }])
         .select()
@@ -221,25 +250,111 @@ export const questionsService = {
       }
 
       // Create options
-      const optionsData = questionData.options.map((option, index) => ({
+      const optionsData = (questionData.options || []).map((option, index) => ({
         question_id: question.id,
         option_text: option.option_text,
         is_correct: option.is_correct,
         order_index: index
       }));
 
-      const { data: options, error: optionsError } = await supabase
-        .from('question_options')
-        .insert(optionsData)
-        .select();
+      let options = [];
+      if (optionsData.length > 0) {
+        const { data: insertedOptions, error: optionsError } = await supabase
+          .from('question_options')
+          .insert(optionsData)
+          .select();
+
+        if (optionsError) {
+          // Rollback question creation
+          await supabase.from('questions').delete().eq('id', question.id);
+          return handleResponse(null, optionsError);
+        }
+        options = insertedOptions;
+      }
+
+      // Create cloze blanks
+      const blanksData = (questionData.blanks || []).map(blank => ({
+        question_id: question.id,
+        ...blank
+      }));
+
+      let blanks = [];
+      if (blanksData.length > 0) {
+        const { data: insertedBlanks, error: blanksError } = await supabase
+          .from('question_blanks')
+          .insert(blanksData)
+          .select();
+
+        if (blanksError) {
+          // Rollback question creation
+          await supabase.from('questions').delete().eq('id', question.id);
+          return handleResponse(null, blanksError);
+        }
+        blanks = insertedBlanks;
+      }
+
+      // Create accepted orders for sentence reordering
+      const sequencesData = (questionData.sequences || []).map(sequence => ({
+        question_id: question.id,
+        ...sequence
+      }));
+
+      let sequences = [];
+      if (sequencesData.length > 0) {
+        const { data: insertedSequences, error: sequencesError } = await supabase
+          .from('question_reorder_sequences')
+          .insert(sequencesData)
+          .select();
+
+        if (sequencesError) {
+          // Rollback question creation
+          await supabase.from('questions').delete().eq('id', question.id);
+          return handleResponse(null, sequencesError);
+        }
+        sequences = insertedSequences;
+      }
 
-      if (optionsError) {
-        // Rollback question creation
-        await supabase.from('questions').delete().eq('id', question.id);
-        return handleResponse(null, optionsError);
+      // Create matching pairs
+      let pairs = [];
+      if ((questionData.pairs || []).length > 0) {
+        const pairsResponse = await questionsService.saveMatchPairs(question.id, questionData.pairs);
+        if (!pairsResponse.success) {
+          // Rollback question creation
+          await supabase.from('questions').delete().eq('id', question.id);
+          return pairsResponse;
+        }
+        pairs = pairsResponse.data;
+      }
+
+      // Create rubric criteria for writing tasks
+      let rubric = [];
+      if ((questionData.rubric || []).length > 0) {
+        const rubricResponse = await questionsService.saveRubricCriteria(question.id, questionData.rubric);
+        if (!rubricResponse.success) {
+          // Rollback question creation
+          await supabase.from('questions').delete().eq('id', question.id);
+          return rubricResponse;
+        }
+        rubric = rubricResponse.data;
       }
 
-      return handleResponse({ ...question, options }, null, 'Question created successfully');
+      // Create hints
+      let hints = [];
+      if ((questionData.hints || []).length > 0) {
+        const hintsResponse = await questionsService.saveHints(question.id, questionData.hints);
+        if (!hintsResponse.success) {
+          // Rollback question creation
+          await supabase.from('questions').delete().eq('id', question.id);
+          return hintsResponse;
+        }
+        hints = hintsResponse.data;
+      }
+
+      return handleResponse(
+        { ...question, options, blanks, sequences, pairs, rubric, hints },
+        null,
+        'Question created successfully'
+      );
     } catch (error) {
       return handleResponse(null, error);
     }
@@ -253,10 +368,21 @@ export const questionsService = {
         .update({
           category_id: questionData.category_id,
           difficulty_id: questionData.difficulty_id,
+          question_type: questionData.question_type || 'single_choice',
+          scoring_mode: questionData.scoring_mode || 'all_or_nothing',
+          points: questionData.points || 1,
+          shuffle_options: questionData.shuffle_options ?? true,
           question_text: questionData.question_text,
           explanation: questionData.explanation,
           image_url: questionData.image_url,
-          audio_url: questionData.audio_url
+          audio_url: questionData.audio_url,
+          min_words: questionData.min_words || null,
+          max_words: questionData.max_words || null,
+          recording_time_limit: questionData.recording_time_limit || null,
+          passage_id: questionData.passage_id || null,
+          max_plays: questionData.max_plays || null,
+          transcript: questionData.transcript || null,
+          cefr_level: questionData.cefr_level || null
         })
         .eq('id', id)
         .select()
@@ -266,30 +392,84 @@ export const questionsService = {
         return handleResponse(null, questionError);
       }
 
-      // Delete existing options
+      // Update options in place; attempts store option ids for their shuffle and answers
+      const optionsResponse = await questionsService.saveOptions(id, questionData.options || []);
+      if (!optionsResponse.success) {
+        return optionsResponse;
+      }
+      const options = optionsResponse.data;
+
+      // Replace cloze blanks
       await supabase
-        .from('question_options')
+        .from('question_blanks')
         .delete()
         .eq('question_id', id);
 
-      // Create new options
-      const optionsData = questionData.options.map((option, index) => ({
+      const blanksData = (questionData.blanks || []).map(blank => ({
         question_id: id,
-        option_text: option.option_text,
-        is_correct: option.is_correct,
-        order_index: index
+        ...blank
       }));
 
-      const { data: options, error: optionsError } = await supabase
-        .from('question_options')
-        .insert(optionsData)
-        .select();
+      let blanks = [];
+      if (blanksData.length > 0) {
+        const { data: insertedBlanks, error: blanksError } = await supabase
+          .from('question_blanks')
+          .insert(blanksData)
+          .select();
+
+        if (blanksError) {
+          return handleResponse(null, blanksError);
+        }
+        blanks = insertedBlanks;
+      }
+
+      // Replace accepted orders
+      await supabase
+        .from('question_reorder_sequences')
+        .delete()
+        .eq('question_id', id);
+
+      const sequencesData = (questionData.sequences || []).map(sequence => ({
+        question_id: id,
+        ...sequence
+      }));
+
+      let sequences = [];
+      if (sequencesData.length > 0) {
+        const { data: insertedSequences, error: sequencesError } = await supabase
+          .from('question_reorder_sequences')
+          .insert(sequencesData)
+          .select();
+
+        if (sequencesError) {
+          return handleResponse(null, sequencesError);
+        }
+        sequences = insertedSequences;
+      }
+
+      // Replace matching pairs
+      const pairsResponse = await questionsService.saveMatchPairs(id, questionData.pairs || []);
+      if (!pairsResponse.success) {
+        return pairsResponse;
+      }
 
-      if (optionsError) {
-        return handleResponse(null, optionsError);
+      // Replace rubric criteria
+      const rubricResponse = await questionsService.saveRubricCriteria(id, questionData.rubric || []);
+      if (!rubricResponse.success) {
+        return rubricResponse;
       }
 
-      return handleResponse({ ...question, options }, null, 'Question updated successfully');
+      // Replace hints; kept hints keep their ids so past reveals still point at them
+      const hintsResponse = await questionsService.saveHints(id, questionData.hints || []);
+      if (!hintsResponse.success) {
+        return hintsResponse;
+      }
+
+      return handleResponse(
+        { ...question, options, blanks, sequences, pairs: pairsResponse.data, rubric: rubricResponse.data, hints: hintsResponse.data },
+        null,
+        'Question updated successfully'
+      );
     } catch (error) {
       return handleResponse(null, error);
     }
@@ -313,6 +493,355 @@ export const questionsService = {
     } catch (error) {
       return handleResponse(null, error);
     }
+  },
+
+  // Saves the options of a question in the given order. Options keep their id, since
+  // attempts store option ids for their shuffled order and the answers given.
+  async saveOptions(questionId, options) {
+    try {
+      const keptIds = options.filter(option => option.id).map(option => option.id);
+
+      let deleteQuery = supabase
+        .from('question_options')
+        .delete()
+        .eq('question_id', questionId);
+
+      if (keptIds.length > 0) {
+        deleteQuery = deleteQuery.not('id', 'in', `(${keptIds.join(',')})`);
+      }
+
+      const { error: deleteError } = await deleteQuery;
+      if (deleteError) {
+        return handleResponse(null, deleteError);
+      }
+
+      if (options.length === 0) {
+        return handleResponse([], null);
+      }
+
+      const { data, error } = await supabase
+        .from('question_options')
+        .upsert(options.map((option, index) => ({
+          ...(option.id ? { id: option.id } : {}),
+          question_id: questionId,
+          option_text: option.option_text,
+          is_correct: option.is_correct,
+          order_index: index
+        })), { defaultToNull: false })
+        .select();
+
+      return handleResponse(data, error);
+    } catch (error) {
+      return handleResponse(null, error);
+    }
+  },
+
+  // Saves the pairs of a matching question in the given order. Pairs keep their id,
+  // since answers are stored by pair id and past results must still line up.
+  async saveMatchPairs(questionId, pairs) {
+    try {
+      const keptIds = pairs.filter(pair => pair.id).map(pair => pair.id);
+
+      let deleteQuery = supabase
+        .from('question_match_pairs')
+        .delete()
+        .eq('question_id', questionId);
+
+      if (keptIds.length > 0) {
+        deleteQuery = deleteQuery.not('id', 'in', `(${keptIds.join(',')})`);
+      }
+
+      const { error: deleteError } = await deleteQuery;
+      if (deleteError) {
+        return handleResponse(null, deleteError);
+      }
+
+      if (pairs.length === 0) {
+        return handleResponse([], null);
+      }
+
+      const { data, error } = await supabase
+        .from('question_match_pairs')
+        .upsert(pairs.map((pair, index) => ({
+          ...(pair.id ? { id: pair.id } : {}),
+          question_id: questionId,
+          left_text: pair.left_text,
+          right_text: pair.right_text,
+          order_index: index
+        })), { defaultToNull: false })
+        .select();
+
+      return handleResponse(data, error);
+    } catch (error) {
+      return handleResponse(null, error);
+    }
+  },
+
+  // Saves the rubric of a writing task in the given order. Criteria keep their id
+  // so ratings already given to graded essays survive edits.
+  async saveRubricCriteria(questionId, criteria) {
+    try {
+      const keptIds = criteria.filter(criterion => criterion.id).map(criterion => criterion.id);
+
+      let deleteQuery = supabase
+        .from('question_rubric_criteria')
+        .delete()
+        .eq('question_id', questionId);
+
+      if (keptIds.length > 0) {
+        deleteQuery = deleteQuery.not('id', 'in', `(${keptIds.join(',')})`);
+      }
+
+      const { error: deleteError } = await deleteQuery;
+      if (deleteError) {
+        return handleResponse(null, deleteError);
+      }
+
+      if (criteria.length === 0) {
+        return handleResponse([], null);
+      }
+
+      const { data, error } = await supabase
+        .from('question_rubric_criteria')
+        .upsert(criteria.map((criterion, index) => ({
+          ...(criterion.id ? { id: criterion.id } : {}),
+          question_id: questionId,
+          name: criterion.name,
+          description: criterion.description || null,
+          max_score: criterion.max_score || 5,
+          order_index: index
+        })), { defaultToNull: false })
+        .select();
+
+      return handleResponse(data, error);
+    } catch (error) {
+      return handleResponse(null, error);
+    }
+  },
+
+  // Hints in reveal order: [{ id?, hint_text }]. Hints left out are deleted
+  async saveHints(questionId, hints) {
+    try {
+      const keptIds = hints.filter(hint => hint.id).map(hint => hint.id);
+
+      let deleteQuery = supabase
+        .from('question_hints')
+        .delete()
+        .eq('question_id', questionId);
+
+      if (keptIds.length > 0) {
+        deleteQuery = deleteQuery.not('id', 'in', `(${keptIds.join(',')})`);
+      }
+
+      const { error: deleteError } = await deleteQuery;
+      if (deleteError) {
+        return handleResponse(null, deleteError);
+      }
+
+      if (hints.length === 0) {
+        return handleResponse([], null);
+      }
+
+      const { data, error } = await supabase
+        .from('question_hints')
+        .upsert(hints.map((hint, index) => ({
+          ...(hint.id ? { id: hint.id } : {}),
+          question_id: questionId,
+          hint_text: hint.hint_text.trim(),
+          order_index: index
+        })), { defaultToNull: false })
+        .select();
+
+      return handleResponse(data, error);
+    } catch (error) {
+      return handleResponse(null, error);
+    }
+  }
+};
+
+// Quiz Settings Service
+export const quizSettingsService = {
+  async getSettings() {
+    try {
+      const { data, error } = await supabase
+        .from('quiz_settings')
+        .select('*');
+
+      return handleResponse(data, error);
+    } catch (error) {
+      return handleResponse(null, error);
+    }
+  },
+
+  async saveSettings(categoryId, difficultyId, settings) {
+    try {
+      const { data: user } = await supabase.auth.getUser();
+
+      const { data, error } = await supabase
+        .from('quiz_settings')
+        .upsert({
+          category_id: categoryId,
+          difficulty_id: difficultyId,
+          ...settings,
+          updated_by: user.user?.id
+        }, { onConflict: 'category_id,difficulty_id' })
+        .select()
+        .single();
+
+      return handleResponse(data, error, 'Quiz settings saved');
+    } catch (error) {
+      return handleResponse(null, error);
+    }
+  }
+};
+
+// CEFR Service
+export const cefrService = {
+  async getScoreBands() {
+    try {
+      const { data, error } = await supabase
+        .from('cefr_score_bands')
+        .select('*');
+
+      return handleResponse(data, error);
+    } catch (error) {
+      return handleResponse(null, error);
+    }
+  },
+
+  // Replaces a quiz's bands with `bands`: [{ cefr_level, min_score }]. An empty
+  // list falls back to the difficulty level's CEFR level at the pass mark
+  async saveScoreBands(categoryId, difficultyId, bands) {
+    try {
+      const { data: user } = await supabase.auth.getUser();
+
+      let removeQuery = supabase
+        .from('cefr_score_bands')
+        .delete()
+        .eq('category_id', categoryId)
+        .eq('difficulty_id', difficultyId);
+
+      if (bands.length > 0) {
+        removeQuery = removeQuery.not('cefr_level', 'in', `(${bands.map(band => band.cefr_level).join(',')})`);
+      }
+
+      const { error: removeError } = await removeQuery;
+
+      if (removeError) {
+        return handleResponse(null, removeError);
+      }
+
+      if (bands.length === 0) {
+        return handleResponse([], null, 'CEFR mapping saved');
+      }
+
+      const { data, error } = await supabase
+        .from('cefr_score_bands')
+        .upsert(bands.map(band => ({
+          category_id: categoryId,
+          difficulty_id: difficultyId,
+          cefr_level: band.cefr_level,
+          min_score: band.min_score,
+          updated_by: user.user?.id
+        })), { onConflict: 'category_id,difficulty_id,cefr_level' })
+        .select();
+
+      return handleResponse(data, error, 'CEFR mapping saved');
+    } catch (error) {
+      return handleResponse(null, error);
+    }
+  }
+};
+
+// Reading Passages Service
+export const passagesService = {
+  async getPassages(params = {}) {
+    try {
+      let query = supabase
+        .from('reading_passages')
+        .select(`
+          *,
+          categories(id, name),
+          questions(id)
+        `)
+        .eq('is_active', true);
+
+      if (params.category_id) {
+        query = query.eq('category_id', params.category_id);
+      }
+
+      if (params.search) {
+        query = query.ilike('title', `%${params.search}%`);
+      }
+
+      const { data, error } = await query.order('title');
+
+      return handleResponse(data, error);
+    } catch (error) {
+      return handleResponse(null, error);
+    }
+  },
+
+  async createPassage(passageData) {
+    try {
+      const { data: user } = await supabase.auth.getUser();
+
+      const { data, error } = await supabase
+        .from('reading_passages')
+        .insert([{
+          title: passageData.title,
+          content: passageData.content || null,
+          image_url: passageData.image_url || null,
+          audio_url: passageData.audio_url || null,
+          max_plays: passageData.max_plays || null,
+          transcript: passageData.transcript || null,
+          category_id: passageData.category_id || null,
+          created_by: user.user?.id
+        }])
+        .select()
+        .single();
+
+      return handleResponse(data, error, 'Passage created successfully');
+    } catch (error) {
+      return handleResponse(null, error);
+    }
+  },
+
+  async updatePassage(id, passageData) {
+    try {
+      const { data, error } = await supabase
+        .from('reading_passages')
+        .update({
+          title: passageData.title,
+          content: passageData.content || null,
+          image_url: passageData.image_url || null,
+          audio_url: passageData.audio_url || null,
+          max_plays: passageData.max_plays || null,
+          transcript: passageData.transcript || null,
+          category_id: passageData.category_id || null
+        })
+        .eq('id', id)
+        .select()
+        .single();
+
+      return handleResponse(data, error, 'Passage updated successfully');
+    } catch (error) {
+      return handleResponse(null, error);
+    }
+  },
+
+  // Linked questions are kept and become standalone questions
+  async deletePassage(id) {
+    try {
+      const { data, error } = await supabase
+        .from('reading_passages')
+        .delete()
+        .eq('id', id);
+
+      return handleResponse(data, error, 'Passage deleted successfully');
+    } catch (error) {
+      return handleResponse(null, error);
+    }
   }
 };
 
@@ -326,7 +855,8 @@ export const quizService = {
         p_student_id: user.user?.id,
         p_category_id: quizData.category_id,
         p_difficulty_id: quizData.difficulty_id,
-        p_question_count: quizData.question_count || 10
+        p_question_count: quizData.question_count || 10,
+        p_mode: quizData.mode || 'standard'
       });
 
       if (error) {
@@ -340,11 +870,176 @@ export const quizService = {
     }
   },
 
+  // Lightweight check used when a queued offline submission is rejected
+  async getAttemptStatus(attemptId) {
+    try {
+      const { data, error } = await supabase
+        .from('quiz_attempts')
+        .select('id, is_completed, completed_at, score')
+        .eq('id', attemptId)
+        .maybeSingle();
+
+      return handleResponse(data, error);
+    } catch (error) {
+      return handleResponse(null, error);
+    }
+  },
+
+  // Autosaves one answer of an open attempt; a null answer clears it
+  async saveAnswer(attemptId, questionId, answer) {
+    try {
+      const { data, error } = await supabase.rpc('save_quiz_answer', {
+        p_attempt_id: attemptId,
+        p_question_id: questionId,
+        p_answer: answer
+      });
+
+      if (error) {
+        return handleResponse(null, error);
+      }
+
+      return data;
+    } catch (error) {
+      return handleResponse(null, error);
+    }
+  },
+
+  async setQuestionFlag(attemptId, questionId, flagged) {
+    try {
+      const { data, error } = await supabase.rpc('set_question_flag', {
+        p_attempt_id: attemptId,
+        p_question_id: questionId,
+        p_flagged: flagged
+      });
+
+      if (error) {
+        return handleResponse(null, error);
+      }
+
+      return data;
+    } catch (error) {
+      return handleResponse(null, error);
+    }
+  },
+
+  // Practice attempts only: grades one answer right away and returns the correct answer and explanation
+  async checkPracticeAnswer(attemptId, questionId, answer) {
+    try {
+      const { data, error } = await supabase.rpc('check_practice_answer', {
+        p_attempt_id: attemptId,
+        p_question_id: questionId,
+        p_answer: answer
+      });
+
+      if (error) {
+        return handleResponse(null, error);
+      }
+
+      return data;
+    } catch (error) {
+      return handleResponse(null, error);
+    }
+  },
+
+  // Adaptive quizzes are served one question at a time across all levels of a category
+  async startAdaptiveQuiz(categoryId) {
+    try {
+      const { data, error } = await supabase.rpc('start_adaptive_attempt', {
+        p_category_id: categoryId
+      });
+
+      if (error) {
+        return handleResponse(null, error);
+      }
+
+      return data;
+    } catch (error) {
+      return handleResponse(null, error);
+    }
+  },
+
+  // Returns { overview, current }: the progress of each category and the current
+  // question's attempt state, or current null once every category is placed
+  async startPlacementTest(restart = false) {
+    try {
+      const { data, error } = await supabase.rpc('start_placement_test', {
+        p_restart: restart
+      });
+
+      if (error) {
+        return handleResponse(null, error);
+      }
+
+      return data;
+    } catch (error) {
+      return handleResponse(null, error);
+    }
+  },
+
+  // Reveals the next hint of a question; returns { hint_number, hint_text, hints_used, hint_count }
+  async revealHint(attemptId, questionId) {
+    try {
+      const { data, error } = await supabase.rpc('reveal_quiz_hint', {
+        p_attempt_id: attemptId,
+        p_question_id: questionId
+      });
+
+      if (error) {
+        return handleResponse(null, error);
+      }
+
+      return data;
+    } catch (error) {
+      return handleResponse(null, error);
+    }
+  },
+
+  // Returns the next question, or an attempt with is_completed once the level is estimated
+  async answerAdaptiveQuestion(attemptId, questionId, answer) {
+    try {
+      const { data, error } = await supabase.rpc('answer_adaptive_question', {
+        p_attempt_id: attemptId,
+        p_question_id: questionId,
+        p_answer: answer
+      });
+
+      if (error) {
+        return handleResponse(null, error);
+      }
+
+      return data;
+    } catch (error) {
+      return handleResponse(null, error);
+    }
+  },
+
+  // Grades the saved answers and completes the attempt. Optional answers are saved first:
+  // [{ question_id, selected_option_id }], [{ question_id, selected_option_ids: [] }] for multi-select,
+  // or [{ question_id, answer_data }] for typed and structured answers (see lib/questionTypes.js)
   async submitQuiz(submissionData) {
     try {
       const { data, error } = await supabase.rpc('submit_quiz_answers', {
         p_attempt_id: submissionData.attempt_id,
-        p_answers: submissionData.answers
+        p_answers: submissionData.answers || null
+      });
+
+      if (error) {
+        return handleResponse(null, error);
+      }
+
+      return data;
+    } catch (error) {
+      return handleResponse(null, error);
+    }
+  },
+
+  // Counts one play of question or passage audio and returns its URL while plays remain
+  async registerAudioPlay(attemptId, { question_id = null, passage_id = null }) {
+    try {
+      const { data, error } = await supabase.rpc('register_audio_play', {
+        p_attempt_id: attemptId,
+        p_question_id: question_id,
+        p_passage_id: passage_id
       });
 
       if (error) {
@@ -369,7 +1064,8 @@ export const quizService = {
           difficulty_levels(id, name),
           users(first_name, last_name)
         `)
-        .eq('is_completed', true);
+        .eq('is_completed', true)
+        .not('mode', 'in', UNCOUNTED_MODES);
 
       // If not admin/tutor, only show own results
       const { data: userProfile } = await supabase
@@ -419,8 +1115,116 @@ export const quizService = {
   }
 };
 
+// Grading Service (manually graded answers)
+export const gradingService = {
+  async getGradingQueue() {
+    try {
+      const { data, error } = await supabase.rpc('get_grading_queue');
+
+      if (error) {
+        return handleResponse(null, error);
+      }
+
+      return data;
+    } catch (error) {
+      return handleResponse(null, error);
+    }
+  },
+
+  // credit is the fraction of the question earned, between 0 and 1
+  async gradeAnswer(answerId, credit, comment = '') {
+    try {
+      const { data, error } = await supabase.rpc('grade_manual_answer', {
+        p_answer_id: answerId,
+        p_credit: credit,
+        p_comment: comment
+      });
+
+      if (error) {
+        return handleResponse(null, error);
+      }
+
+      return data;
+    } catch (error) {
+      return handleResponse(null, error);
+    }
+  },
+
+  // scores: [{ criterion_id, score }] covering every rubric criterion of the essay
+  async gradeEssay(answerId, scores, comment = '') {
+    try {
+      const { data, error } = await supabase.rpc('grade_essay_answer', {
+        p_answer_id: answerId,
+        p_scores: scores,
+        p_comment: comment
+      });
+
+      if (error) {
+        return handleResponse(null, error);
+      }
+
+      return data;
+    } catch (error) {
+      return handleResponse(null, error);
+    }
+  }
+};
+
+// Review Service (spaced repetition of missed questions)
+export const reviewService = {
+  // Also adds questions missed since the last visit to the deck
+  async getReviewSummary() {
+    try {
+      const { data, error } = await supabase.rpc('get_review_summary');
+
+      if (error) {
+        return handleResponse(null, error);
+      }
+
+      return data;
+    } catch (error) {
+      return handleResponse(null, error);
+    }
+  },
+
+  async getReviewSession(limit = 20) {
+    try {
+      const { data, error } = await supabase.rpc('get_review_session', {
+        p_limit: limit
+      });
+
+      if (error) {
+        return handleResponse(null, error);
+      }
+
+      return data;
+    } catch (error) {
+      return handleResponse(null, error);
+    }
+  },
+
+  // Returns the correct answer and when the item is due next
+  async submitReviewAnswer(itemId, answer) {
+    try {
+      const { data, error } = await supabase.rpc('submit_review_answer', {
+        p_item_id: itemId,
+        p_answer: answer
+      });
+
+      if (error) {
+        return handleResponse(null, error);
+      }
+
+      return data;
+    } catch (error) {
+      return handleResponse(null, error);
+    }
+  }
+};
+
 // Analytics Service
 export const analyticsService = {
+
   async getStudentProgress(studentId) {
     try {
       const { data, error } = await supabase.rpc('get_student_progress', {
@@ -460,13 +1264,20 @@ export const analyticsService = {
       const { count: quizCount } = await supabase
         .from('quiz_attempts')
         .select('*', { count: 'exact', head: true })
-        .eq('is_completed', true);
+        .eq('is_completed', true)
+        .not('mode', 'in', UNCOUNTED_MODES);
 
-      // Get average score
+      // Get attempt scores for the weekly trend
       const { data: scoreData } = await supabase
         .from('quiz_attempts')
         .select('score, created_at')
-        .eq('is_completed', true);
+        .eq('is_completed', true)
+        .not('mode', 'in', UNCOUNTED_MODES);
+
+      // One counted score per student and quiz, following each quiz's scoring policy
+      const { data: policyScores } = await supabase
+        .from('quiz_policy_scores')
+        .select('score');
 
       // Get weekly growth data
       const oneWeekAgo = new Date();
@@ -488,7 +1299,8 @@ export const analyticsService = {
         .from('quiz_attempts')
         .select('id')
         .gte('created_at', oneWeekAgo.toISOString())
-        .eq('is_completed', true);
+        .eq('is_completed', true)
+        .not('mode', 'in', UNCOUNTED_MODES);
 
       // Process user stats by role
       const roleStats = {};
@@ -531,8 +1343,8 @@ export const analyticsService = {
       }
 
       // Calculate average score
-      const averageScore = scoreData && scoreData.length > 0 
-        ? Math.round(scoreData.reduce((sum, item) => sum + item.score, 0) / scoreData.length)
+      const averageScore = policyScores && policyScores.length > 0
+        ? Math.round(policyScores.reduce((sum, item) => sum + Number(item.score), 0) / policyScores.length)
         : 0;
 
       // Calculate score change (compare last week vs previous week)
@@ -599,6 +1411,7 @@ export const analyticsService = {
           users(first_name, last_name)
         `)
         .eq('is_completed', true)
+        .not('mode', 'in', UNCOUNTED_MODES)
         .order('completed_at', { ascending: false });
 
       if (!attempts || attempts.length === 0) {
@@ -630,6 +1443,11 @@ export const analyticsService = {
         });
       }
 
+      // Counted score per student and quiz under each quiz's scoring policy
+      const { data: policyScores } = await supabase
+        .from('quiz_policy_scores')
+        .select('student_id, score');
+
       // Process student performance (top 10 students by average score)
       const studentStats = {};
       attempts.forEach(attempt => {
@@ -644,17 +1462,24 @@ export const analyticsService = {
           };
         }
         
-        studentStats[studentId].scores.push(attempt.score);
         studentStats[studentId].totalAttempts++;
       });
 
+      (policyScores || []).forEach(item => {
+        if (studentStats[item.student_id]) {
+          studentStats[item.student_id].scores.push(Number(item.score));
+        }
+      });
+
       // Calculate average scores and sort
       const studentPerformance = Object.entries(studentStats)
         .map(([studentId, stats]) => ({
           student_id: studentId,
           first_name: stats.name.split(' ')[0] || 'Unknown',
           last_name: stats.name.split(' ').slice(1).join(' ') || '',
-          average_score: Math.round(stats.scores.reduce((sum, score) => sum + score, 0) / stats.scores.length),
+          average_score: stats.scores.length > 0
+            ? Math.round(stats.scores.reduce((sum, score) => sum + score, 0) / stats.scores.length)
+            : 0,
           total_attempts: stats.totalAttempts
         }))
         .sort((a, b) => b.average_score - a.average_score)
@@ -662,7 +1487,9 @@ export const analyticsService = {
 
       const analytics = {
         totalAttempts: attempts.length,
-        averageScore: Math.round(attempts.reduce((sum, attempt) => sum + attempt.score, 0) / attempts.length),
+        averageScore: policyScores && policyScores.length > 0
+          ? Math.round(policyScores.reduce((sum, item) => sum + Number(item.score), 0) / policyScores.length)
+          : 0,
         categoryStats: Object.entries(categoryStats).map(([name, count]) => ({
           category_name: name,
           question_count: count
@@ -676,6 +1503,23 @@ export const analyticsService = {
       console.error('Tutor analytics error:', error);
       return handleResponse(null, error);
     }
+  },
+
+  // Average rubric rating per criterion across the student's graded writing tasks
+  async getRubricBreakdown(studentId) {
+    try {
+      const { data, error } = await supabase.rpc('get_student_rubric_breakdown', {
+        p_student_id: studentId
+      });
+
+      if (error) {
+        return handleResponse(null, error);
+      }
+
+      return data;
+    } catch (error) {
+      return handleResponse(null, error);
+    }
   }
 };
 
@@ -1050,7 +1894,8 @@ export const feedbackService = {
           difficulty_levels(name),
           users(first_name, last_name, username)
         `)
-        .eq('is_completed', true);
+        .eq('is_completed', true)
+        .not('mode', 'in', UNCOUNTED_MODES);
 
       // Filter based on user role
       const { data: userProfile } = await supabase
@@ -1373,6 +2218,19 @@ export const storageService = {
     return data.publicUrl;
   },
 
+  // Temporary URL for files in private buckets
+  async getSignedUrl(bucket, path, expiresIn = 3600) {
+    try {
+      const { data, error } = await supabase.storage
+        .from(bucket)
+        .createSignedUrl(path, expiresIn);
+
+      return handleResponse(data?.signedUrl, error);
+    } catch (error) {
+      return handleResponse(null, error);
+    }
+  },
+
   async deleteFile(bucket, path) {
     try {
       const { data, error } = await supabase.storage
@@ -1389,7 +2247,12 @@ export const storageService = {
 export default {
   categoriesService,
   questionsService,
+  passagesService,
+  quizSettingsService,
+  cefrService,
   quizService,
+  gradingService,
+  reviewService,
   analyticsService,
   feedbackService,
   usersService,
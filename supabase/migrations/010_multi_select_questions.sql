@@ -0,0 +1,322 @@
+-- Migration 010: Multi-select (choose all that apply) questions
+-- Adds a question_type column, array answers and partial-credit grading
+
+-- Question type and scoring rule per question
+ALTER TABLE public.questions
+    ADD COLUMN IF NOT EXISTS question_type VARCHAR(30) NOT NULL DEFAULT 'single_choice',
+    ADD COLUMN IF NOT EXISTS scoring_mode VARCHAR(20) NOT NULL DEFAULT 'all_or_nothing';
+
+ALTER TABLE public.questions DROP CONSTRAINT IF EXISTS questions_question_type_check;
+ALTER TABLE public.questions ADD CONSTRAINT questions_question_type_check
+    CHECK (question_type IN ('single_choice', 'multiple_select'));
+
+ALTER TABLE public.questions DROP CONSTRAINT IF EXISTS questions_scoring_mode_check;
+ALTER TABLE public.questions ADD CONSTRAINT questions_scoring_mode_check
+    CHECK (scoring_mode IN ('all_or_nothing', 'partial'));
+
+-- Multi-select answers keep every selected option; credit is the fraction (0-1) earned
+ALTER TABLE public.quiz_answers
+    ADD COLUMN IF NOT EXISTS selected_option_ids INTEGER[],
+    ADD COLUMN IF NOT EXISTS credit DECIMAL(5,4) DEFAULT 0;
+
+UPDATE public.quiz_answers SET credit = CASE WHEN is_correct THEN 1 ELSE 0 END;
+
+CREATE INDEX IF NOT EXISTS idx_questions_type ON public.questions(question_type);
+
+-- Question payload sent to students (never includes the answer key)
+CREATE OR REPLACE FUNCTION get_quiz_question_payload(p_question_id INTEGER)
+RETURNS JSON AS $$
+BEGIN
+    RETURN (
+        SELECT json_build_object(
+            'id', q.id,
+            'question_type', q.question_type,
+            'question_text', q.question_text,
+            'image_url', q.image_url,
+            'audio_url', q.audio_url,
+            'options', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', qo.id,
+                        'option_text', qo.option_text
+                    ) ORDER BY qo.order_index
+                )
+                FROM public.question_options qo
+                WHERE qo.question_id = q.id
+            )
+        )
+        FROM public.questions q
+        WHERE q.id = p_question_id
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- Grade a single answer; returns the credit earned between 0 and 1
+CREATE OR REPLACE FUNCTION grade_quiz_answer(p_question_id INTEGER, p_answer JSON)
+RETURNS DECIMAL AS $$
+DECLARE
+    v_question_type VARCHAR(30);
+    v_scoring_mode VARCHAR(20);
+    v_selected INTEGER[];
+    v_total_correct INTEGER;
+    v_hits INTEGER;
+    v_misses INTEGER;
+    v_is_correct BOOLEAN;
+BEGIN
+    SELECT question_type, scoring_mode INTO v_question_type, v_scoring_mode
+    FROM public.questions
+    WHERE id = p_question_id;
+
+    IF v_question_type = 'multiple_select' THEN
+        SELECT COALESCE(array_agg(DISTINCT value::INTEGER), ARRAY[]::INTEGER[]) INTO v_selected
+        FROM json_array_elements_text(COALESCE(p_answer->'selected_option_ids', '[]'::JSON));
+
+        SELECT COUNT(*) FILTER (WHERE is_correct),
+               COUNT(*) FILTER (WHERE is_correct AND id = ANY(v_selected)),
+               COUNT(*) FILTER (WHERE NOT is_correct AND id = ANY(v_selected))
+        INTO v_total_correct, v_hits, v_misses
+        FROM public.question_options
+        WHERE question_id = p_question_id;
+
+        IF v_total_correct = 0 THEN
+            RETURN 0;
+        END IF;
+
+        IF v_scoring_mode = 'partial' THEN
+            -- Each wrong pick cancels one right pick, never below zero
+            RETURN GREATEST(0, (v_hits - v_misses)::DECIMAL / v_total_correct);
+        END IF;
+
+        RETURN CASE WHEN v_hits = v_total_correct AND v_misses = 0 THEN 1 ELSE 0 END;
+    END IF;
+
+    SELECT is_correct INTO v_is_correct
+    FROM public.question_options
+    WHERE id = (p_answer->>'selected_option_id')::INTEGER
+      AND question_id = p_question_id;
+
+    RETURN CASE WHEN COALESCE(v_is_correct, false) THEN 1 ELSE 0 END;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- Start a quiz attempt (questions are drawn once and sized to what is available)
+CREATE OR REPLACE FUNCTION start_quiz_attempt(
+    p_student_id UUID,
+    p_category_id INTEGER,
+    p_difficulty_id INTEGER,
+    p_question_count INTEGER DEFAULT 10
+)
+RETURNS JSON AS $$
+DECLARE
+    v_attempt_id INTEGER;
+    v_existing_attempt INTEGER;
+    v_question_ids INTEGER[];
+BEGIN
+    -- Check if student already has a completed attempt for this category/difficulty
+    SELECT id INTO v_existing_attempt
+    FROM public.quiz_attempts
+    WHERE student_id = p_student_id
+      AND category_id = p_category_id
+      AND difficulty_id = p_difficulty_id
+      AND is_completed = true;
+
+    IF v_existing_attempt IS NOT NULL THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'You have already completed this quiz'
+        );
+    END IF;
+
+    SELECT array_agg(id) INTO v_question_ids
+    FROM (
+        SELECT q.id
+        FROM public.questions q
+        WHERE q.category_id = p_category_id
+          AND q.difficulty_id = p_difficulty_id
+          AND q.is_active = true
+        ORDER BY RANDOM()
+        LIMIT p_question_count
+    ) drawn;
+
+    -- Reuse an incomplete attempt if there is one
+    SELECT id INTO v_attempt_id
+    FROM public.quiz_attempts
+    WHERE student_id = p_student_id
+      AND category_id = p_category_id
+      AND difficulty_id = p_difficulty_id
+      AND is_completed = false;
+
+    IF v_attempt_id IS NULL THEN
+        INSERT INTO public.quiz_attempts (student_id, category_id, difficulty_id, total_questions)
+        VALUES (p_student_id, p_category_id, p_difficulty_id, COALESCE(array_length(v_question_ids, 1), 0))
+        RETURNING id INTO v_attempt_id;
+    END IF;
+
+    RETURN json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'attempt_id', v_attempt_id,
+            'questions', (
+                SELECT json_agg(get_quiz_question_payload(qid) ORDER BY ord)
+                FROM unnest(v_question_ids) WITH ORDINALITY AS t(qid, ord)
+            ),
+            'total_questions', COALESCE(array_length(v_question_ids, 1), 0)
+        )
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Submit quiz answers; single answers send selected_option_id, multi-select send selected_option_ids
+CREATE OR REPLACE FUNCTION submit_quiz_answers(
+    p_attempt_id INTEGER,
+    p_answers JSON
+)
+RETURNS JSON AS $$
+DECLARE
+    v_answer JSON;
+    v_correct_count INTEGER := 0;
+    v_total_credit DECIMAL := 0;
+    v_total_questions INTEGER;
+    v_score DECIMAL(5,2);
+    v_student_id UUID;
+BEGIN
+    -- Get attempt details
+    SELECT student_id, total_questions INTO v_student_id, v_total_questions
+    FROM public.quiz_attempts
+    WHERE id = p_attempt_id AND is_completed = false;
+
+    IF v_student_id IS NULL THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'Quiz attempt not found or already completed'
+        );
+    END IF;
+
+    -- Process each answer
+    FOR v_answer IN SELECT * FROM json_array_elements(p_answers)
+    LOOP
+        DECLARE
+            v_question_id INTEGER := (v_answer->>'question_id')::INTEGER;
+            v_selected_ids INTEGER[];
+            v_credit DECIMAL;
+        BEGIN
+            IF json_typeof(v_answer->'selected_option_ids') = 'array' THEN
+                SELECT array_agg(value::INTEGER) INTO v_selected_ids
+                FROM json_array_elements_text(v_answer->'selected_option_ids');
+            END IF;
+
+            v_credit := grade_quiz_answer(v_question_id, v_answer);
+
+            INSERT INTO public.quiz_answers (
+                attempt_id, question_id, selected_option_id, selected_option_ids, is_correct, credit
+            )
+            VALUES (
+                p_attempt_id,
+                v_question_id,
+                (v_answer->>'selected_option_id')::INTEGER,
+                v_selected_ids,
+                v_credit >= 1,
+                v_credit
+            );
+
+            v_total_credit := v_total_credit + v_credit;
+            IF v_credit >= 1 THEN
+                v_correct_count := v_correct_count + 1;
+            END IF;
+        END;
+    END LOOP;
+
+    -- Calculate score from earned credit so partially correct answers count
+    v_score := CASE
+        WHEN v_total_questions > 0 THEN (v_total_credit / v_total_questions::DECIMAL) * 100
+        ELSE 0
+    END;
+
+    -- Update the attempt
+    UPDATE public.quiz_attempts
+    SET
+        correct_answers = v_correct_count,
+        score = v_score,
+        completed_at = NOW(),
+        is_completed = true
+    WHERE id = p_attempt_id;
+
+    RETURN json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'attempt_id', p_attempt_id,
+            'correct_answers', v_correct_count,
+            'total_questions', v_total_questions,
+            'score', v_score
+        )
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Quiz results now report the question type, every selected option and earned credit
+CREATE OR REPLACE FUNCTION get_quiz_results(p_attempt_id INTEGER)
+RETURNS JSON AS $$
+DECLARE
+    v_result JSON;
+BEGIN
+    SELECT json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'attempt', (
+                SELECT json_build_object(
+                    'id', qa.id,
+                    'score', qa.score,
+                    'correct_answers', qa.correct_answers,
+                    'total_questions', qa.total_questions,
+                    'time_taken', qa.time_taken,
+                    'started_at', qa.started_at,
+                    'completed_at', qa.completed_at,
+                    'category_id', qa.category_id,
+                    'difficulty_id', qa.difficulty_id,
+                    'category_name', c.name,
+                    'difficulty_name', dl.name
+                )
+                FROM public.quiz_attempts qa
+                JOIN public.categories c ON c.id = qa.category_id
+                JOIN public.difficulty_levels dl ON dl.id = qa.difficulty_id
+                WHERE qa.id = p_attempt_id
+            ),
+            'questions', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', qans.question_id,
+                        'question_type', q.question_type,
+                        'question_text', q.question_text,
+                        'explanation', q.explanation,
+                        'selected_option_id', qans.selected_option_id,
+                        'selected_option_ids', qans.selected_option_ids,
+                        'is_correct', qans.is_correct,
+                        'credit', qans.credit,
+                        'options', (
+                            SELECT json_agg(
+                                json_build_object(
+                                    'id', qo.id,
+                                    'option_text', qo.option_text,
+                                    'is_correct', qo.is_correct,
+                                    'is_selected', qo.id = qans.selected_option_id
+                                        OR qo.id = ANY(COALESCE(qans.selected_option_ids, ARRAY[]::INTEGER[]))
+                                ) ORDER BY qo.order_index
+                            )
+                            FROM public.question_options qo
+                            WHERE qo.question_id = q.id
+                        )
+                    ) ORDER BY qans.id
+                )
+                FROM public.quiz_answers qans
+                JOIN public.questions q ON q.id = qans.question_id
+                WHERE qans.attempt_id = p_attempt_id
+            )
+        )
+    ) INTO v_result;
+
+    RETURN v_result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+COMMENT ON FUNCTION grade_quiz_answer(INTEGER, JSON) IS 'Returns the credit (0-1) earned by one answer. Multi-select questions support all-or-nothing and partial scoring.';
+COMMENT ON FUNCTION get_quiz_question_payload(INTEGER) IS 'Builds the student-facing JSON for one question without the answer key.';
@@ -0,0 +1,343 @@
+-- Migration 011: Fill-in-the-blank (cloze) questions
+-- Blanks are marked in question_text as {{1}}, {{2}}, ... and graded against
+-- accepted answers stored per blank with their own normalization rules
+
+ALTER TABLE public.questions DROP CONSTRAINT IF EXISTS questions_question_type_check;
+ALTER TABLE public.questions ADD CONSTRAINT questions_question_type_check
+    CHECK (question_type IN ('single_choice', 'multiple_select', 'cloze'));
+
+-- Typed / structured answers for question types that are not option based
+ALTER TABLE public.quiz_answers ADD COLUMN IF NOT EXISTS answer_data JSONB;
+
+-- Accepted answers for each blank of a cloze question
+CREATE TABLE IF NOT EXISTS public.question_blanks (
+    id SERIAL PRIMARY KEY,
+    question_id INTEGER REFERENCES public.questions(id) ON DELETE CASCADE,
+    blank_index INTEGER NOT NULL,
+    accepted_answers TEXT[] NOT NULL,
+    case_sensitive BOOLEAN DEFAULT false,
+    normalize_whitespace BOOLEAN DEFAULT true,
+    ignore_punctuation BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (question_id, blank_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_question_blanks_question ON public.question_blanks(question_id);
+
+-- The blanks are the answer key, so only tutors read them directly
+ALTER TABLE public.question_blanks ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Tutors can manage question blanks" ON public.question_blanks
+    FOR ALL USING (is_tutor_or_admin(auth.uid()));
+
+-- Apply a blank's normalization rules to a typed answer
+CREATE OR REPLACE FUNCTION normalize_answer_text(
+    p_text TEXT,
+    p_case_sensitive BOOLEAN DEFAULT false,
+    p_normalize_whitespace BOOLEAN DEFAULT true,
+    p_ignore_punctuation BOOLEAN DEFAULT true
+)
+RETURNS TEXT AS $$
+DECLARE
+    v_text TEXT := COALESCE(p_text, '');
+BEGIN
+    IF p_ignore_punctuation THEN
+        v_text := regexp_replace(v_text, '[[:punct:]]', '', 'g');
+    END IF;
+
+    IF p_normalize_whitespace THEN
+        v_text := regexp_replace(btrim(v_text), '\s+', ' ', 'g');
+    END IF;
+
+    IF NOT p_case_sensitive THEN
+        v_text := lower(v_text);
+    END IF;
+
+    RETURN v_text;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Check one typed answer against a blank's accepted answers
+CREATE OR REPLACE FUNCTION cloze_blank_is_correct(p_blank_id INTEGER, p_given TEXT)
+RETURNS BOOLEAN AS $$
+BEGIN
+    IF p_given IS NULL OR btrim(p_given) = '' THEN
+        RETURN false;
+    END IF;
+
+    RETURN EXISTS (
+        SELECT 1
+        FROM public.question_blanks qb, unnest(qb.accepted_answers) AS accepted
+        WHERE qb.id = p_blank_id
+          AND normalize_answer_text(accepted, qb.case_sensitive, qb.normalize_whitespace, qb.ignore_punctuation)
+            = normalize_answer_text(p_given, qb.case_sensitive, qb.normalize_whitespace, qb.ignore_punctuation)
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION get_quiz_question_payload(p_question_id INTEGER)
+RETURNS JSON AS $$
+BEGIN
+    RETURN (
+        SELECT json_build_object(
+            'id', q.id,
+            'question_type', q.question_type,
+            'question_text', q.question_text,
+            'image_url', q.image_url,
+            'audio_url', q.audio_url,
+            'blank_count', (
+                SELECT COUNT(*)
+                FROM public.question_blanks qb
+                WHERE qb.question_id = q.id
+            ),
+            'options', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', qo.id,
+                        'option_text', qo.option_text
+                    ) ORDER BY qo.order_index
+                )
+                FROM public.question_options qo
+                WHERE qo.question_id = q.id
+            )
+        )
+        FROM public.questions q
+        WHERE q.id = p_question_id
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- Cloze answers arrive as answer_data: { "1": "went", "2": "had" }
+CREATE OR REPLACE FUNCTION grade_quiz_answer(p_question_id INTEGER, p_answer JSON)
+RETURNS DECIMAL AS $$
+DECLARE
+    v_question_type VARCHAR(30);
+    v_scoring_mode VARCHAR(20);
+    v_selected INTEGER[];
+    v_total INTEGER;
+    v_hits INTEGER;
+    v_misses INTEGER;
+    v_is_correct BOOLEAN;
+BEGIN
+    SELECT question_type, scoring_mode INTO v_question_type, v_scoring_mode
+    FROM public.questions
+    WHERE id = p_question_id;
+
+    IF v_question_type = 'multiple_select' THEN
+        SELECT COALESCE(array_agg(DISTINCT value::INTEGER), ARRAY[]::INTEGER[]) INTO v_selected
+        FROM json_array_elements_text(COALESCE(p_answer->'selected_option_ids', '[]'::JSON));
+
+        SELECT COUNT(*) FILTER (WHERE is_correct),
+               COUNT(*) FILTER (WHERE is_correct AND id = ANY(v_selected)),
+               COUNT(*) FILTER (WHERE NOT is_correct AND id = ANY(v_selected))
+        INTO v_total, v_hits, v_misses
+        FROM public.question_options
+        WHERE question_id = p_question_id;
+
+        IF v_total = 0 THEN
+            RETURN 0;
+        END IF;
+
+        IF v_scoring_mode = 'partial' THEN
+            -- Each wrong pick cancels one right pick, never below zero
+            RETURN GREATEST(0, (v_hits - v_misses)::DECIMAL / v_total);
+        END IF;
+
+        RETURN CASE WHEN v_hits = v_total AND v_misses = 0 THEN 1 ELSE 0 END;
+    END IF;
+
+    IF v_question_type = 'cloze' THEN
+        SELECT COUNT(*),
+               COUNT(*) FILTER (WHERE cloze_blank_is_correct(qb.id, p_answer->'answer_data'->>qb.blank_index::TEXT))
+        INTO v_total, v_hits
+        FROM public.question_blanks qb
+        WHERE qb.question_id = p_question_id;
+
+        IF v_total = 0 THEN
+            RETURN 0;
+        END IF;
+
+        IF v_scoring_mode = 'partial' THEN
+            RETURN v_hits::DECIMAL / v_total;
+        END IF;
+
+        RETURN CASE WHEN v_hits = v_total THEN 1 ELSE 0 END;
+    END IF;
+
+    SELECT is_correct INTO v_is_correct
+    FROM public.question_options
+    WHERE id = (p_answer->>'selected_option_id')::INTEGER
+      AND question_id = p_question_id;
+
+    RETURN CASE WHEN COALESCE(v_is_correct, false) THEN 1 ELSE 0 END;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- Submit quiz answers; non-option answers are stored as answer_data
+CREATE OR REPLACE FUNCTION submit_quiz_answers(
+    p_attempt_id INTEGER,
+    p_answers JSON
+)
+RETURNS JSON AS $$
+DECLARE
+    v_answer JSON;
+    v_correct_count INTEGER := 0;
+    v_total_credit DECIMAL := 0;
+    v_total_questions INTEGER;
+    v_score DECIMAL(5,2);
+    v_student_id UUID;
+BEGIN
+    -- Get attempt details
+    SELECT student_id, total_questions INTO v_student_id, v_total_questions
+    FROM public.quiz_attempts
+    WHERE id = p_attempt_id AND is_completed = false;
+
+    IF v_student_id IS NULL THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'Quiz attempt not found or already completed'
+        );
+    END IF;
+
+    -- Process each answer
+    FOR v_answer IN SELECT * FROM json_array_elements(p_answers)
+    LOOP
+        DECLARE
+            v_question_id INTEGER := (v_answer->>'question_id')::INTEGER;
+            v_selected_ids INTEGER[];
+            v_credit DECIMAL;
+        BEGIN
+            IF json_typeof(v_answer->'selected_option_ids') = 'array' THEN
+                SELECT array_agg(value::INTEGER) INTO v_selected_ids
+                FROM json_array_elements_text(v_answer->'selected_option_ids');
+            END IF;
+
+            v_credit := grade_quiz_answer(v_question_id, v_answer);
+
+            INSERT INTO public.quiz_answers (
+                attempt_id, question_id, selected_option_id, selected_option_ids, answer_data, is_correct, credit
+            )
+            VALUES (
+                p_attempt_id,
+                v_question_id,
+                (v_answer->>'selected_option_id')::INTEGER,
+                v_selected_ids,
+                (v_answer->'answer_data')::JSONB,
+                v_credit >= 1,
+                v_credit
+            );
+
+            v_total_credit := v_total_credit + v_credit;
+            IF v_credit >= 1 THEN
+                v_correct_count := v_correct_count + 1;
+            END IF;
+        END;
+    END LOOP;
+
+    -- Calculate score from earned credit so partially correct answers count
+    v_score := CASE
+        WHEN v_total_questions > 0 THEN (v_total_credit / v_total_questions::DECIMAL) * 100
+        ELSE 0
+    END;
+
+    -- Update the attempt
+    UPDATE public.quiz_attempts
+    SET
+        correct_answers = v_correct_count,
+        score = v_score,
+        completed_at = NOW(),
+        is_completed = true
+    WHERE id = p_attempt_id;
+
+    RETURN json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'attempt_id', p_attempt_id,
+            'correct_answers', v_correct_count,
+            'total_questions', v_total_questions,
+            'score', v_score
+        )
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Quiz results include each blank's typed answer next to the accepted answers
+CREATE OR REPLACE FUNCTION get_quiz_results(p_attempt_id INTEGER)
+RETURNS JSON AS $$
+DECLARE
+    v_result JSON;
+BEGIN
+    SELECT json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'attempt', (
+                SELECT json_build_object(
+                    'id', qa.id,
+                    'score', qa.score,
+                    'correct_answers', qa.correct_answers,
+                    'total_questions', qa.total_questions,
+                    'time_taken', qa.time_taken,
+                    'started_at', qa.started_at,
+                    'completed_at', qa.completed_at,
+                    'category_id', qa.category_id,
+                    'difficulty_id', qa.difficulty_id,
+                    'category_name', c.name,
+                    'difficulty_name', dl.name
+                )
+                FROM public.quiz_attempts qa
+                JOIN public.categories c ON c.id = qa.category_id
+                JOIN public.difficulty_levels dl ON dl.id = qa.difficulty_id
+                WHERE qa.id = p_attempt_id
+            ),
+            'questions', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', qans.question_id,
+                        'question_type', q.question_type,
+                        'question_text', q.question_text,
+                        'explanation', q.explanation,
+                        'selected_option_id', qans.selected_option_id,
+                        'selected_option_ids', qans.selected_option_ids,
+                        'answer_data', qans.answer_data,
+                        'is_correct', qans.is_correct,
+                        'credit', qans.credit,
+                        'options', (
+                            SELECT json_agg(
+                                json_build_object(
+                                    'id', qo.id,
+                                    'option_text', qo.option_text,
+                                    'is_correct', qo.is_correct,
+                                    'is_selected', qo.id = qans.selected_option_id
+                                        OR qo.id = ANY(COALESCE(qans.selected_option_ids, ARRAY[]::INTEGER[]))
+                                ) ORDER BY qo.order_index
+                            )
+                            FROM public.question_options qo
+                            WHERE qo.question_id = q.id
+                        ),
+                        'blanks', (
+                            SELECT json_agg(
+                                json_build_object(
+                                    'blank_index', qb.blank_index,
+                                    'accepted_answers', qb.accepted_answers,
+                                    'given_answer', qans.answer_data->>qb.blank_index::TEXT,
+                                    'is_correct', cloze_blank_is_correct(qb.id, qans.answer_data->>qb.blank_index::TEXT)
+                                ) ORDER BY qb.blank_index
+                            )
+                            FROM public.question_blanks qb
+                            WHERE qb.question_id = q.id
+                        )
+                    ) ORDER BY qans.id
+                )
+                FROM public.quiz_answers qans
+                JOIN public.questions q ON q.id = qans.question_id
+                WHERE qans.attempt_id = p_attempt_id
+            )
+        )
+    ) INTO v_result;
+
+    RETURN v_result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+COMMENT ON TABLE public.question_blanks IS 'Accepted answers and normalization rules for each {{n}} blank of a cloze question.';
+COMMENT ON FUNCTION normalize_answer_text(TEXT, BOOLEAN, BOOLEAN, BOOLEAN) IS 'Normalizes typed answers for comparison: punctuation, whitespace and case rules.';
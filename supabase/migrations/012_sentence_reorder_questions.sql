@@ -0,0 +1,232 @@
+-- Migration 012: Sentence reordering questions
+-- Students put word tiles in order; the answer is graded against the primary
+-- order and any accepted alternative orders
+
+ALTER TABLE public.questions DROP CONSTRAINT IF EXISTS questions_question_type_check;
+ALTER TABLE public.questions ADD CONSTRAINT questions_question_type_check
+    CHECK (question_type IN ('single_choice', 'multiple_select', 'cloze', 'reorder'));
+
+-- Accepted token orders; the primary order also supplies the tiles shown to students
+CREATE TABLE IF NOT EXISTS public.question_reorder_sequences (
+    id SERIAL PRIMARY KEY,
+    question_id INTEGER REFERENCES public.questions(id) ON DELETE CASCADE,
+    tokens TEXT[] NOT NULL,
+    is_primary BOOLEAN DEFAULT false,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_question_reorder_sequences_question ON public.question_reorder_sequences(question_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_question_reorder_sequences_primary
+    ON public.question_reorder_sequences(question_id) WHERE is_primary;
+
+ALTER TABLE public.question_reorder_sequences ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Tutors can manage reorder sequences" ON public.question_reorder_sequences
+    FOR ALL USING (is_tutor_or_admin(auth.uid()));
+
+CREATE OR REPLACE FUNCTION get_quiz_question_payload(p_question_id INTEGER)
+RETURNS JSON AS $$
+BEGIN
+    RETURN (
+        SELECT json_build_object(
+            'id', q.id,
+            'question_type', q.question_type,
+            'question_text', q.question_text,
+            'image_url', q.image_url,
+            'audio_url', q.audio_url,
+            'tokens', (
+                -- Reorder tiles come from the primary order, shuffled
+                SELECT json_agg(token ORDER BY RANDOM())
+                FROM public.question_reorder_sequences qrs, unnest(qrs.tokens) AS token
+                WHERE qrs.question_id = q.id
+                  AND qrs.is_primary = true
+            ),
+            'blank_count', (
+                SELECT COUNT(*)
+                FROM public.question_blanks qb
+                WHERE qb.question_id = q.id
+            ),
+            'options', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', qo.id,
+                        'option_text', qo.option_text
+                    ) ORDER BY qo.order_index
+                )
+                FROM public.question_options qo
+                WHERE qo.question_id = q.id
+            )
+        )
+        FROM public.questions q
+        WHERE q.id = p_question_id
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- Reorder answers arrive as answer_data: ["I", "went", "to school"]
+CREATE OR REPLACE FUNCTION grade_quiz_answer(p_question_id INTEGER, p_answer JSON)
+RETURNS DECIMAL AS $$
+DECLARE
+    v_question_type VARCHAR(30);
+    v_scoring_mode VARCHAR(20);
+    v_selected INTEGER[];
+    v_total INTEGER;
+    v_hits INTEGER;
+    v_misses INTEGER;
+    v_is_correct BOOLEAN;
+    v_tokens TEXT[];
+BEGIN
+    SELECT question_type, scoring_mode INTO v_question_type, v_scoring_mode
+    FROM public.questions
+    WHERE id = p_question_id;
+
+    IF v_question_type = 'multiple_select' THEN
+        SELECT COALESCE(array_agg(DISTINCT value::INTEGER), ARRAY[]::INTEGER[]) INTO v_selected
+        FROM json_array_elements_text(COALESCE(p_answer->'selected_option_ids', '[]'::JSON));
+
+        SELECT COUNT(*) FILTER (WHERE is_correct),
+               COUNT(*) FILTER (WHERE is_correct AND id = ANY(v_selected)),
+               COUNT(*) FILTER (WHERE NOT is_correct AND id = ANY(v_selected))
+        INTO v_total, v_hits, v_misses
+        FROM public.question_options
+        WHERE question_id = p_question_id;
+
+        IF v_total = 0 THEN
+            RETURN 0;
+        END IF;
+
+        IF v_scoring_mode = 'partial' THEN
+            -- Each wrong pick cancels one right pick, never below zero
+            RETURN GREATEST(0, (v_hits - v_misses)::DECIMAL / v_total);
+        END IF;
+
+        RETURN CASE WHEN v_hits = v_total AND v_misses = 0 THEN 1 ELSE 0 END;
+    END IF;
+
+    IF v_question_type = 'cloze' THEN
+        SELECT COUNT(*),
+               COUNT(*) FILTER (WHERE cloze_blank_is_correct(qb.id, p_answer->'answer_data'->>qb.blank_index::TEXT))
+        INTO v_total, v_hits
+        FROM public.question_blanks qb
+        WHERE qb.question_id = p_question_id;
+
+        IF v_total = 0 THEN
+            RETURN 0;
+        END IF;
+
+        IF v_scoring_mode = 'partial' THEN
+            RETURN v_hits::DECIMAL / v_total;
+        END IF;
+
+        RETURN CASE WHEN v_hits = v_total THEN 1 ELSE 0 END;
+    END IF;
+
+    IF v_question_type = 'reorder' THEN
+        IF json_typeof(p_answer->'answer_data') IS DISTINCT FROM 'array' THEN
+            RETURN 0;
+        END IF;
+
+        SELECT array_agg(value ORDER BY ord) INTO v_tokens
+        FROM json_array_elements_text(p_answer->'answer_data') WITH ORDINALITY AS t(value, ord);
+
+        RETURN CASE WHEN EXISTS (
+            SELECT 1
+            FROM public.question_reorder_sequences
+            WHERE question_id = p_question_id
+              AND tokens = v_tokens
+        ) THEN 1 ELSE 0 END;
+    END IF;
+
+    SELECT is_correct INTO v_is_correct
+    FROM public.question_options
+    WHERE id = (p_answer->>'selected_option_id')::INTEGER
+      AND question_id = p_question_id;
+
+    RETURN CASE WHEN COALESCE(v_is_correct, false) THEN 1 ELSE 0 END;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- Quiz results include the accepted orders for reorder questions
+CREATE OR REPLACE FUNCTION get_quiz_results(p_attempt_id INTEGER)
+RETURNS JSON AS $$
+DECLARE
+    v_result JSON;
+BEGIN
+    SELECT json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'attempt', (
+                SELECT json_build_object(
+                    'id', qa.id,
+                    'score', qa.score,
+                    'correct_answers', qa.correct_answers,
+                    'total_questions', qa.total_questions,
+                    'time_taken', qa.time_taken,
+                    'started_at', qa.started_at,
+                    'completed_at', qa.completed_at,
+                    'category_id', qa.category_id,
+                    'difficulty_id', qa.difficulty_id,
+                    'category_name', c.name,
+                    'difficulty_name', dl.name
+                )
+                FROM public.quiz_attempts qa
+                JOIN public.categories c ON c.id = qa.category_id
+                JOIN public.difficulty_levels dl ON dl.id = qa.difficulty_id
+                WHERE qa.id = p_attempt_id
+            ),
+            'questions', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', qans.question_id,
+                        'question_type', q.question_type,
+                        'question_text', q.question_text,
+                        'explanation', q.explanation,
+                        'selected_option_id', qans.selected_option_id,
+                        'selected_option_ids', qans.selected_option_ids,
+                        'answer_data', qans.answer_data,
+                        'is_correct', qans.is_correct,
+                        'credit', qans.credit,
+                        'options', (
+                            SELECT json_agg(
+                                json_build_object(
+                                    'id', qo.id,
+                                    'option_text', qo.option_text,
+                                    'is_correct', qo.is_correct,
+                                    'is_selected', qo.id = qans.selected_option_id
+                                        OR qo.id = ANY(COALESCE(qans.selected_option_ids, ARRAY[]::INTEGER[]))
+                                ) ORDER BY qo.order_index
+                            )
+                            FROM public.question_options qo
+                            WHERE qo.question_id = q.id
+                        ),
+                        'blanks', (
+                            SELECT json_agg(
+                                json_build_object(
+                                    'blank_index', qb.blank_index,
+                                    'accepted_answers', qb.accepted_answers,
+                                    'given_answer', qans.answer_data->>qb.blank_index::TEXT,
+                                    'is_correct', cloze_blank_is_correct(qb.id, qans.answer_data->>qb.blank_index::TEXT)
+                                ) ORDER BY qb.blank_index
+                            )
+                            FROM public.question_blanks qb
+                            WHERE qb.question_id = q.id
+                        ),
+                        'accepted_orders', (
+                            SELECT json_agg(qrs.tokens ORDER BY qrs.is_primary DESC, qrs.id)
+                            FROM public.question_reorder_sequences qrs
+                            WHERE qrs.question_id = q.id
+                        )
+                    ) ORDER BY qans.id
+                )
+                FROM public.quiz_answers qans
+                JOIN public.questions q ON q.id = qans.question_id
+                WHERE qans.attempt_id = p_attempt_id
+            )
+        )
+    ) INTO v_result;
+
+    RETURN v_result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+COMMENT ON TABLE public.question_reorder_sequences IS 'Accepted token orders for sentence reordering questions. The primary order supplies the tiles.';
@@ -0,0 +1,489 @@
+-- Migration 014: Manually graded short-answer questions
+-- Free-text answers are scored by a tutor. Attempts that contain one stay
+-- 'pending' until every such answer is graded, then the score is recalculated
+
+ALTER TABLE public.questions DROP CONSTRAINT IF EXISTS questions_question_type_check;
+ALTER TABLE public.questions ADD CONSTRAINT questions_question_type_check
+    CHECK (question_type IN ('single_choice', 'multiple_select', 'cloze', 'reorder', 'matching', 'short_answer'));
+
+ALTER TABLE public.quiz_answers
+    ADD COLUMN IF NOT EXISTS needs_grading BOOLEAN DEFAULT false,
+    ADD COLUMN IF NOT EXISTS graded_by UUID REFERENCES public.users(id),
+    ADD COLUMN IF NOT EXISTS graded_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS grader_comment TEXT;
+
+ALTER TABLE public.quiz_attempts
+    ADD COLUMN IF NOT EXISTS grading_status VARCHAR(20) NOT NULL DEFAULT 'graded';
+
+ALTER TABLE public.quiz_attempts DROP CONSTRAINT IF EXISTS quiz_attempts_grading_status_check;
+ALTER TABLE public.quiz_attempts ADD CONSTRAINT quiz_attempts_grading_status_check
+    CHECK (grading_status IN ('graded', 'pending'));
+
+CREATE INDEX IF NOT EXISTS idx_quiz_answers_needs_grading ON public.quiz_answers(needs_grading) WHERE needs_grading;
+
+-- Question types a tutor has to score by hand
+CREATE OR REPLACE FUNCTION is_manually_graded(p_question_id INTEGER)
+RETURNS BOOLEAN AS $$
+BEGIN
+    RETURN EXISTS (
+        SELECT 1
+        FROM public.questions
+        WHERE id = p_question_id
+          AND question_type IN ('short_answer')
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION grade_quiz_answer(p_question_id INTEGER, p_answer JSON)
+RETURNS DECIMAL AS $$
+DECLARE
+    v_question_type VARCHAR(30);
+    v_scoring_mode VARCHAR(20);
+    v_selected INTEGER[];
+    v_total INTEGER;
+    v_hits INTEGER;
+    v_misses INTEGER;
+    v_is_correct BOOLEAN;
+    v_tokens TEXT[];
+BEGIN
+    SELECT question_type, scoring_mode INTO v_question_type, v_scoring_mode
+    FROM public.questions
+    WHERE id = p_question_id;
+
+    -- Manually graded answers earn nothing until a tutor grades them
+    IF v_question_type = 'short_answer' THEN
+        RETURN 0;
+    END IF;
+
+    IF v_question_type = 'multiple_select' THEN
+        SELECT COALESCE(array_agg(DISTINCT value::INTEGER), ARRAY[]::INTEGER[]) INTO v_selected
+        FROM json_array_elements_text(COALESCE(p_answer->'selected_option_ids', '[]'::JSON));
+
+        SELECT COUNT(*) FILTER (WHERE is_correct),
+               COUNT(*) FILTER (WHERE is_correct AND id = ANY(v_selected)),
+               COUNT(*) FILTER (WHERE NOT is_correct AND id = ANY(v_selected))
+        INTO v_total, v_hits, v_misses
+        FROM public.question_options
+        WHERE question_id = p_question_id;
+
+        IF v_total = 0 THEN
+            RETURN 0;
+        END IF;
+
+        IF v_scoring_mode = 'partial' THEN
+            -- Each wrong pick cancels one right pick, never below zero
+            RETURN GREATEST(0, (v_hits - v_misses)::DECIMAL / v_total);
+        END IF;
+
+        RETURN CASE WHEN v_hits = v_total AND v_misses = 0 THEN 1 ELSE 0 END;
+    END IF;
+
+    IF v_question_type = 'cloze' THEN
+        SELECT COUNT(*),
+               COUNT(*) FILTER (WHERE cloze_blank_is_correct(qb.id, p_answer->'answer_data'->>qb.blank_index::TEXT))
+        INTO v_total, v_hits
+        FROM public.question_blanks qb
+        WHERE qb.question_id = p_question_id;
+
+        IF v_total = 0 THEN
+            RETURN 0;
+        END IF;
+
+        IF v_scoring_mode = 'partial' THEN
+            RETURN v_hits::DECIMAL / v_total;
+        END IF;
+
+        RETURN CASE WHEN v_hits = v_total THEN 1 ELSE 0 END;
+    END IF;
+
+    IF v_question_type = 'matching' THEN
+        SELECT COUNT(*),
+               COUNT(*) FILTER (WHERE qmp.right_text = p_answer->'answer_data'->>qmp.id::TEXT)
+        INTO v_total, v_hits
+        FROM public.question_match_pairs qmp
+        WHERE qmp.question_id = p_question_id;
+
+        IF v_total = 0 THEN
+            RETURN 0;
+        END IF;
+
+        IF v_scoring_mode = 'partial' THEN
+            RETURN v_hits::DECIMAL / v_total;
+        END IF;
+
+        RETURN CASE WHEN v_hits = v_total THEN 1 ELSE 0 END;
+    END IF;
+
+    IF v_question_type = 'reorder' THEN
+        IF json_typeof(p_answer->'answer_data') IS DISTINCT FROM 'array' THEN
+            RETURN 0;
+        END IF;
+
+        SELECT array_agg(value ORDER BY ord) INTO v_tokens
+        FROM json_array_elements_text(p_answer->'answer_data') WITH ORDINALITY AS t(value, ord);
+
+        RETURN CASE WHEN EXISTS (
+            SELECT 1
+            FROM public.question_reorder_sequences
+            WHERE question_id = p_question_id
+              AND tokens = v_tokens
+        ) THEN 1 ELSE 0 END;
+    END IF;
+
+    SELECT is_correct INTO v_is_correct
+    FROM public.question_options
+    WHERE id = (p_answer->>'selected_option_id')::INTEGER
+      AND question_id = p_question_id;
+
+    RETURN CASE WHEN COALESCE(v_is_correct, false) THEN 1 ELSE 0 END;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- Recompute an attempt's score from its stored answers
+CREATE OR REPLACE FUNCTION recalculate_attempt_score(p_attempt_id INTEGER)
+RETURNS VOID AS $$
+DECLARE
+    v_total_questions INTEGER;
+    v_total_credit DECIMAL;
+    v_correct_count INTEGER;
+    v_pending INTEGER;
+BEGIN
+    SELECT total_questions INTO v_total_questions
+    FROM public.quiz_attempts
+    WHERE id = p_attempt_id;
+
+    SELECT COALESCE(SUM(credit), 0),
+           COUNT(*) FILTER (WHERE credit >= 1),
+           COUNT(*) FILTER (WHERE needs_grading)
+    INTO v_total_credit, v_correct_count, v_pending
+    FROM public.quiz_answers
+    WHERE attempt_id = p_attempt_id;
+
+    UPDATE public.quiz_attempts
+    SET
+        correct_answers = v_correct_count,
+        score = CASE
+            WHEN v_total_questions > 0 THEN (v_total_credit / v_total_questions::DECIMAL) * 100
+            ELSE 0
+        END,
+        grading_status = CASE WHEN v_pending > 0 THEN 'pending' ELSE 'graded' END
+    WHERE id = p_attempt_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Submit quiz answers; attempts with manually graded answers stay pending
+CREATE OR REPLACE FUNCTION submit_quiz_answers(
+    p_attempt_id INTEGER,
+    p_answers JSON
+)
+RETURNS JSON AS $$
+DECLARE
+    v_answer JSON;
+    v_correct_count INTEGER;
+    v_total_questions INTEGER;
+    v_score DECIMAL(5,2);
+    v_grading_status VARCHAR(20);
+    v_student_id UUID;
+BEGIN
+    -- Get attempt details
+    SELECT student_id, total_questions INTO v_student_id, v_total_questions
+    FROM public.quiz_attempts
+    WHERE id = p_attempt_id AND is_completed = false;
+
+    IF v_student_id IS NULL THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'Quiz attempt not found or already completed'
+        );
+    END IF;
+
+    -- Process each answer
+    FOR v_answer IN SELECT * FROM json_array_elements(p_answers)
+    LOOP
+        DECLARE
+            v_question_id INTEGER := (v_answer->>'question_id')::INTEGER;
+            v_selected_ids INTEGER[];
+            v_credit DECIMAL;
+        BEGIN
+            IF json_typeof(v_answer->'selected_option_ids') = 'array' THEN
+                SELECT array_agg(value::INTEGER) INTO v_selected_ids
+                FROM json_array_elements_text(v_answer->'selected_option_ids');
+            END IF;
+
+            v_credit := grade_quiz_answer(v_question_id, v_answer);
+
+            INSERT INTO public.quiz_answers (
+                attempt_id, question_id, selected_option_id, selected_option_ids, answer_data, is_correct, credit, needs_grading
+            )
+            VALUES (
+                p_attempt_id,
+                v_question_id,
+                (v_answer->>'selected_option_id')::INTEGER,
+                v_selected_ids,
+                (v_answer->'answer_data')::JSONB,
+                v_credit >= 1,
+                v_credit,
+                is_manually_graded(v_question_id)
+            );
+        END;
+    END LOOP;
+
+    UPDATE public.quiz_attempts
+    SET
+        completed_at = NOW(),
+        is_completed = true
+    WHERE id = p_attempt_id;
+
+    -- Score and grading status come from the stored answers
+    PERFORM recalculate_attempt_score(p_attempt_id);
+
+    SELECT correct_answers, score, grading_status
+    INTO v_correct_count, v_score, v_grading_status
+    FROM public.quiz_attempts
+    WHERE id = p_attempt_id;
+
+    RETURN json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'attempt_id', p_attempt_id,
+            'correct_answers', v_correct_count,
+            'total_questions', v_total_questions,
+            'score', v_score,
+            'grading_status', v_grading_status
+        )
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Answers waiting for a tutor, oldest first
+CREATE OR REPLACE FUNCTION get_grading_queue()
+RETURNS JSON AS $$
+BEGIN
+    IF NOT is_tutor_or_admin(auth.uid()) THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'Only tutors can grade answers'
+        );
+    END IF;
+
+    RETURN json_build_object(
+        'success', true,
+        'data', COALESCE((
+            SELECT json_agg(
+                json_build_object(
+                    'answer_id', qans.id,
+                    'attempt_id', qa.id,
+                    'answer_data', qans.answer_data,
+                    'completed_at', qa.completed_at,
+                    'question_id', q.id,
+                    'question_type', q.question_type,
+                    'question_text', q.question_text,
+                    'explanation', q.explanation,
+                    'category_name', c.name,
+                    'difficulty_name', dl.name,
+                    'student', json_build_object(
+                        'id', u.id,
+                        'first_name', u.first_name,
+                        'last_name', u.last_name
+                    )
+                ) ORDER BY qa.completed_at, qans.id
+            )
+            FROM public.quiz_answers qans
+            JOIN public.quiz_attempts qa ON qa.id = qans.attempt_id
+            JOIN public.questions q ON q.id = qans.question_id
+            JOIN public.categories c ON c.id = qa.category_id
+            JOIN public.difficulty_levels dl ON dl.id = qa.difficulty_id
+            JOIN public.users u ON u.id = qa.student_id
+            WHERE qans.needs_grading = true
+        ), '[]'::JSON)
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- Score one manually graded answer (credit 0-1) and refresh the attempt
+CREATE OR REPLACE FUNCTION grade_manual_answer(
+    p_answer_id INTEGER,
+    p_credit DECIMAL,
+    p_comment TEXT DEFAULT NULL
+)
+RETURNS JSON AS $$
+DECLARE
+    v_attempt_id INTEGER;
+    v_is_completed BOOLEAN;
+BEGIN
+    IF NOT is_tutor_or_admin(auth.uid()) THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'Only tutors can grade answers'
+        );
+    END IF;
+
+    IF p_credit IS NULL OR p_credit < 0 OR p_credit > 1 THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'Score must be between 0 and 100%'
+        );
+    END IF;
+
+    -- Submitting regrades every answer, so a grade given before that would be lost
+    SELECT qa.is_completed INTO v_is_completed
+    FROM public.quiz_answers qans
+    JOIN public.quiz_attempts qa ON qa.id = qans.attempt_id
+    WHERE qans.id = p_answer_id
+    FOR UPDATE OF qa;
+
+    IF v_is_completed IS NULL THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'Answer not found'
+        );
+    END IF;
+
+    IF NOT v_is_completed THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'Answers can only be graded once the quiz is submitted'
+        );
+    END IF;
+
+    UPDATE public.quiz_answers
+    SET
+        credit = p_credit,
+        is_correct = p_credit >= 1,
+        needs_grading = false,
+        graded_by = auth.uid(),
+        graded_at = NOW(),
+        grader_comment = NULLIF(btrim(p_comment), '')
+    WHERE id = p_answer_id
+      AND is_manually_graded(question_id)
+    RETURNING attempt_id INTO v_attempt_id;
+
+    IF v_attempt_id IS NULL THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'Answer not found'
+        );
+    END IF;
+
+    PERFORM recalculate_attempt_score(v_attempt_id);
+
+    RETURN json_build_object(
+        'success', true,
+        'data', (
+            SELECT json_build_object(
+                'attempt_id', id,
+                'score', score,
+                'grading_status', grading_status
+            )
+            FROM public.quiz_attempts
+            WHERE id = v_attempt_id
+        )
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Quiz results report the grading status and tutor comments
+CREATE OR REPLACE FUNCTION get_quiz_results(p_attempt_id INTEGER)
+RETURNS JSON AS $$
+DECLARE
+    v_result JSON;
+BEGIN
+    SELECT json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'attempt', (
+                SELECT json_build_object(
+                    'id', qa.id,
+                    'score', qa.score,
+                    'correct_answers', qa.correct_answers,
+                    'total_questions', qa.total_questions,
+                    'time_taken', qa.time_taken,
+                    'started_at', qa.started_at,
+                    'completed_at', qa.completed_at,
+                    'category_id', qa.category_id,
+                    'difficulty_id', qa.difficulty_id,
+                    'category_name', c.name,
+                    'difficulty_name', dl.name,
+                    'grading_status', qa.grading_status
+                )
+                FROM public.quiz_attempts qa
+                JOIN public.categories c ON c.id = qa.category_id
+                JOIN public.difficulty_levels dl ON dl.id = qa.difficulty_id
+                WHERE qa.id = p_attempt_id
+            ),
+            'questions', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', qans.question_id,
+                        'answer_id', qans.id,
+                        'question_type', q.question_type,
+                        'question_text', q.question_text,
+                        'explanation', q.explanation,
+                        'selected_option_id', qans.selected_option_id,
+                        'selected_option_ids', qans.selected_option_ids,
+                        'answer_data', qans.answer_data,
+                        'is_correct', qans.is_correct,
+                        'credit', qans.credit,
+                        'needs_grading', qans.needs_grading,
+                        'grader_comment', qans.grader_comment,
+                        'options', (
+                            SELECT json_agg(
+                                json_build_object(
+                                    'id', qo.id,
+                                    'option_text', qo.option_text,
+                                    'is_correct', qo.is_correct,
+                                    'is_selected', qo.id = qans.selected_option_id
+                                        OR qo.id = ANY(COALESCE(qans.selected_option_ids, ARRAY[]::INTEGER[]))
+                                ) ORDER BY qo.order_index
+                            )
+                            FROM public.question_options qo
+                            WHERE qo.question_id = q.id
+                        ),
+                        'blanks', (
+                            SELECT json_agg(
+                                json_build_object(
+                                    'blank_index', qb.blank_index,
+                                    'accepted_answers', qb.accepted_answers,
+                                    'given_answer', qans.answer_data->>qb.blank_index::TEXT,
+                                    'is_correct', cloze_blank_is_correct(qb.id, qans.answer_data->>qb.blank_index::TEXT)
+                                ) ORDER BY qb.blank_index
+                            )
+                            FROM public.question_blanks qb
+                            WHERE qb.question_id = q.id
+                        ),
+                        'pairs', (
+                            SELECT json_agg(
+                                json_build_object(
+                                    'id', qmp.id,
+                                    'left_text', qmp.left_text,
+                                    'right_text', qmp.right_text,
+                                    'given_answer', qans.answer_data->>qmp.id::TEXT,
+                                    'is_correct', qmp.right_text = qans.answer_data->>qmp.id::TEXT
+                                ) ORDER BY qmp.order_index
+                            )
+                            FROM public.question_match_pairs qmp
+                            WHERE qmp.question_id = q.id
+                        ),
+                        'accepted_orders', (
+                            SELECT json_agg(qrs.tokens ORDER BY qrs.is_primary DESC, qrs.id)
+                            FROM public.question_reorder_sequences qrs
+                            WHERE qrs.question_id = q.id
+                        )
+                    ) ORDER BY qans.id
+                )
+                FROM public.quiz_answers qans
+                JOIN public.questions q ON q.id = qans.question_id
+                WHERE qans.attempt_id = p_attempt_id
+            )
+        )
+    ) INTO v_result;
+
+    RETURN v_result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION get_grading_queue() TO authenticated;
+GRANT EXECUTE ON FUNCTION grade_manual_answer(INTEGER, DECIMAL, TEXT) TO authenticated;
+
+COMMENT ON FUNCTION recalculate_attempt_score(INTEGER) IS 'Recomputes score, correct answers and grading status of an attempt from its stored answers.';
+COMMENT ON FUNCTION grade_manual_answer(INTEGER, DECIMAL, TEXT) IS 'Tutor grading for manually graded answers; recalculates the attempt score.';
@@ -0,0 +1,424 @@
+-- Migration 015: Writing tasks with rubric-based scoring
+-- Essay prompts are graded by tutors against per-question rubric criteria,
+-- each rated 1 to max_score (5 by default)
+
+ALTER TABLE public.questions DROP CONSTRAINT IF EXISTS questions_question_type_check;
+ALTER TABLE public.questions ADD CONSTRAINT questions_question_type_check
+    CHECK (question_type IN ('single_choice', 'multiple_select', 'cloze', 'reorder', 'matching', 'short_answer', 'essay'));
+
+-- Optional word limits shown in the essay editor
+ALTER TABLE public.questions
+    ADD COLUMN IF NOT EXISTS min_words INTEGER CHECK (min_words IS NULL OR min_words > 0),
+    ADD COLUMN IF NOT EXISTS max_words INTEGER CHECK (max_words IS NULL OR max_words > 0);
+
+CREATE TABLE IF NOT EXISTS public.question_rubric_criteria (
+    id SERIAL PRIMARY KEY,
+    question_id INTEGER REFERENCES public.questions(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    max_score INTEGER NOT NULL DEFAULT 5 CHECK (max_score > 0),
+    order_index INTEGER DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS public.quiz_answer_rubric_scores (
+    id SERIAL PRIMARY KEY,
+    answer_id INTEGER REFERENCES public.quiz_answers(id) ON DELETE CASCADE,
+    criterion_id INTEGER REFERENCES public.question_rubric_criteria(id) ON DELETE CASCADE,
+    score INTEGER NOT NULL CHECK (score >= 1),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (answer_id, criterion_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_question_rubric_criteria_question ON public.question_rubric_criteria(question_id);
+CREATE INDEX IF NOT EXISTS idx_quiz_answer_rubric_scores_answer ON public.quiz_answer_rubric_scores(answer_id);
+
+ALTER TABLE public.question_rubric_criteria ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.quiz_answer_rubric_scores ENABLE ROW LEVEL SECURITY;
+
+-- Rubrics are not an answer key, so students may read them
+CREATE POLICY "Anyone can view rubric criteria" ON public.question_rubric_criteria
+    FOR SELECT USING (auth.role() = 'authenticated');
+
+CREATE POLICY "Tutors can manage rubric criteria" ON public.question_rubric_criteria
+    FOR ALL USING (is_tutor_or_admin(auth.uid()));
+
+CREATE POLICY "Students can view their own rubric scores" ON public.quiz_answer_rubric_scores
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1
+            FROM public.quiz_answers qans
+            JOIN public.quiz_attempts qa ON qa.id = qans.attempt_id
+            WHERE qans.id = answer_id AND qa.student_id = auth.uid()
+        )
+    );
+
+CREATE POLICY "Tutors can view all rubric scores" ON public.quiz_answer_rubric_scores
+    FOR SELECT USING (is_tutor_or_admin(auth.uid()));
+
+CREATE OR REPLACE FUNCTION is_manually_graded(p_question_id INTEGER)
+RETURNS BOOLEAN AS $$
+BEGIN
+    RETURN EXISTS (
+        SELECT 1
+        FROM public.questions
+        WHERE id = p_question_id
+          AND question_type IN ('short_answer', 'essay')
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION get_quiz_question_payload(p_question_id INTEGER)
+RETURNS JSON AS $$
+BEGIN
+    RETURN (
+        SELECT json_build_object(
+            'id', q.id,
+            'question_type', q.question_type,
+            'question_text', q.question_text,
+            'image_url', q.image_url,
+            'audio_url', q.audio_url,
+            'min_words', q.min_words,
+            'max_words', q.max_words,
+            'rubric', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', qrc.id,
+                        'name', qrc.name,
+                        'description', qrc.description,
+                        'max_score', qrc.max_score
+                    ) ORDER BY qrc.order_index
+                )
+                FROM public.question_rubric_criteria qrc
+                WHERE qrc.question_id = q.id
+            ),
+            'tokens', (
+                -- Reorder tiles come from the primary order, shuffled
+                SELECT json_agg(token ORDER BY RANDOM())
+                FROM public.question_reorder_sequences qrs, unnest(qrs.tokens) AS token
+                WHERE qrs.question_id = q.id
+                  AND qrs.is_primary = true
+            ),
+            'match_items', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', qmp.id,
+                        'text', qmp.left_text
+                    ) ORDER BY qmp.order_index
+                )
+                FROM public.question_match_pairs qmp
+                WHERE qmp.question_id = q.id
+            ),
+            'match_choices', (
+                -- Right-hand texts are shuffled and carry no ids, so they do not reveal the pairing
+                SELECT json_agg(qmp.right_text ORDER BY RANDOM())
+                FROM public.question_match_pairs qmp
+                WHERE qmp.question_id = q.id
+            ),
+            'blank_count', (
+                SELECT COUNT(*)
+                FROM public.question_blanks qb
+                WHERE qb.question_id = q.id
+            ),
+            'options', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', qo.id,
+                        'option_text', qo.option_text
+                    ) ORDER BY qo.order_index
+                )
+                FROM public.question_options qo
+                WHERE qo.question_id = q.id
+            )
+        )
+        FROM public.questions q
+        WHERE q.id = p_question_id
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- Pending answers now include the rubric for essay questions
+CREATE OR REPLACE FUNCTION get_grading_queue()
+RETURNS JSON AS $$
+BEGIN
+    IF NOT is_tutor_or_admin(auth.uid()) THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'Only tutors can grade answers'
+        );
+    END IF;
+
+    RETURN json_build_object(
+        'success', true,
+        'data', COALESCE((
+            SELECT json_agg(
+                json_build_object(
+                    'answer_id', qans.id,
+                    'attempt_id', qa.id,
+                    'answer_data', qans.answer_data,
+                    'completed_at', qa.completed_at,
+                    'question_id', q.id,
+                    'question_type', q.question_type,
+                    'question_text', q.question_text,
+                    'explanation', q.explanation,
+                    'min_words', q.min_words,
+                    'max_words', q.max_words,
+                    'rubric', (
+                        SELECT json_agg(
+                            json_build_object(
+                                'id', qrc.id,
+                                'name', qrc.name,
+                                'description', qrc.description,
+                                'max_score', qrc.max_score
+                            ) ORDER BY qrc.order_index
+                        )
+                        FROM public.question_rubric_criteria qrc
+                        WHERE qrc.question_id = q.id
+                    ),
+                    'category_name', c.name,
+                    'difficulty_name', dl.name,
+                    'student', json_build_object(
+                        'id', u.id,
+                        'first_name', u.first_name,
+                        'last_name', u.last_name
+                    )
+                ) ORDER BY qa.completed_at, qans.id
+            )
+            FROM public.quiz_answers qans
+            JOIN public.quiz_attempts qa ON qa.id = qans.attempt_id
+            JOIN public.questions q ON q.id = qans.question_id
+            JOIN public.categories c ON c.id = qa.category_id
+            JOIN public.difficulty_levels dl ON dl.id = qa.difficulty_id
+            JOIN public.users u ON u.id = qa.student_id
+            WHERE qans.needs_grading = true
+        ), '[]'::JSON)
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- Score an essay against its rubric; credit is the share of rubric points earned
+CREATE OR REPLACE FUNCTION grade_essay_answer(
+    p_answer_id INTEGER,
+    p_scores JSON,
+    p_comment TEXT DEFAULT NULL
+)
+RETURNS JSON AS $$
+DECLARE
+    v_question_id INTEGER;
+    v_is_completed BOOLEAN;
+    v_criteria_count INTEGER;
+    v_scored_count INTEGER;
+    v_earned INTEGER;
+    v_possible INTEGER;
+BEGIN
+    IF NOT is_tutor_or_admin(auth.uid()) THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'Only tutors can grade answers'
+        );
+    END IF;
+
+    SELECT qans.question_id, qa.is_completed INTO v_question_id, v_is_completed
+    FROM public.quiz_answers qans
+    JOIN public.questions q ON q.id = qans.question_id
+    JOIN public.quiz_attempts qa ON qa.id = qans.attempt_id
+    WHERE qans.id = p_answer_id
+      AND q.question_type = 'essay';
+
+    IF v_question_id IS NULL THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'Essay answer not found'
+        );
+    END IF;
+
+    -- Checked here as well so rubric scores are not stored for an answer grade_manual_answer refuses
+    IF NOT v_is_completed THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'Answers can only be graded once the quiz is submitted'
+        );
+    END IF;
+
+    -- Every criterion needs a score within its range
+    SELECT COUNT(*),
+           COUNT(s.score) FILTER (WHERE s.score BETWEEN 1 AND qrc.max_score),
+           COALESCE(SUM(s.score), 0),
+           COALESCE(SUM(qrc.max_score), 0)
+    INTO v_criteria_count, v_scored_count, v_earned, v_possible
+    FROM public.question_rubric_criteria qrc
+    LEFT JOIN (
+        SELECT (value->>'criterion_id')::INTEGER AS criterion_id,
+               (value->>'score')::INTEGER AS score
+        FROM json_array_elements(p_scores)
+    ) s ON s.criterion_id = qrc.id
+    WHERE qrc.question_id = v_question_id;
+
+    IF v_criteria_count = 0 OR v_scored_count < v_criteria_count THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'Rate every rubric criterion'
+        );
+    END IF;
+
+    DELETE FROM public.quiz_answer_rubric_scores WHERE answer_id = p_answer_id;
+
+    INSERT INTO public.quiz_answer_rubric_scores (answer_id, criterion_id, score)
+    SELECT p_answer_id, (value->>'criterion_id')::INTEGER, (value->>'score')::INTEGER
+    FROM json_array_elements(p_scores);
+
+    RETURN grade_manual_answer(p_answer_id, v_earned::DECIMAL / v_possible, p_comment);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Average rubric rating per criterion name across a student's graded essays
+CREATE OR REPLACE FUNCTION get_student_rubric_breakdown(p_student_id UUID)
+RETURNS JSON AS $$
+BEGIN
+    IF auth.uid() IS DISTINCT FROM p_student_id AND NOT is_tutor_or_admin(auth.uid()) THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'Not allowed to view this student'
+        );
+    END IF;
+
+    RETURN json_build_object(
+        'success', true,
+        'data', COALESCE((
+            SELECT json_agg(row_to_json(breakdown) ORDER BY breakdown.criterion)
+            FROM (
+                SELECT qrc.name AS criterion,
+                       ROUND(AVG(rs.score)::NUMERIC, 2) AS average_score,
+                       MAX(qrc.max_score) AS max_score,
+                       COUNT(*) AS ratings
+                FROM public.quiz_answer_rubric_scores rs
+                JOIN public.question_rubric_criteria qrc ON qrc.id = rs.criterion_id
+                JOIN public.quiz_answers qans ON qans.id = rs.answer_id
+                JOIN public.quiz_attempts qa ON qa.id = qans.attempt_id
+                WHERE qa.student_id = p_student_id
+                GROUP BY qrc.name
+            ) breakdown
+        ), '[]'::JSON)
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- Quiz results include the rubric breakdown of graded essays
+CREATE OR REPLACE FUNCTION get_quiz_results(p_attempt_id INTEGER)
+RETURNS JSON AS $$
+DECLARE
+    v_result JSON;
+BEGIN
+    SELECT json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'attempt', (
+                SELECT json_build_object(
+                    'id', qa.id,
+                    'score', qa.score,
+                    'correct_answers', qa.correct_answers,
+                    'total_questions', qa.total_questions,
+                    'time_taken', qa.time_taken,
+                    'started_at', qa.started_at,
+                    'completed_at', qa.completed_at,
+                    'category_id', qa.category_id,
+                    'difficulty_id', qa.difficulty_id,
+                    'category_name', c.name,
+                    'difficulty_name', dl.name,
+                    'grading_status', qa.grading_status
+                )
+                FROM public.quiz_attempts qa
+                JOIN public.categories c ON c.id = qa.category_id
+                JOIN public.difficulty_levels dl ON dl.id = qa.difficulty_id
+                WHERE qa.id = p_attempt_id
+            ),
+            'questions', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', qans.question_id,
+                        'answer_id', qans.id,
+                        'question_type', q.question_type,
+                        'question_text', q.question_text,
+                        'explanation', q.explanation,
+                        'selected_option_id', qans.selected_option_id,
+                        'selected_option_ids', qans.selected_option_ids,
+                        'answer_data', qans.answer_data,
+                        'is_correct', qans.is_correct,
+                        'credit', qans.credit,
+                        'needs_grading', qans.needs_grading,
+                        'grader_comment', qans.grader_comment,
+                        'rubric_scores', (
+                            SELECT json_agg(
+                                json_build_object(
+                                    'criterion_id', qrc.id,
+                                    'name', qrc.name,
+                                    'max_score', qrc.max_score,
+                                    'score', rs.score
+                                ) ORDER BY qrc.order_index
+                            )
+                            FROM public.question_rubric_criteria qrc
+                            JOIN public.quiz_answer_rubric_scores rs
+                              ON rs.criterion_id = qrc.id AND rs.answer_id = qans.id
+                            WHERE qrc.question_id = q.id
+                        ),
+                        'options', (
+                            SELECT json_agg(
+                                json_build_object(
+                                    'id', qo.id,
+                                    'option_text', qo.option_text,
+                                    'is_correct', qo.is_correct,
+                                    'is_selected', qo.id = qans.selected_option_id
+                                        OR qo.id = ANY(COALESCE(qans.selected_option_ids, ARRAY[]::INTEGER[]))
+                                ) ORDER BY qo.order_index
+                            )
+                            FROM public.question_options qo
+                            WHERE qo.question_id = q.id
+                        ),
+                        'blanks', (
+                            SELECT json_agg(
+                                json_build_object(
+                                    'blank_index', qb.blank_index,
+                                    'accepted_answers', qb.accepted_answers,
+                                    'given_answer', qans.answer_data->>qb.blank_index::TEXT,
+                                    'is_correct', cloze_blank_is_correct(qb.id, qans.answer_data->>qb.blank_index::TEXT)
+                                ) ORDER BY qb.blank_index
+                            )
+                            FROM public.question_blanks qb
+                            WHERE qb.question_id = q.id
+                        ),
+                        'pairs', (
+                            SELECT json_agg(
+                                json_build_object(
+                                    'id', qmp.id,
+                                    'left_text', qmp.left_text,
+                                    'right_text', qmp.right_text,
+                                    'given_answer', qans.answer_data->>qmp.id::TEXT,
+                                    'is_correct', qmp.right_text = qans.answer_data->>qmp.id::TEXT
+                                ) ORDER BY qmp.order_index
+                            )
+                            FROM public.question_match_pairs qmp
+                            WHERE qmp.question_id = q.id
+                        ),
+                        'accepted_orders', (
+                            SELECT json_agg(qrs.tokens ORDER BY qrs.is_primary DESC, qrs.id)
+                            FROM public.question_reorder_sequences qrs
+                            WHERE qrs.question_id = q.id
+                        )
+                    ) ORDER BY qans.id
+                )
+                FROM public.quiz_answers qans
+                JOIN public.questions q ON q.id = qans.question_id
+                WHERE qans.attempt_id = p_attempt_id
+            )
+        )
+    ) INTO v_result;
+
+    RETURN v_result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION grade_essay_answer(INTEGER, JSON, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION get_student_rubric_breakdown(UUID) TO authenticated;
+
+COMMENT ON TABLE public.question_rubric_criteria IS 'Rubric criteria (e.g. task achievement, coherence) used to score essay questions.';
+COMMENT ON FUNCTION grade_essay_answer(INTEGER, JSON, TEXT) IS 'Stores rubric ratings for an essay answer and grades it with the share of rubric points earned.';
@@ -0,0 +1,120 @@
+-- Migration 016: Speaking tasks with recorded responses
+-- Students record an answer in the browser; recordings are stored in a
+-- private bucket and scored by tutors like other manually graded answers
+
+ALTER TABLE public.questions DROP CONSTRAINT IF EXISTS questions_question_type_check;
+ALTER TABLE public.questions ADD CONSTRAINT questions_question_type_check
+    CHECK (question_type IN ('single_choice', 'multiple_select', 'cloze', 'reorder', 'matching', 'short_answer', 'essay', 'speaking'));
+
+-- Longest recording allowed for a speaking task, in seconds
+ALTER TABLE public.questions
+    ADD COLUMN IF NOT EXISTS recording_time_limit INTEGER CHECK (recording_time_limit IS NULL OR recording_time_limit > 0);
+
+-- Recordings are private: students see their own, tutors see all
+INSERT INTO storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+VALUES
+  ('speaking-responses', 'speaking-responses', false, 20971520, ARRAY['audio/webm', 'audio/ogg', 'audio/mp4', 'audio/mpeg', 'audio/wav'])
+ON CONFLICT (id) DO NOTHING;
+
+-- Files are stored as <student id>/<attempt id>/<question id>-<timestamp>.<ext>
+CREATE POLICY "Students can upload their own speaking responses" ON storage.objects
+  FOR INSERT WITH CHECK (
+    bucket_id = 'speaking-responses' AND
+    auth.uid()::text = (storage.foldername(name))[1]
+  );
+
+CREATE POLICY "Users can view speaking responses" ON storage.objects
+  FOR SELECT USING (
+    bucket_id = 'speaking-responses' AND (
+      auth.uid()::text = (storage.foldername(name))[1] OR
+      is_tutor_or_admin(auth.uid())
+    )
+  );
+
+CREATE POLICY "Students can delete their own speaking responses" ON storage.objects
+  FOR DELETE USING (
+    bucket_id = 'speaking-responses' AND
+    auth.uid()::text = (storage.foldername(name))[1]
+  );
+
+CREATE OR REPLACE FUNCTION is_manually_graded(p_question_id INTEGER)
+RETURNS BOOLEAN AS $$
+BEGIN
+    RETURN EXISTS (
+        SELECT 1
+        FROM public.questions
+        WHERE id = p_question_id
+          AND question_type IN ('short_answer', 'essay', 'speaking')
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION get_quiz_question_payload(p_question_id INTEGER)
+RETURNS JSON AS $$
+BEGIN
+    RETURN (
+        SELECT json_build_object(
+            'id', q.id,
+            'question_type', q.question_type,
+            'question_text', q.question_text,
+            'image_url', q.image_url,
+            'audio_url', q.audio_url,
+            'min_words', q.min_words,
+            'max_words', q.max_words,
+            'recording_time_limit', q.recording_time_limit,
+            'rubric', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', qrc.id,
+                        'name', qrc.name,
+                        'description', qrc.description,
+                        'max_score', qrc.max_score
+                    ) ORDER BY qrc.order_index
+                )
+                FROM public.question_rubric_criteria qrc
+                WHERE qrc.question_id = q.id
+            ),
+            'tokens', (
+                -- Reorder tiles come from the primary order, shuffled
+                SELECT json_agg(token ORDER BY RANDOM())
+                FROM public.question_reorder_sequences qrs, unnest(qrs.tokens) AS token
+                WHERE qrs.question_id = q.id
+                  AND qrs.is_primary = true
+            ),
+            'match_items', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', qmp.id,
+                        'text', qmp.left_text
+                    ) ORDER BY qmp.order_index
+                )
+                FROM public.question_match_pairs qmp
+                WHERE qmp.question_id = q.id
+            ),
+            'match_choices', (
+                -- Right-hand texts are shuffled and carry no ids, so they do not reveal the pairing
+                SELECT json_agg(qmp.right_text ORDER BY RANDOM())
+                FROM public.question_match_pairs qmp
+                WHERE qmp.question_id = q.id
+            ),
+            'blank_count', (
+                SELECT COUNT(*)
+                FROM public.question_blanks qb
+                WHERE qb.question_id = q.id
+            ),
+            'options', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', qo.id,
+                        'option_text', qo.option_text
+                    ) ORDER BY qo.order_index
+                )
+                FROM public.question_options qo
+                WHERE qo.question_id = q.id
+            )
+        )
+        FROM public.questions q
+        WHERE q.id = p_question_id
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
@@ -0,0 +1,337 @@
+-- Migration 017: Reading passages shared across questions
+-- A passage (text and/or an image) is stored once and linked from several
+-- questions; quizzes draw a passage's questions together
+
+CREATE TABLE IF NOT EXISTS public.reading_passages (
+    id SERIAL PRIMARY KEY,
+    title VARCHAR(200) NOT NULL,
+    content TEXT,
+    image_url TEXT,
+    category_id INTEGER REFERENCES public.categories(id) ON DELETE SET NULL,
+    is_active BOOLEAN DEFAULT true,
+    created_by UUID REFERENCES public.users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (content IS NOT NULL OR image_url IS NOT NULL)
+);
+
+ALTER TABLE public.questions
+    ADD COLUMN IF NOT EXISTS passage_id INTEGER REFERENCES public.reading_passages(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_questions_passage ON public.questions(passage_id);
+
+CREATE TRIGGER update_reading_passages_updated_at BEFORE UPDATE ON public.reading_passages FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE public.reading_passages ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Everyone can view active passages" ON public.reading_passages
+    FOR SELECT USING (is_active = true);
+
+CREATE POLICY "Tutors can manage passages" ON public.reading_passages
+    FOR ALL USING (is_tutor_or_admin(auth.uid()));
+
+CREATE OR REPLACE FUNCTION get_quiz_question_payload(p_question_id INTEGER)
+RETURNS JSON AS $$
+BEGIN
+    RETURN (
+        SELECT json_build_object(
+            'id', q.id,
+            'question_type', q.question_type,
+            'question_text', q.question_text,
+            'image_url', q.image_url,
+            'audio_url', q.audio_url,
+            'passage_id', q.passage_id,
+            'min_words', q.min_words,
+            'max_words', q.max_words,
+            'recording_time_limit', q.recording_time_limit,
+            'rubric', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', qrc.id,
+                        'name', qrc.name,
+                        'description', qrc.description,
+                        'max_score', qrc.max_score
+                    ) ORDER BY qrc.order_index
+                )
+                FROM public.question_rubric_criteria qrc
+                WHERE qrc.question_id = q.id
+            ),
+            'tokens', (
+                -- Reorder tiles come from the primary order, shuffled
+                SELECT json_agg(token ORDER BY RANDOM())
+                FROM public.question_reorder_sequences qrs, unnest(qrs.tokens) AS token
+                WHERE qrs.question_id = q.id
+                  AND qrs.is_primary = true
+            ),
+            'match_items', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', qmp.id,
+                        'text', qmp.left_text
+                    ) ORDER BY qmp.order_index
+                )
+                FROM public.question_match_pairs qmp
+                WHERE qmp.question_id = q.id
+            ),
+            'match_choices', (
+                -- Right-hand texts are shuffled and carry no ids, so they do not reveal the pairing
+                SELECT json_agg(qmp.right_text ORDER BY RANDOM())
+                FROM public.question_match_pairs qmp
+                WHERE qmp.question_id = q.id
+            ),
+            'blank_count', (
+                SELECT COUNT(*)
+                FROM public.question_blanks qb
+                WHERE qb.question_id = q.id
+            ),
+            'options', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', qo.id,
+                        'option_text', qo.option_text
+                    ) ORDER BY qo.order_index
+                )
+                FROM public.question_options qo
+                WHERE qo.question_id = q.id
+            )
+        )
+        FROM public.questions q
+        WHERE q.id = p_question_id
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION start_quiz_attempt(
+    p_student_id UUID,
+    p_category_id INTEGER,
+    p_difficulty_id INTEGER,
+    p_question_count INTEGER DEFAULT 10
+)
+RETURNS JSON AS $$
+DECLARE
+    v_attempt_id INTEGER;
+    v_existing_attempt INTEGER;
+    v_question_ids INTEGER[];
+    v_unit RECORD;
+    v_drawn INTEGER;
+    v_oversized_unit INTEGER[];
+BEGIN
+    -- Check if student already has a completed attempt for this category/difficulty
+    SELECT id INTO v_existing_attempt
+    FROM public.quiz_attempts
+    WHERE student_id = p_student_id
+      AND category_id = p_category_id
+      AND difficulty_id = p_difficulty_id
+      AND is_completed = true;
+
+    IF v_existing_attempt IS NOT NULL THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'You have already completed this quiz'
+        );
+    END IF;
+
+    -- Draw whole units: a standalone question, or every question of one passage.
+    -- Units that would overflow the question count are skipped.
+    v_question_ids := ARRAY[]::INTEGER[];
+    FOR v_unit IN
+        SELECT array_agg(q.id ORDER BY q.id) AS question_ids
+        FROM public.questions q
+        WHERE q.category_id = p_category_id
+          AND q.difficulty_id = p_difficulty_id
+          AND q.is_active = true
+        GROUP BY COALESCE('p' || q.passage_id::TEXT, 'q' || q.id::TEXT)
+        ORDER BY RANDOM()
+    LOOP
+        v_drawn := COALESCE(array_length(v_question_ids, 1), 0);
+        EXIT WHEN v_drawn >= p_question_count;
+
+        IF v_drawn + array_length(v_unit.question_ids, 1) <= p_question_count THEN
+            v_question_ids := v_question_ids || v_unit.question_ids;
+        ELSIF v_oversized_unit IS NULL THEN
+            v_oversized_unit := v_unit.question_ids;
+        END IF;
+    END LOOP;
+
+    -- A passage with more questions than the quiz is still used when nothing else fits
+    IF COALESCE(array_length(v_question_ids, 1), 0) = 0 AND v_oversized_unit IS NOT NULL THEN
+        v_question_ids := v_oversized_unit;
+    END IF;
+
+    -- Reuse an incomplete attempt if there is one
+    SELECT id INTO v_attempt_id
+    FROM public.quiz_attempts
+    WHERE student_id = p_student_id
+      AND category_id = p_category_id
+      AND difficulty_id = p_difficulty_id
+      AND is_completed = false;
+
+    IF v_attempt_id IS NULL THEN
+        INSERT INTO public.quiz_attempts (student_id, category_id, difficulty_id, total_questions)
+        VALUES (p_student_id, p_category_id, p_difficulty_id, COALESCE(array_length(v_question_ids, 1), 0))
+        RETURNING id INTO v_attempt_id;
+    END IF;
+
+    RETURN json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'attempt_id', v_attempt_id,
+            'questions', (
+                SELECT json_agg(get_quiz_question_payload(qid) ORDER BY ord)
+                FROM unnest(v_question_ids) WITH ORDINALITY AS t(qid, ord)
+            ),
+            'passages', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', rp.id,
+                        'title', rp.title,
+                        'content', rp.content,
+                        'image_url', rp.image_url
+                    )
+                )
+                FROM public.reading_passages rp
+                WHERE rp.id IN (
+                    SELECT q.passage_id
+                    FROM public.questions q
+                    WHERE q.id = ANY(v_question_ids)
+                )
+            ),
+            'total_questions', COALESCE(array_length(v_question_ids, 1), 0)
+        )
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION get_quiz_results(p_attempt_id INTEGER)
+RETURNS JSON AS $$
+DECLARE
+    v_result JSON;
+BEGIN
+    SELECT json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'attempt', (
+                SELECT json_build_object(
+                    'id', qa.id,
+                    'score', qa.score,
+                    'correct_answers', qa.correct_answers,
+                    'total_questions', qa.total_questions,
+                    'time_taken', qa.time_taken,
+                    'started_at', qa.started_at,
+                    'completed_at', qa.completed_at,
+                    'category_id', qa.category_id,
+                    'difficulty_id', qa.difficulty_id,
+                    'category_name', c.name,
+                    'difficulty_name', dl.name,
+                    'grading_status', qa.grading_status
+                )
+                FROM public.quiz_attempts qa
+                JOIN public.categories c ON c.id = qa.category_id
+                JOIN public.difficulty_levels dl ON dl.id = qa.difficulty_id
+                WHERE qa.id = p_attempt_id
+            ),
+            'questions', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', qans.question_id,
+                        'answer_id', qans.id,
+                        'question_type', q.question_type,
+                        'question_text', q.question_text,
+                        'passage_id', q.passage_id,
+                        'explanation', q.explanation,
+                        'selected_option_id', qans.selected_option_id,
+                        'selected_option_ids', qans.selected_option_ids,
+                        'answer_data', qans.answer_data,
+                        'is_correct', qans.is_correct,
+                        'credit', qans.credit,
+                        'needs_grading', qans.needs_grading,
+                        'grader_comment', qans.grader_comment,
+                        'rubric_scores', (
+                            SELECT json_agg(
+                                json_build_object(
+                                    'criterion_id', qrc.id,
+                                    'name', qrc.name,
+                                    'max_score', qrc.max_score,
+                                    'score', rs.score
+                                ) ORDER BY qrc.order_index
+                            )
+                            FROM public.question_rubric_criteria qrc
+                            JOIN public.quiz_answer_rubric_scores rs
+                              ON rs.criterion_id = qrc.id AND rs.answer_id = qans.id
+                            WHERE qrc.question_id = q.id
+                        ),
+                        'options', (
+                            SELECT json_agg(
+                                json_build_object(
+                                    'id', qo.id,
+                                    'option_text', qo.option_text,
+                                    'is_correct', qo.is_correct,
+                                    'is_selected', qo.id = qans.selected_option_id
+                                        OR qo.id = ANY(COALESCE(qans.selected_option_ids, ARRAY[]::INTEGER[]))
+                                ) ORDER BY qo.order_index
+                            )
+                            FROM public.question_options qo
+                            WHERE qo.question_id = q.id
+                        ),
+                        'blanks', (
+                            SELECT json_agg(
+                                json_build_object(
+                                    'blank_index', qb.blank_index,
+                                    'accepted_answers', qb.accepted_answers,
+                                    'given_answer', qans.answer_data->>qb.blank_index::TEXT,
+                                    'is_correct', cloze_blank_is_correct(qb.id, qans.answer_data->>qb.blank_index::TEXT)
+                                ) ORDER BY qb.blank_index
+                            )
+                            FROM public.question_blanks qb
+                            WHERE qb.question_id = q.id
+                        ),
+                        'pairs', (
+                            SELECT json_agg(
+                                json_build_object(
+                                    'id', qmp.id,
+                                    'left_text', qmp.left_text,
+                                    'right_text', qmp.right_text,
+                                    'given_answer', qans.answer_data->>qmp.id::TEXT,
+                                    'is_correct', qmp.right_text = qans.answer_data->>qmp.id::TEXT
+                                ) ORDER BY qmp.order_index
+                            )
+                            FROM public.question_match_pairs qmp
+                            WHERE qmp.question_id = q.id
+                        ),
+                        'accepted_orders', (
+                            SELECT json_agg(qrs.tokens ORDER BY qrs.is_primary DESC, qrs.id)
+                            FROM public.question_reorder_sequences qrs
+                            WHERE qrs.question_id = q.id
+                        )
+                    ) ORDER BY qans.id
+                )
+                FROM public.quiz_answers qans
+                JOIN public.questions q ON q.id = qans.question_id
+                WHERE qans.attempt_id = p_attempt_id
+            ),
+            'passages', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', rp.id,
+                        'title', rp.title,
+                        'content', rp.content,
+                        'image_url', rp.image_url
+                    )
+                )
+                FROM public.reading_passages rp
+                WHERE rp.id IN (
+                    SELECT q.passage_id
+                    FROM public.quiz_answers qans
+                    JOIN public.questions q ON q.id = qans.question_id
+                    WHERE qans.attempt_id = p_attempt_id
+                )
+            )
+        )
+    ) INTO v_result;
+
+    RETURN v_result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+COMMENT ON TABLE public.reading_passages IS 'Reading texts shared by several questions. Content uses blank lines between paragraphs and **bold** / *italic* markers.';
+COMMENT ON FUNCTION start_quiz_attempt(UUID, INTEGER, INTEGER, INTEGER) IS 'Starts or resumes an attempt, drawing questions so that all questions of a passage stay together.';
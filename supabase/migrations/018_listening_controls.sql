@@ -0,0 +1,448 @@
+-- Migration 018: Listening controls
+-- Questions and passages can carry audio with an optional play limit and a
+-- transcript. Every play is logged per attempt; transcripts are only shown
+-- in the results
+
+ALTER TABLE public.questions
+    ADD COLUMN IF NOT EXISTS max_plays INTEGER CHECK (max_plays IS NULL OR max_plays > 0),
+    ADD COLUMN IF NOT EXISTS transcript TEXT;
+
+-- Passages double as shared audio clips for a group of questions
+ALTER TABLE public.reading_passages
+    ADD COLUMN IF NOT EXISTS audio_url TEXT,
+    ADD COLUMN IF NOT EXISTS max_plays INTEGER CHECK (max_plays IS NULL OR max_plays > 0),
+    ADD COLUMN IF NOT EXISTS transcript TEXT;
+
+ALTER TABLE public.reading_passages DROP CONSTRAINT IF EXISTS reading_passages_check;
+ALTER TABLE public.reading_passages ADD CONSTRAINT reading_passages_material_check
+    CHECK (content IS NOT NULL OR image_url IS NOT NULL OR audio_url IS NOT NULL);
+
+CREATE TABLE IF NOT EXISTS public.quiz_audio_plays (
+    id SERIAL PRIMARY KEY,
+    attempt_id INTEGER REFERENCES public.quiz_attempts(id) ON DELETE CASCADE,
+    question_id INTEGER REFERENCES public.questions(id) ON DELETE CASCADE,
+    passage_id INTEGER REFERENCES public.reading_passages(id) ON DELETE CASCADE,
+    played_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK ((question_id IS NULL) <> (passage_id IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_quiz_audio_plays_attempt ON public.quiz_audio_plays(attempt_id);
+
+ALTER TABLE public.quiz_audio_plays ENABLE ROW LEVEL SECURITY;
+
+-- Plays are only written by register_audio_play
+CREATE POLICY "Students can view their own audio plays" ON public.quiz_audio_plays
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1
+            FROM public.quiz_attempts qa
+            WHERE qa.id = attempt_id AND qa.student_id = auth.uid()
+        )
+    );
+
+CREATE POLICY "Tutors can view all audio plays" ON public.quiz_audio_plays
+    FOR SELECT USING (is_tutor_or_admin(auth.uid()));
+
+-- Logs one play of a question's or passage's audio and returns its URL,
+-- or an error once the play limit is used up
+CREATE OR REPLACE FUNCTION register_audio_play(
+    p_attempt_id INTEGER,
+    p_question_id INTEGER DEFAULT NULL,
+    p_passage_id INTEGER DEFAULT NULL
+)
+RETURNS JSON AS $$
+DECLARE
+    v_audio_url TEXT;
+    v_max_plays INTEGER;
+    v_plays_used INTEGER;
+BEGIN
+    -- Lock the attempt so two quick clicks cannot both use the last play
+    PERFORM 1
+    FROM public.quiz_attempts
+    WHERE id = p_attempt_id
+      AND student_id = auth.uid()
+      AND is_completed = false
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Quiz attempt not found or already submitted');
+    END IF;
+
+    IF p_question_id IS NOT NULL THEN
+        SELECT audio_url, max_plays INTO v_audio_url, v_max_plays
+        FROM public.questions
+        WHERE id = p_question_id;
+
+        SELECT COUNT(*) INTO v_plays_used
+        FROM public.quiz_audio_plays
+        WHERE attempt_id = p_attempt_id AND question_id = p_question_id;
+    ELSE
+        SELECT audio_url, max_plays INTO v_audio_url, v_max_plays
+        FROM public.reading_passages
+        WHERE id = p_passage_id;
+
+        SELECT COUNT(*) INTO v_plays_used
+        FROM public.quiz_audio_plays
+        WHERE attempt_id = p_attempt_id AND passage_id = p_passage_id;
+    END IF;
+
+    IF v_audio_url IS NULL THEN
+        RETURN json_build_object('success', false, 'error', 'This question has no audio');
+    END IF;
+
+    IF v_max_plays IS NOT NULL AND v_plays_used >= v_max_plays THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', format('You have used all %s plays of this audio', v_max_plays)
+        );
+    END IF;
+
+    INSERT INTO public.quiz_audio_plays (attempt_id, question_id, passage_id)
+    VALUES (p_attempt_id, p_question_id, CASE WHEN p_question_id IS NULL THEN p_passage_id END);
+
+    RETURN json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'audio_url', v_audio_url,
+            'plays_used', v_plays_used + 1,
+            'max_plays', v_max_plays
+        )
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION get_quiz_question_payload(p_question_id INTEGER)
+RETURNS JSON AS $$
+BEGIN
+    RETURN (
+        SELECT json_build_object(
+            'id', q.id,
+            'question_type', q.question_type,
+            'question_text', q.question_text,
+            'image_url', q.image_url,
+            -- The audio URL is only handed out by register_audio_play, which enforces the play limit
+            'has_audio', q.audio_url IS NOT NULL,
+            'max_plays', q.max_plays,
+            'passage_id', q.passage_id,
+            'min_words', q.min_words,
+            'max_words', q.max_words,
+            'recording_time_limit', q.recording_time_limit,
+            'rubric', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', qrc.id,
+                        'name', qrc.name,
+                        'description', qrc.description,
+                        'max_score', qrc.max_score
+                    ) ORDER BY qrc.order_index
+                )
+                FROM public.question_rubric_criteria qrc
+                WHERE qrc.question_id = q.id
+            ),
+            'tokens', (
+                -- Reorder tiles come from the primary order, shuffled
+                SELECT json_agg(token ORDER BY RANDOM())
+                FROM public.question_reorder_sequences qrs, unnest(qrs.tokens) AS token
+                WHERE qrs.question_id = q.id
+                  AND qrs.is_primary = true
+            ),
+            'match_items', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', qmp.id,
+                        'text', qmp.left_text
+                    ) ORDER BY qmp.order_index
+                )
+                FROM public.question_match_pairs qmp
+                WHERE qmp.question_id = q.id
+            ),
+            'match_choices', (
+                -- Right-hand texts are shuffled and carry no ids, so they do not reveal the pairing
+                SELECT json_agg(qmp.right_text ORDER BY RANDOM())
+                FROM public.question_match_pairs qmp
+                WHERE qmp.question_id = q.id
+            ),
+            'blank_count', (
+                SELECT COUNT(*)
+                FROM public.question_blanks qb
+                WHERE qb.question_id = q.id
+            ),
+            'options', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', qo.id,
+                        'option_text', qo.option_text
+                    ) ORDER BY qo.order_index
+                )
+                FROM public.question_options qo
+                WHERE qo.question_id = q.id
+            )
+        )
+        FROM public.questions q
+        WHERE q.id = p_question_id
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION start_quiz_attempt(
+    p_student_id UUID,
+    p_category_id INTEGER,
+    p_difficulty_id INTEGER,
+    p_question_count INTEGER DEFAULT 10
+)
+RETURNS JSON AS $$
+DECLARE
+    v_attempt_id INTEGER;
+    v_existing_attempt INTEGER;
+    v_question_ids INTEGER[];
+    v_unit RECORD;
+    v_drawn INTEGER;
+    v_oversized_unit INTEGER[];
+BEGIN
+    -- Check if student already has a completed attempt for this category/difficulty
+    SELECT id INTO v_existing_attempt
+    FROM public.quiz_attempts
+    WHERE student_id = p_student_id
+      AND category_id = p_category_id
+      AND difficulty_id = p_difficulty_id
+      AND is_completed = true;
+
+    IF v_existing_attempt IS NOT NULL THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'You have already completed this quiz'
+        );
+    END IF;
+
+    -- Draw whole units: a standalone question, or every question of one passage.
+    -- Units that would overflow the question count are skipped.
+    v_question_ids := ARRAY[]::INTEGER[];
+    FOR v_unit IN
+        SELECT array_agg(q.id ORDER BY q.id) AS question_ids
+        FROM public.questions q
+        WHERE q.category_id = p_category_id
+          AND q.difficulty_id = p_difficulty_id
+          AND q.is_active = true
+        GROUP BY COALESCE('p' || q.passage_id::TEXT, 'q' || q.id::TEXT)
+        ORDER BY RANDOM()
+    LOOP
+        v_drawn := COALESCE(array_length(v_question_ids, 1), 0);
+        EXIT WHEN v_drawn >= p_question_count;
+
+        IF v_drawn + array_length(v_unit.question_ids, 1) <= p_question_count THEN
+            v_question_ids := v_question_ids || v_unit.question_ids;
+        ELSIF v_oversized_unit IS NULL THEN
+            v_oversized_unit := v_unit.question_ids;
+        END IF;
+    END LOOP;
+
+    -- A passage with more questions than the quiz is still used when nothing else fits
+    IF COALESCE(array_length(v_question_ids, 1), 0) = 0 AND v_oversized_unit IS NOT NULL THEN
+        v_question_ids := v_oversized_unit;
+    END IF;
+
+    -- Reuse an incomplete attempt if there is one
+    SELECT id INTO v_attempt_id
+    FROM public.quiz_attempts
+    WHERE student_id = p_student_id
+      AND category_id = p_category_id
+      AND difficulty_id = p_difficulty_id
+      AND is_completed = false;
+
+    IF v_attempt_id IS NULL THEN
+        INSERT INTO public.quiz_attempts (student_id, category_id, difficulty_id, total_questions)
+        VALUES (p_student_id, p_category_id, p_difficulty_id, COALESCE(array_length(v_question_ids, 1), 0))
+        RETURNING id INTO v_attempt_id;
+    END IF;
+
+    RETURN json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'attempt_id', v_attempt_id,
+            'questions', (
+                SELECT json_agg(get_quiz_question_payload(qid) ORDER BY ord)
+                FROM unnest(v_question_ids) WITH ORDINALITY AS t(qid, ord)
+            ),
+            'passages', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', rp.id,
+                        'title', rp.title,
+                        'content', rp.content,
+                        'image_url', rp.image_url,
+                        'has_audio', rp.audio_url IS NOT NULL,
+                        'max_plays', rp.max_plays
+                    )
+                )
+                FROM public.reading_passages rp
+                WHERE rp.id IN (
+                    SELECT q.passage_id
+                    FROM public.questions q
+                    WHERE q.id = ANY(v_question_ids)
+                )
+            ),
+            'audio_plays', (
+                SELECT json_agg(
+                    json_build_object(
+                        'question_id', qap.question_id,
+                        'passage_id', qap.passage_id,
+                        'plays', qap.plays
+                    )
+                )
+                FROM (
+                    SELECT question_id, passage_id, COUNT(*) AS plays
+                    FROM public.quiz_audio_plays
+                    WHERE attempt_id = v_attempt_id
+                    GROUP BY question_id, passage_id
+                ) qap
+            ),
+            'total_questions', COALESCE(array_length(v_question_ids, 1), 0)
+        )
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION get_quiz_results(p_attempt_id INTEGER)
+RETURNS JSON AS $$
+DECLARE
+    v_result JSON;
+BEGIN
+    SELECT json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'attempt', (
+                SELECT json_build_object(
+                    'id', qa.id,
+                    'score', qa.score,
+                    'correct_answers', qa.correct_answers,
+                    'total_questions', qa.total_questions,
+                    'time_taken', qa.time_taken,
+                    'started_at', qa.started_at,
+                    'completed_at', qa.completed_at,
+                    'category_id', qa.category_id,
+                    'difficulty_id', qa.difficulty_id,
+                    'category_name', c.name,
+                    'difficulty_name', dl.name,
+                    'grading_status', qa.grading_status
+                )
+                FROM public.quiz_attempts qa
+                JOIN public.categories c ON c.id = qa.category_id
+                JOIN public.difficulty_levels dl ON dl.id = qa.difficulty_id
+                WHERE qa.id = p_attempt_id
+            ),
+            'questions', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', qans.question_id,
+                        'answer_id', qans.id,
+                        'question_type', q.question_type,
+                        'question_text', q.question_text,
+                        'passage_id', q.passage_id,
+                        'audio_url', q.audio_url,
+                        'transcript', q.transcript,
+                        'plays_used', (
+                            SELECT COUNT(*)
+                            FROM public.quiz_audio_plays qap
+                            WHERE qap.attempt_id = p_attempt_id AND qap.question_id = q.id
+                        ),
+                        'explanation', q.explanation,
+                        'selected_option_id', qans.selected_option_id,
+                        'selected_option_ids', qans.selected_option_ids,
+                        'answer_data', qans.answer_data,
+                        'is_correct', qans.is_correct,
+                        'credit', qans.credit,
+                        'needs_grading', qans.needs_grading,
+                        'grader_comment', qans.grader_comment,
+                        'rubric_scores', (
+                            SELECT json_agg(
+                                json_build_object(
+                                    'criterion_id', qrc.id,
+                                    'name', qrc.name,
+                                    'max_score', qrc.max_score,
+                                    'score', rs.score
+                                ) ORDER BY qrc.order_index
+                            )
+                            FROM public.question_rubric_criteria qrc
+                            JOIN public.quiz_answer_rubric_scores rs
+                              ON rs.criterion_id = qrc.id AND rs.answer_id = qans.id
+                            WHERE qrc.question_id = q.id
+                        ),
+                        'options', (
+                            SELECT json_agg(
+                                json_build_object(
+                                    'id', qo.id,
+                                    'option_text', qo.option_text,
+                                    'is_correct', qo.is_correct,
+                                    'is_selected', qo.id = qans.selected_option_id
+                                        OR qo.id = ANY(COALESCE(qans.selected_option_ids, ARRAY[]::INTEGER[]))
+                                ) ORDER BY qo.order_index
+                            )
+                            FROM public.question_options qo
+                            WHERE qo.question_id = q.id
+                        ),
+                        'blanks', (
+                            SELECT json_agg(
+                                json_build_object(
+                                    'blank_index', qb.blank_index,
+                                    'accepted_answers', qb.accepted_answers,
+                                    'given_answer', qans.answer_data->>qb.blank_index::TEXT,
+                                    'is_correct', cloze_blank_is_correct(qb.id, qans.answer_data->>qb.blank_index::TEXT)
+                                ) ORDER BY qb.blank_index
+                            )
+                            FROM public.question_blanks qb
+                            WHERE qb.question_id = q.id
+                        ),
+                        'pairs', (
+                            SELECT json_agg(
+                                json_build_object(
+                                    'id', qmp.id,
+                                    'left_text', qmp.left_text,
+                                    'right_text', qmp.right_text,
+                                    'given_answer', qans.answer_data->>qmp.id::TEXT,
+                                    'is_correct', qmp.right_text = qans.answer_data->>qmp.id::TEXT
+                                ) ORDER BY qmp.order_index
+                            )
+                            FROM public.question_match_pairs qmp
+                            WHERE qmp.question_id = q.id
+                        ),
+                        'accepted_orders', (
+                            SELECT json_agg(qrs.tokens ORDER BY qrs.is_primary DESC, qrs.id)
+                            FROM public.question_reorder_sequences qrs
+                            WHERE qrs.question_id = q.id
+                        )
+                    ) ORDER BY qans.id
+                )
+                FROM public.quiz_answers qans
+                JOIN public.questions q ON q.id = qans.question_id
+                WHERE qans.attempt_id = p_attempt_id
+            ),
+            'passages', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', rp.id,
+                        'title', rp.title,
+                        'content', rp.content,
+                        'image_url', rp.image_url,
+                        'audio_url', rp.audio_url,
+                        'transcript', rp.transcript
+                    )
+                )
+                FROM public.reading_passages rp
+                WHERE rp.id IN (
+                    SELECT q.passage_id
+                    FROM public.quiz_answers qans
+                    JOIN public.questions q ON q.id = qans.question_id
+                    WHERE qans.attempt_id = p_attempt_id
+                )
+            )
+        )
+    ) INTO v_result;
+
+    RETURN v_result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION register_audio_play(INTEGER, INTEGER, INTEGER) TO authenticated;
+
+COMMENT ON TABLE public.quiz_audio_plays IS 'One row per play of a listening audio during an attempt, used to enforce play limits.';
+COMMENT ON FUNCTION register_audio_play(INTEGER, INTEGER, INTEGER) IS 'Logs a play of question or passage audio for the caller''s open attempt and returns the audio URL while plays remain.';
@@ -0,0 +1,391 @@
+-- Migration 019: Retake policy per quiz
+-- Each category/difficulty quiz can allow several attempts, require a
+-- cooldown between them and choose which score counts: the best, the
+-- latest or the average. Quizzes without settings keep the old rule of a
+-- single attempt
+
+CREATE TABLE IF NOT EXISTS public.quiz_settings (
+    id SERIAL PRIMARY KEY,
+    category_id INTEGER NOT NULL REFERENCES public.categories(id) ON DELETE CASCADE,
+    difficulty_id INTEGER NOT NULL REFERENCES public.difficulty_levels(id) ON DELETE CASCADE,
+    max_attempts INTEGER DEFAULT 1 CHECK (max_attempts IS NULL OR max_attempts > 0),
+    cooldown_minutes INTEGER NOT NULL DEFAULT 0 CHECK (cooldown_minutes >= 0),
+    score_policy VARCHAR(10) NOT NULL DEFAULT 'best' CHECK (score_policy IN ('best', 'latest', 'average')),
+    updated_by UUID REFERENCES public.users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (category_id, difficulty_id)
+);
+
+COMMENT ON COLUMN public.quiz_settings.max_attempts IS 'Completed attempts allowed per student; NULL means unlimited.';
+
+CREATE TRIGGER update_quiz_settings_updated_at BEFORE UPDATE ON public.quiz_settings FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE public.quiz_settings ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Everyone can view quiz settings" ON public.quiz_settings
+    FOR SELECT USING (auth.role() = 'authenticated');
+
+CREATE POLICY "Tutors can manage quiz settings" ON public.quiz_settings
+    FOR ALL USING (is_tutor_or_admin(auth.uid()));
+
+-- The score that counts for each student and quiz under its scoring policy.
+-- security_invoker keeps the quiz_attempts policies in force for the caller.
+CREATE OR REPLACE VIEW public.quiz_policy_scores
+WITH (security_invoker = true) AS
+SELECT
+    qa.student_id,
+    qa.category_id,
+    qa.difficulty_id,
+    COALESCE(qs.score_policy, 'best') AS score_policy,
+    COUNT(*) AS attempts,
+    CASE COALESCE(qs.score_policy, 'best')
+        WHEN 'latest' THEN (array_agg(qa.score ORDER BY qa.completed_at DESC))[1]
+        WHEN 'average' THEN ROUND(AVG(qa.score), 2)
+        ELSE MAX(qa.score)
+    END AS score,
+    MAX(qa.completed_at) AS last_completed_at
+FROM public.quiz_attempts qa
+LEFT JOIN public.quiz_settings qs
+  ON qs.category_id = qa.category_id AND qs.difficulty_id = qa.difficulty_id
+WHERE qa.is_completed = true
+GROUP BY qa.student_id, qa.category_id, qa.difficulty_id, qs.score_policy;
+
+-- Where a student stands under a quiz's retake policy
+CREATE OR REPLACE FUNCTION get_quiz_policy(
+    p_student_id UUID,
+    p_category_id INTEGER,
+    p_difficulty_id INTEGER
+)
+RETURNS JSON AS $$
+DECLARE
+    v_max_attempts INTEGER := 1;
+    v_cooldown_minutes INTEGER := 0;
+    v_score_policy VARCHAR(10) := 'best';
+    v_attempts_used INTEGER;
+    v_last_completed_at TIMESTAMP WITH TIME ZONE;
+    v_remaining INTEGER;
+    v_next_attempt_at TIMESTAMP WITH TIME ZONE;
+    v_has_open_attempt BOOLEAN;
+    v_reason TEXT;
+BEGIN
+    IF p_student_id IS DISTINCT FROM auth.uid() AND NOT is_tutor_or_admin(auth.uid()) THEN
+        RAISE EXCEPTION 'You can only view your own quiz attempts';
+    END IF;
+
+    SELECT max_attempts, cooldown_minutes, score_policy
+    INTO v_max_attempts, v_cooldown_minutes, v_score_policy
+    FROM public.quiz_settings
+    WHERE category_id = p_category_id AND difficulty_id = p_difficulty_id;
+
+    IF NOT FOUND THEN
+        v_max_attempts := 1;
+        v_cooldown_minutes := 0;
+        v_score_policy := 'best';
+    END IF;
+
+    SELECT COUNT(*), MAX(completed_at)
+    INTO v_attempts_used, v_last_completed_at
+    FROM public.quiz_attempts
+    WHERE student_id = p_student_id
+      AND category_id = p_category_id
+      AND difficulty_id = p_difficulty_id
+      AND is_completed = true;
+
+    SELECT EXISTS (
+        SELECT 1
+        FROM public.quiz_attempts
+        WHERE student_id = p_student_id
+          AND category_id = p_category_id
+          AND difficulty_id = p_difficulty_id
+          AND is_completed = false
+    ) INTO v_has_open_attempt;
+
+    IF v_max_attempts IS NOT NULL THEN
+        v_remaining := GREATEST(v_max_attempts - v_attempts_used, 0);
+    END IF;
+
+    IF v_cooldown_minutes > 0 AND v_last_completed_at IS NOT NULL
+       AND v_last_completed_at + make_interval(mins => v_cooldown_minutes) > NOW() THEN
+        v_next_attempt_at := v_last_completed_at + make_interval(mins => v_cooldown_minutes);
+    END IF;
+
+    IF v_has_open_attempt THEN
+        v_reason := NULL;
+    ELSIF v_remaining = 0 THEN
+        v_reason := CASE
+            WHEN v_max_attempts = 1 THEN 'You have already completed this quiz'
+            ELSE format('You have used all %s attempts for this quiz', v_max_attempts)
+        END;
+    ELSIF v_next_attempt_at IS NOT NULL THEN
+        v_reason := format('You can retake this quiz after %s', to_char(v_next_attempt_at, 'YYYY-MM-DD HH24:MI TZ'));
+    END IF;
+
+    RETURN json_build_object(
+        'max_attempts', v_max_attempts,
+        'cooldown_minutes', v_cooldown_minutes,
+        'score_policy', v_score_policy,
+        'attempts_used', v_attempts_used,
+        'attempts_remaining', v_remaining,
+        'next_attempt_at', v_next_attempt_at,
+        'has_open_attempt', v_has_open_attempt,
+        'can_start', v_reason IS NULL,
+        'reason', v_reason,
+        'policy_score', (
+            SELECT score
+            FROM public.quiz_policy_scores
+            WHERE student_id = p_student_id
+              AND category_id = p_category_id
+              AND difficulty_id = p_difficulty_id
+        )
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION start_quiz_attempt(
+    p_student_id UUID,
+    p_category_id INTEGER,
+    p_difficulty_id INTEGER,
+    p_question_count INTEGER DEFAULT 10
+)
+RETURNS JSON AS $$
+DECLARE
+    v_attempt_id INTEGER;
+    v_policy JSON;
+    v_question_ids INTEGER[];
+    v_unit RECORD;
+    v_drawn INTEGER;
+    v_oversized_unit INTEGER[];
+BEGIN
+    -- An open attempt can always be resumed; a new one must respect the retake policy
+    v_policy := get_quiz_policy(p_student_id, p_category_id, p_difficulty_id);
+
+    IF NOT (v_policy->>'can_start')::BOOLEAN THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', v_policy->>'reason'
+        );
+    END IF;
+
+    -- Draw whole units: a standalone question, or every question of one passage.
+    -- Units that would overflow the question count are skipped.
+    v_question_ids := ARRAY[]::INTEGER[];
+    FOR v_unit IN
+        SELECT array_agg(q.id ORDER BY q.id) AS question_ids
+        FROM public.questions q
+        WHERE q.category_id = p_category_id
+          AND q.difficulty_id = p_difficulty_id
+          AND q.is_active = true
+        GROUP BY COALESCE('p' || q.passage_id::TEXT, 'q' || q.id::TEXT)
+        ORDER BY RANDOM()
+    LOOP
+        v_drawn := COALESCE(array_length(v_question_ids, 1), 0);
+        EXIT WHEN v_drawn >= p_question_count;
+
+        IF v_drawn + array_length(v_unit.question_ids, 1) <= p_question_count THEN
+            v_question_ids := v_question_ids || v_unit.question_ids;
+        ELSIF v_oversized_unit IS NULL THEN
+            v_oversized_unit := v_unit.question_ids;
+        END IF;
+    END LOOP;
+
+    -- A passage with more questions than the quiz is still used when nothing else fits
+    IF COALESCE(array_length(v_question_ids, 1), 0) = 0 AND v_oversized_unit IS NOT NULL THEN
+        v_question_ids := v_oversized_unit;
+    END IF;
+
+    -- Reuse an incomplete attempt if there is one
+    SELECT id INTO v_attempt_id
+    FROM public.quiz_attempts
+    WHERE student_id = p_student_id
+      AND category_id = p_category_id
+      AND difficulty_id = p_difficulty_id
+      AND is_completed = false;
+
+    IF v_attempt_id IS NULL THEN
+        INSERT INTO public.quiz_attempts (student_id, category_id, difficulty_id, total_questions)
+        VALUES (p_student_id, p_category_id, p_difficulty_id, COALESCE(array_length(v_question_ids, 1), 0))
+        RETURNING id INTO v_attempt_id;
+    END IF;
+
+    RETURN json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'attempt_id', v_attempt_id,
+            'questions', (
+                SELECT json_agg(get_quiz_question_payload(qid) ORDER BY ord)
+                FROM unnest(v_question_ids) WITH ORDINALITY AS t(qid, ord)
+            ),
+            'passages', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', rp.id,
+                        'title', rp.title,
+                        'content', rp.content,
+                        'image_url', rp.image_url,
+                        'has_audio', rp.audio_url IS NOT NULL,
+                        'max_plays', rp.max_plays
+                    )
+                )
+                FROM public.reading_passages rp
+                WHERE rp.id IN (
+                    SELECT q.passage_id
+                    FROM public.questions q
+                    WHERE q.id = ANY(v_question_ids)
+                )
+            ),
+            'audio_plays', (
+                SELECT json_agg(
+                    json_build_object(
+                        'question_id', qap.question_id,
+                        'passage_id', qap.passage_id,
+                        'plays', qap.plays
+                    )
+                )
+                FROM (
+                    SELECT question_id, passage_id, COUNT(*) AS plays
+                    FROM public.quiz_audio_plays
+                    WHERE attempt_id = v_attempt_id
+                    GROUP BY question_id, passage_id
+                ) qap
+            ),
+            'total_questions', COALESCE(array_length(v_question_ids, 1), 0)
+        )
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION get_student_progress(p_student_id UUID)
+RETURNS JSON AS $$
+DECLARE
+    v_result JSON;
+BEGIN
+    SELECT json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'totalAttempts', (
+                SELECT COUNT(*)
+                FROM public.quiz_attempts
+                WHERE student_id = p_student_id AND is_completed = true
+            ),
+            -- Averages use one counted score per quiz, chosen by its scoring policy
+            'averageScore', (
+                SELECT COALESCE(ROUND(AVG(score), 2), 0)
+                FROM public.quiz_policy_scores
+                WHERE student_id = p_student_id
+            ),
+            'bestScore', (
+                SELECT COALESCE(MAX(score), 0)
+                FROM public.quiz_policy_scores
+                WHERE student_id = p_student_id
+            ),
+            'categoryStats', (
+                SELECT json_object_agg(
+                    c.name,
+                    json_build_object(
+                        'attempts', stats.attempts,
+                        'averageScore', stats.avg_score,
+                        'bestScore', stats.best_score
+                    )
+                )
+                FROM (
+                    SELECT
+                        qps.category_id,
+                        SUM(qps.attempts) as attempts,
+                        ROUND(AVG(qps.score), 2) as avg_score,
+                        MAX(qps.score) as best_score
+                    FROM public.quiz_policy_scores qps
+                    WHERE qps.student_id = p_student_id
+                    GROUP BY qps.category_id
+                ) stats
+                JOIN public.categories c ON c.id = stats.category_id
+            ),
+            'recentAttempts', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', qa.id,
+                        'category_name', c.name,
+                        'difficulty_name', dl.name,
+                        'score', qa.score,
+                        'completed_at', qa.completed_at
+                    ) ORDER BY qa.completed_at DESC
+                )
+                FROM public.quiz_attempts qa
+                JOIN public.categories c ON c.id = qa.category_id
+                JOIN public.difficulty_levels dl ON dl.id = qa.difficulty_id
+                WHERE qa.student_id = p_student_id AND qa.is_completed = true
+                LIMIT 10
+            )
+        )
+    ) INTO v_result;
+
+    RETURN v_result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- The old zero-argument version would otherwise remain as an overload
+DROP FUNCTION IF EXISTS get_available_quizzes();
+
+CREATE OR REPLACE FUNCTION get_available_quizzes(p_student_id UUID DEFAULT NULL)
+RETURNS JSON AS $$
+DECLARE
+    v_student_id UUID := auth.uid();
+BEGIN
+    -- Tutors may look at a student's quizzes; students only see their own
+    IF p_student_id IS NOT NULL AND is_tutor_or_admin(auth.uid()) THEN
+        v_student_id := p_student_id;
+    END IF;
+
+    RETURN json_build_object(
+        'success', true,
+        'data', (
+            SELECT json_agg(
+                json_build_object(
+                    'id', c.id,
+                    'name', c.name,
+                    'description', c.description,
+                    'difficulties', (
+                        SELECT json_agg(
+                            json_build_object(
+                                'id', dl.id,
+                                'name', dl.name,
+                                'description', dl.description,
+                                'question_count', (
+                                    SELECT COUNT(*)
+                                    FROM public.questions q
+                                    WHERE q.category_id = c.id
+                                      AND q.difficulty_id = dl.id
+                                      AND q.is_active = true
+                                ),
+                                'policy', get_quiz_policy(v_student_id, c.id, dl.id)
+                            ) ORDER BY dl.order_index
+                        )
+                        FROM public.difficulty_levels dl
+                        WHERE dl.is_active = true
+                        AND EXISTS (
+                            SELECT 1 FROM public.questions q
+                            WHERE q.category_id = c.id
+                              AND q.difficulty_id = dl.id
+                              AND q.is_active = true
+                        )
+                    )
+                ) ORDER BY c.name
+            )
+            FROM public.categories c
+            WHERE c.is_active = true
+            AND EXISTS (
+                SELECT 1 FROM public.questions q
+                WHERE q.category_id = c.id AND q.is_active = true
+            )
+        )
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT SELECT ON public.quiz_policy_scores TO authenticated;
+GRANT EXECUTE ON FUNCTION get_quiz_policy(UUID, INTEGER, INTEGER) TO authenticated;
+GRANT EXECUTE ON FUNCTION get_available_quizzes(UUID) TO authenticated;
+
+COMMENT ON TABLE public.quiz_settings IS 'Per category/difficulty quiz settings: attempt limit, cooldown between attempts and which score counts.';
+COMMENT ON VIEW public.quiz_policy_scores IS 'One counted score per student and quiz (best, latest or average of completed attempts).';
+COMMENT ON FUNCTION get_quiz_policy(UUID, INTEGER, INTEGER) IS 'Returns the retake policy of a quiz with the student''s used and remaining attempts, cooldown and counted score.';
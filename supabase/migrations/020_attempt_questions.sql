@@ -0,0 +1,313 @@
+-- Migration 020: Stable question set per attempt
+-- The questions drawn for an attempt are stored together with the order of
+-- their options, reorder tiles and matching choices. Resuming an incomplete
+-- attempt returns exactly that set and the answers saved so far
+
+CREATE TABLE IF NOT EXISTS public.attempt_questions (
+    id SERIAL PRIMARY KEY,
+    attempt_id INTEGER NOT NULL REFERENCES public.quiz_attempts(id) ON DELETE CASCADE,
+    question_id INTEGER NOT NULL REFERENCES public.questions(id),
+    order_index INTEGER NOT NULL,
+    option_order INTEGER[],
+    token_order TEXT[],
+    match_choice_order TEXT[],
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (attempt_id, question_id)
+);
+
+COMMENT ON COLUMN public.attempt_questions.option_order IS 'question_options ids in the order the student sees them.';
+
+ALTER TABLE public.attempt_questions ENABLE ROW LEVEL SECURITY;
+
+-- Rows are only written by start_quiz_attempt
+CREATE POLICY "Students can view their own attempt questions" ON public.attempt_questions
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1
+            FROM public.quiz_attempts qa
+            WHERE qa.id = attempt_id AND qa.student_id = auth.uid()
+        )
+    );
+
+CREATE POLICY "Tutors can view all attempt questions" ON public.attempt_questions
+    FOR SELECT USING (is_tutor_or_admin(auth.uid()));
+
+-- Question payload with the option, tile and choice order stored for the attempt
+CREATE OR REPLACE FUNCTION get_attempt_question_payload(p_attempt_id INTEGER, p_question_id INTEGER)
+RETURNS JSON AS $$
+BEGIN
+    RETURN (
+        SELECT (
+            get_quiz_question_payload(aq.question_id)::JSONB || jsonb_build_object(
+                'options', (
+                    -- Options added after the draw go last
+                    SELECT jsonb_agg(
+                        jsonb_build_object(
+                            'id', qo.id,
+                            'option_text', qo.option_text
+                        ) ORDER BY array_position(aq.option_order, qo.id), qo.order_index
+                    )
+                    FROM public.question_options qo
+                    WHERE qo.question_id = aq.question_id
+                ),
+                'tokens', to_jsonb(aq.token_order),
+                'match_choices', to_jsonb(aq.match_choice_order)
+            )
+        )::JSON
+        FROM public.attempt_questions aq
+        WHERE aq.attempt_id = p_attempt_id
+          AND aq.question_id = p_question_id
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION start_quiz_attempt(
+    p_student_id UUID,
+    p_category_id INTEGER,
+    p_difficulty_id INTEGER,
+    p_question_count INTEGER DEFAULT 10
+)
+RETURNS JSON AS $$
+DECLARE
+    v_attempt_id INTEGER;
+    v_is_resumed BOOLEAN := false;
+    v_policy JSON;
+    v_question_ids INTEGER[];
+    v_unit RECORD;
+    v_drawn INTEGER;
+    v_oversized_unit INTEGER[];
+BEGIN
+    -- An open attempt can always be resumed; a new one must respect the retake policy
+    v_policy := get_quiz_policy(p_student_id, p_category_id, p_difficulty_id);
+
+    IF NOT (v_policy->>'can_start')::BOOLEAN THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', v_policy->>'reason'
+        );
+    END IF;
+
+    -- Reuse an incomplete attempt if there is one; the lock keeps two tabs from drawing twice
+    SELECT id INTO v_attempt_id
+    FROM public.quiz_attempts
+    WHERE student_id = p_student_id
+      AND category_id = p_category_id
+      AND difficulty_id = p_difficulty_id
+      AND is_completed = false
+    FOR UPDATE;
+
+    IF v_attempt_id IS NOT NULL THEN
+        SELECT array_agg(question_id ORDER BY order_index) INTO v_question_ids
+        FROM public.attempt_questions
+        WHERE attempt_id = v_attempt_id;
+
+        v_is_resumed := v_question_ids IS NOT NULL;
+    END IF;
+
+    -- Attempts started before the question set was stored get a fresh draw
+    IF NOT v_is_resumed THEN
+        -- Draw whole units: a standalone question, or every question of one passage.
+        -- Units that would overflow the question count are skipped.
+        v_question_ids := ARRAY[]::INTEGER[];
+        FOR v_unit IN
+            SELECT array_agg(q.id ORDER BY q.id) AS question_ids
+            FROM public.questions q
+            WHERE q.category_id = p_category_id
+              AND q.difficulty_id = p_difficulty_id
+              AND q.is_active = true
+            GROUP BY COALESCE('p' || q.passage_id::TEXT, 'q' || q.id::TEXT)
+            ORDER BY RANDOM()
+        LOOP
+            v_drawn := COALESCE(array_length(v_question_ids, 1), 0);
+            EXIT WHEN v_drawn >= p_question_count;
+
+            IF v_drawn + array_length(v_unit.question_ids, 1) <= p_question_count THEN
+                v_question_ids := v_question_ids || v_unit.question_ids;
+            ELSIF v_oversized_unit IS NULL THEN
+                v_oversized_unit := v_unit.question_ids;
+            END IF;
+        END LOOP;
+
+        -- A passage with more questions than the quiz is still used when nothing else fits
+        IF COALESCE(array_length(v_question_ids, 1), 0) = 0 AND v_oversized_unit IS NOT NULL THEN
+            v_question_ids := v_oversized_unit;
+        END IF;
+
+        IF v_attempt_id IS NULL THEN
+            INSERT INTO public.quiz_attempts (student_id, category_id, difficulty_id, total_questions)
+            VALUES (p_student_id, p_category_id, p_difficulty_id, COALESCE(array_length(v_question_ids, 1), 0))
+            RETURNING id INTO v_attempt_id;
+        ELSE
+            UPDATE public.quiz_attempts
+            SET total_questions = COALESCE(array_length(v_question_ids, 1), 0)
+            WHERE id = v_attempt_id;
+        END IF;
+
+        -- Store the draw, shuffling reorder tiles and matching choices once per attempt
+        INSERT INTO public.attempt_questions (attempt_id, question_id, order_index, option_order, token_order, match_choice_order)
+        SELECT
+            v_attempt_id,
+            t.qid,
+            t.ord,
+            (
+                SELECT array_agg(qo.id ORDER BY qo.order_index)
+                FROM public.question_options qo
+                WHERE qo.question_id = t.qid
+            ),
+            (
+                SELECT array_agg(token ORDER BY RANDOM())
+                FROM public.question_reorder_sequences qrs, unnest(qrs.tokens) AS token
+                WHERE qrs.question_id = t.qid
+                  AND qrs.is_primary = true
+            ),
+            (
+                SELECT array_agg(qmp.right_text ORDER BY RANDOM())
+                FROM public.question_match_pairs qmp
+                WHERE qmp.question_id = t.qid
+            )
+        FROM unnest(v_question_ids) WITH ORDINALITY AS t(qid, ord);
+    END IF;
+
+    RETURN json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'attempt_id', v_attempt_id,
+            'is_resumed', v_is_resumed,
+            'questions', (
+                SELECT json_agg(get_attempt_question_payload(v_attempt_id, qid) ORDER BY ord)
+                FROM unnest(v_question_ids) WITH ORDINALITY AS t(qid, ord)
+            ),
+            'passages', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', rp.id,
+                        'title', rp.title,
+                        'content', rp.content,
+                        'image_url', rp.image_url,
+                        'has_audio', rp.audio_url IS NOT NULL,
+                        'max_plays', rp.max_plays
+                    )
+                )
+                FROM public.reading_passages rp
+                WHERE rp.id IN (
+                    SELECT q.passage_id
+                    FROM public.questions q
+                    WHERE q.id = ANY(v_question_ids)
+                )
+            ),
+            'audio_plays', (
+                SELECT json_agg(
+                    json_build_object(
+                        'question_id', qap.question_id,
+                        'passage_id', qap.passage_id,
+                        'plays', qap.plays
+                    )
+                )
+                FROM (
+                    SELECT question_id, passage_id, COUNT(*) AS plays
+                    FROM public.quiz_audio_plays
+                    WHERE attempt_id = v_attempt_id
+                    GROUP BY question_id, passage_id
+                ) qap
+            ),
+            'saved_answers', (
+                -- Same shape as the answers sent to submit_quiz_answers
+                SELECT json_agg(
+                    json_build_object(
+                        'question_id', qa.question_id,
+                        'selected_option_id', qa.selected_option_id,
+                        'selected_option_ids', qa.selected_option_ids,
+                        'answer_data', qa.answer_data
+                    )
+                )
+                FROM public.quiz_answers qa
+                WHERE qa.attempt_id = v_attempt_id
+            ),
+            'total_questions', COALESCE(array_length(v_question_ids, 1), 0)
+        )
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Restated from migration 018: audio is only handed out for questions drawn for the attempt
+CREATE OR REPLACE FUNCTION register_audio_play(
+    p_attempt_id INTEGER,
+    p_question_id INTEGER DEFAULT NULL,
+    p_passage_id INTEGER DEFAULT NULL
+)
+RETURNS JSON AS $$
+DECLARE
+    v_audio_url TEXT;
+    v_max_plays INTEGER;
+    v_plays_used INTEGER;
+BEGIN
+    -- Lock the attempt so two quick clicks cannot both use the last play
+    PERFORM 1
+    FROM public.quiz_attempts
+    WHERE id = p_attempt_id
+      AND student_id = auth.uid()
+      AND is_completed = false
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Quiz attempt not found or already submitted');
+    END IF;
+
+    -- Plays only count against the attempt the audio belongs to, so another open
+    -- attempt cannot hand out the URL without using up this one's plays
+    IF NOT EXISTS (
+        SELECT 1
+        FROM public.attempt_questions aq
+        JOIN public.questions q ON q.id = aq.question_id
+        WHERE aq.attempt_id = p_attempt_id
+          AND (q.id = p_question_id OR (p_question_id IS NULL AND q.passage_id = p_passage_id))
+    ) THEN
+        RETURN json_build_object('success', false, 'error', 'This audio is not part of the attempt');
+    END IF;
+
+    IF p_question_id IS NOT NULL THEN
+        SELECT audio_url, max_plays INTO v_audio_url, v_max_plays
+        FROM public.questions
+        WHERE id = p_question_id;
+
+        SELECT COUNT(*) INTO v_plays_used
+        FROM public.quiz_audio_plays
+        WHERE attempt_id = p_attempt_id AND question_id = p_question_id;
+    ELSE
+        SELECT audio_url, max_plays INTO v_audio_url, v_max_plays
+        FROM public.reading_passages
+        WHERE id = p_passage_id;
+
+        SELECT COUNT(*) INTO v_plays_used
+        FROM public.quiz_audio_plays
+        WHERE attempt_id = p_attempt_id AND passage_id = p_passage_id;
+    END IF;
+
+    IF v_audio_url IS NULL THEN
+        RETURN json_build_object('success', false, 'error', 'This question has no audio');
+    END IF;
+
+    IF v_max_plays IS NOT NULL AND v_plays_used >= v_max_plays THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', format('You have used all %s plays of this audio', v_max_plays)
+        );
+    END IF;
+
+    INSERT INTO public.quiz_audio_plays (attempt_id, question_id, passage_id)
+    VALUES (p_attempt_id, p_question_id, CASE WHEN p_question_id IS NULL THEN p_passage_id END);
+
+    RETURN json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'audio_url', v_audio_url,
+            'plays_used', v_plays_used + 1,
+            'max_plays', v_max_plays
+        )
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+COMMENT ON FUNCTION register_audio_play(INTEGER, INTEGER, INTEGER) IS 'Logs a play of question or passage audio drawn for the caller''s open attempt and returns the audio URL while plays remain.';
+COMMENT ON TABLE public.attempt_questions IS 'Questions drawn for a quiz attempt, in order, with the option, tile and choice order the student sees.';
+COMMENT ON FUNCTION get_attempt_question_payload(INTEGER, INTEGER) IS 'Builds the student-facing JSON for one question of an attempt, keeping the order stored at the draw.';
@@ -0,0 +1,201 @@
+-- Migration 021: Server-side autosave of answers
+-- Answers are saved to quiz_answers as the student gives them and graded
+-- only when the attempt is submitted. submit_quiz_answers finalizes the saved
+-- answers, so the client no longer has to send the whole list at the end
+
+-- Writes one answer of an open attempt; a NULL answer clears it.
+-- Callers must hold a lock on the attempt. Runs with the caller's rights, so
+-- it only bypasses RLS when used from save_quiz_answer or submit_quiz_answers
+CREATE OR REPLACE FUNCTION upsert_quiz_answer(
+    p_attempt_id INTEGER,
+    p_question_id INTEGER,
+    p_answer JSON
+)
+RETURNS VOID AS $$
+DECLARE
+    v_selected_ids INTEGER[];
+BEGIN
+    IF p_answer IS NULL THEN
+        DELETE FROM public.quiz_answers
+        WHERE attempt_id = p_attempt_id AND question_id = p_question_id;
+        RETURN;
+    END IF;
+
+    IF json_typeof(p_answer->'selected_option_ids') = 'array' THEN
+        SELECT array_agg(value::INTEGER) INTO v_selected_ids
+        FROM json_array_elements_text(p_answer->'selected_option_ids');
+    END IF;
+
+    UPDATE public.quiz_answers
+    SET
+        selected_option_id = (p_answer->>'selected_option_id')::INTEGER,
+        selected_option_ids = v_selected_ids,
+        answer_data = (p_answer->'answer_data')::JSONB,
+        answered_at = NOW()
+    WHERE attempt_id = p_attempt_id AND question_id = p_question_id;
+
+    IF NOT FOUND THEN
+        INSERT INTO public.quiz_answers (
+            attempt_id, question_id, selected_option_id, selected_option_ids, answer_data, answered_at
+        )
+        VALUES (
+            p_attempt_id,
+            p_question_id,
+            (p_answer->>'selected_option_id')::INTEGER,
+            v_selected_ids,
+            (p_answer->'answer_data')::JSONB,
+            NOW()
+        );
+    END IF;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Autosaves one answer of the caller's open attempt
+CREATE OR REPLACE FUNCTION save_quiz_answer(
+    p_attempt_id INTEGER,
+    p_question_id INTEGER,
+    p_answer JSON DEFAULT NULL
+)
+RETURNS JSON AS $$
+BEGIN
+    -- Lock the attempt so a save cannot slip in while it is being submitted
+    PERFORM 1
+    FROM public.quiz_attempts
+    WHERE id = p_attempt_id
+      AND student_id = auth.uid()
+      AND is_completed = false
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Quiz attempt not found or already submitted');
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1
+        FROM public.attempt_questions
+        WHERE attempt_id = p_attempt_id AND question_id = p_question_id
+    ) THEN
+        RETURN json_build_object('success', false, 'error', 'This question is not part of the attempt');
+    END IF;
+
+    PERFORM upsert_quiz_answer(p_attempt_id, p_question_id, p_answer);
+
+    RETURN json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'question_id', p_question_id,
+            'answered_at', NOW()
+        )
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- p_answers is optional: answers passed here are saved first, then every
+-- saved answer of the attempt is graded
+CREATE OR REPLACE FUNCTION submit_quiz_answers(
+    p_attempt_id INTEGER,
+    p_answers JSON DEFAULT NULL
+)
+RETURNS JSON AS $$
+DECLARE
+    v_answer JSON;
+    v_saved RECORD;
+    v_credit DECIMAL;
+    v_correct_count INTEGER;
+    v_total_questions INTEGER;
+    v_score DECIMAL(5,2);
+    v_grading_status VARCHAR(20);
+    v_student_id UUID;
+BEGIN
+    -- Get attempt details; only the student taking the attempt can submit it
+    SELECT student_id, total_questions INTO v_student_id, v_total_questions
+    FROM public.quiz_attempts
+    WHERE id = p_attempt_id
+      AND student_id = auth.uid()
+      AND is_completed = false
+    FOR UPDATE;
+
+    IF v_student_id IS NULL THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'Quiz attempt not found or already completed'
+        );
+    END IF;
+
+    -- Same rule as save_quiz_answer: only questions drawn for the attempt can be answered
+    IF EXISTS (
+        SELECT 1
+        FROM json_array_elements(COALESCE(p_answers, '[]'::JSON)) AS answer
+        WHERE NOT EXISTS (
+            SELECT 1
+            FROM public.attempt_questions aq
+            WHERE aq.attempt_id = p_attempt_id
+              AND aq.question_id = (answer->>'question_id')::INTEGER
+        )
+    ) THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'An answer was sent for a question that is not part of the attempt'
+        );
+    END IF;
+
+    -- Answers sent with the submission overwrite the saved ones
+    FOR v_answer IN SELECT * FROM json_array_elements(COALESCE(p_answers, '[]'::JSON))
+    LOOP
+        PERFORM upsert_quiz_answer(p_attempt_id, (v_answer->>'question_id')::INTEGER, v_answer);
+    END LOOP;
+
+    -- Grade every saved answer
+    FOR v_saved IN
+        SELECT id, question_id, selected_option_id, selected_option_ids, answer_data
+        FROM public.quiz_answers
+        WHERE attempt_id = p_attempt_id
+    LOOP
+        v_credit := grade_quiz_answer(
+            v_saved.question_id,
+            json_build_object(
+                'selected_option_id', v_saved.selected_option_id,
+                'selected_option_ids', v_saved.selected_option_ids,
+                'answer_data', v_saved.answer_data
+            )
+        );
+
+        UPDATE public.quiz_answers
+        SET
+            is_correct = v_credit >= 1,
+            credit = v_credit,
+            needs_grading = is_manually_graded(v_saved.question_id)
+        WHERE id = v_saved.id;
+    END LOOP;
+
+    UPDATE public.quiz_attempts
+    SET
+        completed_at = NOW(),
+        is_completed = true
+    WHERE id = p_attempt_id;
+
+    -- Score and grading status come from the stored answers
+    PERFORM recalculate_attempt_score(p_attempt_id);
+
+    SELECT correct_answers, score, grading_status
+    INTO v_correct_count, v_score, v_grading_status
+    FROM public.quiz_attempts
+    WHERE id = p_attempt_id;
+
+    RETURN json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'attempt_id', p_attempt_id,
+            'correct_answers', v_correct_count,
+            'total_questions', v_total_questions,
+            'score', v_score,
+            'grading_status', v_grading_status
+        )
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION save_quiz_answer(INTEGER, INTEGER, JSON) TO authenticated;
+
+COMMENT ON FUNCTION save_quiz_answer(INTEGER, INTEGER, JSON) IS 'Autosaves (or clears, when the answer is NULL) one answer of the caller''s open attempt.';
+COMMENT ON FUNCTION submit_quiz_answers(INTEGER, JSON) IS 'Saves any answers passed in, grades every saved answer of the attempt and completes it.';
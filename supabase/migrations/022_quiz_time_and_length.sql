@@ -0,0 +1,495 @@
+-- Migration 022: Time limit, length and pass mark per quiz
+-- Tutors set how long a category/difficulty quiz lasts, how many questions
+-- it draws and the score needed to pass. start_quiz_attempt, the quiz list
+-- and the results read them from quiz_settings
+
+ALTER TABLE public.quiz_settings
+    ADD COLUMN IF NOT EXISTS time_limit_minutes INTEGER DEFAULT 30 CHECK (time_limit_minutes IS NULL OR time_limit_minutes > 0),
+    ADD COLUMN IF NOT EXISTS question_count INTEGER NOT NULL DEFAULT 10 CHECK (question_count > 0),
+    ADD COLUMN IF NOT EXISTS pass_mark DECIMAL(5,2) NOT NULL DEFAULT 60 CHECK (pass_mark >= 0 AND pass_mark <= 100);
+
+COMMENT ON COLUMN public.quiz_settings.time_limit_minutes IS 'Minutes allowed per attempt; NULL means no time limit.';
+COMMENT ON COLUMN public.quiz_settings.pass_mark IS 'Score (percent) a student needs to pass the quiz.';
+
+-- Where a student stands under a quiz's retake policy, with the quiz's length and pass mark
+CREATE OR REPLACE FUNCTION get_quiz_policy(
+    p_student_id UUID,
+    p_category_id INTEGER,
+    p_difficulty_id INTEGER
+)
+RETURNS JSON AS $$
+DECLARE
+    v_max_attempts INTEGER := 1;
+    v_cooldown_minutes INTEGER := 0;
+    v_score_policy VARCHAR(10) := 'best';
+    v_time_limit_minutes INTEGER := 30;
+    v_question_count INTEGER := 10;
+    v_pass_mark DECIMAL(5,2) := 60;
+    v_policy_score DECIMAL(5,2);
+    v_attempts_used INTEGER;
+    v_last_completed_at TIMESTAMP WITH TIME ZONE;
+    v_remaining INTEGER;
+    v_next_attempt_at TIMESTAMP WITH TIME ZONE;
+    v_has_open_attempt BOOLEAN;
+    v_reason TEXT;
+BEGIN
+    IF p_student_id IS DISTINCT FROM auth.uid() AND NOT is_tutor_or_admin(auth.uid()) THEN
+        RAISE EXCEPTION 'You can only view your own quiz attempts';
+    END IF;
+
+    SELECT max_attempts, cooldown_minutes, score_policy, time_limit_minutes, question_count, pass_mark
+    INTO v_max_attempts, v_cooldown_minutes, v_score_policy, v_time_limit_minutes, v_question_count, v_pass_mark
+    FROM public.quiz_settings
+    WHERE category_id = p_category_id AND difficulty_id = p_difficulty_id;
+
+    IF NOT FOUND THEN
+        v_max_attempts := 1;
+        v_cooldown_minutes := 0;
+        v_score_policy := 'best';
+        v_time_limit_minutes := 30;
+        v_question_count := 10;
+        v_pass_mark := 60;
+    END IF;
+
+    SELECT score INTO v_policy_score
+    FROM public.quiz_policy_scores
+    WHERE student_id = p_student_id
+      AND category_id = p_category_id
+      AND difficulty_id = p_difficulty_id;
+
+    SELECT COUNT(*), MAX(completed_at)
+    INTO v_attempts_used, v_last_completed_at
+    FROM public.quiz_attempts
+    WHERE student_id = p_student_id
+      AND category_id = p_category_id
+      AND difficulty_id = p_difficulty_id
+      AND is_completed = true;
+
+    SELECT EXISTS (
+        SELECT 1
+        FROM public.quiz_attempts
+        WHERE student_id = p_student_id
+          AND category_id = p_category_id
+          AND difficulty_id = p_difficulty_id
+          AND is_completed = false
+    ) INTO v_has_open_attempt;
+
+    IF v_max_attempts IS NOT NULL THEN
+        v_remaining := GREATEST(v_max_attempts - v_attempts_used, 0);
+    END IF;
+
+    IF v_cooldown_minutes > 0 AND v_last_completed_at IS NOT NULL
+       AND v_last_completed_at + make_interval(mins => v_cooldown_minutes) > NOW() THEN
+        v_next_attempt_at := v_last_completed_at + make_interval(mins => v_cooldown_minutes);
+    END IF;
+
+    IF v_has_open_attempt THEN
+        v_reason := NULL;
+    ELSIF v_remaining = 0 THEN
+        v_reason := CASE
+            WHEN v_max_attempts = 1 THEN 'You have already completed this quiz'
+            ELSE format('You have used all %s attempts for this quiz', v_max_attempts)
+        END;
+    ELSIF v_next_attempt_at IS NOT NULL THEN
+        v_reason := format('You can retake this quiz after %s', to_char(v_next_attempt_at, 'YYYY-MM-DD HH24:MI TZ'));
+    END IF;
+
+    RETURN json_build_object(
+        'max_attempts', v_max_attempts,
+        'cooldown_minutes', v_cooldown_minutes,
+        'score_policy', v_score_policy,
+        'time_limit_minutes', v_time_limit_minutes,
+        'question_count', v_question_count,
+        'pass_mark', v_pass_mark,
+        'attempts_used', v_attempts_used,
+        'attempts_remaining', v_remaining,
+        'next_attempt_at', v_next_attempt_at,
+        'has_open_attempt', v_has_open_attempt,
+        'can_start', v_reason IS NULL,
+        'reason', v_reason,
+        'policy_score', v_policy_score,
+        'passed', CASE WHEN v_policy_score IS NOT NULL THEN v_policy_score >= v_pass_mark END
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION start_quiz_attempt(
+    p_student_id UUID,
+    p_category_id INTEGER,
+    p_difficulty_id INTEGER,
+    p_question_count INTEGER DEFAULT 10
+)
+RETURNS JSON AS $$
+DECLARE
+    v_attempt_id INTEGER;
+    v_is_resumed BOOLEAN := false;
+    v_policy JSON;
+    v_question_count INTEGER;
+    v_question_ids INTEGER[];
+    v_unit RECORD;
+    v_drawn INTEGER;
+    v_oversized_unit INTEGER[];
+BEGIN
+    -- An open attempt can always be resumed; a new one must respect the retake policy
+    v_policy := get_quiz_policy(p_student_id, p_category_id, p_difficulty_id);
+
+    IF NOT (v_policy->>'can_start')::BOOLEAN THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', v_policy->>'reason'
+        );
+    END IF;
+
+    -- The quiz settings decide the length; p_question_count is only kept for older clients
+    v_question_count := COALESCE((v_policy->>'question_count')::INTEGER, p_question_count);
+
+    -- Reuse an incomplete attempt if there is one; the lock keeps two tabs from drawing twice
+    SELECT id INTO v_attempt_id
+    FROM public.quiz_attempts
+    WHERE student_id = p_student_id
+      AND category_id = p_category_id
+      AND difficulty_id = p_difficulty_id
+      AND is_completed = false
+    FOR UPDATE;
+
+    IF v_attempt_id IS NOT NULL THEN
+        SELECT array_agg(question_id ORDER BY order_index) INTO v_question_ids
+        FROM public.attempt_questions
+        WHERE attempt_id = v_attempt_id;
+
+        v_is_resumed := v_question_ids IS NOT NULL;
+    END IF;
+
+    -- Attempts started before the question set was stored get a fresh draw
+    IF NOT v_is_resumed THEN
+        -- Draw whole units: a standalone question, or every question of one passage.
+        -- Units that would overflow the question count are skipped.
+        v_question_ids := ARRAY[]::INTEGER[];
+        FOR v_unit IN
+            SELECT array_agg(q.id ORDER BY q.id) AS question_ids
+            FROM public.questions q
+            WHERE q.category_id = p_category_id
+              AND q.difficulty_id = p_difficulty_id
+              AND q.is_active = true
+            GROUP BY COALESCE('p' || q.passage_id::TEXT, 'q' || q.id::TEXT)
+            ORDER BY RANDOM()
+        LOOP
+            v_drawn := COALESCE(array_length(v_question_ids, 1), 0);
+            EXIT WHEN v_drawn >= v_question_count;
+
+            IF v_drawn + array_length(v_unit.question_ids, 1) <= v_question_count THEN
+                v_question_ids := v_question_ids || v_unit.question_ids;
+            ELSIF v_oversized_unit IS NULL THEN
+                v_oversized_unit := v_unit.question_ids;
+            END IF;
+        END LOOP;
+
+        -- A passage with more questions than the quiz is still used when nothing else fits
+        IF COALESCE(array_length(v_question_ids, 1), 0) = 0 AND v_oversized_unit IS NOT NULL THEN
+            v_question_ids := v_oversized_unit;
+        END IF;
+
+        IF v_attempt_id IS NULL THEN
+            INSERT INTO public.quiz_attempts (student_id, category_id, difficulty_id, total_questions)
+            VALUES (p_student_id, p_category_id, p_difficulty_id, COALESCE(array_length(v_question_ids, 1), 0))
+            RETURNING id INTO v_attempt_id;
+        ELSE
+            UPDATE public.quiz_attempts
+            SET total_questions = COALESCE(array_length(v_question_ids, 1), 0)
+            WHERE id = v_attempt_id;
+        END IF;
+
+        -- Store the draw, shuffling reorder tiles and matching choices once per attempt
+        INSERT INTO public.attempt_questions (attempt_id, question_id, order_index, option_order, token_order, match_choice_order)
+        SELECT
+            v_attempt_id,
+            t.qid,
+            t.ord,
+            (
+                SELECT array_agg(qo.id ORDER BY qo.order_index)
+                FROM public.question_options qo
+                WHERE qo.question_id = t.qid
+            ),
+            (
+                SELECT array_agg(token ORDER BY RANDOM())
+                FROM public.question_reorder_sequences qrs, unnest(qrs.tokens) AS token
+                WHERE qrs.question_id = t.qid
+                  AND qrs.is_primary = true
+            ),
+            (
+                SELECT array_agg(qmp.right_text ORDER BY RANDOM())
+                FROM public.question_match_pairs qmp
+                WHERE qmp.question_id = t.qid
+            )
+        FROM unnest(v_question_ids) WITH ORDINALITY AS t(qid, ord);
+    END IF;
+
+    RETURN json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'attempt_id', v_attempt_id,
+            'is_resumed', v_is_resumed,
+            'questions', (
+                SELECT json_agg(get_attempt_question_payload(v_attempt_id, qid) ORDER BY ord)
+                FROM unnest(v_question_ids) WITH ORDINALITY AS t(qid, ord)
+            ),
+            'passages', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', rp.id,
+                        'title', rp.title,
+                        'content', rp.content,
+                        'image_url', rp.image_url,
+                        'has_audio', rp.audio_url IS NOT NULL,
+                        'max_plays', rp.max_plays
+                    )
+                )
+                FROM public.reading_passages rp
+                WHERE rp.id IN (
+                    SELECT q.passage_id
+                    FROM public.questions q
+                    WHERE q.id = ANY(v_question_ids)
+                )
+            ),
+            'audio_plays', (
+                SELECT json_agg(
+                    json_build_object(
+                        'question_id', qap.question_id,
+                        'passage_id', qap.passage_id,
+                        'plays', qap.plays
+                    )
+                )
+                FROM (
+                    SELECT question_id, passage_id, COUNT(*) AS plays
+                    FROM public.quiz_audio_plays
+                    WHERE attempt_id = v_attempt_id
+                    GROUP BY question_id, passage_id
+                ) qap
+            ),
+            'saved_answers', (
+                -- Same shape as the answers sent to submit_quiz_answers
+                SELECT json_agg(
+                    json_build_object(
+                        'question_id', qa.question_id,
+                        'selected_option_id', qa.selected_option_id,
+                        'selected_option_ids', qa.selected_option_ids,
+                        'answer_data', qa.answer_data
+                    )
+                )
+                FROM public.quiz_answers qa
+                WHERE qa.attempt_id = v_attempt_id
+            ),
+            'total_questions', COALESCE(array_length(v_question_ids, 1), 0),
+            'time_limit_minutes', (v_policy->>'time_limit_minutes')::INTEGER,
+            'pass_mark', (v_policy->>'pass_mark')::DECIMAL
+        )
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION get_available_quizzes(p_student_id UUID DEFAULT NULL)
+RETURNS JSON AS $$
+DECLARE
+    v_student_id UUID := auth.uid();
+BEGIN
+    -- Tutors may look at a student's quizzes; students only see their own
+    IF p_student_id IS NOT NULL AND is_tutor_or_admin(auth.uid()) THEN
+        v_student_id := p_student_id;
+    END IF;
+
+    RETURN json_build_object(
+        'success', true,
+        'data', (
+            SELECT json_agg(
+                json_build_object(
+                    'id', c.id,
+                    'name', c.name,
+                    'description', c.description,
+                    'difficulties', (
+                        SELECT json_agg(
+                            json_build_object(
+                                'id', dl.id,
+                                'name', dl.name,
+                                'description', dl.description,
+                                -- Questions per attempt: the configured count, capped by the active questions
+                                'question_count', LEAST(
+                                    (
+                                        SELECT COUNT(*)
+                                        FROM public.questions q
+                                        WHERE q.category_id = c.id
+                                          AND q.difficulty_id = dl.id
+                                          AND q.is_active = true
+                                    ),
+                                    COALESCE(qs.question_count, 10)
+                                ),
+                                'policy', get_quiz_policy(v_student_id, c.id, dl.id)
+                            ) ORDER BY dl.order_index
+                        )
+                        FROM public.difficulty_levels dl
+                        LEFT JOIN public.quiz_settings qs
+                          ON qs.category_id = c.id AND qs.difficulty_id = dl.id
+                        WHERE dl.is_active = true
+                        AND EXISTS (
+                            SELECT 1 FROM public.questions q
+                            WHERE q.category_id = c.id
+                              AND q.difficulty_id = dl.id
+                              AND q.is_active = true
+                        )
+                    )
+                ) ORDER BY c.name
+            )
+            FROM public.categories c
+            WHERE c.is_active = true
+            AND EXISTS (
+                SELECT 1 FROM public.questions q
+                WHERE q.category_id = c.id AND q.is_active = true
+            )
+        )
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION get_quiz_results(p_attempt_id INTEGER)
+RETURNS JSON AS $$
+DECLARE
+    v_result JSON;
+BEGIN
+    SELECT json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'attempt', (
+                SELECT json_build_object(
+                    'id', qa.id,
+                    'score', qa.score,
+                    'correct_answers', qa.correct_answers,
+                    'total_questions', qa.total_questions,
+                    'time_taken', qa.time_taken,
+                    'started_at', qa.started_at,
+                    'completed_at', qa.completed_at,
+                    'category_id', qa.category_id,
+                    'difficulty_id', qa.difficulty_id,
+                    'category_name', c.name,
+                    'difficulty_name', dl.name,
+                    'grading_status', qa.grading_status,
+                    'pass_mark', COALESCE(qs.pass_mark, 60)
+                )
+                FROM public.quiz_attempts qa
+                JOIN public.categories c ON c.id = qa.category_id
+                JOIN public.difficulty_levels dl ON dl.id = qa.difficulty_id
+                LEFT JOIN public.quiz_settings qs
+                  ON qs.category_id = qa.category_id AND qs.difficulty_id = qa.difficulty_id
+                WHERE qa.id = p_attempt_id
+            ),
+            'questions', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', qans.question_id,
+                        'answer_id', qans.id,
+                        'question_type', q.question_type,
+                        'question_text', q.question_text,
+                        'passage_id', q.passage_id,
+                        'audio_url', q.audio_url,
+                        'transcript', q.transcript,
+                        'plays_used', (
+                            SELECT COUNT(*)
+                            FROM public.quiz_audio_plays qap
+                            WHERE qap.attempt_id = p_attempt_id AND qap.question_id = q.id
+                        ),
+                        'explanation', q.explanation,
+                        'selected_option_id', qans.selected_option_id,
+                        'selected_option_ids', qans.selected_option_ids,
+                        'answer_data', qans.answer_data,
+                        'is_correct', qans.is_correct,
+                        'credit', qans.credit,
+                        'needs_grading', qans.needs_grading,
+                        'grader_comment', qans.grader_comment,
+                        'rubric_scores', (
+                            SELECT json_agg(
+                                json_build_object(
+                                    'criterion_id', qrc.id,
+                                    'name', qrc.name,
+                                    'max_score', qrc.max_score,
+                                    'score', rs.score
+                                ) ORDER BY qrc.order_index
+                            )
+                            FROM public.question_rubric_criteria qrc
+                            JOIN public.quiz_answer_rubric_scores rs
+                              ON rs.criterion_id = qrc.id AND rs.answer_id = qans.id
+                            WHERE qrc.question_id = q.id
+                        ),
+                        'options', (
+                            SELECT json_agg(
+                                json_build_object(
+                                    'id', qo.id,
+                                    'option_text', qo.option_text,
+                                    'is_correct', qo.is_correct,
+                                    'is_selected', qo.id = qans.selected_option_id
+                                        OR qo.id = ANY(COALESCE(qans.selected_option_ids, ARRAY[]::INTEGER[]))
+                                ) ORDER BY qo.order_index
+                            )
+                            FROM public.question_options qo
+                            WHERE qo.question_id = q.id
+                        ),
+                        'blanks', (
+                            SELECT json_agg(
+                                json_build_object(
+                                    'blank_index', qb.blank_index,
+                                    'accepted_answers', qb.accepted_answers,
+                                    'given_answer', qans.answer_data->>qb.blank_index::TEXT,
+                                    'is_correct', cloze_blank_is_correct(qb.id, qans.answer_data->>qb.blank_index::TEXT)
+                                ) ORDER BY qb.blank_index
+                            )
+                            FROM public.question_blanks qb
+                            WHERE qb.question_id = q.id
+                        ),
+                        'pairs', (
+                            SELECT json_agg(
+                                json_build_object(
+                                    'id', qmp.id,
+                                    'left_text', qmp.left_text,
+                                    'right_text', qmp.right_text,
+                                    'given_answer', qans.answer_data->>qmp.id::TEXT,
+                                    'is_correct', qmp.right_text = qans.answer_data->>qmp.id::TEXT
+                                ) ORDER BY qmp.order_index
+                            )
+                            FROM public.question_match_pairs qmp
+                            WHERE qmp.question_id = q.id
+                        ),
+                        'accepted_orders', (
+                            SELECT json_agg(qrs.tokens ORDER BY qrs.is_primary DESC, qrs.id)
+                            FROM public.question_reorder_sequences qrs
+                            WHERE qrs.question_id = q.id
+                        )
+                    ) ORDER BY qans.id
+                )
+                FROM public.quiz_answers qans
+                JOIN public.questions q ON q.id = qans.question_id
+                WHERE qans.attempt_id = p_attempt_id
+            ),
+            'passages', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', rp.id,
+                        'title', rp.title,
+                        'content', rp.content,
+                        'image_url', rp.image_url,
+                        'audio_url', rp.audio_url,
+                        'transcript', rp.transcript
+                    )
+                )
+                FROM public.reading_passages rp
+                WHERE rp.id IN (
+                    SELECT q.passage_id
+                    FROM public.quiz_answers qans
+                    JOIN public.questions q ON q.id = qans.question_id
+                    WHERE qans.attempt_id = p_attempt_id
+                )
+            )
+        )
+    ) INTO v_result;
+
+    RETURN v_result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+COMMENT ON FUNCTION get_quiz_policy(UUID, INTEGER, INTEGER) IS 'Returns the settings of a quiz (attempts, cooldown, score policy, time limit, length, pass mark) with the student''s used and remaining attempts and counted score.';
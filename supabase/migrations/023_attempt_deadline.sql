@@ -0,0 +1,389 @@
+-- Migration 023: Server-enforced time limit
+-- Each timed attempt gets a deadline when it starts (started_at plus the
+-- quiz's time limit). Saves after the deadline are refused, late
+-- submissions only count the answers saved in time, and time_taken is
+-- recorded when the attempt is finalized
+
+ALTER TABLE public.quiz_attempts ADD COLUMN IF NOT EXISTS deadline_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN public.quiz_attempts.deadline_at IS 'When a timed attempt must be submitted; NULL for untimed quizzes.';
+
+-- A short grace period covers the time a submission sent at 0:00 needs to arrive
+CREATE OR REPLACE FUNCTION attempt_time_is_up(p_attempt_id INTEGER)
+RETURNS BOOLEAN AS $$
+BEGIN
+    RETURN EXISTS (
+        SELECT 1
+        FROM public.quiz_attempts
+        WHERE id = p_attempt_id
+          AND deadline_at IS NOT NULL
+          AND NOW() > deadline_at + INTERVAL '30 seconds'
+    );
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Grades every saved answer, completes the attempt and records time_taken (capped at the
+-- deadline). Callers must hold a lock on the attempt. Runs with the caller's rights, like
+-- upsert_quiz_answer
+CREATE OR REPLACE FUNCTION finalize_quiz_attempt(p_attempt_id INTEGER)
+RETURNS VOID AS $$
+DECLARE
+    v_saved RECORD;
+    v_credit DECIMAL;
+BEGIN
+    FOR v_saved IN
+        SELECT id, question_id, selected_option_id, selected_option_ids, answer_data
+        FROM public.quiz_answers
+        WHERE attempt_id = p_attempt_id
+    LOOP
+        v_credit := grade_quiz_answer(
+            v_saved.question_id,
+            json_build_object(
+                'selected_option_id', v_saved.selected_option_id,
+                'selected_option_ids', v_saved.selected_option_ids,
+                'answer_data', v_saved.answer_data
+            )
+        );
+
+        UPDATE public.quiz_answers
+        SET
+            is_correct = v_credit >= 1,
+            credit = v_credit,
+            needs_grading = is_manually_graded(v_saved.question_id)
+        WHERE id = v_saved.id;
+    END LOOP;
+
+    UPDATE public.quiz_attempts
+    SET
+        completed_at = NOW(),
+        is_completed = true,
+        time_taken = EXTRACT(EPOCH FROM LEAST(NOW(), COALESCE(deadline_at, NOW())) - started_at)::INTEGER
+    WHERE id = p_attempt_id;
+
+    -- Score and grading status come from the stored answers
+    PERFORM recalculate_attempt_score(p_attempt_id);
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION start_quiz_attempt(
+    p_student_id UUID,
+    p_category_id INTEGER,
+    p_difficulty_id INTEGER,
+    p_question_count INTEGER DEFAULT 10
+)
+RETURNS JSON AS $$
+DECLARE
+    v_attempt_id INTEGER;
+    v_is_resumed BOOLEAN := false;
+    v_policy JSON;
+    v_question_count INTEGER;
+    v_time_limit_minutes INTEGER;
+    v_question_ids INTEGER[];
+    v_unit RECORD;
+    v_drawn INTEGER;
+    v_oversized_unit INTEGER[];
+BEGIN
+    -- An open attempt can always be resumed; a new one must respect the retake policy
+    v_policy := get_quiz_policy(p_student_id, p_category_id, p_difficulty_id);
+
+    IF NOT (v_policy->>'can_start')::BOOLEAN THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', v_policy->>'reason'
+        );
+    END IF;
+
+    -- The quiz settings decide the length; p_question_count is only kept for older clients
+    v_question_count := COALESCE((v_policy->>'question_count')::INTEGER, p_question_count);
+    v_time_limit_minutes := (v_policy->>'time_limit_minutes')::INTEGER;
+
+    -- Reuse an incomplete attempt if there is one; the lock keeps two tabs from drawing twice
+    SELECT id INTO v_attempt_id
+    FROM public.quiz_attempts
+    WHERE student_id = p_student_id
+      AND category_id = p_category_id
+      AND difficulty_id = p_difficulty_id
+      AND is_completed = false
+    FOR UPDATE;
+
+    -- An attempt whose time ran out is submitted with the answers saved in time
+    IF v_attempt_id IS NOT NULL AND attempt_time_is_up(v_attempt_id) THEN
+        PERFORM finalize_quiz_attempt(v_attempt_id);
+
+        RETURN json_build_object(
+            'success', false,
+            'error', 'Time ran out on your unfinished attempt, so it was submitted with the answers saved in time',
+            'data', json_build_object('expired_attempt_id', v_attempt_id)
+        );
+    END IF;
+
+    IF v_attempt_id IS NOT NULL THEN
+        SELECT array_agg(question_id ORDER BY order_index) INTO v_question_ids
+        FROM public.attempt_questions
+        WHERE attempt_id = v_attempt_id;
+
+        v_is_resumed := v_question_ids IS NOT NULL;
+    END IF;
+
+    -- Attempts started before the question set was stored get a fresh draw
+    IF NOT v_is_resumed THEN
+        -- Draw whole units: a standalone question, or every question of one passage.
+        -- Units that would overflow the question count are skipped.
+        v_question_ids := ARRAY[]::INTEGER[];
+        FOR v_unit IN
+            SELECT array_agg(q.id ORDER BY q.id) AS question_ids
+            FROM public.questions q
+            WHERE q.category_id = p_category_id
+              AND q.difficulty_id = p_difficulty_id
+              AND q.is_active = true
+            GROUP BY COALESCE('p' || q.passage_id::TEXT, 'q' || q.id::TEXT)
+            ORDER BY RANDOM()
+        LOOP
+            v_drawn := COALESCE(array_length(v_question_ids, 1), 0);
+            EXIT WHEN v_drawn >= v_question_count;
+
+            IF v_drawn + array_length(v_unit.question_ids, 1) <= v_question_count THEN
+                v_question_ids := v_question_ids || v_unit.question_ids;
+            ELSIF v_oversized_unit IS NULL THEN
+                v_oversized_unit := v_unit.question_ids;
+            END IF;
+        END LOOP;
+
+        -- A passage with more questions than the quiz is still used when nothing else fits
+        IF COALESCE(array_length(v_question_ids, 1), 0) = 0 AND v_oversized_unit IS NOT NULL THEN
+            v_question_ids := v_oversized_unit;
+        END IF;
+
+        IF v_attempt_id IS NULL THEN
+            INSERT INTO public.quiz_attempts (student_id, category_id, difficulty_id, total_questions)
+            VALUES (p_student_id, p_category_id, p_difficulty_id, COALESCE(array_length(v_question_ids, 1), 0))
+            RETURNING id INTO v_attempt_id;
+        ELSE
+            UPDATE public.quiz_attempts
+            SET total_questions = COALESCE(array_length(v_question_ids, 1), 0)
+            WHERE id = v_attempt_id;
+        END IF;
+
+        -- Store the draw, shuffling reorder tiles and matching choices once per attempt
+        INSERT INTO public.attempt_questions (attempt_id, question_id, order_index, option_order, token_order, match_choice_order)
+        SELECT
+            v_attempt_id,
+            t.qid,
+            t.ord,
+            (
+                SELECT array_agg(qo.id ORDER BY qo.order_index)
+                FROM public.question_options qo
+                WHERE qo.question_id = t.qid
+            ),
+            (
+                SELECT array_agg(token ORDER BY RANDOM())
+                FROM public.question_reorder_sequences qrs, unnest(qrs.tokens) AS token
+                WHERE qrs.question_id = t.qid
+                  AND qrs.is_primary = true
+            ),
+            (
+                SELECT array_agg(qmp.right_text ORDER BY RANDOM())
+                FROM public.question_match_pairs qmp
+                WHERE qmp.question_id = t.qid
+            )
+        FROM unnest(v_question_ids) WITH ORDINALITY AS t(qid, ord);
+    END IF;
+
+    -- The clock starts now for new attempts and for open ones that never had a deadline.
+    -- The limit is fixed here, so changing the settings does not affect running attempts.
+    IF v_time_limit_minutes IS NOT NULL THEN
+        UPDATE public.quiz_attempts
+        SET deadline_at = NOW() + make_interval(mins => v_time_limit_minutes)
+        WHERE id = v_attempt_id AND deadline_at IS NULL;
+    END IF;
+
+    RETURN json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'attempt_id', v_attempt_id,
+            'is_resumed', v_is_resumed,
+            'questions', (
+                SELECT json_agg(get_attempt_question_payload(v_attempt_id, qid) ORDER BY ord)
+                FROM unnest(v_question_ids) WITH ORDINALITY AS t(qid, ord)
+            ),
+            'passages', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', rp.id,
+                        'title', rp.title,
+                        'content', rp.content,
+                        'image_url', rp.image_url,
+                        'has_audio', rp.audio_url IS NOT NULL,
+                        'max_plays', rp.max_plays
+                    )
+                )
+                FROM public.reading_passages rp
+                WHERE rp.id IN (
+                    SELECT q.passage_id
+                    FROM public.questions q
+                    WHERE q.id = ANY(v_question_ids)
+                )
+            ),
+            'audio_plays', (
+                SELECT json_agg(
+                    json_build_object(
+                        'question_id', qap.question_id,
+                        'passage_id', qap.passage_id,
+                        'plays', qap.plays
+                    )
+                )
+                FROM (
+                    SELECT question_id, passage_id, COUNT(*) AS plays
+                    FROM public.quiz_audio_plays
+                    WHERE attempt_id = v_attempt_id
+                    GROUP BY question_id, passage_id
+                ) qap
+            ),
+            'saved_answers', (
+                -- Same shape as the answers sent to submit_quiz_answers
+                SELECT json_agg(
+                    json_build_object(
+                        'question_id', qa.question_id,
+                        'selected_option_id', qa.selected_option_id,
+                        'selected_option_ids', qa.selected_option_ids,
+                        'answer_data', qa.answer_data
+                    )
+                )
+                FROM public.quiz_answers qa
+                WHERE qa.attempt_id = v_attempt_id
+            ),
+            'total_questions', COALESCE(array_length(v_question_ids, 1), 0),
+            'time_limit_minutes', v_time_limit_minutes,
+            'pass_mark', (v_policy->>'pass_mark')::DECIMAL,
+            'deadline_at', (SELECT deadline_at FROM public.quiz_attempts WHERE id = v_attempt_id),
+            -- Lets the client correct for a wrong device clock
+            'server_time', clock_timestamp()
+        )
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION save_quiz_answer(
+    p_attempt_id INTEGER,
+    p_question_id INTEGER,
+    p_answer JSON DEFAULT NULL
+)
+RETURNS JSON AS $$
+BEGIN
+    -- Lock the attempt so a save cannot slip in while it is being submitted
+    PERFORM 1
+    FROM public.quiz_attempts
+    WHERE id = p_attempt_id
+      AND student_id = auth.uid()
+      AND is_completed = false
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Quiz attempt not found or already submitted');
+    END IF;
+
+    IF attempt_time_is_up(p_attempt_id) THEN
+        RETURN json_build_object('success', false, 'error', 'Time is up for this attempt');
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1
+        FROM public.attempt_questions
+        WHERE attempt_id = p_attempt_id AND question_id = p_question_id
+    ) THEN
+        RETURN json_build_object('success', false, 'error', 'This question is not part of the attempt');
+    END IF;
+
+    PERFORM upsert_quiz_answer(p_attempt_id, p_question_id, p_answer);
+
+    RETURN json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'question_id', p_question_id,
+            'answered_at', NOW()
+        )
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION submit_quiz_answers(
+    p_attempt_id INTEGER,
+    p_answers JSON DEFAULT NULL
+)
+RETURNS JSON AS $$
+DECLARE
+    v_answer JSON;
+    v_is_late BOOLEAN;
+    v_time_taken INTEGER;
+    v_correct_count INTEGER;
+    v_total_questions INTEGER;
+    v_score DECIMAL(5,2);
+    v_grading_status VARCHAR(20);
+    v_student_id UUID;
+BEGIN
+    -- Get attempt details; only the student taking the attempt can submit it
+    SELECT student_id, total_questions INTO v_student_id, v_total_questions
+    FROM public.quiz_attempts
+    WHERE id = p_attempt_id
+      AND student_id = auth.uid()
+      AND is_completed = false
+    FOR UPDATE;
+
+    IF v_student_id IS NULL THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'Quiz attempt not found or already completed'
+        );
+    END IF;
+
+    -- Same rule as save_quiz_answer: only questions drawn for the attempt can be answered
+    IF EXISTS (
+        SELECT 1
+        FROM json_array_elements(COALESCE(p_answers, '[]'::JSON)) AS answer
+        WHERE NOT EXISTS (
+            SELECT 1
+            FROM public.attempt_questions aq
+            WHERE aq.attempt_id = p_attempt_id
+              AND aq.question_id = (answer->>'question_id')::INTEGER
+        )
+    ) THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'An answer was sent for a question that is not part of the attempt'
+        );
+    END IF;
+
+    -- Answers sent after the deadline are not counted; the ones saved in time are
+    v_is_late := attempt_time_is_up(p_attempt_id);
+
+    IF NOT v_is_late THEN
+        -- Answers sent with the submission overwrite the saved ones
+        FOR v_answer IN SELECT * FROM json_array_elements(COALESCE(p_answers, '[]'::JSON))
+        LOOP
+            PERFORM upsert_quiz_answer(p_attempt_id, (v_answer->>'question_id')::INTEGER, v_answer);
+        END LOOP;
+    END IF;
+
+    PERFORM finalize_quiz_attempt(p_attempt_id);
+
+    SELECT correct_answers, score, grading_status, time_taken
+    INTO v_correct_count, v_score, v_grading_status, v_time_taken
+    FROM public.quiz_attempts
+    WHERE id = p_attempt_id;
+
+    RETURN json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'attempt_id', p_attempt_id,
+            'correct_answers', v_correct_count,
+            'total_questions', v_total_questions,
+            'score', v_score,
+            'grading_status', v_grading_status,
+            'time_taken', v_time_taken,
+            'is_late', v_is_late
+        )
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+COMMENT ON FUNCTION submit_quiz_answers(INTEGER, JSON) IS 'Saves any answers passed in before the deadline, grades every saved answer of the attempt, completes it and records time_taken.';
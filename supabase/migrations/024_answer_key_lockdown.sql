@@ -0,0 +1,212 @@
+-- Migration 024: Answer key lockdown
+-- Students could read question_options.is_correct, questions.explanation and
+-- passage transcripts straight from the tables. Quiz content is now served
+-- only through the quiz RPCs (start_quiz_attempt for the questions,
+-- get_quiz_results once the attempt is completed), and students lose direct
+-- write access to attempts and answers so an attempt cannot be closed early
+-- to reveal the key
+
+-- Questions, options and passages are read by tutors only; their
+-- "Tutors can manage ..." policies already cover SELECT
+DROP POLICY IF EXISTS "Everyone can view active questions" ON public.questions;
+DROP POLICY IF EXISTS "Everyone can view question options" ON public.question_options;
+DROP POLICY IF EXISTS "Everyone can view active passages" ON public.reading_passages;
+
+-- Attempts are created by start_quiz_attempt and completed by submit_quiz_answers;
+-- answers are written by save_quiz_answer and submit_quiz_answers
+DROP POLICY IF EXISTS "Students can create their own attempts" ON public.quiz_attempts;
+DROP POLICY IF EXISTS "Students can update their own attempts" ON public.quiz_attempts;
+DROP POLICY IF EXISTS "Students can create their own answers" ON public.quiz_answers;
+
+-- Grading helpers are internal to the SECURITY DEFINER quiz functions; called
+-- directly, grade_quiz_answer and cloze_blank_is_correct would tell a student
+-- whether any answer to any question is correct
+REVOKE EXECUTE ON FUNCTION grade_quiz_answer(INTEGER, JSON) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION cloze_blank_is_correct(INTEGER, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION recalculate_attempt_score(INTEGER) FROM PUBLIC, anon, authenticated;
+
+-- Results only cover the questions drawn for the attempt, so answers stored for
+-- any other question cannot be used to read its key. Attempts from before the
+-- draw was stored take the questions they answered as their draw
+INSERT INTO public.attempt_questions (attempt_id, question_id, order_index)
+SELECT
+    qans.attempt_id,
+    qans.question_id,
+    ROW_NUMBER() OVER (PARTITION BY qans.attempt_id ORDER BY qans.id)
+FROM public.quiz_answers qans
+WHERE NOT EXISTS (
+    SELECT 1
+    FROM public.attempt_questions aq
+    WHERE aq.attempt_id = qans.attempt_id
+)
+ON CONFLICT (attempt_id, question_id) DO NOTHING;
+
+-- Only the owner (after submitting) or a tutor can see an attempt's results
+CREATE OR REPLACE FUNCTION get_quiz_results(p_attempt_id INTEGER)
+RETURNS JSON AS $$
+DECLARE
+    v_result JSON;
+    v_student_id UUID;
+    v_is_completed BOOLEAN;
+BEGIN
+    SELECT student_id, is_completed INTO v_student_id, v_is_completed
+    FROM public.quiz_attempts
+    WHERE id = p_attempt_id;
+
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Quiz attempt not found');
+    END IF;
+
+    IF v_student_id IS DISTINCT FROM auth.uid() AND NOT is_tutor_or_admin(auth.uid()) THEN
+        RETURN json_build_object('success', false, 'error', 'Not allowed to view this attempt');
+    END IF;
+
+    -- Correct answers and explanations are only revealed once the attempt is submitted
+    IF NOT v_is_completed AND NOT is_tutor_or_admin(auth.uid()) THEN
+        RETURN json_build_object('success', false, 'error', 'Results are available once the quiz is submitted');
+    END IF;
+
+    SELECT json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'attempt', (
+                SELECT json_build_object(
+                    'id', qa.id,
+                    'score', qa.score,
+                    'correct_answers', qa.correct_answers,
+                    'total_questions', qa.total_questions,
+                    'time_taken', qa.time_taken,
+                    'started_at', qa.started_at,
+                    'completed_at', qa.completed_at,
+                    'category_id', qa.category_id,
+                    'difficulty_id', qa.difficulty_id,
+                    'category_name', c.name,
+                    'difficulty_name', dl.name,
+                    'grading_status', qa.grading_status,
+                    'pass_mark', COALESCE(qs.pass_mark, 60)
+                )
+                FROM public.quiz_attempts qa
+                JOIN public.categories c ON c.id = qa.category_id
+                JOIN public.difficulty_levels dl ON dl.id = qa.difficulty_id
+                LEFT JOIN public.quiz_settings qs
+                  ON qs.category_id = qa.category_id AND qs.difficulty_id = qa.difficulty_id
+                WHERE qa.id = p_attempt_id
+            ),
+            'questions', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', qans.question_id,
+                        'answer_id', qans.id,
+                        'question_type', q.question_type,
+                        'question_text', q.question_text,
+                        'passage_id', q.passage_id,
+                        'audio_url', q.audio_url,
+                        'transcript', q.transcript,
+                        'plays_used', (
+                            SELECT COUNT(*)
+                            FROM public.quiz_audio_plays qap
+                            WHERE qap.attempt_id = p_attempt_id AND qap.question_id = q.id
+                        ),
+                        'explanation', q.explanation,
+                        'selected_option_id', qans.selected_option_id,
+                        'selected_option_ids', qans.selected_option_ids,
+                        'answer_data', qans.answer_data,
+                        'is_correct', qans.is_correct,
+                        'credit', qans.credit,
+                        'needs_grading', qans.needs_grading,
+                        'grader_comment', qans.grader_comment,
+                        'rubric_scores', (
+                            SELECT json_agg(
+                                json_build_object(
+                                    'criterion_id', qrc.id,
+                                    'name', qrc.name,
+                                    'max_score', qrc.max_score,
+                                    'score', rs.score
+                                ) ORDER BY qrc.order_index
+                            )
+                            FROM public.question_rubric_criteria qrc
+                            JOIN public.quiz_answer_rubric_scores rs
+                              ON rs.criterion_id = qrc.id AND rs.answer_id = qans.id
+                            WHERE qrc.question_id = q.id
+                        ),
+                        'options', (
+                            SELECT json_agg(
+                                json_build_object(
+                                    'id', qo.id,
+                                    'option_text', qo.option_text,
+                                    'is_correct', qo.is_correct,
+                                    'is_selected', qo.id = qans.selected_option_id
+                                        OR qo.id = ANY(COALESCE(qans.selected_option_ids, ARRAY[]::INTEGER[]))
+                                ) ORDER BY qo.order_index
+                            )
+                            FROM public.question_options qo
+                            WHERE qo.question_id = q.id
+                        ),
+                        'blanks', (
+                            SELECT json_agg(
+                                json_build_object(
+                                    'blank_index', qb.blank_index,
+                                    'accepted_answers', qb.accepted_answers,
+                                    'given_answer', qans.answer_data->>qb.blank_index::TEXT,
+                                    'is_correct', cloze_blank_is_correct(qb.id, qans.answer_data->>qb.blank_index::TEXT)
+                                ) ORDER BY qb.blank_index
+                            )
+                            FROM public.question_blanks qb
+                            WHERE qb.question_id = q.id
+                        ),
+                        'pairs', (
+                            SELECT json_agg(
+                                json_build_object(
+                                    'id', qmp.id,
+                                    'left_text', qmp.left_text,
+                                    'right_text', qmp.right_text,
+                                    'given_answer', qans.answer_data->>qmp.id::TEXT,
+                                    'is_correct', qmp.right_text = qans.answer_data->>qmp.id::TEXT
+                                ) ORDER BY qmp.order_index
+                            )
+                            FROM public.question_match_pairs qmp
+                            WHERE qmp.question_id = q.id
+                        ),
+                        'accepted_orders', (
+                            SELECT json_agg(qrs.tokens ORDER BY qrs.is_primary DESC, qrs.id)
+                            FROM public.question_reorder_sequences qrs
+                            WHERE qrs.question_id = q.id
+                        )
+                    ) ORDER BY qans.id
+                )
+                FROM public.quiz_answers qans
+                JOIN public.attempt_questions aq
+                  ON aq.attempt_id = qans.attempt_id AND aq.question_id = qans.question_id
+                JOIN public.questions q ON q.id = qans.question_id
+                WHERE qans.attempt_id = p_attempt_id
+            ),
+            'passages', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', rp.id,
+                        'title', rp.title,
+                        'content', rp.content,
+                        'image_url', rp.image_url,
+                        'audio_url', rp.audio_url,
+                        'transcript', rp.transcript
+                    )
+                )
+                FROM public.reading_passages rp
+                WHERE rp.id IN (
+                    SELECT q.passage_id
+                    FROM public.quiz_answers qans
+                    JOIN public.attempt_questions aq
+                      ON aq.attempt_id = qans.attempt_id AND aq.question_id = qans.question_id
+                    JOIN public.questions q ON q.id = qans.question_id
+                    WHERE qans.attempt_id = p_attempt_id
+                )
+            )
+        )
+    ) INTO v_result;
+
+    RETURN v_result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+
+COMMENT ON FUNCTION get_quiz_results(INTEGER) IS 'Results of an attempt with correct answers and explanations; students only see their own, completed attempts.';
@@ -0,0 +1,746 @@
+-- Migration 025: Weighted questions and negative marking
+-- Each question is worth a number of points (1 by default) and the score is
+-- the share of the attempt's points earned, so harder items can count for
+-- more. Reorder questions can award partial credit like the other
+-- multi-part types, and a quiz can deduct points for wrong answers
+
+ALTER TABLE public.questions
+    ADD COLUMN IF NOT EXISTS points DECIMAL(5,2) NOT NULL DEFAULT 1 CHECK (points > 0);
+
+ALTER TABLE public.quiz_settings
+    ADD COLUMN IF NOT EXISTS negative_marking DECIMAL(5,2) NOT NULL DEFAULT 0 CHECK (negative_marking >= 0 AND negative_marking <= 100);
+
+-- Copied when the attempt starts, like the deadline, so editing a question or
+-- the quiz settings does not change the score of attempts already taken
+ALTER TABLE public.attempt_questions
+    ADD COLUMN IF NOT EXISTS points DECIMAL(5,2) NOT NULL DEFAULT 1;
+
+ALTER TABLE public.quiz_attempts
+    ADD COLUMN IF NOT EXISTS negative_marking DECIMAL(5,2) NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS points_earned DECIMAL(7,2),
+    ADD COLUMN IF NOT EXISTS total_points DECIMAL(7,2);
+
+ALTER TABLE public.quiz_answers
+    ADD COLUMN IF NOT EXISTS points_awarded DECIMAL(7,2);
+
+COMMENT ON COLUMN public.questions.points IS 'Points the question is worth; the score is the share of points earned.';
+COMMENT ON COLUMN public.quiz_settings.negative_marking IS 'Percentage of a question''s points deducted for a wrong auto-graded answer; 0 disables negative marking.';
+COMMENT ON COLUMN public.quiz_answers.points_awarded IS 'Points earned by the answer after partial credit and negative marking.';
+
+CREATE OR REPLACE FUNCTION grade_quiz_answer(p_question_id INTEGER, p_answer JSON)
+RETURNS DECIMAL AS $$
+DECLARE
+    v_question_type VARCHAR(30);
+    v_scoring_mode VARCHAR(20);
+    v_selected INTEGER[];
+    v_total INTEGER;
+    v_hits INTEGER;
+    v_misses INTEGER;
+    v_is_correct BOOLEAN;
+    v_tokens TEXT[];
+BEGIN
+    SELECT question_type, scoring_mode INTO v_question_type, v_scoring_mode
+    FROM public.questions
+    WHERE id = p_question_id;
+
+    -- Manually graded answers earn nothing until a tutor grades them
+    IF v_question_type = 'short_answer' THEN
+        RETURN 0;
+    END IF;
+
+    IF v_question_type = 'multiple_select' THEN
+        SELECT COALESCE(array_agg(DISTINCT value::INTEGER), ARRAY[]::INTEGER[]) INTO v_selected
+        FROM json_array_elements_text(COALESCE(p_answer->'selected_option_ids', '[]'::JSON));
+
+        SELECT COUNT(*) FILTER (WHERE is_correct),
+               COUNT(*) FILTER (WHERE is_correct AND id = ANY(v_selected)),
+               COUNT(*) FILTER (WHERE NOT is_correct AND id = ANY(v_selected))
+        INTO v_total, v_hits, v_misses
+        FROM public.question_options
+        WHERE question_id = p_question_id;
+
+        IF v_total = 0 THEN
+            RETURN 0;
+        END IF;
+
+        IF v_scoring_mode = 'partial' THEN
+            -- Each wrong pick cancels one right pick, never below zero
+            RETURN GREATEST(0, (v_hits - v_misses)::DECIMAL / v_total);
+        END IF;
+
+        RETURN CASE WHEN v_hits = v_total AND v_misses = 0 THEN 1 ELSE 0 END;
+    END IF;
+
+    IF v_question_type = 'cloze' THEN
+        SELECT COUNT(*),
+               COUNT(*) FILTER (WHERE cloze_blank_is_correct(qb.id, p_answer->'answer_data'->>qb.blank_index::TEXT))
+        INTO v_total, v_hits
+        FROM public.question_blanks qb
+        WHERE qb.question_id = p_question_id;
+
+        IF v_total = 0 THEN
+            RETURN 0;
+        END IF;
+
+        IF v_scoring_mode = 'partial' THEN
+            RETURN v_hits::DECIMAL / v_total;
+        END IF;
+
+        RETURN CASE WHEN v_hits = v_total THEN 1 ELSE 0 END;
+    END IF;
+
+    IF v_question_type = 'matching' THEN
+        SELECT COUNT(*),
+               COUNT(*) FILTER (WHERE qmp.right_text = p_answer->'answer_data'->>qmp.id::TEXT)
+        INTO v_total, v_hits
+        FROM public.question_match_pairs qmp
+        WHERE qmp.question_id = p_question_id;
+
+        IF v_total = 0 THEN
+            RETURN 0;
+        END IF;
+
+        IF v_scoring_mode = 'partial' THEN
+            RETURN v_hits::DECIMAL / v_total;
+        END IF;
+
+        RETURN CASE WHEN v_hits = v_total THEN 1 ELSE 0 END;
+    END IF;
+
+    IF v_question_type = 'reorder' THEN
+        IF json_typeof(p_answer->'answer_data') IS DISTINCT FROM 'array' THEN
+            RETURN 0;
+        END IF;
+
+        SELECT array_agg(value ORDER BY ord) INTO v_tokens
+        FROM json_array_elements_text(p_answer->'answer_data') WITH ORDINALITY AS t(value, ord);
+
+        IF EXISTS (
+            SELECT 1
+            FROM public.question_reorder_sequences
+            WHERE question_id = p_question_id
+              AND tokens = v_tokens
+        ) THEN
+            RETURN 1;
+        END IF;
+
+        IF v_scoring_mode = 'partial' THEN
+            -- Share of words in the right place, measured against the closest accepted order
+            RETURN COALESCE((
+                SELECT MAX(
+                    (
+                        SELECT COUNT(*)
+                        FROM generate_subscripts(qrs.tokens, 1) AS i
+                        WHERE qrs.tokens[i] = v_tokens[i]
+                    )::DECIMAL / array_length(qrs.tokens, 1)
+                )
+                FROM public.question_reorder_sequences qrs
+                WHERE qrs.question_id = p_question_id
+            ), 0);
+        END IF;
+
+        RETURN 0;
+    END IF;
+
+    SELECT is_correct INTO v_is_correct
+    FROM public.question_options
+    WHERE id = (p_answer->>'selected_option_id')::INTEGER
+      AND question_id = p_question_id;
+
+    RETURN CASE WHEN COALESCE(v_is_correct, false) THEN 1 ELSE 0 END;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+
+CREATE OR REPLACE FUNCTION recalculate_attempt_score(p_attempt_id INTEGER)
+RETURNS VOID AS $$
+DECLARE
+    v_total_questions INTEGER;
+    v_negative_marking DECIMAL(5,2);
+    v_total_points DECIMAL;
+    v_points_earned DECIMAL;
+    v_correct_count INTEGER;
+    v_pending INTEGER;
+BEGIN
+    SELECT total_questions, negative_marking INTO v_total_questions, v_negative_marking
+    FROM public.quiz_attempts
+    WHERE id = p_attempt_id;
+
+    -- An answer earns its credit share of the question's points. With negative
+    -- marking a wrong auto-graded answer (credit 0) loses that percentage of the
+    -- points; partly correct answers, tutor-graded and unanswered questions are
+    -- never penalised. Only questions drawn for the attempt are scored
+    UPDATE public.quiz_answers qans
+    SET points_awarded = CASE
+            WHEN qans.needs_grading THEN 0
+            WHEN COALESCE(qans.credit, 0) > 0 THEN qans.credit * weights.points
+            WHEN is_manually_graded(qans.question_id) THEN 0
+            ELSE -(v_negative_marking / 100) * weights.points
+        END
+    FROM (
+        SELECT a.id, aq.points
+        FROM public.quiz_answers a
+        JOIN public.attempt_questions aq
+          ON aq.attempt_id = a.attempt_id AND aq.question_id = a.question_id
+        WHERE a.attempt_id = p_attempt_id
+    ) weights
+    WHERE qans.id = weights.id;
+
+    SELECT COALESCE(SUM(points), 0) INTO v_total_points
+    FROM public.attempt_questions
+    WHERE attempt_id = p_attempt_id;
+
+    -- Attempts from before the draw was stored count one point per question
+    IF v_total_points = 0 THEN
+        v_total_points := COALESCE(v_total_questions, 0);
+    END IF;
+
+    -- Penalties can cancel out points but never push the total below zero
+    SELECT GREATEST(COALESCE(SUM(points_awarded), 0), 0),
+           COUNT(*) FILTER (WHERE credit >= 1),
+           COUNT(*) FILTER (WHERE needs_grading)
+    INTO v_points_earned, v_correct_count, v_pending
+    FROM public.quiz_answers qans
+    JOIN public.attempt_questions aq
+      ON aq.attempt_id = qans.attempt_id AND aq.question_id = qans.question_id
+    WHERE qans.attempt_id = p_attempt_id;
+
+    UPDATE public.quiz_attempts
+    SET
+        correct_answers = v_correct_count,
+        points_earned = v_points_earned,
+        total_points = v_total_points,
+        score = CASE
+            WHEN v_total_points > 0 THEN (v_points_earned / v_total_points) * 100
+            ELSE 0
+        END,
+        grading_status = CASE WHEN v_pending > 0 THEN 'pending' ELSE 'graded' END
+    WHERE id = p_attempt_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Where a student stands under a quiz's retake policy, with the quiz's length, pass mark and negative marking
+CREATE OR REPLACE FUNCTION get_quiz_policy(
+    p_student_id UUID,
+    p_category_id INTEGER,
+    p_difficulty_id INTEGER
+)
+RETURNS JSON AS $$
+DECLARE
+    v_max_attempts INTEGER := 1;
+    v_cooldown_minutes INTEGER := 0;
+    v_score_policy VARCHAR(10) := 'best';
+    v_time_limit_minutes INTEGER := 30;
+    v_question_count INTEGER := 10;
+    v_pass_mark DECIMAL(5,2) := 60;
+    v_negative_marking DECIMAL(5,2) := 0;
+    v_policy_score DECIMAL(5,2);
+    v_attempts_used INTEGER;
+    v_last_completed_at TIMESTAMP WITH TIME ZONE;
+    v_remaining INTEGER;
+    v_next_attempt_at TIMESTAMP WITH TIME ZONE;
+    v_has_open_attempt BOOLEAN;
+    v_reason TEXT;
+BEGIN
+    IF p_student_id IS DISTINCT FROM auth.uid() AND NOT is_tutor_or_admin(auth.uid()) THEN
+        RAISE EXCEPTION 'You can only view your own quiz attempts';
+    END IF;
+
+    SELECT max_attempts, cooldown_minutes, score_policy, time_limit_minutes, question_count, pass_mark, negative_marking
+    INTO v_max_attempts, v_cooldown_minutes, v_score_policy, v_time_limit_minutes, v_question_count, v_pass_mark, v_negative_marking
+    FROM public.quiz_settings
+    WHERE category_id = p_category_id AND difficulty_id = p_difficulty_id;
+
+    IF NOT FOUND THEN
+        v_max_attempts := 1;
+        v_cooldown_minutes := 0;
+        v_score_policy := 'best';
+        v_time_limit_minutes := 30;
+        v_question_count := 10;
+        v_pass_mark := 60;
+        v_negative_marking := 0;
+    END IF;
+
+    SELECT score INTO v_policy_score
+    FROM public.quiz_policy_scores
+    WHERE student_id = p_student_id
+      AND category_id = p_category_id
+      AND difficulty_id = p_difficulty_id;
+
+    SELECT COUNT(*), MAX(completed_at)
+    INTO v_attempts_used, v_last_completed_at
+    FROM public.quiz_attempts
+    WHERE student_id = p_student_id
+      AND category_id = p_category_id
+      AND difficulty_id = p_difficulty_id
+      AND is_completed = true;
+
+    SELECT EXISTS (
+        SELECT 1
+        FROM public.quiz_attempts
+        WHERE student_id = p_student_id
+          AND category_id = p_category_id
+          AND difficulty_id = p_difficulty_id
+          AND is_completed = false
+    ) INTO v_has_open_attempt;
+
+    IF v_max_attempts IS NOT NULL THEN
+        v_remaining := GREATEST(v_max_attempts - v_attempts_used, 0);
+    END IF;
+
+    IF v_cooldown_minutes > 0 AND v_last_completed_at IS NOT NULL
+       AND v_last_completed_at + make_interval(mins => v_cooldown_minutes) > NOW() THEN
+        v_next_attempt_at := v_last_completed_at + make_interval(mins => v_cooldown_minutes);
+    END IF;
+
+    IF v_has_open_attempt THEN
+        v_reason := NULL;
+    ELSIF v_remaining = 0 THEN
+        v_reason := CASE
+            WHEN v_max_attempts = 1 THEN 'You have already completed this quiz'
+            ELSE format('You have used all %s attempts for this quiz', v_max_attempts)
+        END;
+    ELSIF v_next_attempt_at IS NOT NULL THEN
+        v_reason := format('You can retake this quiz after %s', to_char(v_next_attempt_at, 'YYYY-MM-DD HH24:MI TZ'));
+    END IF;
+
+    RETURN json_build_object(
+        'max_attempts', v_max_attempts,
+        'cooldown_minutes', v_cooldown_minutes,
+        'score_policy', v_score_policy,
+        'time_limit_minutes', v_time_limit_minutes,
+        'question_count', v_question_count,
+        'pass_mark', v_pass_mark,
+        'negative_marking', v_negative_marking,
+        'attempts_used', v_attempts_used,
+        'attempts_remaining', v_remaining,
+        'next_attempt_at', v_next_attempt_at,
+        'has_open_attempt', v_has_open_attempt,
+        'can_start', v_reason IS NULL,
+        'reason', v_reason,
+        'policy_score', v_policy_score,
+        'passed', CASE WHEN v_policy_score IS NOT NULL THEN v_policy_score >= v_pass_mark END
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+
+CREATE OR REPLACE FUNCTION get_attempt_question_payload(p_attempt_id INTEGER, p_question_id INTEGER)
+RETURNS JSON AS $$
+BEGIN
+    RETURN (
+        SELECT (
+            get_quiz_question_payload(aq.question_id)::JSONB || jsonb_build_object(
+                'options', (
+                    -- Options added after the draw go last
+                    SELECT jsonb_agg(
+                        jsonb_build_object(
+                            'id', qo.id,
+                            'option_text', qo.option_text
+                        ) ORDER BY array_position(aq.option_order, qo.id), qo.order_index
+                    )
+                    FROM public.question_options qo
+                    WHERE qo.question_id = aq.question_id
+                ),
+                'tokens', to_jsonb(aq.token_order),
+                'match_choices', to_jsonb(aq.match_choice_order),
+                'points', aq.points
+            )
+        )::JSON
+        FROM public.attempt_questions aq
+        WHERE aq.attempt_id = p_attempt_id
+          AND aq.question_id = p_question_id
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+
+CREATE OR REPLACE FUNCTION start_quiz_attempt(
+    p_student_id UUID,
+    p_category_id INTEGER,
+    p_difficulty_id INTEGER,
+    p_question_count INTEGER DEFAULT 10
+)
+RETURNS JSON AS $$
+DECLARE
+    v_attempt_id INTEGER;
+    v_is_resumed BOOLEAN := false;
+    v_policy JSON;
+    v_question_count INTEGER;
+    v_time_limit_minutes INTEGER;
+    v_question_ids INTEGER[];
+    v_unit RECORD;
+    v_drawn INTEGER;
+    v_oversized_unit INTEGER[];
+BEGIN
+    -- An open attempt can always be resumed; a new one must respect the retake policy
+    v_policy := get_quiz_policy(p_student_id, p_category_id, p_difficulty_id);
+
+    IF NOT (v_policy->>'can_start')::BOOLEAN THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', v_policy->>'reason'
+        );
+    END IF;
+
+    -- The quiz settings decide the length; p_question_count is only kept for older clients
+    v_question_count := COALESCE((v_policy->>'question_count')::INTEGER, p_question_count);
+    v_time_limit_minutes := (v_policy->>'time_limit_minutes')::INTEGER;
+
+    -- Reuse an incomplete attempt if there is one; the lock keeps two tabs from drawing twice
+    SELECT id INTO v_attempt_id
+    FROM public.quiz_attempts
+    WHERE student_id = p_student_id
+      AND category_id = p_category_id
+      AND difficulty_id = p_difficulty_id
+      AND is_completed = false
+    FOR UPDATE;
+
+    -- An attempt whose time ran out is submitted with the answers saved in time
+    IF v_attempt_id IS NOT NULL AND attempt_time_is_up(v_attempt_id) THEN
+        PERFORM finalize_quiz_attempt(v_attempt_id);
+
+        RETURN json_build_object(
+            'success', false,
+            'error', 'Time ran out on your unfinished attempt, so it was submitted with the answers saved in time',
+            'data', json_build_object('expired_attempt_id', v_attempt_id)
+        );
+    END IF;
+
+    IF v_attempt_id IS NOT NULL THEN
+        SELECT array_agg(question_id ORDER BY order_index) INTO v_question_ids
+        FROM public.attempt_questions
+        WHERE attempt_id = v_attempt_id;
+
+        v_is_resumed := v_question_ids IS NOT NULL;
+    END IF;
+
+    -- Attempts started before the question set was stored get a fresh draw
+    IF NOT v_is_resumed THEN
+        -- Draw whole units: a standalone question, or every question of one passage.
+        -- Units that would overflow the question count are skipped.
+        v_question_ids := ARRAY[]::INTEGER[];
+        FOR v_unit IN
+            SELECT array_agg(q.id ORDER BY q.id) AS question_ids
+            FROM public.questions q
+            WHERE q.category_id = p_category_id
+              AND q.difficulty_id = p_difficulty_id
+              AND q.is_active = true
+            GROUP BY COALESCE('p' || q.passage_id::TEXT, 'q' || q.id::TEXT)
+            ORDER BY RANDOM()
+        LOOP
+            v_drawn := COALESCE(array_length(v_question_ids, 1), 0);
+            EXIT WHEN v_drawn >= v_question_count;
+
+            IF v_drawn + array_length(v_unit.question_ids, 1) <= v_question_count THEN
+                v_question_ids := v_question_ids || v_unit.question_ids;
+            ELSIF v_oversized_unit IS NULL THEN
+                v_oversized_unit := v_unit.question_ids;
+            END IF;
+        END LOOP;
+
+        -- A passage with more questions than the quiz is still used when nothing else fits
+        IF COALESCE(array_length(v_question_ids, 1), 0) = 0 AND v_oversized_unit IS NOT NULL THEN
+            v_question_ids := v_oversized_unit;
+        END IF;
+
+        IF v_attempt_id IS NULL THEN
+            INSERT INTO public.quiz_attempts (student_id, category_id, difficulty_id, total_questions, negative_marking)
+            VALUES (
+                p_student_id,
+                p_category_id,
+                p_difficulty_id,
+                COALESCE(array_length(v_question_ids, 1), 0),
+                COALESCE((v_policy->>'negative_marking')::DECIMAL, 0)
+            )
+            RETURNING id INTO v_attempt_id;
+        ELSE
+            UPDATE public.quiz_attempts
+            SET total_questions = COALESCE(array_length(v_question_ids, 1), 0)
+            WHERE id = v_attempt_id;
+        END IF;
+
+        -- Store the draw, shuffling reorder tiles and matching choices once per attempt.
+        -- Points are copied so later edits to a question do not change this attempt's score
+        INSERT INTO public.attempt_questions (attempt_id, question_id, order_index, points, option_order, token_order, match_choice_order)
+        SELECT
+            v_attempt_id,
+            t.qid,
+            t.ord,
+            (SELECT q.points FROM public.questions q WHERE q.id = t.qid),
+            (
+                SELECT array_agg(qo.id ORDER BY qo.order_index)
+                FROM public.question_options qo
+                WHERE qo.question_id = t.qid
+            ),
+            (
+                SELECT array_agg(token ORDER BY RANDOM())
+                FROM public.question_reorder_sequences qrs, unnest(qrs.tokens) AS token
+                WHERE qrs.question_id = t.qid
+                  AND qrs.is_primary = true
+            ),
+            (
+                SELECT array_agg(qmp.right_text ORDER BY RANDOM())
+                FROM public.question_match_pairs qmp
+                WHERE qmp.question_id = t.qid
+            )
+        FROM unnest(v_question_ids) WITH ORDINALITY AS t(qid, ord);
+    END IF;
+
+    -- The clock starts now for new attempts and for open ones that never had a deadline.
+    -- The limit is fixed here, so changing the settings does not affect running attempts.
+    IF v_time_limit_minutes IS NOT NULL THEN
+        UPDATE public.quiz_attempts
+        SET deadline_at = NOW() + make_interval(mins => v_time_limit_minutes)
+        WHERE id = v_attempt_id AND deadline_at IS NULL;
+    END IF;
+
+    RETURN json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'attempt_id', v_attempt_id,
+            'is_resumed', v_is_resumed,
+            'questions', (
+                SELECT json_agg(get_attempt_question_payload(v_attempt_id, qid) ORDER BY ord)
+                FROM unnest(v_question_ids) WITH ORDINALITY AS t(qid, ord)
+            ),
+            'passages', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', rp.id,
+                        'title', rp.title,
+                        'content', rp.content,
+                        'image_url', rp.image_url,
+                        'has_audio', rp.audio_url IS NOT NULL,
+                        'max_plays', rp.max_plays
+                    )
+                )
+                FROM public.reading_passages rp
+                WHERE rp.id IN (
+                    SELECT q.passage_id
+                    FROM public.questions q
+                    WHERE q.id = ANY(v_question_ids)
+                )
+            ),
+            'audio_plays', (
+                SELECT json_agg(
+                    json_build_object(
+                        'question_id', qap.question_id,
+                        'passage_id', qap.passage_id,
+                        'plays', qap.plays
+                    )
+                )
+                FROM (
+                    SELECT question_id, passage_id, COUNT(*) AS plays
+                    FROM public.quiz_audio_plays
+                    WHERE attempt_id = v_attempt_id
+                    GROUP BY question_id, passage_id
+                ) qap
+            ),
+            'saved_answers', (
+                -- Same shape as the answers sent to submit_quiz_answers
+                SELECT json_agg(
+                    json_build_object(
+                        'question_id', qa.question_id,
+                        'selected_option_id', qa.selected_option_id,
+                        'selected_option_ids', qa.selected_option_ids,
+                        'answer_data', qa.answer_data
+                    )
+                )
+                FROM public.quiz_answers qa
+                WHERE qa.attempt_id = v_attempt_id
+            ),
+            'total_questions', COALESCE(array_length(v_question_ids, 1), 0),
+            'time_limit_minutes', v_time_limit_minutes,
+            'pass_mark', (v_policy->>'pass_mark')::DECIMAL,
+            'total_points', (SELECT SUM(points) FROM public.attempt_questions WHERE attempt_id = v_attempt_id),
+            'negative_marking', (SELECT negative_marking FROM public.quiz_attempts WHERE id = v_attempt_id),
+            'deadline_at', (SELECT deadline_at FROM public.quiz_attempts WHERE id = v_attempt_id),
+            -- Lets the client correct for a wrong device clock
+            'server_time', clock_timestamp()
+        )
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+
+CREATE OR REPLACE FUNCTION get_quiz_results(p_attempt_id INTEGER)
+RETURNS JSON AS $$
+DECLARE
+    v_result JSON;
+    v_student_id UUID;
+    v_is_completed BOOLEAN;
+BEGIN
+    SELECT student_id, is_completed INTO v_student_id, v_is_completed
+    FROM public.quiz_attempts
+    WHERE id = p_attempt_id;
+
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Quiz attempt not found');
+    END IF;
+
+    IF v_student_id IS DISTINCT FROM auth.uid() AND NOT is_tutor_or_admin(auth.uid()) THEN
+        RETURN json_build_object('success', false, 'error', 'Not allowed to view this attempt');
+    END IF;
+
+    -- Correct answers and explanations are only revealed once the attempt is submitted
+    IF NOT v_is_completed AND NOT is_tutor_or_admin(auth.uid()) THEN
+        RETURN json_build_object('success', false, 'error', 'Results are available once the quiz is submitted');
+    END IF;
+
+    SELECT json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'attempt', (
+                SELECT json_build_object(
+                    'id', qa.id,
+                    'score', qa.score,
+                    'correct_answers', qa.correct_answers,
+                    'total_questions', qa.total_questions,
+                    'time_taken', qa.time_taken,
+                    'started_at', qa.started_at,
+                    'completed_at', qa.completed_at,
+                    'category_id', qa.category_id,
+                    'difficulty_id', qa.difficulty_id,
+                    'category_name', c.name,
+                    'difficulty_name', dl.name,
+                    'grading_status', qa.grading_status,
+                    'pass_mark', COALESCE(qs.pass_mark, 60),
+                    'points_earned', qa.points_earned,
+                    'total_points', qa.total_points,
+                    'negative_marking', qa.negative_marking
+                )
+                FROM public.quiz_attempts qa
+                JOIN public.categories c ON c.id = qa.category_id
+                JOIN public.difficulty_levels dl ON dl.id = qa.difficulty_id
+                LEFT JOIN public.quiz_settings qs
+                  ON qs.category_id = qa.category_id AND qs.difficulty_id = qa.difficulty_id
+                WHERE qa.id = p_attempt_id
+            ),
+            'questions', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', qans.question_id,
+                        'answer_id', qans.id,
+                        'question_type', q.question_type,
+                        'question_text', q.question_text,
+                        'passage_id', q.passage_id,
+                        'audio_url', q.audio_url,
+                        'transcript', q.transcript,
+                        'plays_used', (
+                            SELECT COUNT(*)
+                            FROM public.quiz_audio_plays qap
+                            WHERE qap.attempt_id = p_attempt_id AND qap.question_id = q.id
+                        ),
+                        'explanation', q.explanation,
+                        'selected_option_id', qans.selected_option_id,
+                        'selected_option_ids', qans.selected_option_ids,
+                        'answer_data', qans.answer_data,
+                        'is_correct', qans.is_correct,
+                        'credit', qans.credit,
+                        'points', COALESCE(aq.points, 1),
+                        'points_awarded', qans.points_awarded,
+                        'needs_grading', qans.needs_grading,
+                        'grader_comment', qans.grader_comment,
+                        'rubric_scores', (
+                            SELECT json_agg(
+                                json_build_object(
+                                    'criterion_id', qrc.id,
+                                    'name', qrc.name,
+                                    'max_score', qrc.max_score,
+                                    'score', rs.score
+                                ) ORDER BY qrc.order_index
+                            )
+                            FROM public.question_rubric_criteria qrc
+                            JOIN public.quiz_answer_rubric_scores rs
+                              ON rs.criterion_id = qrc.id AND rs.answer_id = qans.id
+                            WHERE qrc.question_id = q.id
+                        ),
+                        'options', (
+                            SELECT json_agg(
+                                json_build_object(
+                                    'id', qo.id,
+                                    'option_text', qo.option_text,
+                                    'is_correct', qo.is_correct,
+                                    'is_selected', qo.id = qans.selected_option_id
+                                        OR qo.id = ANY(COALESCE(qans.selected_option_ids, ARRAY[]::INTEGER[]))
+                                ) ORDER BY qo.order_index
+                            )
+                            FROM public.question_options qo
+                            WHERE qo.question_id = q.id
+                        ),
+                        'blanks', (
+                            SELECT json_agg(
+                                json_build_object(
+                                    'blank_index', qb.blank_index,
+                                    'accepted_answers', qb.accepted_answers,
+                                    'given_answer', qans.answer_data->>qb.blank_index::TEXT,
+                                    'is_correct', cloze_blank_is_correct(qb.id, qans.answer_data->>qb.blank_index::TEXT)
+                                ) ORDER BY qb.blank_index
+                            )
+                            FROM public.question_blanks qb
+                            WHERE qb.question_id = q.id
+                        ),
+                        'pairs', (
+                            SELECT json_agg(
+                                json_build_object(
+                                    'id', qmp.id,
+                                    'left_text', qmp.left_text,
+                                    'right_text', qmp.right_text,
+                                    'given_answer', qans.answer_data->>qmp.id::TEXT,
+                                    'is_correct', qmp.right_text = qans.answer_data->>qmp.id::TEXT
+                                ) ORDER BY qmp.order_index
+                            )
+                            FROM public.question_match_pairs qmp
+                            WHERE qmp.question_id = q.id
+                        ),
+                        'accepted_orders', (
+                            SELECT json_agg(qrs.tokens ORDER BY qrs.is_primary DESC, qrs.id)
+                            FROM public.question_reorder_sequences qrs
+                            WHERE qrs.question_id = q.id
+                        )
+                    ) ORDER BY qans.id
+                )
+                FROM public.quiz_answers qans
+                JOIN public.questions q ON q.id = qans.question_id
+                JOIN public.attempt_questions aq
+                  ON aq.attempt_id = qans.attempt_id AND aq.question_id = qans.question_id
+                WHERE qans.attempt_id = p_attempt_id
+            ),
+            'passages', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', rp.id,
+                        'title', rp.title,
+                        'content', rp.content,
+                        'image_url', rp.image_url,
+                        'audio_url', rp.audio_url,
+                        'transcript', rp.transcript
+                    )
+                )
+                FROM public.reading_passages rp
+                WHERE rp.id IN (
+                    SELECT q.passage_id
+                    FROM public.quiz_answers qans
+                    JOIN public.attempt_questions aq
+                      ON aq.attempt_id = qans.attempt_id AND aq.question_id = qans.question_id
+                    JOIN public.questions q ON q.id = qans.question_id
+                    WHERE qans.attempt_id = p_attempt_id
+                )
+            )
+        )
+    ) INTO v_result;
+
+    RETURN v_result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+
+-- Fill in the points of attempts scored before questions had weights; every
+-- question was worth one point and nothing was deducted, so scores stay the same
+SELECT recalculate_attempt_score(id)
+FROM public.quiz_attempts
+WHERE is_completed = true;
+
+COMMENT ON FUNCTION recalculate_attempt_score(INTEGER) IS 'Recomputes the points of each answer, then score, points, correct answers and grading status of an attempt.';
+COMMENT ON FUNCTION get_quiz_policy(UUID, INTEGER, INTEGER) IS 'Returns the settings of a quiz (attempts, cooldown, score policy, time limit, length, pass mark, negative marking) with the student''s used and remaining attempts and counted score.';
@@ -0,0 +1,395 @@
+-- Migration 026: Shuffled answer options
+-- Options used to be served in order_index order, so the correct answer often
+-- sat in the same position. Each attempt now shuffles the options once and
+-- stores the order in attempt_questions.option_order, which resuming and the
+-- results page both follow. Questions such as "all of the above" can opt out
+
+ALTER TABLE public.questions
+    ADD COLUMN IF NOT EXISTS shuffle_options BOOLEAN NOT NULL DEFAULT true;
+
+COMMENT ON COLUMN public.questions.shuffle_options IS 'Shuffle the answer options for each attempt; off keeps the order the tutor entered.';
+
+CREATE OR REPLACE FUNCTION start_quiz_attempt(
+    p_student_id UUID,
+    p_category_id INTEGER,
+    p_difficulty_id INTEGER,
+    p_question_count INTEGER DEFAULT 10
+)
+RETURNS JSON AS $$
+DECLARE
+    v_attempt_id INTEGER;
+    v_is_resumed BOOLEAN := false;
+    v_policy JSON;
+    v_question_count INTEGER;
+    v_time_limit_minutes INTEGER;
+    v_question_ids INTEGER[];
+    v_unit RECORD;
+    v_drawn INTEGER;
+    v_oversized_unit INTEGER[];
+BEGIN
+    -- An open attempt can always be resumed; a new one must respect the retake policy
+    v_policy := get_quiz_policy(p_student_id, p_category_id, p_difficulty_id);
+
+    IF NOT (v_policy->>'can_start')::BOOLEAN THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', v_policy->>'reason'
+        );
+    END IF;
+
+    -- The quiz settings decide the length; p_question_count is only kept for older clients
+    v_question_count := COALESCE((v_policy->>'question_count')::INTEGER, p_question_count);
+    v_time_limit_minutes := (v_policy->>'time_limit_minutes')::INTEGER;
+
+    -- Reuse an incomplete attempt if there is one; the lock keeps two tabs from drawing twice
+    SELECT id INTO v_attempt_id
+    FROM public.quiz_attempts
+    WHERE student_id = p_student_id
+      AND category_id = p_category_id
+      AND difficulty_id = p_difficulty_id
+      AND is_completed = false
+    FOR UPDATE;
+
+    -- An attempt whose time ran out is submitted with the answers saved in time
+    IF v_attempt_id IS NOT NULL AND attempt_time_is_up(v_attempt_id) THEN
+        PERFORM finalize_quiz_attempt(v_attempt_id);
+
+        RETURN json_build_object(
+            'success', false,
+            'error', 'Time ran out on your unfinished attempt, so it was submitted with the answers saved in time',
+            'data', json_build_object('expired_attempt_id', v_attempt_id)
+        );
+    END IF;
+
+    IF v_attempt_id IS NOT NULL THEN
+        SELECT array_agg(question_id ORDER BY order_index) INTO v_question_ids
+        FROM public.attempt_questions
+        WHERE attempt_id = v_attempt_id;
+
+        v_is_resumed := v_question_ids IS NOT NULL;
+    END IF;
+
+    -- Attempts started before the question set was stored get a fresh draw
+    IF NOT v_is_resumed THEN
+        -- Draw whole units: a standalone question, or every question of one passage.
+        -- Units that would overflow the question count are skipped.
+        v_question_ids := ARRAY[]::INTEGER[];
+        FOR v_unit IN
+            SELECT array_agg(q.id ORDER BY q.id) AS question_ids
+            FROM public.questions q
+            WHERE q.category_id = p_category_id
+              AND q.difficulty_id = p_difficulty_id
+              AND q.is_active = true
+            GROUP BY COALESCE('p' || q.passage_id::TEXT, 'q' || q.id::TEXT)
+            ORDER BY RANDOM()
+        LOOP
+            v_drawn := COALESCE(array_length(v_question_ids, 1), 0);
+            EXIT WHEN v_drawn >= v_question_count;
+
+            IF v_drawn + array_length(v_unit.question_ids, 1) <= v_question_count THEN
+                v_question_ids := v_question_ids || v_unit.question_ids;
+            ELSIF v_oversized_unit IS NULL THEN
+                v_oversized_unit := v_unit.question_ids;
+            END IF;
+        END LOOP;
+
+        -- A passage with more questions than the quiz is still used when nothing else fits
+        IF COALESCE(array_length(v_question_ids, 1), 0) = 0 AND v_oversized_unit IS NOT NULL THEN
+            v_question_ids := v_oversized_unit;
+        END IF;
+
+        IF v_attempt_id IS NULL THEN
+            INSERT INTO public.quiz_attempts (student_id, category_id, difficulty_id, total_questions, negative_marking)
+            VALUES (
+                p_student_id,
+                p_category_id,
+                p_difficulty_id,
+                COALESCE(array_length(v_question_ids, 1), 0),
+                COALESCE((v_policy->>'negative_marking')::DECIMAL, 0)
+            )
+            RETURNING id INTO v_attempt_id;
+        ELSE
+            UPDATE public.quiz_attempts
+            SET total_questions = COALESCE(array_length(v_question_ids, 1), 0)
+            WHERE id = v_attempt_id;
+        END IF;
+
+        -- Store the draw, shuffling options (unless the question opts out), reorder
+        -- tiles and matching choices once per attempt.
+        -- Points are copied so later edits to a question do not change this attempt's score
+        INSERT INTO public.attempt_questions (attempt_id, question_id, order_index, points, option_order, token_order, match_choice_order)
+        SELECT
+            v_attempt_id,
+            t.qid,
+            t.ord,
+            (SELECT q.points FROM public.questions q WHERE q.id = t.qid),
+            (
+                SELECT array_agg(qo.id ORDER BY CASE WHEN q.shuffle_options THEN RANDOM() END, qo.order_index)
+                FROM public.question_options qo
+                JOIN public.questions q ON q.id = qo.question_id
+                WHERE qo.question_id = t.qid
+            ),
+            (
+                SELECT array_agg(token ORDER BY RANDOM())
+                FROM public.question_reorder_sequences qrs, unnest(qrs.tokens) AS token
+                WHERE qrs.question_id = t.qid
+                  AND qrs.is_primary = true
+            ),
+            (
+                SELECT array_agg(qmp.right_text ORDER BY RANDOM())
+                FROM public.question_match_pairs qmp
+                WHERE qmp.question_id = t.qid
+            )
+        FROM unnest(v_question_ids) WITH ORDINALITY AS t(qid, ord);
+    END IF;
+
+    -- The clock starts now for new attempts and for open ones that never had a deadline.
+    -- The limit is fixed here, so changing the settings does not affect running attempts.
+    IF v_time_limit_minutes IS NOT NULL THEN
+        UPDATE public.quiz_attempts
+        SET deadline_at = NOW() + make_interval(mins => v_time_limit_minutes)
+        WHERE id = v_attempt_id AND deadline_at IS NULL;
+    END IF;
+
+    RETURN json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'attempt_id', v_attempt_id,
+            'is_resumed', v_is_resumed,
+            'questions', (
+                SELECT json_agg(get_attempt_question_payload(v_attempt_id, qid) ORDER BY ord)
+                FROM unnest(v_question_ids) WITH ORDINALITY AS t(qid, ord)
+            ),
+            'passages', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', rp.id,
+                        'title', rp.title,
+                        'content', rp.content,
+                        'image_url', rp.image_url,
+                        'has_audio', rp.audio_url IS NOT NULL,
+                        'max_plays', rp.max_plays
+                    )
+                )
+                FROM public.reading_passages rp
+                WHERE rp.id IN (
+                    SELECT q.passage_id
+                    FROM public.questions q
+                    WHERE q.id = ANY(v_question_ids)
+                )
+            ),
+            'audio_plays', (
+                SELECT json_agg(
+                    json_build_object(
+                        'question_id', qap.question_id,
+                        'passage_id', qap.passage_id,
+                        'plays', qap.plays
+                    )
+                )
+                FROM (
+                    SELECT question_id, passage_id, COUNT(*) AS plays
+                    FROM public.quiz_audio_plays
+                    WHERE attempt_id = v_attempt_id
+                    GROUP BY question_id, passage_id
+                ) qap
+            ),
+            'saved_answers', (
+                -- Same shape as the answers sent to submit_quiz_answers
+                SELECT json_agg(
+                    json_build_object(
+                        'question_id', qa.question_id,
+                        'selected_option_id', qa.selected_option_id,
+                        'selected_option_ids', qa.selected_option_ids,
+                        'answer_data', qa.answer_data
+                    )
+                )
+                FROM public.quiz_answers qa
+                WHERE qa.attempt_id = v_attempt_id
+            ),
+            'total_questions', COALESCE(array_length(v_question_ids, 1), 0),
+            'time_limit_minutes', v_time_limit_minutes,
+            'pass_mark', (v_policy->>'pass_mark')::DECIMAL,
+            'total_points', (SELECT SUM(points) FROM public.attempt_questions WHERE attempt_id = v_attempt_id),
+            'negative_marking', (SELECT negative_marking FROM public.quiz_attempts WHERE id = v_attempt_id),
+            'deadline_at', (SELECT deadline_at FROM public.quiz_attempts WHERE id = v_attempt_id),
+            -- Lets the client correct for a wrong device clock
+            'server_time', clock_timestamp()
+        )
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+
+-- The review follows the order the student saw: questions in draw order and
+-- options in the order stored for the attempt
+CREATE OR REPLACE FUNCTION get_quiz_results(p_attempt_id INTEGER)
+RETURNS JSON AS $$
+DECLARE
+    v_result JSON;
+    v_student_id UUID;
+    v_is_completed BOOLEAN;
+BEGIN
+    SELECT student_id, is_completed INTO v_student_id, v_is_completed
+    FROM public.quiz_attempts
+    WHERE id = p_attempt_id;
+
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Quiz attempt not found');
+    END IF;
+
+    IF v_student_id IS DISTINCT FROM auth.uid() AND NOT is_tutor_or_admin(auth.uid()) THEN
+        RETURN json_build_object('success', false, 'error', 'Not allowed to view this attempt');
+    END IF;
+
+    -- Correct answers and explanations are only revealed once the attempt is submitted
+    IF NOT v_is_completed AND NOT is_tutor_or_admin(auth.uid()) THEN
+        RETURN json_build_object('success', false, 'error', 'Results are available once the quiz is submitted');
+    END IF;
+
+    SELECT json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'attempt', (
+                SELECT json_build_object(
+                    'id', qa.id,
+                    'score', qa.score,
+                    'correct_answers', qa.correct_answers,
+                    'total_questions', qa.total_questions,
+                    'time_taken', qa.time_taken,
+                    'started_at', qa.started_at,
+                    'completed_at', qa.completed_at,
+                    'category_id', qa.category_id,
+                    'difficulty_id', qa.difficulty_id,
+                    'category_name', c.name,
+                    'difficulty_name', dl.name,
+                    'grading_status', qa.grading_status,
+                    'pass_mark', COALESCE(qs.pass_mark, 60),
+                    'points_earned', qa.points_earned,
+                    'total_points', qa.total_points,
+                    'negative_marking', qa.negative_marking
+                )
+                FROM public.quiz_attempts qa
+                JOIN public.categories c ON c.id = qa.category_id
+                JOIN public.difficulty_levels dl ON dl.id = qa.difficulty_id
+                LEFT JOIN public.quiz_settings qs
+                  ON qs.category_id = qa.category_id AND qs.difficulty_id = qa.difficulty_id
+                WHERE qa.id = p_attempt_id
+            ),
+            'questions', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', qans.question_id,
+                        'answer_id', qans.id,
+                        'question_type', q.question_type,
+                        'question_text', q.question_text,
+                        'passage_id', q.passage_id,
+                        'audio_url', q.audio_url,
+                        'transcript', q.transcript,
+                        'plays_used', (
+                            SELECT COUNT(*)
+                            FROM public.quiz_audio_plays qap
+                            WHERE qap.attempt_id = p_attempt_id AND qap.question_id = q.id
+                        ),
+                        'explanation', q.explanation,
+                        'selected_option_id', qans.selected_option_id,
+                        'selected_option_ids', qans.selected_option_ids,
+                        'answer_data', qans.answer_data,
+                        'is_correct', qans.is_correct,
+                        'credit', qans.credit,
+                        'points', COALESCE(aq.points, 1),
+                        'points_awarded', qans.points_awarded,
+                        'needs_grading', qans.needs_grading,
+                        'grader_comment', qans.grader_comment,
+                        'rubric_scores', (
+                            SELECT json_agg(
+                                json_build_object(
+                                    'criterion_id', qrc.id,
+                                    'name', qrc.name,
+                                    'max_score', qrc.max_score,
+                                    'score', rs.score
+                                ) ORDER BY qrc.order_index
+                            )
+                            FROM public.question_rubric_criteria qrc
+                            JOIN public.quiz_answer_rubric_scores rs
+                              ON rs.criterion_id = qrc.id AND rs.answer_id = qans.id
+                            WHERE qrc.question_id = q.id
+                        ),
+                        'options', (
+                            SELECT json_agg(
+                                json_build_object(
+                                    'id', qo.id,
+                                    'option_text', qo.option_text,
+                                    'is_correct', qo.is_correct,
+                                    'is_selected', qo.id = qans.selected_option_id
+                                        OR qo.id = ANY(COALESCE(qans.selected_option_ids, ARRAY[]::INTEGER[]))
+                                ) ORDER BY array_position(aq.option_order, qo.id), qo.order_index
+                            )
+                            FROM public.question_options qo
+                            WHERE qo.question_id = q.id
+                        ),
+                        'blanks', (
+                            SELECT json_agg(
+                                json_build_object(
+                                    'blank_index', qb.blank_index,
+                                    'accepted_answers', qb.accepted_answers,
+                                    'given_answer', qans.answer_data->>qb.blank_index::TEXT,
+                                    'is_correct', cloze_blank_is_correct(qb.id, qans.answer_data->>qb.blank_index::TEXT)
+                                ) ORDER BY qb.blank_index
+                            )
+                            FROM public.question_blanks qb
+                            WHERE qb.question_id = q.id
+                        ),
+                        'pairs', (
+                            SELECT json_agg(
+                                json_build_object(
+                                    'id', qmp.id,
+                                    'left_text', qmp.left_text,
+                                    'right_text', qmp.right_text,
+                                    'given_answer', qans.answer_data->>qmp.id::TEXT,
+                                    'is_correct', qmp.right_text = qans.answer_data->>qmp.id::TEXT
+                                ) ORDER BY qmp.order_index
+                            )
+                            FROM public.question_match_pairs qmp
+                            WHERE qmp.question_id = q.id
+                        ),
+                        'accepted_orders', (
+                            SELECT json_agg(qrs.tokens ORDER BY qrs.is_primary DESC, qrs.id)
+                            FROM public.question_reorder_sequences qrs
+                            WHERE qrs.question_id = q.id
+                        )
+                    ) ORDER BY aq.order_index, qans.id
+                )
+                FROM public.quiz_answers qans
+                JOIN public.questions q ON q.id = qans.question_id
+                JOIN public.attempt_questions aq
+                  ON aq.attempt_id = qans.attempt_id AND aq.question_id = qans.question_id
+                WHERE qans.attempt_id = p_attempt_id
+            ),
+            'passages', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', rp.id,
+                        'title', rp.title,
+                        'content', rp.content,
+                        'image_url', rp.image_url,
+                        'audio_url', rp.audio_url,
+                        'transcript', rp.transcript
+                    )
+                )
+                FROM public.reading_passages rp
+                WHERE rp.id IN (
+                    SELECT q.passage_id
+                    FROM public.quiz_answers qans
+                    JOIN public.attempt_questions aq
+                      ON aq.attempt_id = qans.attempt_id AND aq.question_id = qans.question_id
+                    JOIN public.questions q ON q.id = qans.question_id
+                    WHERE qans.attempt_id = p_attempt_id
+                )
+            )
+        )
+    ) INTO v_result;
+
+    RETURN v_result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
@@ -0,0 +1,955 @@
+-- Migration 028: Adaptive quiz mode
+-- An adaptive attempt serves one question at a time. Each answer updates an
+-- estimate of the student's ability on the difficulty ladder (the levels in
+-- order_index order), and the next question comes from the level closest to
+-- that estimate. The attempt ends with an estimated level instead of a plain
+-- percentage. Adaptive attempts do not count towards the retake policy of
+-- the fixed-level quizzes or towards score statistics
+
+ALTER TABLE public.quiz_attempts
+    ADD COLUMN IF NOT EXISTS mode VARCHAR(20) NOT NULL DEFAULT 'standard'
+        CHECK (mode IN ('standard', 'adaptive')),
+    ADD COLUMN IF NOT EXISTS ability_estimate DECIMAL(6,3),
+    ADD COLUMN IF NOT EXISTS ability_se DECIMAL(6,3),
+    ADD COLUMN IF NOT EXISTS estimated_difficulty_id INTEGER REFERENCES public.difficulty_levels(id);
+
+COMMENT ON COLUMN public.quiz_attempts.mode IS 'standard: a fixed draw from one level; adaptive: one question at a time across the difficulty ladder.';
+COMMENT ON COLUMN public.quiz_attempts.ability_estimate IS 'Adaptive attempts: estimated position on the difficulty ladder (0 is the easiest level).';
+COMMENT ON COLUMN public.quiz_attempts.ability_se IS 'Adaptive attempts: standard error of ability_estimate.';
+COMMENT ON COLUMN public.quiz_attempts.estimated_difficulty_id IS 'Adaptive attempts: the level closest to ability_estimate. difficulty_id keeps the level the attempt started at.';
+
+-- Only fixed-level attempts count towards a quiz's score policy
+CREATE OR REPLACE VIEW public.quiz_policy_scores
+WITH (security_invoker = true) AS
+SELECT
+    qa.student_id,
+    qa.category_id,
+    qa.difficulty_id,
+    COALESCE(qs.score_policy, 'best') AS score_policy,
+    COUNT(*) AS attempts,
+    CASE COALESCE(qs.score_policy, 'best')
+        WHEN 'latest' THEN (array_agg(qa.score ORDER BY qa.completed_at DESC))[1]
+        WHEN 'average' THEN ROUND(AVG(qa.score), 2)
+        ELSE MAX(qa.score)
+    END AS score,
+    MAX(qa.completed_at) AS last_completed_at
+FROM public.quiz_attempts qa
+LEFT JOIN public.quiz_settings qs
+  ON qs.category_id = qa.category_id AND qs.difficulty_id = qa.difficulty_id
+WHERE qa.is_completed = true
+  AND qa.mode = 'standard'
+GROUP BY qa.student_id, qa.category_id, qa.difficulty_id, qs.score_policy;
+
+-- Position of a level on the difficulty ladder, counting from 0
+CREATE OR REPLACE FUNCTION difficulty_ladder_position(p_difficulty_id INTEGER)
+RETURNS INTEGER AS $$
+BEGIN
+    RETURN (
+        SELECT COUNT(*)
+        FROM public.difficulty_levels dl, public.difficulty_levels target
+        WHERE target.id = p_difficulty_id
+          AND (dl.order_index, dl.id) < (target.order_index, target.id)
+    );
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Level at a ladder position, clamped to the ends of the ladder
+CREATE OR REPLACE FUNCTION difficulty_at_ladder_position(p_position INTEGER)
+RETURNS INTEGER AS $$
+BEGIN
+    RETURN (
+        SELECT id
+        FROM public.difficulty_levels
+        ORDER BY order_index, id
+        OFFSET GREATEST(LEAST(p_position, (SELECT COUNT(*) FROM public.difficulty_levels) - 1), 0)
+        LIMIT 1
+    );
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Adds a question to an attempt, shuffling options (unless the question opts out),
+-- reorder tiles and matching choices once. Points are copied so later edits to a
+-- question do not change the attempt's score
+CREATE OR REPLACE FUNCTION add_attempt_question(
+    p_attempt_id INTEGER,
+    p_question_id INTEGER,
+    p_order_index INTEGER
+)
+RETURNS VOID AS $$
+BEGIN
+    INSERT INTO public.attempt_questions (attempt_id, question_id, order_index, points, option_order, token_order, match_choice_order)
+    SELECT
+        p_attempt_id,
+        q.id,
+        p_order_index,
+        q.points,
+        (
+            SELECT array_agg(qo.id ORDER BY CASE WHEN q.shuffle_options THEN RANDOM() END, qo.order_index)
+            FROM public.question_options qo
+            WHERE qo.question_id = q.id
+        ),
+        (
+            SELECT array_agg(token ORDER BY RANDOM())
+            FROM public.question_reorder_sequences qrs, unnest(qrs.tokens) AS token
+            WHERE qrs.question_id = q.id
+              AND qrs.is_primary = true
+        ),
+        (
+            SELECT array_agg(qmp.right_text ORDER BY RANDOM())
+            FROM public.question_match_pairs qmp
+            WHERE qmp.question_id = q.id
+        )
+    FROM public.questions q
+    WHERE q.id = p_question_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Expected a posteriori estimate of the student's ladder position from the graded
+-- answers of an adaptive attempt. Each question's difficulty is the ladder position
+-- of its level and a response follows the Rasch model, with partial credit counted
+-- as a fractional response. The prior is centred on the starting level
+CREATE OR REPLACE FUNCTION estimate_adaptive_ability(
+    p_attempt_id INTEGER,
+    OUT ability DECIMAL,
+    OUT standard_error DECIMAL
+)
+AS $$
+DECLARE
+    v_prior_mean DECIMAL;
+    v_top INTEGER;
+BEGIN
+    SELECT difficulty_ladder_position(difficulty_id) INTO v_prior_mean
+    FROM public.quiz_attempts
+    WHERE id = p_attempt_id;
+
+    SELECT COUNT(*) - 1 INTO v_top FROM public.difficulty_levels;
+
+    WITH grid AS (
+        SELECT -2 + step * 0.05 AS theta
+        FROM generate_series(0, ((v_top + 4) / 0.05)::INTEGER) AS step
+    ),
+    responses AS (
+        SELECT difficulty_ladder_position(q.difficulty_id) AS b, LEAST(GREATEST(COALESCE(qans.credit, 0), 0), 1) AS credit
+        FROM public.quiz_answers qans
+        JOIN public.questions q ON q.id = qans.question_id
+        WHERE qans.attempt_id = p_attempt_id
+    ),
+    log_posterior AS (
+        SELECT
+            g.theta,
+            -((g.theta - v_prior_mean) ^ 2) / 2
+                + COALESCE(SUM(
+                    r.credit * ln(1 / (1 + exp(r.b - g.theta)))
+                    + (1 - r.credit) * ln(1 - 1 / (1 + exp(r.b - g.theta)))
+                ), 0) AS log_weight
+        FROM grid g
+        LEFT JOIN responses r ON true
+        GROUP BY g.theta
+    ),
+    posterior AS (
+        SELECT theta, exp(log_weight - MAX(log_weight) OVER ()) AS weight
+        FROM log_posterior
+    ),
+    mean AS (
+        SELECT SUM(theta * weight) / SUM(weight) AS theta
+        FROM posterior
+    )
+    SELECT
+        mean.theta,
+        sqrt(SUM(p.weight * (p.theta - mean.theta) ^ 2) / SUM(p.weight))
+    INTO ability, standard_error
+    FROM posterior p, mean
+    GROUP BY mean.theta;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Picks an unused question for an adaptive attempt from the level closest to the
+-- current estimate and adds it. Returns NULL when the category has none left.
+-- Only standalone, automatically graded questions are used, since each answer
+-- must be graded before the next question is chosen
+CREATE OR REPLACE FUNCTION add_next_adaptive_question(p_attempt_id INTEGER)
+RETURNS INTEGER AS $$
+DECLARE
+    v_category_id INTEGER;
+    v_target INTEGER;
+    v_question_id INTEGER;
+    v_served INTEGER;
+BEGIN
+    SELECT category_id, ROUND(COALESCE(ability_estimate, difficulty_ladder_position(difficulty_id)))
+    INTO v_category_id, v_target
+    FROM public.quiz_attempts
+    WHERE id = p_attempt_id;
+
+    SELECT q.id INTO v_question_id
+    FROM public.questions q
+    WHERE q.category_id = v_category_id
+      AND q.is_active = true
+      AND q.passage_id IS NULL
+      AND NOT is_manually_graded(q.id)
+      AND NOT EXISTS (
+          SELECT 1
+          FROM public.attempt_questions aq
+          WHERE aq.attempt_id = p_attempt_id AND aq.question_id = q.id
+      )
+    ORDER BY abs(difficulty_ladder_position(q.difficulty_id) - v_target), RANDOM()
+    LIMIT 1;
+
+    IF v_question_id IS NULL THEN
+        RETURN NULL;
+    END IF;
+
+    SELECT COUNT(*) INTO v_served
+    FROM public.attempt_questions
+    WHERE attempt_id = p_attempt_id;
+
+    PERFORM add_attempt_question(p_attempt_id, v_question_id, v_served + 1);
+
+    UPDATE public.quiz_attempts
+    SET total_questions = v_served + 1
+    WHERE id = p_attempt_id;
+
+    RETURN v_question_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- What the client needs to show the current state of an adaptive attempt
+CREATE OR REPLACE FUNCTION get_adaptive_attempt_state(p_attempt_id INTEGER, p_question_id INTEGER)
+RETURNS JSON AS $$
+BEGIN
+    RETURN (
+        SELECT json_build_object(
+            'attempt_id', qa.id,
+            'category_id', qa.category_id,
+            'category_name', c.name,
+            'is_completed', qa.is_completed,
+            'answered_count', (
+                SELECT COUNT(*)
+                FROM public.quiz_answers
+                WHERE attempt_id = qa.id
+            ),
+            'max_questions', 15,
+            'plays_used', (
+                SELECT COUNT(*)
+                FROM public.quiz_audio_plays
+                WHERE attempt_id = qa.id AND question_id = p_question_id
+            ),
+            'question', CASE
+                WHEN p_question_id IS NOT NULL THEN get_attempt_question_payload(qa.id, p_question_id)
+            END
+        )
+        FROM public.quiz_attempts qa
+        JOIN public.categories c ON c.id = qa.category_id
+        WHERE qa.id = p_attempt_id
+    );
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Ends an adaptive attempt: grades and scores it like a fixed-level attempt and
+-- records the estimated level as the attempt's level
+CREATE OR REPLACE FUNCTION finalize_adaptive_attempt(p_attempt_id INTEGER)
+RETURNS VOID AS $$
+DECLARE
+    v_estimate RECORD;
+BEGIN
+    PERFORM finalize_quiz_attempt(p_attempt_id);
+
+    SELECT * INTO v_estimate FROM estimate_adaptive_ability(p_attempt_id);
+
+    UPDATE public.quiz_attempts
+    SET
+        ability_estimate = v_estimate.ability,
+        ability_se = v_estimate.standard_error,
+        estimated_difficulty_id = difficulty_at_ladder_position(ROUND(v_estimate.ability)::INTEGER)
+    WHERE id = p_attempt_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Starts or resumes the caller's adaptive attempt in a category and returns its
+-- current question. A new attempt starts at the level of the student's last
+-- adaptive result in the category, or in the middle of the ladder
+CREATE OR REPLACE FUNCTION start_adaptive_attempt(p_category_id INTEGER)
+RETURNS JSON AS $$
+DECLARE
+    v_student_id UUID := auth.uid();
+    v_attempt_id INTEGER;
+    v_is_resumed BOOLEAN := false;
+    v_start_difficulty_id INTEGER;
+    v_question_id INTEGER;
+BEGIN
+    IF v_student_id IS NULL THEN
+        RETURN json_build_object('success', false, 'error', 'You must be signed in to take a quiz');
+    END IF;
+
+    SELECT id INTO v_attempt_id
+    FROM public.quiz_attempts
+    WHERE student_id = v_student_id
+      AND category_id = p_category_id
+      AND mode = 'adaptive'
+      AND is_completed = false
+    FOR UPDATE;
+
+    IF v_attempt_id IS NOT NULL THEN
+        v_is_resumed := true;
+    ELSE
+        SELECT COALESCE(estimated_difficulty_id, difficulty_id) INTO v_start_difficulty_id
+        FROM public.quiz_attempts
+        WHERE student_id = v_student_id
+          AND category_id = p_category_id
+          AND mode = 'adaptive'
+          AND is_completed = true
+        ORDER BY completed_at DESC
+        LIMIT 1;
+
+        IF v_start_difficulty_id IS NULL THEN
+            v_start_difficulty_id := difficulty_at_ladder_position(
+                (((SELECT COUNT(*) FROM public.difficulty_levels) - 1) / 2)::INTEGER
+            );
+        END IF;
+
+        IF v_start_difficulty_id IS NULL THEN
+            RETURN json_build_object('success', false, 'error', 'No difficulty levels are set up');
+        END IF;
+
+        INSERT INTO public.quiz_attempts (student_id, category_id, difficulty_id, total_questions, mode, negative_marking)
+        VALUES (v_student_id, p_category_id, v_start_difficulty_id, 0, 'adaptive', 0)
+        RETURNING id INTO v_attempt_id;
+    END IF;
+
+    -- The current question is the last one served that has not been answered yet
+    SELECT aq.question_id INTO v_question_id
+    FROM public.attempt_questions aq
+    WHERE aq.attempt_id = v_attempt_id
+      AND NOT EXISTS (
+          SELECT 1
+          FROM public.quiz_answers qans
+          WHERE qans.attempt_id = aq.attempt_id AND qans.question_id = aq.question_id
+      )
+    ORDER BY aq.order_index DESC
+    LIMIT 1;
+
+    IF v_question_id IS NULL THEN
+        v_question_id := add_next_adaptive_question(v_attempt_id);
+    END IF;
+
+    IF v_question_id IS NULL THEN
+        IF v_is_resumed THEN
+            PERFORM finalize_adaptive_attempt(v_attempt_id);
+            RETURN json_build_object(
+                'success', true,
+                'data', get_adaptive_attempt_state(v_attempt_id, NULL)
+            );
+        END IF;
+
+        DELETE FROM public.quiz_attempts WHERE id = v_attempt_id;
+        RETURN json_build_object('success', false, 'error', 'This category has no questions for an adaptive quiz yet');
+    END IF;
+
+    RETURN json_build_object(
+        'success', true,
+        'data', get_adaptive_attempt_state(v_attempt_id, v_question_id)::JSONB
+            || jsonb_build_object('is_resumed', v_is_resumed)
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Grades the answer to the current question of the caller's adaptive attempt,
+-- updates the ability estimate and either serves the next question or ends the
+-- attempt. Correctness is not returned, so the student cannot tell which way
+-- the test is heading. The attempt ends after 15 questions, once the estimate
+-- is precise enough (after at least 8), or when the category runs out
+CREATE OR REPLACE FUNCTION answer_adaptive_question(
+    p_attempt_id INTEGER,
+    p_question_id INTEGER,
+    p_answer JSON
+)
+RETURNS JSON AS $$
+DECLARE
+    v_current_question_id INTEGER;
+    v_credit DECIMAL;
+    v_estimate RECORD;
+    v_answered INTEGER;
+    v_next_question_id INTEGER;
+BEGIN
+    PERFORM 1
+    FROM public.quiz_attempts
+    WHERE id = p_attempt_id
+      AND student_id = auth.uid()
+      AND mode = 'adaptive'
+      AND is_completed = false
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Quiz attempt not found or already submitted');
+    END IF;
+
+    SELECT aq.question_id INTO v_current_question_id
+    FROM public.attempt_questions aq
+    WHERE aq.attempt_id = p_attempt_id
+    ORDER BY aq.order_index DESC
+    LIMIT 1;
+
+    IF v_current_question_id IS DISTINCT FROM p_question_id
+       OR EXISTS (
+           SELECT 1
+           FROM public.quiz_answers
+           WHERE attempt_id = p_attempt_id AND question_id = p_question_id
+       ) THEN
+        RETURN json_build_object('success', false, 'error', 'This is not the current question of the attempt');
+    END IF;
+
+    IF p_answer IS NULL THEN
+        RETURN json_build_object('success', false, 'error', 'Answer the question before moving on');
+    END IF;
+
+    PERFORM upsert_quiz_answer(p_attempt_id, p_question_id, p_answer);
+
+    v_credit := grade_quiz_answer(p_question_id, p_answer);
+
+    UPDATE public.quiz_answers
+    SET
+        is_correct = v_credit >= 1,
+        credit = v_credit,
+        needs_grading = false
+    WHERE attempt_id = p_attempt_id AND question_id = p_question_id;
+
+    SELECT * INTO v_estimate FROM estimate_adaptive_ability(p_attempt_id);
+
+    UPDATE public.quiz_attempts
+    SET
+        ability_estimate = v_estimate.ability,
+        ability_se = v_estimate.standard_error
+    WHERE id = p_attempt_id;
+
+    SELECT COUNT(*) INTO v_answered
+    FROM public.quiz_answers
+    WHERE attempt_id = p_attempt_id;
+
+    IF v_answered < 15 AND NOT (v_answered >= 8 AND v_estimate.standard_error < 0.5) THEN
+        v_next_question_id := add_next_adaptive_question(p_attempt_id);
+    END IF;
+
+    IF v_next_question_id IS NULL THEN
+        PERFORM finalize_adaptive_attempt(p_attempt_id);
+    END IF;
+
+    RETURN json_build_object(
+        'success', true,
+        'data', get_adaptive_attempt_state(p_attempt_id, v_next_question_id)
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION get_quiz_policy(
+    p_student_id UUID,
+    p_category_id INTEGER,
+    p_difficulty_id INTEGER
+)
+RETURNS JSON AS $$
+DECLARE
+    v_max_attempts INTEGER := 1;
+    v_cooldown_minutes INTEGER := 0;
+    v_score_policy VARCHAR(10) := 'best';
+    v_time_limit_minutes INTEGER := 30;
+    v_question_count INTEGER := 10;
+    v_pass_mark DECIMAL(5,2) := 60;
+    v_negative_marking DECIMAL(5,2) := 0;
+    v_policy_score DECIMAL(5,2);
+    v_attempts_used INTEGER;
+    v_last_completed_at TIMESTAMP WITH TIME ZONE;
+    v_remaining INTEGER;
+    v_next_attempt_at TIMESTAMP WITH TIME ZONE;
+    v_has_open_attempt BOOLEAN;
+    v_reason TEXT;
+BEGIN
+    IF p_student_id IS DISTINCT FROM auth.uid() AND NOT is_tutor_or_admin(auth.uid()) THEN
+        RAISE EXCEPTION 'You can only view your own quiz attempts';
+    END IF;
+
+    SELECT max_attempts, cooldown_minutes, score_policy, time_limit_minutes, question_count, pass_mark, negative_marking
+    INTO v_max_attempts, v_cooldown_minutes, v_score_policy, v_time_limit_minutes, v_question_count, v_pass_mark, v_negative_marking
+    FROM public.quiz_settings
+    WHERE category_id = p_category_id AND difficulty_id = p_difficulty_id;
+
+    IF NOT FOUND THEN
+        v_max_attempts := 1;
+        v_cooldown_minutes := 0;
+        v_score_policy := 'best';
+        v_time_limit_minutes := 30;
+        v_question_count := 10;
+        v_pass_mark := 60;
+        v_negative_marking := 0;
+    END IF;
+
+    SELECT score INTO v_policy_score
+    FROM public.quiz_policy_scores
+    WHERE student_id = p_student_id
+      AND category_id = p_category_id
+      AND difficulty_id = p_difficulty_id;
+
+    SELECT COUNT(*), MAX(completed_at)
+    INTO v_attempts_used, v_last_completed_at
+    FROM public.quiz_attempts
+    WHERE student_id = p_student_id
+      AND category_id = p_category_id
+      AND difficulty_id = p_difficulty_id
+      AND mode = 'standard'
+      AND is_completed = true;
+
+    SELECT EXISTS (
+        SELECT 1
+        FROM public.quiz_attempts
+        WHERE student_id = p_student_id
+          AND category_id = p_category_id
+          AND difficulty_id = p_difficulty_id
+          AND mode = 'standard'
+          AND is_completed = false
+    ) INTO v_has_open_attempt;
+
+    IF v_max_attempts IS NOT NULL THEN
+        v_remaining := GREATEST(v_max_attempts - v_attempts_used, 0);
+    END IF;
+
+    IF v_cooldown_minutes > 0 AND v_last_completed_at IS NOT NULL
+       AND v_last_completed_at + make_interval(mins => v_cooldown_minutes) > NOW() THEN
+        v_next_attempt_at := v_last_completed_at + make_interval(mins => v_cooldown_minutes);
+    END IF;
+
+    IF v_has_open_attempt THEN
+        v_reason := NULL;
+    ELSIF v_remaining = 0 THEN
+        v_reason := CASE
+            WHEN v_max_attempts = 1 THEN 'You have already completed this quiz'
+            ELSE format('You have used all %s attempts for this quiz', v_max_attempts)
+        END;
+    ELSIF v_next_attempt_at IS NOT NULL THEN
+        v_reason := format('You can retake this quiz after %s', to_char(v_next_attempt_at, 'YYYY-MM-DD HH24:MI TZ'));
+    END IF;
+
+    RETURN json_build_object(
+        'max_attempts', v_max_attempts,
+        'cooldown_minutes', v_cooldown_minutes,
+        'score_policy', v_score_policy,
+        'time_limit_minutes', v_time_limit_minutes,
+        'question_count', v_question_count,
+        'pass_mark', v_pass_mark,
+        'negative_marking', v_negative_marking,
+        'attempts_used', v_attempts_used,
+        'attempts_remaining', v_remaining,
+        'next_attempt_at', v_next_attempt_at,
+        'has_open_attempt', v_has_open_attempt,
+        'can_start', v_reason IS NULL,
+        'reason', v_reason,
+        'policy_score', v_policy_score,
+        'passed', CASE WHEN v_policy_score IS NOT NULL THEN v_policy_score >= v_pass_mark END
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+
+CREATE OR REPLACE FUNCTION start_quiz_attempt(
+    p_student_id UUID,
+    p_category_id INTEGER,
+    p_difficulty_id INTEGER,
+    p_question_count INTEGER DEFAULT 10
+)
+RETURNS JSON AS $$
+DECLARE
+    v_attempt_id INTEGER;
+    v_is_resumed BOOLEAN := false;
+    v_policy JSON;
+    v_question_count INTEGER;
+    v_time_limit_minutes INTEGER;
+    v_question_ids INTEGER[];
+    v_unit RECORD;
+    v_drawn INTEGER;
+    v_oversized_unit INTEGER[];
+BEGIN
+    -- An open attempt can always be resumed; a new one must respect the retake policy
+    v_policy := get_quiz_policy(p_student_id, p_category_id, p_difficulty_id);
+
+    IF NOT (v_policy->>'can_start')::BOOLEAN THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', v_policy->>'reason'
+        );
+    END IF;
+
+    -- The quiz settings decide the length; p_question_count is only kept for older clients
+    v_question_count := COALESCE((v_policy->>'question_count')::INTEGER, p_question_count);
+    v_time_limit_minutes := (v_policy->>'time_limit_minutes')::INTEGER;
+
+    -- Reuse an incomplete attempt if there is one; the lock keeps two tabs from drawing twice
+    SELECT id INTO v_attempt_id
+    FROM public.quiz_attempts
+    WHERE student_id = p_student_id
+      AND category_id = p_category_id
+      AND difficulty_id = p_difficulty_id
+      AND mode = 'standard'
+      AND is_completed = false
+    FOR UPDATE;
+
+    -- An attempt whose time ran out is submitted with the answers saved in time
+    IF v_attempt_id IS NOT NULL AND attempt_time_is_up(v_attempt_id) THEN
+        PERFORM finalize_quiz_attempt(v_attempt_id);
+
+        RETURN json_build_object(
+            'success', false,
+            'error', 'Time ran out on your unfinished attempt, so it was submitted with the answers saved in time',
+            'data', json_build_object('expired_attempt_id', v_attempt_id)
+        );
+    END IF;
+
+    IF v_attempt_id IS NOT NULL THEN
+        SELECT array_agg(question_id ORDER BY order_index) INTO v_question_ids
+        FROM public.attempt_questions
+        WHERE attempt_id = v_attempt_id;
+
+        v_is_resumed := v_question_ids IS NOT NULL;
+    END IF;
+
+    -- Attempts started before the question set was stored get a fresh draw
+    IF NOT v_is_resumed THEN
+        -- Draw whole units: a standalone question, or every question of one passage.
+        -- Units that would overflow the question count are skipped.
+        v_question_ids := ARRAY[]::INTEGER[];
+        FOR v_unit IN
+            SELECT array_agg(q.id ORDER BY q.id) AS question_ids
+            FROM public.questions q
+            WHERE q.category_id = p_category_id
+              AND q.difficulty_id = p_difficulty_id
+              AND q.is_active = true
+            GROUP BY COALESCE('p' || q.passage_id::TEXT, 'q' || q.id::TEXT)
+            ORDER BY RANDOM()
+        LOOP
+            v_drawn := COALESCE(array_length(v_question_ids, 1), 0);
+            EXIT WHEN v_drawn >= v_question_count;
+
+            IF v_drawn + array_length(v_unit.question_ids, 1) <= v_question_count THEN
+                v_question_ids := v_question_ids || v_unit.question_ids;
+            ELSIF v_oversized_unit IS NULL THEN
+                v_oversized_unit := v_unit.question_ids;
+            END IF;
+        END LOOP;
+
+        -- A passage with more questions than the quiz is still used when nothing else fits
+        IF COALESCE(array_length(v_question_ids, 1), 0) = 0 AND v_oversized_unit IS NOT NULL THEN
+            v_question_ids := v_oversized_unit;
+        END IF;
+
+        IF v_attempt_id IS NULL THEN
+            INSERT INTO public.quiz_attempts (student_id, category_id, difficulty_id, total_questions, negative_marking)
+            VALUES (
+                p_student_id,
+                p_category_id,
+                p_difficulty_id,
+                COALESCE(array_length(v_question_ids, 1), 0),
+                COALESCE((v_policy->>'negative_marking')::DECIMAL, 0)
+            )
+            RETURNING id INTO v_attempt_id;
+        ELSE
+            UPDATE public.quiz_attempts
+            SET total_questions = COALESCE(array_length(v_question_ids, 1), 0)
+            WHERE id = v_attempt_id;
+        END IF;
+
+        -- Store the draw with the order the student sees
+        PERFORM add_attempt_question(v_attempt_id, t.qid, t.ord::INTEGER)
+        FROM unnest(v_question_ids) WITH ORDINALITY AS t(qid, ord);
+    END IF;
+
+    -- The clock starts now for new attempts and for open ones that never had a deadline.
+    -- The limit is fixed here, so changing the settings does not affect running attempts.
+    IF v_time_limit_minutes IS NOT NULL THEN
+        UPDATE public.quiz_attempts
+        SET deadline_at = NOW() + make_interval(mins => v_time_limit_minutes)
+        WHERE id = v_attempt_id AND deadline_at IS NULL;
+    END IF;
+
+    RETURN json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'attempt_id', v_attempt_id,
+            'is_resumed', v_is_resumed,
+            'questions', (
+                SELECT json_agg(get_attempt_question_payload(v_attempt_id, qid) ORDER BY ord)
+                FROM unnest(v_question_ids) WITH ORDINALITY AS t(qid, ord)
+            ),
+            'passages', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', rp.id,
+                        'title', rp.title,
+                        'content', rp.content,
+                        'image_url', rp.image_url,
+                        'has_audio', rp.audio_url IS NOT NULL,
+                        'max_plays', rp.max_plays
+                    )
+                )
+                FROM public.reading_passages rp
+                WHERE rp.id IN (
+                    SELECT q.passage_id
+                    FROM public.questions q
+                    WHERE q.id = ANY(v_question_ids)
+                )
+            ),
+            'audio_plays', (
+                SELECT json_agg(
+                    json_build_object(
+                        'question_id', qap.question_id,
+                        'passage_id', qap.passage_id,
+                        'plays', qap.plays
+                    )
+                )
+                FROM (
+                    SELECT question_id, passage_id, COUNT(*) AS plays
+                    FROM public.quiz_audio_plays
+                    WHERE attempt_id = v_attempt_id
+                    GROUP BY question_id, passage_id
+                ) qap
+            ),
+            'saved_answers', (
+                -- Same shape as the answers sent to submit_quiz_answers
+                SELECT json_agg(
+                    json_build_object(
+                        'question_id', qa.question_id,
+                        'selected_option_id', qa.selected_option_id,
+                        'selected_option_ids', qa.selected_option_ids,
+                        'answer_data', qa.answer_data
+                    )
+                )
+                FROM public.quiz_answers qa
+                WHERE qa.attempt_id = v_attempt_id
+            ),
+            'flagged_question_ids', (
+                SELECT json_agg(question_id ORDER BY order_index)
+                FROM public.attempt_questions
+                WHERE attempt_id = v_attempt_id AND is_flagged
+            ),
+            'total_questions', COALESCE(array_length(v_question_ids, 1), 0),
+            'time_limit_minutes', v_time_limit_minutes,
+            'pass_mark', (v_policy->>'pass_mark')::DECIMAL,
+            'total_points', (SELECT SUM(points) FROM public.attempt_questions WHERE attempt_id = v_attempt_id),
+            'negative_marking', (SELECT negative_marking FROM public.quiz_attempts WHERE id = v_attempt_id),
+            'deadline_at', (SELECT deadline_at FROM public.quiz_attempts WHERE id = v_attempt_id),
+            -- Lets the client correct for a wrong device clock
+            'server_time', clock_timestamp()
+        )
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+
+CREATE OR REPLACE FUNCTION get_quiz_results(p_attempt_id INTEGER)
+RETURNS JSON AS $$
+DECLARE
+    v_result JSON;
+    v_student_id UUID;
+    v_is_completed BOOLEAN;
+BEGIN
+    SELECT student_id, is_completed INTO v_student_id, v_is_completed
+    FROM public.quiz_attempts
+    WHERE id = p_attempt_id;
+
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Quiz attempt not found');
+    END IF;
+
+    IF v_student_id IS DISTINCT FROM auth.uid() AND NOT is_tutor_or_admin(auth.uid()) THEN
+        RETURN json_build_object('success', false, 'error', 'Not allowed to view this attempt');
+    END IF;
+
+    -- Correct answers and explanations are only revealed once the attempt is submitted
+    IF NOT v_is_completed AND NOT is_tutor_or_admin(auth.uid()) THEN
+        RETURN json_build_object('success', false, 'error', 'Results are available once the quiz is submitted');
+    END IF;
+
+    SELECT json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'attempt', (
+                SELECT json_build_object(
+                    'id', qa.id,
+                    'score', qa.score,
+                    'correct_answers', qa.correct_answers,
+                    'total_questions', qa.total_questions,
+                    'time_taken', qa.time_taken,
+                    'started_at', qa.started_at,
+                    'completed_at', qa.completed_at,
+                    'category_id', qa.category_id,
+                    'difficulty_id', qa.difficulty_id,
+                    'category_name', c.name,
+                    'difficulty_name', dl.name,
+                    'grading_status', qa.grading_status,
+                    'pass_mark', COALESCE(qs.pass_mark, 60),
+                    'points_earned', qa.points_earned,
+                    'total_points', qa.total_points,
+                    'negative_marking', qa.negative_marking,
+                    'flagged_count', (
+                        SELECT COUNT(*)
+                        FROM public.attempt_questions
+                        WHERE attempt_id = qa.id AND is_flagged
+                    ),
+                    'mode', qa.mode,
+                    'ability_estimate', qa.ability_estimate,
+                    'ability_se', qa.ability_se,
+                    'estimated_difficulty_id', qa.estimated_difficulty_id,
+                    'estimated_difficulty_name', (
+                        SELECT name
+                        FROM public.difficulty_levels
+                        WHERE id = qa.estimated_difficulty_id
+                    ),
+                    -- Adaptive results are explained against the whole ladder
+                    'ladder', CASE WHEN qa.mode = 'adaptive' THEN (
+                        SELECT json_agg(
+                            json_build_object(
+                                'id', ladder.id,
+                                'name', ladder.name,
+                                'position', difficulty_ladder_position(ladder.id)
+                            ) ORDER BY ladder.order_index, ladder.id
+                        )
+                        FROM public.difficulty_levels ladder
+                    ) END
+                )
+                FROM public.quiz_attempts qa
+                JOIN public.categories c ON c.id = qa.category_id
+                JOIN public.difficulty_levels dl ON dl.id = qa.difficulty_id
+                LEFT JOIN public.quiz_settings qs
+                  ON qs.category_id = qa.category_id AND qs.difficulty_id = qa.difficulty_id
+                WHERE qa.id = p_attempt_id
+            ),
+            'questions', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', qans.question_id,
+                        'answer_id', qans.id,
+                        'question_type', q.question_type,
+                        'question_text', q.question_text,
+                        'difficulty_id', q.difficulty_id,
+                        'difficulty_name', (SELECT name FROM public.difficulty_levels WHERE id = q.difficulty_id),
+                        'passage_id', q.passage_id,
+                        'audio_url', q.audio_url,
+                        'transcript', q.transcript,
+                        'plays_used', (
+                            SELECT COUNT(*)
+                            FROM public.quiz_audio_plays qap
+                            WHERE qap.attempt_id = p_attempt_id AND qap.question_id = q.id
+                        ),
+                        'explanation', q.explanation,
+                        'selected_option_id', qans.selected_option_id,
+                        'selected_option_ids', qans.selected_option_ids,
+                        'answer_data', qans.answer_data,
+                        'is_correct', qans.is_correct,
+                        'credit', qans.credit,
+                        'points', COALESCE(aq.points, 1),
+                        'points_awarded', qans.points_awarded,
+                        'is_flagged', COALESCE(aq.is_flagged, false),
+                        'needs_grading', qans.needs_grading,
+                        'grader_comment', qans.grader_comment,
+                        'rubric_scores', (
+                            SELECT json_agg(
+                                json_build_object(
+                                    'criterion_id', qrc.id,
+                                    'name', qrc.name,
+                                    'max_score', qrc.max_score,
+                                    'score', rs.score
+                                ) ORDER BY qrc.order_index
+                            )
+                            FROM public.question_rubric_criteria qrc
+                            JOIN public.quiz_answer_rubric_scores rs
+                              ON rs.criterion_id = qrc.id AND rs.answer_id = qans.id
+                            WHERE qrc.question_id = q.id
+                        ),
+                        'options', (
+                            SELECT json_agg(
+                                json_build_object(
+                                    'id', qo.id,
+                                    'option_text', qo.option_text,
+                                    'is_correct', qo.is_correct,
+                                    'is_selected', qo.id = qans.selected_option_id
+                                        OR qo.id = ANY(COALESCE(qans.selected_option_ids, ARRAY[]::INTEGER[]))
+                                ) ORDER BY array_position(aq.option_order, qo.id), qo.order_index
+                            )
+                            FROM public.question_options qo
+                            WHERE qo.question_id = q.id
+                        ),
+                        'blanks', (
+                            SELECT json_agg(
+                                json_build_object(
+                                    'blank_index', qb.blank_index,
+                                    'accepted_answers', qb.accepted_answers,
+                                    'given_answer', qans.answer_data->>qb.blank_index::TEXT,
+                                    'is_correct', cloze_blank_is_correct(qb.id, qans.answer_data->>qb.blank_index::TEXT)
+                                ) ORDER BY qb.blank_index
+                            )
+                            FROM public.question_blanks qb
+                            WHERE qb.question_id = q.id
+                        ),
+                        'pairs', (
+                            SELECT json_agg(
+                                json_build_object(
+                                    'id', qmp.id,
+                                    'left_text', qmp.left_text,
+                                    'right_text', qmp.right_text,
+                                    'given_answer', qans.answer_data->>qmp.id::TEXT,
+                                    'is_correct', qmp.right_text = qans.answer_data->>qmp.id::TEXT
+                                ) ORDER BY qmp.order_index
+                            )
+                            FROM public.question_match_pairs qmp
+                            WHERE qmp.question_id = q.id
+                        ),
+                        'accepted_orders', (
+                            SELECT json_agg(qrs.tokens ORDER BY qrs.is_primary DESC, qrs.id)
+                            FROM public.question_reorder_sequences qrs
+                            WHERE qrs.question_id = q.id
+                        )
+                    ) ORDER BY aq.order_index, qans.id
+                )
+                FROM public.quiz_answers qans
+                JOIN public.questions q ON q.id = qans.question_id
+                JOIN public.attempt_questions aq
+                  ON aq.attempt_id = qans.attempt_id AND aq.question_id = qans.question_id
+                WHERE qans.attempt_id = p_attempt_id
+            ),
+            'passages', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', rp.id,
+                        'title', rp.title,
+                        'content', rp.content,
+                        'image_url', rp.image_url,
+                        'audio_url', rp.audio_url,
+                        'transcript', rp.transcript
+                    )
+                )
+                FROM public.reading_passages rp
+                WHERE rp.id IN (
+                    SELECT q.passage_id
+                    FROM public.quiz_answers qans
+                    JOIN public.attempt_questions aq
+                      ON aq.attempt_id = qans.attempt_id AND aq.question_id = qans.question_id
+                    JOIN public.questions q ON q.id = qans.question_id
+                    WHERE qans.attempt_id = p_attempt_id
+                )
+            )
+        )
+    ) INTO v_result;
+
+    RETURN v_result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+
+
+GRANT EXECUTE ON FUNCTION start_adaptive_attempt(INTEGER) TO authenticated;
+GRANT EXECUTE ON FUNCTION answer_adaptive_question(INTEGER, INTEGER, JSON) TO authenticated;
+
+-- Internal steps of the adaptive attempt; students go through the two functions above
+REVOKE EXECUTE ON FUNCTION add_attempt_question(INTEGER, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION add_next_adaptive_question(INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION finalize_adaptive_attempt(INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION estimate_adaptive_ability(INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION get_adaptive_attempt_state(INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+
+COMMENT ON FUNCTION start_adaptive_attempt(INTEGER) IS 'Starts or resumes the caller''s adaptive attempt in a category and returns its current question.';
+COMMENT ON FUNCTION answer_adaptive_question(INTEGER, INTEGER, JSON) IS 'Grades the current question of an adaptive attempt, updates the ability estimate and serves the next question or ends the attempt.';
+COMMENT ON FUNCTION estimate_adaptive_ability(INTEGER) IS 'Rasch EAP estimate (and standard error) of the student''s position on the difficulty ladder from an adaptive attempt''s answers.';
@@ -0,0 +1,516 @@
+-- Migration 029: Practice mode
+-- A practice attempt is drawn like a normal quiz but has no time limit, no
+-- negative marking and no retake limit. Each answer can be checked as soon as
+-- it is given, which reveals whether it is right; a checked answer can no
+-- longer be changed. The correct answer and the explanation are only shown
+-- once the student has no counted attempts left at the quiz, and practice is
+-- closed while a counted attempt is open. Practice attempts are kept out of
+-- the retake policy, the counted scores and the progress statistics
+
+ALTER TABLE public.quiz_attempts
+    DROP CONSTRAINT IF EXISTS quiz_attempts_mode_check;
+
+ALTER TABLE public.quiz_attempts
+    ADD CONSTRAINT quiz_attempts_mode_check CHECK (mode IN ('standard', 'adaptive', 'practice'));
+
+COMMENT ON COLUMN public.quiz_attempts.mode IS 'standard: a fixed draw from one level; adaptive: one question at a time across the difficulty ladder; practice: answers checked as they are given, not counted.';
+
+ALTER TABLE public.quiz_answers
+    ADD COLUMN IF NOT EXISTS checked_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN public.quiz_answers.checked_at IS 'Practice attempts: when the answer was checked; it cannot be changed afterwards.';
+
+-- Whether practice on an attempt's quiz may show the answer key: only once the
+-- student has no counted attempt open and none left to start, so practice
+-- cannot be used to look up the answers of a quiz that still counts
+CREATE OR REPLACE FUNCTION practice_key_visible(p_attempt_id INTEGER)
+RETURNS BOOLEAN AS $$
+DECLARE
+    v_policy JSON;
+BEGIN
+    SELECT get_quiz_policy(student_id, category_id, difficulty_id) INTO v_policy
+    FROM public.quiz_attempts
+    WHERE id = p_attempt_id;
+
+    RETURN COALESCE(
+        NOT (v_policy->>'has_open_attempt')::BOOLEAN
+            AND (v_policy->>'attempts_remaining')::INTEGER = 0,
+        false
+    );
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Whether an answer is right, for a question of a practice attempt once its
+-- answer has been checked, with the correct answer and the explanation when
+-- practice_key_visible allows them
+CREATE OR REPLACE FUNCTION get_practice_feedback(p_attempt_id INTEGER, p_question_id INTEGER)
+RETURNS JSON AS $$
+DECLARE
+    v_key_visible BOOLEAN := practice_key_visible(p_attempt_id);
+BEGIN
+    RETURN (
+        SELECT json_build_object(
+            'question_id', q.id,
+            'is_correct', qans.is_correct,
+            'credit', qans.credit,
+            'needs_grading', qans.needs_grading,
+            'key_hidden', NOT v_key_visible,
+            'explanation', CASE WHEN v_key_visible THEN q.explanation END,
+            'transcript', q.transcript,
+            'correct_option_ids', CASE WHEN v_key_visible THEN (
+                SELECT json_agg(qo.id ORDER BY qo.order_index)
+                FROM public.question_options qo
+                WHERE qo.question_id = q.id AND qo.is_correct
+            ) END,
+            'blanks', CASE WHEN v_key_visible THEN (
+                SELECT json_agg(
+                    json_build_object(
+                        'blank_index', qb.blank_index,
+                        'accepted_answers', qb.accepted_answers,
+                        'is_correct', cloze_blank_is_correct(qb.id, qans.answer_data->>qb.blank_index::TEXT)
+                    ) ORDER BY qb.blank_index
+                )
+                FROM public.question_blanks qb
+                WHERE qb.question_id = q.id
+            ) END,
+            'pairs', CASE WHEN v_key_visible THEN (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', qmp.id,
+                        'left_text', qmp.left_text,
+                        'right_text', qmp.right_text,
+                        'is_correct', qmp.right_text = qans.answer_data->>qmp.id::TEXT
+                    ) ORDER BY qmp.order_index
+                )
+                FROM public.question_match_pairs qmp
+                WHERE qmp.question_id = q.id
+            ) END,
+            'accepted_orders', CASE WHEN v_key_visible THEN (
+                SELECT json_agg(qrs.tokens ORDER BY qrs.is_primary DESC, qrs.id)
+                FROM public.question_reorder_sequences qrs
+                WHERE qrs.question_id = q.id
+            ) END
+        )
+        FROM public.quiz_answers qans
+        JOIN public.questions q ON q.id = qans.question_id
+        WHERE qans.attempt_id = p_attempt_id
+          AND qans.question_id = p_question_id
+          AND qans.checked_at IS NOT NULL
+    );
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Saves and grades one answer of the caller's open practice attempt and
+-- returns the feedback for it
+CREATE OR REPLACE FUNCTION check_practice_answer(
+    p_attempt_id INTEGER,
+    p_question_id INTEGER,
+    p_answer JSON
+)
+RETURNS JSON AS $$
+DECLARE
+    v_credit DECIMAL;
+    v_policy JSON;
+BEGIN
+    SELECT get_quiz_policy(student_id, category_id, difficulty_id) INTO v_policy
+    FROM public.quiz_attempts
+    WHERE id = p_attempt_id
+      AND student_id = auth.uid()
+      AND mode = 'practice'
+      AND is_completed = false
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Practice attempt not found or already finished');
+    END IF;
+
+    IF (v_policy->>'has_open_attempt')::BOOLEAN THEN
+        RETURN json_build_object('success', false, 'error', 'Finish your attempt at this quiz before practising it');
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1
+        FROM public.attempt_questions
+        WHERE attempt_id = p_attempt_id AND question_id = p_question_id
+    ) THEN
+        RETURN json_build_object('success', false, 'error', 'This question is not part of the attempt');
+    END IF;
+
+    IF EXISTS (
+        SELECT 1
+        FROM public.quiz_answers
+        WHERE attempt_id = p_attempt_id AND question_id = p_question_id AND checked_at IS NOT NULL
+    ) THEN
+        RETURN json_build_object('success', false, 'error', 'This answer has already been checked');
+    END IF;
+
+    IF p_answer IS NULL THEN
+        RETURN json_build_object('success', false, 'error', 'Answer the question before checking it');
+    END IF;
+
+    PERFORM upsert_quiz_answer(p_attempt_id, p_question_id, p_answer);
+
+    v_credit := grade_quiz_answer(p_question_id, p_answer);
+
+    UPDATE public.quiz_answers
+    SET
+        is_correct = v_credit >= 1,
+        credit = v_credit,
+        needs_grading = is_manually_graded(p_question_id),
+        checked_at = NOW()
+    WHERE attempt_id = p_attempt_id AND question_id = p_question_id;
+
+    RETURN json_build_object(
+        'success', true,
+        'data', get_practice_feedback(p_attempt_id, p_question_id)
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION upsert_quiz_answer(
+    p_attempt_id INTEGER,
+    p_question_id INTEGER,
+    p_answer JSON
+)
+RETURNS VOID AS $$
+DECLARE
+    v_selected_ids INTEGER[];
+BEGIN
+    -- A checked practice answer keeps the answer that was checked
+    IF EXISTS (
+        SELECT 1
+        FROM public.quiz_answers
+        WHERE attempt_id = p_attempt_id AND question_id = p_question_id AND checked_at IS NOT NULL
+    ) THEN
+        RETURN;
+    END IF;
+
+    IF p_answer IS NULL THEN
+        DELETE FROM public.quiz_answers
+        WHERE attempt_id = p_attempt_id AND question_id = p_question_id;
+        RETURN;
+    END IF;
+
+    IF json_typeof(p_answer->'selected_option_ids') = 'array' THEN
+        SELECT array_agg(value::INTEGER) INTO v_selected_ids
+        FROM json_array_elements_text(p_answer->'selected_option_ids');
+    END IF;
+
+    UPDATE public.quiz_answers
+    SET
+        selected_option_id = (p_answer->>'selected_option_id')::INTEGER,
+        selected_option_ids = v_selected_ids,
+        answer_data = (p_answer->'answer_data')::JSONB,
+        answered_at = NOW()
+    WHERE attempt_id = p_attempt_id AND question_id = p_question_id;
+
+    IF NOT FOUND THEN
+        INSERT INTO public.quiz_answers (
+            attempt_id, question_id, selected_option_id, selected_option_ids, answer_data, answered_at
+        )
+        VALUES (
+            p_attempt_id,
+            p_question_id,
+            (p_answer->>'selected_option_id')::INTEGER,
+            v_selected_ids,
+            (p_answer->'answer_data')::JSONB,
+            NOW()
+        );
+    END IF;
+END;
+$$ LANGUAGE plpgsql;
+
+
+-- The mode is a new parameter, so the old signature is dropped first
+DROP FUNCTION IF EXISTS start_quiz_attempt(UUID, INTEGER, INTEGER, INTEGER);
+
+CREATE OR REPLACE FUNCTION start_quiz_attempt(
+    p_student_id UUID,
+    p_category_id INTEGER,
+    p_difficulty_id INTEGER,
+    p_question_count INTEGER DEFAULT 10,
+    p_mode VARCHAR DEFAULT 'standard'
+)
+RETURNS JSON AS $$
+DECLARE
+    v_attempt_id INTEGER;
+    v_is_resumed BOOLEAN := false;
+    v_policy JSON;
+    v_question_count INTEGER;
+    v_time_limit_minutes INTEGER;
+    v_question_ids INTEGER[];
+    v_unit RECORD;
+    v_drawn INTEGER;
+    v_oversized_unit INTEGER[];
+BEGIN
+    IF p_mode NOT IN ('standard', 'practice') THEN
+        RETURN json_build_object('success', false, 'error', 'Unknown quiz mode');
+    END IF;
+
+    -- An open attempt can always be resumed; a new one must respect the retake policy.
+    -- Practice skips the policy but waits while a counted attempt is open
+    v_policy := get_quiz_policy(p_student_id, p_category_id, p_difficulty_id);
+
+    IF p_mode = 'standard' AND NOT (v_policy->>'can_start')::BOOLEAN THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', v_policy->>'reason'
+        );
+    END IF;
+
+    IF p_mode = 'practice' AND (v_policy->>'has_open_attempt')::BOOLEAN THEN
+        RETURN json_build_object('success', false, 'error', 'Finish your attempt at this quiz before practising it');
+    END IF;
+
+    -- The quiz settings decide the length; p_question_count is only kept for older clients
+    v_question_count := COALESCE((v_policy->>'question_count')::INTEGER, p_question_count);
+    -- Practice is untimed
+    v_time_limit_minutes := CASE WHEN p_mode = 'standard' THEN (v_policy->>'time_limit_minutes')::INTEGER END;
+
+    -- Reuse an incomplete attempt if there is one; the lock keeps two tabs from drawing twice
+    SELECT id INTO v_attempt_id
+    FROM public.quiz_attempts
+    WHERE student_id = p_student_id
+      AND category_id = p_category_id
+      AND difficulty_id = p_difficulty_id
+      AND mode = p_mode
+      AND is_completed = false
+    FOR UPDATE;
+
+    -- An attempt whose time ran out is submitted with the answers saved in time
+    IF v_attempt_id IS NOT NULL AND attempt_time_is_up(v_attempt_id) THEN
+        PERFORM finalize_quiz_attempt(v_attempt_id);
+
+        RETURN json_build_object(
+            'success', false,
+            'error', 'Time ran out on your unfinished attempt, so it was submitted with the answers saved in time',
+            'data', json_build_object('expired_attempt_id', v_attempt_id)
+        );
+    END IF;
+
+    IF v_attempt_id IS NOT NULL THEN
+        SELECT array_agg(question_id ORDER BY order_index) INTO v_question_ids
+        FROM public.attempt_questions
+        WHERE attempt_id = v_attempt_id;
+
+        v_is_resumed := v_question_ids IS NOT NULL;
+    END IF;
+
+    -- Attempts started before the question set was stored get a fresh draw
+    IF NOT v_is_resumed THEN
+        -- Draw whole units: a standalone question, or every question of one passage.
+        -- Units that would overflow the question count are skipped.
+        v_question_ids := ARRAY[]::INTEGER[];
+        FOR v_unit IN
+            SELECT array_agg(q.id ORDER BY q.id) AS question_ids
+            FROM public.questions q
+            WHERE q.category_id = p_category_id
+              AND q.difficulty_id = p_difficulty_id
+              AND q.is_active = true
+            GROUP BY COALESCE('p' || q.passage_id::TEXT, 'q' || q.id::TEXT)
+            ORDER BY RANDOM()
+        LOOP
+            v_drawn := COALESCE(array_length(v_question_ids, 1), 0);
+            EXIT WHEN v_drawn >= v_question_count;
+
+            IF v_drawn + array_length(v_unit.question_ids, 1) <= v_question_count THEN
+                v_question_ids := v_question_ids || v_unit.question_ids;
+            ELSIF v_oversized_unit IS NULL THEN
+                v_oversized_unit := v_unit.question_ids;
+            END IF;
+        END LOOP;
+
+        -- A passage with more questions than the quiz is still used when nothing else fits
+        IF COALESCE(array_length(v_question_ids, 1), 0) = 0 AND v_oversized_unit IS NOT NULL THEN
+            v_question_ids := v_oversized_unit;
+        END IF;
+
+        IF v_attempt_id IS NULL THEN
+            INSERT INTO public.quiz_attempts (student_id, category_id, difficulty_id, total_questions, mode, negative_marking)
+            VALUES (
+                p_student_id,
+                p_category_id,
+                p_difficulty_id,
+                COALESCE(array_length(v_question_ids, 1), 0),
+                p_mode,
+                CASE WHEN p_mode = 'standard' THEN COALESCE((v_policy->>'negative_marking')::DECIMAL, 0) ELSE 0 END
+            )
+            RETURNING id INTO v_attempt_id;
+        ELSE
+            UPDATE public.quiz_attempts
+            SET total_questions = COALESCE(array_length(v_question_ids, 1), 0)
+            WHERE id = v_attempt_id;
+        END IF;
+
+        -- Store the draw with the order the student sees
+        PERFORM add_attempt_question(v_attempt_id, t.qid, t.ord::INTEGER)
+        FROM unnest(v_question_ids) WITH ORDINALITY AS t(qid, ord);
+    END IF;
+
+    -- The clock starts now for new attempts and for open ones that never had a deadline.
+    -- The limit is fixed here, so changing the settings does not affect running attempts.
+    IF v_time_limit_minutes IS NOT NULL THEN
+        UPDATE public.quiz_attempts
+        SET deadline_at = NOW() + make_interval(mins => v_time_limit_minutes)
+        WHERE id = v_attempt_id AND deadline_at IS NULL;
+    END IF;
+
+    RETURN json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'attempt_id', v_attempt_id,
+            'mode', p_mode,
+            'is_resumed', v_is_resumed,
+            'questions', (
+                SELECT json_agg(get_attempt_question_payload(v_attempt_id, qid) ORDER BY ord)
+                FROM unnest(v_question_ids) WITH ORDINALITY AS t(qid, ord)
+            ),
+            'passages', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', rp.id,
+                        'title', rp.title,
+                        'content', rp.content,
+                        'image_url', rp.image_url,
+                        'has_audio', rp.audio_url IS NOT NULL,
+                        'max_plays', rp.max_plays
+                    )
+                )
+                FROM public.reading_passages rp
+                WHERE rp.id IN (
+                    SELECT q.passage_id
+                    FROM public.questions q
+                    WHERE q.id = ANY(v_question_ids)
+                )
+            ),
+            'audio_plays', (
+                SELECT json_agg(
+                    json_build_object(
+                        'question_id', qap.question_id,
+                        'passage_id', qap.passage_id,
+                        'plays', qap.plays
+                    )
+                )
+                FROM (
+                    SELECT question_id, passage_id, COUNT(*) AS plays
+                    FROM public.quiz_audio_plays
+                    WHERE attempt_id = v_attempt_id
+                    GROUP BY question_id, passage_id
+                ) qap
+            ),
+            'saved_answers', (
+                -- Same shape as the answers sent to submit_quiz_answers
+                SELECT json_agg(
+                    json_build_object(
+                        'question_id', qa.question_id,
+                        'selected_option_id', qa.selected_option_id,
+                        'selected_option_ids', qa.selected_option_ids,
+                        'answer_data', qa.answer_data
+                    )
+                )
+                FROM public.quiz_answers qa
+                WHERE qa.attempt_id = v_attempt_id
+            ),
+            'checked_answers', (
+                -- Feedback for the practice answers checked so far
+                SELECT json_agg(get_practice_feedback(v_attempt_id, qa.question_id))
+                FROM public.quiz_answers qa
+                WHERE qa.attempt_id = v_attempt_id AND qa.checked_at IS NOT NULL
+            ),
+            'flagged_question_ids', (
+                SELECT json_agg(question_id ORDER BY order_index)
+                FROM public.attempt_questions
+                WHERE attempt_id = v_attempt_id AND is_flagged
+            ),
+            'total_questions', COALESCE(array_length(v_question_ids, 1), 0),
+            'time_limit_minutes', v_time_limit_minutes,
+            'pass_mark', (v_policy->>'pass_mark')::DECIMAL,
+            'total_points', (SELECT SUM(points) FROM public.attempt_questions WHERE attempt_id = v_attempt_id),
+            'negative_marking', (SELECT negative_marking FROM public.quiz_attempts WHERE id = v_attempt_id),
+            'deadline_at', (SELECT deadline_at FROM public.quiz_attempts WHERE id = v_attempt_id),
+            -- Lets the client correct for a wrong device clock
+            'server_time', clock_timestamp()
+        )
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+
+CREATE OR REPLACE FUNCTION get_student_progress(p_student_id UUID)
+RETURNS JSON AS $$
+DECLARE
+    v_result JSON;
+BEGIN
+    SELECT json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'totalAttempts', (
+                SELECT COUNT(*)
+                FROM public.quiz_attempts
+                WHERE student_id = p_student_id AND is_completed = true AND mode NOT IN ('practice', 'adaptive')
+            ),
+            -- Averages use one counted score per quiz, chosen by its scoring policy
+            'averageScore', (
+                SELECT COALESCE(ROUND(AVG(score), 2), 0)
+                FROM public.quiz_policy_scores
+                WHERE student_id = p_student_id
+            ),
+            'bestScore', (
+                SELECT COALESCE(MAX(score), 0)
+                FROM public.quiz_policy_scores
+                WHERE student_id = p_student_id
+            ),
+            'categoryStats', (
+                SELECT json_object_agg(
+                    c.name,
+                    json_build_object(
+                        'attempts', stats.attempts,
+                        'averageScore', stats.avg_score,
+                        'bestScore', stats.best_score
+                    )
+                )
+                FROM (
+                    SELECT
+                        qps.category_id,
+                        SUM(qps.attempts) as attempts,
+                        ROUND(AVG(qps.score), 2) as avg_score,
+                        MAX(qps.score) as best_score
+                    FROM public.quiz_policy_scores qps
+                    WHERE qps.student_id = p_student_id
+                    GROUP BY qps.category_id
+                ) stats
+                JOIN public.categories c ON c.id = stats.category_id
+            ),
+            'recentAttempts', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', qa.id,
+                        'category_name', c.name,
+                        'difficulty_name', dl.name,
+                        'score', qa.score,
+                        'completed_at', qa.completed_at
+                    ) ORDER BY qa.completed_at DESC
+                )
+                FROM public.quiz_attempts qa
+                JOIN public.categories c ON c.id = qa.category_id
+                JOIN public.difficulty_levels dl ON dl.id = qa.difficulty_id
+                WHERE qa.student_id = p_student_id AND qa.is_completed = true AND qa.mode NOT IN ('practice', 'adaptive')
+                LIMIT 10
+            )
+        )
+    ) INTO v_result;
+
+    RETURN v_result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+
+
+GRANT EXECUTE ON FUNCTION check_practice_answer(INTEGER, INTEGER, JSON) TO authenticated;
+GRANT EXECUTE ON FUNCTION start_quiz_attempt(UUID, INTEGER, INTEGER, INTEGER, VARCHAR) TO authenticated;
+
+REVOKE EXECUTE ON FUNCTION practice_key_visible(INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION get_practice_feedback(INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+
+COMMENT ON FUNCTION check_practice_answer(INTEGER, INTEGER, JSON) IS 'Grades one answer of the caller''s practice attempt right away; the correct answer and explanation are included once no counted attempts are left.';
+COMMENT ON FUNCTION start_quiz_attempt(UUID, INTEGER, INTEGER, INTEGER, VARCHAR) IS 'Starts or resumes a quiz attempt; practice attempts skip the retake policy and the time limit but wait for an open counted attempt to be finished.';
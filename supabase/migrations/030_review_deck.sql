@@ -0,0 +1,308 @@
+-- Migration 030: Spaced-repetition review of missed questions
+-- Every automatically graded question a student got wrong goes into their
+-- review deck. Items are scheduled with the SM-2 algorithm: each review is
+-- graded, a good answer pushes the next review further out and a miss brings
+-- the item back the next day
+
+CREATE TABLE IF NOT EXISTS public.review_items (
+    id SERIAL PRIMARY KEY,
+    student_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    question_id INTEGER NOT NULL REFERENCES public.questions(id) ON DELETE CASCADE,
+    ease_factor DECIMAL(4,2) NOT NULL DEFAULT 2.5,
+    interval_days INTEGER NOT NULL DEFAULT 0,
+    repetitions INTEGER NOT NULL DEFAULT 0,
+    due_on DATE NOT NULL DEFAULT CURRENT_DATE,
+    last_reviewed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (student_id, question_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_review_items_student_due ON public.review_items (student_id, due_on);
+
+COMMENT ON COLUMN public.review_items.ease_factor IS 'SM-2 ease factor; how fast the interval grows after good reviews (at least 1.3).';
+COMMENT ON COLUMN public.review_items.repetitions IS 'Good reviews in a row; a miss resets it to 0.';
+
+ALTER TABLE public.review_items ENABLE ROW LEVEL SECURITY;
+
+-- Rows are only written by the review functions
+CREATE POLICY "Students can view their own review items" ON public.review_items
+    FOR SELECT USING (student_id = auth.uid());
+
+CREATE POLICY "Tutors can view all review items" ON public.review_items
+    FOR SELECT USING (is_tutor_or_admin(auth.uid()));
+
+-- Correct answer and explanation of a question, marked against the given answer_data
+CREATE OR REPLACE FUNCTION get_answer_feedback(p_question_id INTEGER, p_answer_data JSONB)
+RETURNS JSON AS $$
+BEGIN
+    RETURN (
+        SELECT json_build_object(
+            'question_id', q.id,
+            'explanation', q.explanation,
+            'transcript', q.transcript,
+            'correct_option_ids', (
+                SELECT json_agg(qo.id ORDER BY qo.order_index)
+                FROM public.question_options qo
+                WHERE qo.question_id = q.id AND qo.is_correct
+            ),
+            'blanks', (
+                SELECT json_agg(
+                    json_build_object(
+                        'blank_index', qb.blank_index,
+                        'accepted_answers', qb.accepted_answers,
+                        'is_correct', cloze_blank_is_correct(qb.id, p_answer_data->>qb.blank_index::TEXT)
+                    ) ORDER BY qb.blank_index
+                )
+                FROM public.question_blanks qb
+                WHERE qb.question_id = q.id
+            ),
+            'pairs', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', qmp.id,
+                        'left_text', qmp.left_text,
+                        'right_text', qmp.right_text,
+                        'is_correct', qmp.right_text = p_answer_data->>qmp.id::TEXT
+                    ) ORDER BY qmp.order_index
+                )
+                FROM public.question_match_pairs qmp
+                WHERE qmp.question_id = q.id
+            ),
+            'accepted_orders', (
+                SELECT json_agg(qrs.tokens ORDER BY qrs.is_primary DESC, qrs.id)
+                FROM public.question_reorder_sequences qrs
+                WHERE qrs.question_id = q.id
+            )
+        )
+        FROM public.questions q
+        WHERE q.id = p_question_id
+    );
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+CREATE OR REPLACE FUNCTION get_practice_feedback(p_attempt_id INTEGER, p_question_id INTEGER)
+RETURNS JSON AS $$
+DECLARE
+    v_key_visible BOOLEAN := practice_key_visible(p_attempt_id);
+BEGIN
+    RETURN (
+        SELECT (
+            CASE
+                WHEN v_key_visible THEN get_answer_feedback(qans.question_id, qans.answer_data)::JSONB
+                ELSE jsonb_build_object(
+                    'question_id', q.id,
+                    'transcript', q.transcript
+                )
+            END || jsonb_build_object(
+                'is_correct', qans.is_correct,
+                'credit', qans.credit,
+                'needs_grading', qans.needs_grading,
+                'key_hidden', NOT v_key_visible
+            )
+        )::JSON
+        FROM public.quiz_answers qans
+        JOIN public.questions q ON q.id = qans.question_id
+        WHERE qans.attempt_id = p_attempt_id
+          AND qans.question_id = p_question_id
+          AND qans.checked_at IS NOT NULL
+    );
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Adds the questions the student missed in completed attempts to their deck.
+-- Only automatically graded, active questions from the attempt's draw are collected, since a review is
+-- graded on the spot. Questions already in the deck keep their schedule
+CREATE OR REPLACE FUNCTION collect_review_items(p_student_id UUID)
+RETURNS VOID AS $$
+BEGIN
+    INSERT INTO public.review_items (student_id, question_id)
+    SELECT DISTINCT qa.student_id, qans.question_id
+    FROM public.quiz_answers qans
+    JOIN public.quiz_attempts qa ON qa.id = qans.attempt_id
+    JOIN public.attempt_questions aq
+      ON aq.attempt_id = qans.attempt_id AND aq.question_id = qans.question_id
+    JOIN public.questions q ON q.id = qans.question_id
+    WHERE qa.student_id = p_student_id
+      AND qa.is_completed = true
+      AND COALESCE(qans.credit, 0) < 1
+      AND NOT qans.needs_grading
+      AND NOT is_manually_graded(qans.question_id)
+      AND q.is_active = true
+    ON CONFLICT (student_id, question_id) DO NOTHING;
+END;
+$$ LANGUAGE plpgsql;
+
+-- How many review items the caller has due today and in total
+CREATE OR REPLACE FUNCTION get_review_summary()
+RETURNS JSON AS $$
+DECLARE
+    v_student_id UUID := auth.uid();
+BEGIN
+    PERFORM collect_review_items(v_student_id);
+
+    RETURN json_build_object(
+        'success', true,
+        'data', (
+            SELECT json_build_object(
+                'due_count', COUNT(*) FILTER (WHERE ri.due_on <= CURRENT_DATE),
+                'total_count', COUNT(*),
+                'next_due_on', MIN(ri.due_on) FILTER (WHERE ri.due_on > CURRENT_DATE)
+            )
+            FROM public.review_items ri
+            JOIN public.questions q ON q.id = ri.question_id
+            WHERE ri.student_id = v_student_id
+              AND q.is_active = true
+        )
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- The caller's due review items, most overdue first, each with its question.
+-- There is no attempt behind a review, so audio is handed out directly
+CREATE OR REPLACE FUNCTION get_review_session(p_limit INTEGER DEFAULT 20)
+RETURNS JSON AS $$
+DECLARE
+    v_student_id UUID := auth.uid();
+    v_item_ids INTEGER[];
+BEGIN
+    PERFORM collect_review_items(v_student_id);
+
+    SELECT array_agg(id ORDER BY due_on, id) INTO v_item_ids
+    FROM (
+        SELECT ri.id, ri.due_on
+        FROM public.review_items ri
+        JOIN public.questions q ON q.id = ri.question_id
+        WHERE ri.student_id = v_student_id
+          AND ri.due_on <= CURRENT_DATE
+          AND q.is_active = true
+        ORDER BY ri.due_on, ri.id
+        LIMIT GREATEST(COALESCE(p_limit, 20), 1)
+    ) due;
+
+    RETURN json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'items', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', ri.id,
+                        'due_on', ri.due_on,
+                        'repetitions', ri.repetitions,
+                        'question', get_quiz_question_payload(ri.question_id)::JSONB
+                            || jsonb_build_object('audio_url', q.audio_url)
+                    ) ORDER BY t.ord
+                )
+                FROM unnest(v_item_ids) WITH ORDINALITY AS t(item_id, ord)
+                JOIN public.review_items ri ON ri.id = t.item_id
+                JOIN public.questions q ON q.id = ri.question_id
+            ),
+            'passages', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', rp.id,
+                        'title', rp.title,
+                        'content', rp.content,
+                        'image_url', rp.image_url,
+                        'audio_url', rp.audio_url
+                    )
+                )
+                FROM public.reading_passages rp
+                WHERE rp.id IN (
+                    SELECT q.passage_id
+                    FROM public.review_items ri
+                    JOIN public.questions q ON q.id = ri.question_id
+                    WHERE ri.id = ANY(v_item_ids)
+                )
+            )
+        )
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Grades a review of one of the caller's items and reschedules it with SM-2.
+-- The answer's credit gives the review quality from 0 to 5; below 3 the item
+-- starts over and comes back tomorrow
+CREATE OR REPLACE FUNCTION submit_review_answer(p_item_id INTEGER, p_answer JSON)
+RETURNS JSON AS $$
+DECLARE
+    v_item public.review_items%ROWTYPE;
+    v_credit DECIMAL;
+    v_quality INTEGER;
+    v_ease_factor DECIMAL;
+    v_repetitions INTEGER;
+    v_interval INTEGER;
+    v_answer_data JSONB;
+BEGIN
+    SELECT * INTO v_item
+    FROM public.review_items
+    WHERE id = p_item_id AND student_id = auth.uid()
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Review item not found');
+    END IF;
+
+    IF p_answer IS NULL THEN
+        RETURN json_build_object('success', false, 'error', 'Answer the question before checking it');
+    END IF;
+
+    v_credit := grade_quiz_answer(v_item.question_id, p_answer);
+    v_quality := ROUND(LEAST(GREATEST(v_credit, 0), 1) * 5);
+
+    v_ease_factor := GREATEST(
+        1.3,
+        v_item.ease_factor + (0.1 - (5 - v_quality) * (0.08 + (5 - v_quality) * 0.02))
+    );
+
+    IF v_quality < 3 THEN
+        v_repetitions := 0;
+        v_interval := 1;
+    ELSE
+        v_repetitions := v_item.repetitions + 1;
+        v_interval := CASE
+            WHEN v_repetitions = 1 THEN 1
+            WHEN v_repetitions = 2 THEN 6
+            ELSE CEIL(v_item.interval_days * v_ease_factor)
+        END;
+    END IF;
+
+    UPDATE public.review_items
+    SET
+        ease_factor = v_ease_factor,
+        repetitions = v_repetitions,
+        interval_days = v_interval,
+        due_on = CURRENT_DATE + v_interval,
+        last_reviewed_at = NOW()
+    WHERE id = p_item_id;
+
+    -- Marked against the answer the same way a quiz answer is stored
+    v_answer_data := COALESCE((p_answer->'answer_data')::JSONB, '{}'::JSONB);
+
+    RETURN json_build_object(
+        'success', true,
+        'data', (
+            get_answer_feedback(v_item.question_id, v_answer_data)::JSONB || jsonb_build_object(
+                'item_id', p_item_id,
+                'is_correct', v_credit >= 1,
+                'credit', v_credit,
+                'needs_grading', false,
+                'interval_days', v_interval,
+                'due_on', CURRENT_DATE + v_interval
+            )
+        )::JSON
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT SELECT ON public.review_items TO authenticated;
+GRANT EXECUTE ON FUNCTION get_review_summary() TO authenticated;
+GRANT EXECUTE ON FUNCTION get_review_session(INTEGER) TO authenticated;
+GRANT EXECUTE ON FUNCTION submit_review_answer(INTEGER, JSON) TO authenticated;
+
+REVOKE EXECUTE ON FUNCTION get_answer_feedback(INTEGER, JSONB) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION collect_review_items(UUID) FROM PUBLIC, anon, authenticated;
+
+COMMENT ON TABLE public.review_items IS 'Each student''s deck of missed questions, scheduled for review with SM-2.';
+COMMENT ON FUNCTION get_review_summary() IS 'Collects newly missed questions into the caller''s review deck and counts the items due today.';
+COMMENT ON FUNCTION get_review_session(INTEGER) IS 'Returns the caller''s due review items with their questions, most overdue first.';
+COMMENT ON FUNCTION submit_review_answer(INTEGER, JSON) IS 'Grades a review, reschedules the item with SM-2 and returns the correct answer and explanation.';
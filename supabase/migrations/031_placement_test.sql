@@ -0,0 +1,618 @@
+-- Migration 031: Placement test
+-- The placement test runs a short adaptive attempt in each active category in
+-- turn and recommends a starting level per category. Each category stops as
+-- soon as its level is clear, so the whole test stays short. The recommended
+-- levels are saved on the student's profile and marked on the matching
+-- quizzes. Placement attempts are kept out of the retake policy, the counted
+-- scores and the progress statistics, like practice attempts
+
+ALTER TABLE public.quiz_attempts
+    DROP CONSTRAINT IF EXISTS quiz_attempts_mode_check;
+
+ALTER TABLE public.quiz_attempts
+    ADD CONSTRAINT quiz_attempts_mode_check CHECK (mode IN ('standard', 'adaptive', 'practice', 'placement'));
+
+COMMENT ON COLUMN public.quiz_attempts.mode IS 'standard: a fixed draw from one level; adaptive: one question at a time across the difficulty ladder; practice: answers checked as they are given, not counted; placement: a short adaptive run within the placement test, not counted.';
+
+ALTER TABLE public.users
+    ADD COLUMN IF NOT EXISTS recommended_levels JSONB NOT NULL DEFAULT '{}'::jsonb,
+    ADD COLUMN IF NOT EXISTS placement_started_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS placement_completed_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN public.users.recommended_levels IS 'Starting level recommended by the placement test, as {"<category_id>": <difficulty_id>}.';
+COMMENT ON COLUMN public.users.placement_started_at IS 'When the current run of the placement test started; categories placed before it are taken again.';
+COMMENT ON COLUMN public.users.placement_completed_at IS 'When every category of the current placement test run was placed.';
+
+-- How long an adaptive run lasts: at most max_questions, and it may stop once the
+-- standard error is below target_se after at least min_questions. The placement
+-- test covers every category, so each of its runs is shorter and less precise
+CREATE OR REPLACE FUNCTION adaptive_stopping_rule(
+    p_mode VARCHAR,
+    OUT max_questions INTEGER,
+    OUT min_questions INTEGER,
+    OUT target_se DECIMAL
+) AS $$
+BEGIN
+    IF p_mode = 'placement' THEN
+        max_questions := 6;
+        min_questions := 3;
+        target_se := 0.7;
+    ELSE
+        max_questions := 15;
+        min_questions := 8;
+        target_se := 0.5;
+    END IF;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Categories the placement test covers: active ones with at least one question
+-- an adaptive run can serve
+CREATE OR REPLACE FUNCTION placement_categories()
+RETURNS SETOF public.categories AS $$
+BEGIN
+    RETURN QUERY
+    SELECT c.*
+    FROM public.categories c
+    WHERE c.is_active = true
+      AND EXISTS (
+          SELECT 1
+          FROM public.questions q
+          WHERE q.category_id = c.id
+            AND q.is_active = true
+            AND q.passage_id IS NULL
+            AND NOT is_manually_graded(q.id)
+      )
+    ORDER BY c.name;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Progress of a student's current placement test run: each category with its
+-- status and, once placed, the recommended level
+CREATE OR REPLACE FUNCTION get_placement_overview(p_student_id UUID)
+RETURNS JSON AS $$
+DECLARE
+    v_started_at TIMESTAMP WITH TIME ZONE;
+BEGIN
+    SELECT placement_started_at INTO v_started_at
+    FROM public.users
+    WHERE id = p_student_id;
+
+    RETURN (
+        SELECT json_build_object(
+            'started_at', u.placement_started_at,
+            'completed_at', u.placement_completed_at,
+            'categories', (
+                SELECT json_agg(
+                    json_build_object(
+                        'category_id', pc.id,
+                        'category_name', pc.name,
+                        'status', CASE
+                            WHEN placed.id IS NOT NULL THEN 'placed'
+                            WHEN EXISTS (
+                                SELECT 1
+                                FROM public.quiz_attempts qa
+                                WHERE qa.student_id = p_student_id
+                                  AND qa.category_id = pc.id
+                                  AND qa.mode = 'placement'
+                                  AND qa.is_completed = false
+                            ) THEN 'in_progress'
+                            ELSE 'pending'
+                        END,
+                        'difficulty_id', placed.estimated_difficulty_id,
+                        'difficulty_name', dl.name,
+                        'answered_count', placed.total_questions
+                    ) ORDER BY pc.name
+                )
+                FROM placement_categories() pc
+                LEFT JOIN LATERAL (
+                    SELECT qa.id, qa.estimated_difficulty_id, qa.total_questions
+                    FROM public.quiz_attempts qa
+                    WHERE qa.student_id = p_student_id
+                      AND qa.category_id = pc.id
+                      AND qa.mode = 'placement'
+                      AND qa.is_completed = true
+                      AND qa.completed_at >= v_started_at
+                    ORDER BY qa.completed_at DESC
+                    LIMIT 1
+                ) placed ON true
+                LEFT JOIN public.difficulty_levels dl ON dl.id = placed.estimated_difficulty_id
+            )
+        )
+        FROM public.users u
+        WHERE u.id = p_student_id
+    );
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- What the client needs to show the current state of an adaptive attempt
+CREATE OR REPLACE FUNCTION get_adaptive_attempt_state(p_attempt_id INTEGER, p_question_id INTEGER)
+RETURNS JSON AS $$
+BEGIN
+    RETURN (
+        SELECT json_build_object(
+            'attempt_id', qa.id,
+            'category_id', qa.category_id,
+            'category_name', c.name,
+            'mode', qa.mode,
+            'is_completed', qa.is_completed,
+            'answered_count', (
+                SELECT COUNT(*)
+                FROM public.quiz_answers
+                WHERE attempt_id = qa.id
+            ),
+            'max_questions', (SELECT max_questions FROM adaptive_stopping_rule(qa.mode)),
+            'plays_used', (
+                SELECT COUNT(*)
+                FROM public.quiz_audio_plays
+                WHERE attempt_id = qa.id AND question_id = p_question_id
+            ),
+            'question', CASE
+                WHEN p_question_id IS NOT NULL THEN get_attempt_question_payload(qa.id, p_question_id)
+            END
+        )
+        FROM public.quiz_attempts qa
+        JOIN public.categories c ON c.id = qa.category_id
+        WHERE qa.id = p_attempt_id
+    );
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Ends an adaptive attempt: grades and scores it like a fixed-level attempt and
+-- records the estimated level as the attempt's level
+CREATE OR REPLACE FUNCTION finalize_adaptive_attempt(p_attempt_id INTEGER)
+RETURNS VOID AS $$
+DECLARE
+    v_estimate RECORD;
+BEGIN
+    PERFORM finalize_quiz_attempt(p_attempt_id);
+
+    SELECT * INTO v_estimate FROM estimate_adaptive_ability(p_attempt_id);
+
+    UPDATE public.quiz_attempts
+    SET
+        ability_estimate = v_estimate.ability,
+        ability_se = v_estimate.standard_error,
+        estimated_difficulty_id = difficulty_at_ladder_position(ROUND(v_estimate.ability)::INTEGER)
+    WHERE id = p_attempt_id;
+
+    -- A placement run saves its level as the student's starting level for the category
+    UPDATE public.users u
+    SET recommended_levels = u.recommended_levels || jsonb_build_object(qa.category_id::TEXT, qa.estimated_difficulty_id)
+    FROM public.quiz_attempts qa
+    WHERE qa.id = p_attempt_id
+      AND qa.mode = 'placement'
+      AND u.id = qa.student_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- The mode is a new parameter, so the old signature is dropped first
+DROP FUNCTION IF EXISTS start_adaptive_attempt(INTEGER);
+
+-- Starts or resumes the caller's adaptive attempt (or placement run) in a
+-- category and returns its current question. A new attempt starts at the level
+-- of the student's last result of the same mode in the category, or in the
+-- middle of the ladder
+CREATE OR REPLACE FUNCTION start_adaptive_attempt(
+    p_category_id INTEGER,
+    p_mode VARCHAR DEFAULT 'adaptive'
+)
+RETURNS JSON AS $$
+DECLARE
+    v_student_id UUID := auth.uid();
+    v_attempt_id INTEGER;
+    v_is_resumed BOOLEAN := false;
+    v_start_difficulty_id INTEGER;
+    v_question_id INTEGER;
+BEGIN
+    IF v_student_id IS NULL THEN
+        RETURN json_build_object('success', false, 'error', 'You must be signed in to take a quiz');
+    END IF;
+
+    IF p_mode NOT IN ('adaptive', 'placement') THEN
+        RETURN json_build_object('success', false, 'error', 'Unknown quiz mode');
+    END IF;
+
+    SELECT id INTO v_attempt_id
+    FROM public.quiz_attempts
+    WHERE student_id = v_student_id
+      AND category_id = p_category_id
+      AND mode = p_mode
+      AND is_completed = false
+    FOR UPDATE;
+
+    IF v_attempt_id IS NOT NULL THEN
+        v_is_resumed := true;
+    ELSE
+        SELECT COALESCE(estimated_difficulty_id, difficulty_id) INTO v_start_difficulty_id
+        FROM public.quiz_attempts
+        WHERE student_id = v_student_id
+          AND category_id = p_category_id
+          AND mode = p_mode
+          AND is_completed = true
+        ORDER BY completed_at DESC
+        LIMIT 1;
+
+        IF v_start_difficulty_id IS NULL THEN
+            v_start_difficulty_id := difficulty_at_ladder_position(
+                (((SELECT COUNT(*) FROM public.difficulty_levels) - 1) / 2)::INTEGER
+            );
+        END IF;
+
+        IF v_start_difficulty_id IS NULL THEN
+            RETURN json_build_object('success', false, 'error', 'No difficulty levels are set up');
+        END IF;
+
+        INSERT INTO public.quiz_attempts (student_id, category_id, difficulty_id, total_questions, mode, negative_marking)
+        VALUES (v_student_id, p_category_id, v_start_difficulty_id, 0, p_mode, 0)
+        RETURNING id INTO v_attempt_id;
+    END IF;
+
+    -- The current question is the last one served that has not been answered yet
+    SELECT aq.question_id INTO v_question_id
+    FROM public.attempt_questions aq
+    WHERE aq.attempt_id = v_attempt_id
+      AND NOT EXISTS (
+          SELECT 1
+          FROM public.quiz_answers qans
+          WHERE qans.attempt_id = aq.attempt_id AND qans.question_id = aq.question_id
+      )
+    ORDER BY aq.order_index DESC
+    LIMIT 1;
+
+    IF v_question_id IS NULL THEN
+        v_question_id := add_next_adaptive_question(v_attempt_id);
+    END IF;
+
+    IF v_question_id IS NULL THEN
+        IF v_is_resumed THEN
+            PERFORM finalize_adaptive_attempt(v_attempt_id);
+            RETURN json_build_object(
+                'success', true,
+                'data', get_adaptive_attempt_state(v_attempt_id, NULL)
+            );
+        END IF;
+
+        DELETE FROM public.quiz_attempts WHERE id = v_attempt_id;
+        RETURN json_build_object('success', false, 'error', 'This category has no questions for an adaptive quiz yet');
+    END IF;
+
+    RETURN json_build_object(
+        'success', true,
+        'data', get_adaptive_attempt_state(v_attempt_id, v_question_id)::JSONB
+            || jsonb_build_object('is_resumed', v_is_resumed)
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Grades the answer to the current question of the caller's adaptive attempt or
+-- placement run, updates the ability estimate and either serves the next
+-- question or ends the attempt. Correctness is not returned, so the student
+-- cannot tell which way the test is heading. The attempt ends at the mode's
+-- question limit, once the estimate is precise enough, or when the category
+-- runs out
+CREATE OR REPLACE FUNCTION answer_adaptive_question(
+    p_attempt_id INTEGER,
+    p_question_id INTEGER,
+    p_answer JSON
+)
+RETURNS JSON AS $$
+DECLARE
+    v_current_question_id INTEGER;
+    v_credit DECIMAL;
+    v_estimate RECORD;
+    v_answered INTEGER;
+    v_next_question_id INTEGER;
+    v_rule RECORD;
+BEGIN
+    SELECT stop_rule.* INTO v_rule
+    FROM public.quiz_attempts qa, adaptive_stopping_rule(qa.mode) stop_rule
+    WHERE qa.id = p_attempt_id
+      AND qa.student_id = auth.uid()
+      AND qa.mode IN ('adaptive', 'placement')
+      AND qa.is_completed = false
+    FOR UPDATE OF qa;
+
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Quiz attempt not found or already submitted');
+    END IF;
+
+    SELECT aq.question_id INTO v_current_question_id
+    FROM public.attempt_questions aq
+    WHERE aq.attempt_id = p_attempt_id
+    ORDER BY aq.order_index DESC
+    LIMIT 1;
+
+    IF v_current_question_id IS DISTINCT FROM p_question_id
+       OR EXISTS (
+           SELECT 1
+           FROM public.quiz_answers
+           WHERE attempt_id = p_attempt_id AND question_id = p_question_id
+       ) THEN
+        RETURN json_build_object('success', false, 'error', 'This is not the current question of the attempt');
+    END IF;
+
+    IF p_answer IS NULL THEN
+        RETURN json_build_object('success', false, 'error', 'Answer the question before moving on');
+    END IF;
+
+    PERFORM upsert_quiz_answer(p_attempt_id, p_question_id, p_answer);
+
+    v_credit := grade_quiz_answer(p_question_id, p_answer);
+
+    UPDATE public.quiz_answers
+    SET
+        is_correct = v_credit >= 1,
+        credit = v_credit,
+        needs_grading = false
+    WHERE attempt_id = p_attempt_id AND question_id = p_question_id;
+
+    SELECT * INTO v_estimate FROM estimate_adaptive_ability(p_attempt_id);
+
+    UPDATE public.quiz_attempts
+    SET
+        ability_estimate = v_estimate.ability,
+        ability_se = v_estimate.standard_error
+    WHERE id = p_attempt_id;
+
+    SELECT COUNT(*) INTO v_answered
+    FROM public.quiz_answers
+    WHERE attempt_id = p_attempt_id;
+
+    IF v_answered < v_rule.max_questions
+       AND NOT (v_answered >= v_rule.min_questions AND v_estimate.standard_error < v_rule.target_se) THEN
+        v_next_question_id := add_next_adaptive_question(p_attempt_id);
+    END IF;
+
+    IF v_next_question_id IS NULL THEN
+        PERFORM finalize_adaptive_attempt(p_attempt_id);
+    END IF;
+
+    RETURN json_build_object(
+        'success', true,
+        'data', get_adaptive_attempt_state(p_attempt_id, v_next_question_id)
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Starts, resumes or restarts the caller's placement test and returns its
+-- progress with the current question. Categories are taken one at a time: an
+-- unfinished one first, then the next one not yet placed in this run. Once
+-- every category is placed the run is complete and there is no current question
+CREATE OR REPLACE FUNCTION start_placement_test(p_restart BOOLEAN DEFAULT false)
+RETURNS JSON AS $$
+DECLARE
+    v_student_id UUID := auth.uid();
+    v_started_at TIMESTAMP WITH TIME ZONE;
+    v_category_id INTEGER;
+    v_start JSON;
+    v_current JSON;
+BEGIN
+    IF v_student_id IS NULL THEN
+        RETURN json_build_object('success', false, 'error', 'You must be signed in to take a quiz');
+    END IF;
+
+    SELECT placement_started_at INTO v_started_at
+    FROM public.users
+    WHERE id = v_student_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'User profile not found');
+    END IF;
+
+    IF p_restart OR v_started_at IS NULL THEN
+        -- Unfinished runs of an earlier placement test are dropped
+        DELETE FROM public.quiz_attempts
+        WHERE student_id = v_student_id
+          AND mode = 'placement'
+          AND is_completed = false;
+
+        v_started_at := NOW();
+
+        UPDATE public.users
+        SET placement_started_at = v_started_at, placement_completed_at = NULL
+        WHERE id = v_student_id;
+    END IF;
+
+    LOOP
+        SELECT pc.id INTO v_category_id
+        FROM placement_categories() pc
+        WHERE NOT EXISTS (
+            SELECT 1
+            FROM public.quiz_attempts qa
+            WHERE qa.student_id = v_student_id
+              AND qa.category_id = pc.id
+              AND qa.mode = 'placement'
+              AND qa.is_completed = true
+              AND qa.completed_at >= v_started_at
+        )
+        ORDER BY EXISTS (
+            SELECT 1
+            FROM public.quiz_attempts qa
+            WHERE qa.student_id = v_student_id
+              AND qa.category_id = pc.id
+              AND qa.mode = 'placement'
+              AND qa.is_completed = false
+        ) DESC, pc.name
+        LIMIT 1;
+
+        EXIT WHEN v_category_id IS NULL;
+
+        v_start := start_adaptive_attempt(v_category_id, 'placement');
+
+        IF NOT (v_start->>'success')::BOOLEAN THEN
+            RETURN v_start;
+        END IF;
+
+        -- A resumed run ends here when its category has run out of questions
+        IF NOT (v_start->'data'->>'is_completed')::BOOLEAN THEN
+            v_current := v_start->'data';
+            EXIT;
+        END IF;
+    END LOOP;
+
+    IF v_current IS NULL THEN
+        UPDATE public.users
+        SET placement_completed_at = COALESCE(placement_completed_at, NOW())
+        WHERE id = v_student_id;
+    END IF;
+
+    RETURN json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'overview', get_placement_overview(v_student_id),
+            'current', v_current
+        )
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Quizzes the student can take, with the level their placement test recommends
+CREATE OR REPLACE FUNCTION get_available_quizzes(p_student_id UUID DEFAULT NULL)
+RETURNS JSON AS $$
+DECLARE
+    v_student_id UUID := auth.uid();
+    v_recommended JSONB;
+BEGIN
+    -- Tutors may look at a student's quizzes; students only see their own
+    IF p_student_id IS NOT NULL AND is_tutor_or_admin(auth.uid()) THEN
+        v_student_id := p_student_id;
+    END IF;
+
+    SELECT recommended_levels INTO v_recommended
+    FROM public.users
+    WHERE id = v_student_id;
+
+    RETURN json_build_object(
+        'success', true,
+        'data', (
+            SELECT json_agg(
+                json_build_object(
+                    'id', c.id,
+                    'name', c.name,
+                    'description', c.description,
+                    -- Starting level from the student's placement test, if taken
+                    'recommended_difficulty_id', (v_recommended->>c.id::TEXT)::INTEGER,
+                    'difficulties', (
+                        SELECT json_agg(
+                            json_build_object(
+                                'id', dl.id,
+                                'name', dl.name,
+                                'description', dl.description,
+                                -- Questions per attempt: the configured count, capped by the active questions
+                                'question_count', LEAST(
+                                    (
+                                        SELECT COUNT(*)
+                                        FROM public.questions q
+                                        WHERE q.category_id = c.id
+                                          AND q.difficulty_id = dl.id
+                                          AND q.is_active = true
+                                    ),
+                                    COALESCE(qs.question_count, 10)
+                                ),
+                                'policy', get_quiz_policy(v_student_id, c.id, dl.id),
+                                'is_recommended', COALESCE((v_recommended->>c.id::TEXT)::INTEGER = dl.id, false)
+                            ) ORDER BY dl.order_index
+                        )
+                        FROM public.difficulty_levels dl
+                        LEFT JOIN public.quiz_settings qs
+                          ON qs.category_id = c.id AND qs.difficulty_id = dl.id
+                        WHERE dl.is_active = true
+                        AND EXISTS (
+                            SELECT 1 FROM public.questions q
+                            WHERE q.category_id = c.id
+                              AND q.difficulty_id = dl.id
+                              AND q.is_active = true
+                        )
+                    )
+                ) ORDER BY c.name
+            )
+            FROM public.categories c
+            WHERE c.is_active = true
+            AND EXISTS (
+                SELECT 1 FROM public.questions q
+                WHERE q.category_id = c.id AND q.is_active = true
+            )
+        )
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Progress statistics leave placement runs out, like practice attempts
+CREATE OR REPLACE FUNCTION get_student_progress(p_student_id UUID)
+RETURNS JSON AS $$
+DECLARE
+    v_result JSON;
+BEGIN
+    SELECT json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'totalAttempts', (
+                SELECT COUNT(*)
+                FROM public.quiz_attempts
+                WHERE student_id = p_student_id AND is_completed = true AND mode NOT IN ('practice', 'adaptive', 'placement')
+            ),
+            -- Averages use one counted score per quiz, chosen by its scoring policy
+            'averageScore', (
+                SELECT COALESCE(ROUND(AVG(score), 2), 0)
+                FROM public.quiz_policy_scores
+                WHERE student_id = p_student_id
+            ),
+            'bestScore', (
+                SELECT COALESCE(MAX(score), 0)
+                FROM public.quiz_policy_scores
+                WHERE student_id = p_student_id
+            ),
+            'categoryStats', (
+                SELECT json_object_agg(
+                    c.name,
+                    json_build_object(
+                        'attempts', stats.attempts,
+                        'averageScore', stats.avg_score,
+                        'bestScore', stats.best_score
+                    )
+                )
+                FROM (
+                    SELECT
+                        qps.category_id,
+                        SUM(qps.attempts) as attempts,
+                        ROUND(AVG(qps.score), 2) as avg_score,
+                        MAX(qps.score) as best_score
+                    FROM public.quiz_policy_scores qps
+                    WHERE qps.student_id = p_student_id
+                    GROUP BY qps.category_id
+                ) stats
+                JOIN public.categories c ON c.id = stats.category_id
+            ),
+            'recentAttempts', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', qa.id,
+                        'category_name', c.name,
+                        'difficulty_name', dl.name,
+                        'score', qa.score,
+                        'completed_at', qa.completed_at
+                    ) ORDER BY qa.completed_at DESC
+                )
+                FROM public.quiz_attempts qa
+                JOIN public.categories c ON c.id = qa.category_id
+                JOIN public.difficulty_levels dl ON dl.id = qa.difficulty_id
+                WHERE qa.student_id = p_student_id AND qa.is_completed = true AND qa.mode NOT IN ('practice', 'adaptive', 'placement')
+                LIMIT 10
+            )
+        )
+    ) INTO v_result;
+
+    RETURN v_result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION start_adaptive_attempt(INTEGER, VARCHAR) TO authenticated;
+GRANT EXECUTE ON FUNCTION start_placement_test(BOOLEAN) TO authenticated;
+
+REVOKE EXECUTE ON FUNCTION adaptive_stopping_rule(VARCHAR) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION placement_categories() FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION get_placement_overview(UUID) FROM PUBLIC, anon, authenticated;
+
+COMMENT ON FUNCTION start_adaptive_attempt(INTEGER, VARCHAR) IS 'Starts or resumes the caller''s adaptive attempt or placement run in a category and returns its current question.';
+COMMENT ON FUNCTION start_placement_test(BOOLEAN) IS 'Starts, resumes or restarts the caller''s placement test and returns its progress with the current question.';
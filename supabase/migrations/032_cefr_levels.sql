@@ -0,0 +1,262 @@
+-- Migration 032: CEFR levels
+-- Difficulty levels and individual questions are tagged with a CEFR level
+-- (A1-C2), and each category maps quiz scores to CEFR levels: scoring at least
+-- a band's minimum on a level's quiz shows that CEFR level in the category.
+-- Quizzes without bands fall back to the difficulty level's CEFR level once
+-- the pass mark is reached. The student's estimated CEFR level per category
+-- is the highest level their counted scores show
+
+CREATE TABLE IF NOT EXISTS public.cefr_levels (
+    code VARCHAR(2) PRIMARY KEY,
+    name VARCHAR(50) NOT NULL,
+    descriptor TEXT NOT NULL,
+    order_index INTEGER NOT NULL UNIQUE
+);
+
+INSERT INTO public.cefr_levels (code, name, descriptor, order_index) VALUES
+    ('A1', 'Breakthrough', 'Can understand and use familiar everyday expressions and very basic phrases aimed at concrete needs.', 1),
+    ('A2', 'Waystage', 'Can understand frequently used expressions about familiar matters such as family, shopping and work, and handle simple routine exchanges.', 2),
+    ('B1', 'Threshold', 'Can understand the main points of clear standard language on familiar matters and produce simple connected text on familiar topics.', 3),
+    ('B2', 'Vantage', 'Can understand the main ideas of complex text on concrete and abstract topics and interact with a degree of fluency and spontaneity.', 4),
+    ('C1', 'Effective Operational Proficiency', 'Can understand a wide range of demanding, longer texts and express ideas fluently and flexibly for social, academic and professional purposes.', 5),
+    ('C2', 'Mastery', 'Can understand with ease virtually everything heard or read and express themselves spontaneously, very fluently and precisely.', 6)
+ON CONFLICT (code) DO NOTHING;
+
+ALTER TABLE public.difficulty_levels
+    ADD COLUMN IF NOT EXISTS cefr_level VARCHAR(2) REFERENCES public.cefr_levels(code);
+
+ALTER TABLE public.questions
+    ADD COLUMN IF NOT EXISTS cefr_level VARCHAR(2) REFERENCES public.cefr_levels(code);
+
+-- The CEFR level a quiz at each of the standard levels targets
+UPDATE public.difficulty_levels SET cefr_level = 'A1' WHERE name = 'Beginner' AND cefr_level IS NULL;
+UPDATE public.difficulty_levels SET cefr_level = 'B1' WHERE name = 'Intermediate' AND cefr_level IS NULL;
+UPDATE public.difficulty_levels SET cefr_level = 'C1' WHERE name = 'Advanced' AND cefr_level IS NULL;
+
+CREATE TABLE IF NOT EXISTS public.cefr_score_bands (
+    id SERIAL PRIMARY KEY,
+    category_id INTEGER NOT NULL REFERENCES public.categories(id) ON DELETE CASCADE,
+    difficulty_id INTEGER NOT NULL REFERENCES public.difficulty_levels(id) ON DELETE CASCADE,
+    cefr_level VARCHAR(2) NOT NULL REFERENCES public.cefr_levels(code),
+    min_score DECIMAL(5,2) NOT NULL CHECK (min_score >= 0 AND min_score <= 100),
+    updated_by UUID REFERENCES public.users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (category_id, difficulty_id, cefr_level)
+);
+
+CREATE INDEX IF NOT EXISTS idx_cefr_score_bands_quiz ON public.cefr_score_bands(category_id, difficulty_id);
+
+CREATE TRIGGER update_cefr_score_bands_updated_at BEFORE UPDATE ON public.cefr_score_bands FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE public.cefr_levels ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.cefr_score_bands ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Everyone can view CEFR levels" ON public.cefr_levels
+    FOR SELECT USING (auth.role() = 'authenticated');
+
+CREATE POLICY "Everyone can view CEFR score bands" ON public.cefr_score_bands
+    FOR SELECT USING (auth.role() = 'authenticated');
+
+CREATE POLICY "Tutors can manage CEFR score bands" ON public.cefr_score_bands
+    FOR ALL USING (is_tutor_or_admin(auth.uid()));
+
+-- CEFR level a student's counted scores show in a category: for each quiz, the
+-- highest band whose minimum the score reaches, or the difficulty level's CEFR
+-- level at the pass mark when the quiz has no bands. NULL when nothing is shown
+CREATE OR REPLACE FUNCTION estimate_cefr_level(p_student_id UUID, p_category_id INTEGER)
+RETURNS VARCHAR AS $$
+BEGIN
+    RETURN (
+        SELECT cl.code
+        FROM public.quiz_policy_scores qps
+        JOIN public.difficulty_levels dl ON dl.id = qps.difficulty_id
+        LEFT JOIN public.quiz_settings qs
+          ON qs.category_id = qps.category_id AND qs.difficulty_id = qps.difficulty_id
+        JOIN public.cefr_levels cl ON CASE
+            WHEN EXISTS (
+                SELECT 1
+                FROM public.cefr_score_bands b
+                WHERE b.category_id = qps.category_id AND b.difficulty_id = qps.difficulty_id
+            ) THEN EXISTS (
+                SELECT 1
+                FROM public.cefr_score_bands b
+                WHERE b.category_id = qps.category_id
+                  AND b.difficulty_id = qps.difficulty_id
+                  AND b.cefr_level = cl.code
+                  AND qps.score >= b.min_score
+            )
+            ELSE cl.code = dl.cefr_level AND qps.score >= COALESCE(qs.pass_mark, 60)
+        END
+        WHERE qps.student_id = p_student_id
+          AND qps.category_id = p_category_id
+        ORDER BY cl.order_index DESC
+        LIMIT 1
+    );
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Quizzes the student can take, with each level's CEFR level
+CREATE OR REPLACE FUNCTION get_available_quizzes(p_student_id UUID DEFAULT NULL)
+RETURNS JSON AS $$
+DECLARE
+    v_student_id UUID := auth.uid();
+    v_recommended JSONB;
+BEGIN
+    -- Tutors may look at a student's quizzes; students only see their own
+    IF p_student_id IS NOT NULL AND is_tutor_or_admin(auth.uid()) THEN
+        v_student_id := p_student_id;
+    END IF;
+
+    SELECT recommended_levels INTO v_recommended
+    FROM public.users
+    WHERE id = v_student_id;
+
+    RETURN json_build_object(
+        'success', true,
+        'data', (
+            SELECT json_agg(
+                json_build_object(
+                    'id', c.id,
+                    'name', c.name,
+                    'description', c.description,
+                    -- Starting level from the student's placement test, if taken
+                    'recommended_difficulty_id', (v_recommended->>c.id::TEXT)::INTEGER,
+                    'difficulties', (
+                        SELECT json_agg(
+                            json_build_object(
+                                'id', dl.id,
+                                'name', dl.name,
+                                'description', dl.description,
+                                'cefr_level', dl.cefr_level,
+                                'cefr_descriptor', (
+                                    SELECT cl.descriptor
+                                    FROM public.cefr_levels cl
+                                    WHERE cl.code = dl.cefr_level
+                                ),
+                                -- Questions per attempt: the configured count, capped by the active questions
+                                'question_count', LEAST(
+                                    (
+                                        SELECT COUNT(*)
+                                        FROM public.questions q
+                                        WHERE q.category_id = c.id
+                                          AND q.difficulty_id = dl.id
+                                          AND q.is_active = true
+                                    ),
+                                    COALESCE(qs.question_count, 10)
+                                ),
+                                'policy', get_quiz_policy(v_student_id, c.id, dl.id),
+                                'is_recommended', COALESCE((v_recommended->>c.id::TEXT)::INTEGER = dl.id, false)
+                            ) ORDER BY dl.order_index
+                        )
+                        FROM public.difficulty_levels dl
+                        LEFT JOIN public.quiz_settings qs
+                          ON qs.category_id = c.id AND qs.difficulty_id = dl.id
+                        WHERE dl.is_active = true
+                        AND EXISTS (
+                            SELECT 1 FROM public.questions q
+                            WHERE q.category_id = c.id
+                              AND q.difficulty_id = dl.id
+                              AND q.is_active = true
+                        )
+                    )
+                ) ORDER BY c.name
+            )
+            FROM public.categories c
+            WHERE c.is_active = true
+            AND EXISTS (
+                SELECT 1 FROM public.questions q
+                WHERE q.category_id = c.id AND q.is_active = true
+            )
+        )
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Progress statistics with the estimated CEFR level per category
+CREATE OR REPLACE FUNCTION get_student_progress(p_student_id UUID)
+RETURNS JSON AS $$
+DECLARE
+    v_result JSON;
+BEGIN
+    SELECT json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'totalAttempts', (
+                SELECT COUNT(*)
+                FROM public.quiz_attempts
+                WHERE student_id = p_student_id AND is_completed = true AND mode NOT IN ('practice', 'adaptive', 'placement')
+            ),
+            -- Averages use one counted score per quiz, chosen by its scoring policy
+            'averageScore', (
+                SELECT COALESCE(ROUND(AVG(score), 2), 0)
+                FROM public.quiz_policy_scores
+                WHERE student_id = p_student_id
+            ),
+            'bestScore', (
+                SELECT COALESCE(MAX(score), 0)
+                FROM public.quiz_policy_scores
+                WHERE student_id = p_student_id
+            ),
+            'categoryStats', (
+                SELECT json_object_agg(
+                    c.name,
+                    json_build_object(
+                        'attempts', stats.attempts,
+                        'averageScore', stats.avg_score,
+                        'bestScore', stats.best_score,
+                        'cefr', (
+                            SELECT json_build_object(
+                                'level', cl.code,
+                                'name', cl.name,
+                                'descriptor', cl.descriptor
+                            )
+                            FROM public.cefr_levels cl
+                            WHERE cl.code = estimate_cefr_level(p_student_id, stats.category_id)
+                        )
+                    )
+                )
+                FROM (
+                    SELECT
+                        qps.category_id,
+                        SUM(qps.attempts) as attempts,
+                        ROUND(AVG(qps.score), 2) as avg_score,
+                        MAX(qps.score) as best_score
+                    FROM public.quiz_policy_scores qps
+                    WHERE qps.student_id = p_student_id
+                    GROUP BY qps.category_id
+                ) stats
+                JOIN public.categories c ON c.id = stats.category_id
+            ),
+            'recentAttempts', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', qa.id,
+                        'category_name', c.name,
+                        'difficulty_name', dl.name,
+                        'score', qa.score,
+                        'completed_at', qa.completed_at
+                    ) ORDER BY qa.completed_at DESC
+                )
+                FROM public.quiz_attempts qa
+                JOIN public.categories c ON c.id = qa.category_id
+                JOIN public.difficulty_levels dl ON dl.id = qa.difficulty_id
+                WHERE qa.student_id = p_student_id AND qa.is_completed = true AND qa.mode NOT IN ('practice', 'adaptive', 'placement')
+                LIMIT 10
+            )
+        )
+    ) INTO v_result;
+
+    RETURN v_result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT SELECT ON public.cefr_levels TO authenticated;
+
+REVOKE EXECUTE ON FUNCTION estimate_cefr_level(UUID, INTEGER) FROM PUBLIC, anon, authenticated;
+
+COMMENT ON TABLE public.cefr_levels IS 'The six CEFR levels with their global scale descriptors.';
+COMMENT ON TABLE public.cefr_score_bands IS 'Per category and difficulty: the minimum quiz score that shows each CEFR level.';
+COMMENT ON COLUMN public.difficulty_levels.cefr_level IS 'CEFR level a quiz at this level targets; shown once its pass mark is reached when the quiz has no score bands.';
+COMMENT ON COLUMN public.questions.cefr_level IS 'CEFR level of the question; NULL means the difficulty level''s.';
+COMMENT ON FUNCTION estimate_cefr_level(UUID, INTEGER) IS 'Highest CEFR level a student''s counted scores in a category show.';
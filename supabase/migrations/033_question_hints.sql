@@ -0,0 +1,955 @@
+-- Migration 033: Question hints
+-- Tutors can give a question one or more hints, revealed one at a time. Each
+-- hint a student reveals costs a share of the question's points, set per quiz
+-- in the quiz settings (practice hints are free). Reveals are logged per
+-- attempt and question; when the attempt is scored, the deduction comes off
+-- the points the answer earned, so a hint never costs more than the answer
+-- was worth
+
+CREATE TABLE IF NOT EXISTS public.question_hints (
+    id SERIAL PRIMARY KEY,
+    question_id INTEGER NOT NULL REFERENCES public.questions(id) ON DELETE CASCADE,
+    hint_text TEXT NOT NULL,
+    order_index INTEGER DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_question_hints_question ON public.question_hints(question_id);
+
+ALTER TABLE public.question_hints ENABLE ROW LEVEL SECURITY;
+
+-- Students only see hints they reveal through reveal_quiz_hint
+CREATE POLICY "Tutors can manage question hints" ON public.question_hints
+    FOR ALL USING (is_tutor_or_admin(auth.uid()));
+
+CREATE TABLE IF NOT EXISTS public.quiz_hint_reveals (
+    id SERIAL PRIMARY KEY,
+    attempt_id INTEGER NOT NULL REFERENCES public.quiz_attempts(id) ON DELETE CASCADE,
+    question_id INTEGER NOT NULL REFERENCES public.questions(id) ON DELETE CASCADE,
+    -- Kept when a tutor later deletes the hint, so the usage still counts
+    hint_id INTEGER REFERENCES public.question_hints(id) ON DELETE SET NULL,
+    hint_number INTEGER NOT NULL,
+    revealed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (attempt_id, question_id, hint_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_quiz_hint_reveals_attempt ON public.quiz_hint_reveals(attempt_id);
+
+ALTER TABLE public.quiz_hint_reveals ENABLE ROW LEVEL SECURITY;
+
+-- Reveals are only written by reveal_quiz_hint
+CREATE POLICY "Students can view their own hint reveals" ON public.quiz_hint_reveals
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1
+            FROM public.quiz_attempts qa
+            WHERE qa.id = attempt_id AND qa.student_id = auth.uid()
+        )
+    );
+
+CREATE POLICY "Tutors can view all hint reveals" ON public.quiz_hint_reveals
+    FOR SELECT USING (is_tutor_or_admin(auth.uid()));
+
+ALTER TABLE public.quiz_settings
+    ADD COLUMN IF NOT EXISTS hint_penalty DECIMAL(5,2) NOT NULL DEFAULT 25 CHECK (hint_penalty >= 0 AND hint_penalty <= 100);
+
+-- Copied from the quiz settings when the attempt starts, like negative marking
+ALTER TABLE public.quiz_attempts
+    ADD COLUMN IF NOT EXISTS hint_penalty DECIMAL(5,2) NOT NULL DEFAULT 0;
+
+ALTER TABLE public.quiz_answers
+    ADD COLUMN IF NOT EXISTS hints_used INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS hint_deduction DECIMAL(7,2) NOT NULL DEFAULT 0;
+
+COMMENT ON COLUMN public.quiz_settings.hint_penalty IS 'Percentage of a question''s points each revealed hint costs.';
+COMMENT ON COLUMN public.quiz_attempts.hint_penalty IS 'Hint penalty in force for the attempt; 0 for practice.';
+COMMENT ON COLUMN public.quiz_answers.hints_used IS 'Hints revealed for the question during the attempt.';
+COMMENT ON COLUMN public.quiz_answers.hint_deduction IS 'Points the revealed hints took off the answer.';
+
+-- Reveals the next hint of a question in the caller's open attempt and logs it.
+-- Hints come in order, and a hint stays revealed if the page is reloaded
+CREATE OR REPLACE FUNCTION reveal_quiz_hint(p_attempt_id INTEGER, p_question_id INTEGER)
+RETURNS JSON AS $$
+DECLARE
+    v_hints_used INTEGER;
+    v_hint_count INTEGER;
+    v_hint RECORD;
+BEGIN
+    -- Lock the attempt so two quick clicks cannot reveal the same hint twice
+    PERFORM 1
+    FROM public.quiz_attempts
+    WHERE id = p_attempt_id
+      AND student_id = auth.uid()
+      AND mode IN ('standard', 'practice')
+      AND is_completed = false
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Quiz attempt not found or already submitted');
+    END IF;
+
+    IF attempt_time_is_up(p_attempt_id) THEN
+        RETURN json_build_object('success', false, 'error', 'Time is up for this attempt');
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1
+        FROM public.attempt_questions
+        WHERE attempt_id = p_attempt_id AND question_id = p_question_id
+    ) THEN
+        RETURN json_build_object('success', false, 'error', 'This question is not part of the attempt');
+    END IF;
+
+    IF EXISTS (
+        SELECT 1
+        FROM public.quiz_answers
+        WHERE attempt_id = p_attempt_id AND question_id = p_question_id AND checked_at IS NOT NULL
+    ) THEN
+        RETURN json_build_object('success', false, 'error', 'This answer has already been checked');
+    END IF;
+
+    SELECT COUNT(*) INTO v_hints_used
+    FROM public.quiz_hint_reveals
+    WHERE attempt_id = p_attempt_id AND question_id = p_question_id;
+
+    SELECT COUNT(*) INTO v_hint_count
+    FROM public.question_hints
+    WHERE question_id = p_question_id;
+
+    SELECT id, hint_text INTO v_hint
+    FROM public.question_hints
+    WHERE question_id = p_question_id
+    ORDER BY order_index, id
+    OFFSET v_hints_used
+    LIMIT 1;
+
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'There are no more hints for this question');
+    END IF;
+
+    INSERT INTO public.quiz_hint_reveals (attempt_id, question_id, hint_id, hint_number)
+    VALUES (p_attempt_id, p_question_id, v_hint.id, v_hints_used + 1);
+
+    RETURN json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'question_id', p_question_id,
+            'hint_number', v_hints_used + 1,
+            'hint_text', v_hint.hint_text,
+            'hints_used', v_hints_used + 1,
+            'hint_count', v_hint_count
+        )
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- The question as a student sees it, with the number of hints it has
+CREATE OR REPLACE FUNCTION get_quiz_question_payload(p_question_id INTEGER)
+RETURNS JSON AS $$
+BEGIN
+    RETURN (
+        SELECT json_build_object(
+            'id', q.id,
+            'question_type', q.question_type,
+            'question_text', q.question_text,
+            'image_url', q.image_url,
+            -- The audio URL is only handed out by register_audio_play, which enforces the play limit
+            'has_audio', q.audio_url IS NOT NULL,
+            'max_plays', q.max_plays,
+            'passage_id', q.passage_id,
+            'min_words', q.min_words,
+            'max_words', q.max_words,
+            'recording_time_limit', q.recording_time_limit,
+            -- Only the count; the texts are handed out by reveal_quiz_hint
+            'hint_count', (
+                SELECT COUNT(*)
+                FROM public.question_hints qh
+                WHERE qh.question_id = q.id
+            ),
+            'rubric', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', qrc.id,
+                        'name', qrc.name,
+                        'description', qrc.description,
+                        'max_score', qrc.max_score
+                    ) ORDER BY qrc.order_index
+                )
+                FROM public.question_rubric_criteria qrc
+                WHERE qrc.question_id = q.id
+            ),
+            'tokens', (
+                -- Reorder tiles come from the primary order, shuffled
+                SELECT json_agg(token ORDER BY RANDOM())
+                FROM public.question_reorder_sequences qrs, unnest(qrs.tokens) AS token
+                WHERE qrs.question_id = q.id
+                  AND qrs.is_primary = true
+            ),
+            'match_items', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', qmp.id,
+                        'text', qmp.left_text
+                    ) ORDER BY qmp.order_index
+                )
+                FROM public.question_match_pairs qmp
+                WHERE qmp.question_id = q.id
+            ),
+            'match_choices', (
+                -- Right-hand texts are shuffled and carry no ids, so they do not reveal the pairing
+                SELECT json_agg(qmp.right_text ORDER BY RANDOM())
+                FROM public.question_match_pairs qmp
+                WHERE qmp.question_id = q.id
+            ),
+            'blank_count', (
+                SELECT COUNT(*)
+                FROM public.question_blanks qb
+                WHERE qb.question_id = q.id
+            ),
+            'options', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', qo.id,
+                        'option_text', qo.option_text
+                    ) ORDER BY qo.order_index
+                )
+                FROM public.question_options qo
+                WHERE qo.question_id = q.id
+            )
+        )
+        FROM public.questions q
+        WHERE q.id = p_question_id
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- The retake policy and settings of a quiz, with its hint penalty
+CREATE OR REPLACE FUNCTION get_quiz_policy(
+    p_student_id UUID,
+    p_category_id INTEGER,
+    p_difficulty_id INTEGER
+)
+RETURNS JSON AS $$
+DECLARE
+    v_max_attempts INTEGER := 1;
+    v_cooldown_minutes INTEGER := 0;
+    v_score_policy VARCHAR(10) := 'best';
+    v_time_limit_minutes INTEGER := 30;
+    v_question_count INTEGER := 10;
+    v_pass_mark DECIMAL(5,2) := 60;
+    v_negative_marking DECIMAL(5,2) := 0;
+    v_hint_penalty DECIMAL(5,2) := 25;
+    v_policy_score DECIMAL(5,2);
+    v_attempts_used INTEGER;
+    v_last_completed_at TIMESTAMP WITH TIME ZONE;
+    v_remaining INTEGER;
+    v_next_attempt_at TIMESTAMP WITH TIME ZONE;
+    v_has_open_attempt BOOLEAN;
+    v_reason TEXT;
+BEGIN
+    IF p_student_id IS DISTINCT FROM auth.uid() AND NOT is_tutor_or_admin(auth.uid()) THEN
+        RAISE EXCEPTION 'You can only view your own quiz attempts';
+    END IF;
+
+    SELECT max_attempts, cooldown_minutes, score_policy, time_limit_minutes, question_count, pass_mark, negative_marking, hint_penalty
+    INTO v_max_attempts, v_cooldown_minutes, v_score_policy, v_time_limit_minutes, v_question_count, v_pass_mark, v_negative_marking, v_hint_penalty
+    FROM public.quiz_settings
+    WHERE category_id = p_category_id AND difficulty_id = p_difficulty_id;
+
+    IF NOT FOUND THEN
+        v_max_attempts := 1;
+        v_cooldown_minutes := 0;
+        v_score_policy := 'best';
+        v_time_limit_minutes := 30;
+        v_question_count := 10;
+        v_pass_mark := 60;
+        v_negative_marking := 0;
+        v_hint_penalty := 25;
+    END IF;
+
+    SELECT score INTO v_policy_score
+    FROM public.quiz_policy_scores
+    WHERE student_id = p_student_id
+      AND category_id = p_category_id
+      AND difficulty_id = p_difficulty_id;
+
+    SELECT COUNT(*), MAX(completed_at)
+    INTO v_attempts_used, v_last_completed_at
+    FROM public.quiz_attempts
+    WHERE student_id = p_student_id
+      AND category_id = p_category_id
+      AND difficulty_id = p_difficulty_id
+      AND mode = 'standard'
+      AND is_completed = true;
+
+    SELECT EXISTS (
+        SELECT 1
+        FROM public.quiz_attempts
+        WHERE student_id = p_student_id
+          AND category_id = p_category_id
+          AND difficulty_id = p_difficulty_id
+          AND mode = 'standard'
+          AND is_completed = false
+    ) INTO v_has_open_attempt;
+
+    IF v_max_attempts IS NOT NULL THEN
+        v_remaining := GREATEST(v_max_attempts - v_attempts_used, 0);
+    END IF;
+
+    IF v_cooldown_minutes > 0 AND v_last_completed_at IS NOT NULL
+       AND v_last_completed_at + make_interval(mins => v_cooldown_minutes) > NOW() THEN
+        v_next_attempt_at := v_last_completed_at + make_interval(mins => v_cooldown_minutes);
+    END IF;
+
+    IF v_has_open_attempt THEN
+        v_reason := NULL;
+    ELSIF v_remaining = 0 THEN
+        v_reason := CASE
+            WHEN v_max_attempts = 1 THEN 'You have already completed this quiz'
+            ELSE format('You have used all %s attempts for this quiz', v_max_attempts)
+        END;
+    ELSIF v_next_attempt_at IS NOT NULL THEN
+        v_reason := format('You can retake this quiz after %s', to_char(v_next_attempt_at, 'YYYY-MM-DD HH24:MI TZ'));
+    END IF;
+
+    RETURN json_build_object(
+        'max_attempts', v_max_attempts,
+        'cooldown_minutes', v_cooldown_minutes,
+        'score_policy', v_score_policy,
+        'time_limit_minutes', v_time_limit_minutes,
+        'question_count', v_question_count,
+        'pass_mark', v_pass_mark,
+        'negative_marking', v_negative_marking,
+        'hint_penalty', v_hint_penalty,
+        'attempts_used', v_attempts_used,
+        'attempts_remaining', v_remaining,
+        'next_attempt_at', v_next_attempt_at,
+        'has_open_attempt', v_has_open_attempt,
+        'can_start', v_reason IS NULL,
+        'reason', v_reason,
+        'policy_score', v_policy_score,
+        'passed', CASE WHEN v_policy_score IS NOT NULL THEN v_policy_score >= v_pass_mark END
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- Starts or resumes a quiz attempt; the hint penalty is fixed when the attempt starts
+CREATE OR REPLACE FUNCTION start_quiz_attempt(
+    p_student_id UUID,
+    p_category_id INTEGER,
+    p_difficulty_id INTEGER,
+    p_question_count INTEGER DEFAULT 10,
+    p_mode VARCHAR DEFAULT 'standard'
+)
+RETURNS JSON AS $$
+DECLARE
+    v_attempt_id INTEGER;
+    v_is_resumed BOOLEAN := false;
+    v_policy JSON;
+    v_question_count INTEGER;
+    v_time_limit_minutes INTEGER;
+    v_question_ids INTEGER[];
+    v_unit RECORD;
+    v_drawn INTEGER;
+    v_oversized_unit INTEGER[];
+BEGIN
+    IF p_mode NOT IN ('standard', 'practice') THEN
+        RETURN json_build_object('success', false, 'error', 'Unknown quiz mode');
+    END IF;
+
+    -- An open attempt can always be resumed; a new one must respect the retake policy.
+    -- Practice skips the policy but waits while a counted attempt is open
+    v_policy := get_quiz_policy(p_student_id, p_category_id, p_difficulty_id);
+
+    IF p_mode = 'standard' AND NOT (v_policy->>'can_start')::BOOLEAN THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', v_policy->>'reason'
+        );
+    END IF;
+
+    IF p_mode = 'practice' AND (v_policy->>'has_open_attempt')::BOOLEAN THEN
+        RETURN json_build_object('success', false, 'error', 'Finish your attempt at this quiz before practising it');
+    END IF;
+
+    -- The quiz settings decide the length; p_question_count is only kept for older clients
+    v_question_count := COALESCE((v_policy->>'question_count')::INTEGER, p_question_count);
+    -- Practice is untimed
+    v_time_limit_minutes := CASE WHEN p_mode = 'standard' THEN (v_policy->>'time_limit_minutes')::INTEGER END;
+
+    -- Reuse an incomplete attempt if there is one; the lock keeps two tabs from drawing twice
+    SELECT id INTO v_attempt_id
+    FROM public.quiz_attempts
+    WHERE student_id = p_student_id
+      AND category_id = p_category_id
+      AND difficulty_id = p_difficulty_id
+      AND mode = p_mode
+      AND is_completed = false
+    FOR UPDATE;
+
+    -- An attempt whose time ran out is submitted with the answers saved in time
+    IF v_attempt_id IS NOT NULL AND attempt_time_is_up(v_attempt_id) THEN
+        PERFORM finalize_quiz_attempt(v_attempt_id);
+
+        RETURN json_build_object(
+            'success', false,
+            'error', 'Time ran out on your unfinished attempt, so it was submitted with the answers saved in time',
+            'data', json_build_object('expired_attempt_id', v_attempt_id)
+        );
+    END IF;
+
+    IF v_attempt_id IS NOT NULL THEN
+        SELECT array_agg(question_id ORDER BY order_index) INTO v_question_ids
+        FROM public.attempt_questions
+        WHERE attempt_id = v_attempt_id;
+
+        v_is_resumed := v_question_ids IS NOT NULL;
+    END IF;
+
+    -- Attempts started before the question set was stored get a fresh draw
+    IF NOT v_is_resumed THEN
+        -- Draw whole units: a standalone question, or every question of one passage.
+        -- Units that would overflow the question count are skipped.
+        v_question_ids := ARRAY[]::INTEGER[];
+        FOR v_unit IN
+            SELECT array_agg(q.id ORDER BY q.id) AS question_ids
+            FROM public.questions q
+            WHERE q.category_id = p_category_id
+              AND q.difficulty_id = p_difficulty_id
+              AND q.is_active = true
+            GROUP BY COALESCE('p' || q.passage_id::TEXT, 'q' || q.id::TEXT)
+            ORDER BY RANDOM()
+        LOOP
+            v_drawn := COALESCE(array_length(v_question_ids, 1), 0);
+            EXIT WHEN v_drawn >= v_question_count;
+
+            IF v_drawn + array_length(v_unit.question_ids, 1) <= v_question_count THEN
+                v_question_ids := v_question_ids || v_unit.question_ids;
+            ELSIF v_oversized_unit IS NULL THEN
+                v_oversized_unit := v_unit.question_ids;
+            END IF;
+        END LOOP;
+
+        -- A passage with more questions than the quiz is still used when nothing else fits
+        IF COALESCE(array_length(v_question_ids, 1), 0) = 0 AND v_oversized_unit IS NOT NULL THEN
+            v_question_ids := v_oversized_unit;
+        END IF;
+
+        IF v_attempt_id IS NULL THEN
+            INSERT INTO public.quiz_attempts (student_id, category_id, difficulty_id, total_questions, mode, negative_marking, hint_penalty)
+            VALUES (
+                p_student_id,
+                p_category_id,
+                p_difficulty_id,
+                COALESCE(array_length(v_question_ids, 1), 0),
+                p_mode,
+                CASE WHEN p_mode = 'standard' THEN COALESCE((v_policy->>'negative_marking')::DECIMAL, 0) ELSE 0 END,
+                CASE WHEN p_mode = 'standard' THEN COALESCE((v_policy->>'hint_penalty')::DECIMAL, 0) ELSE 0 END
+            )
+            RETURNING id INTO v_attempt_id;
+        ELSE
+            UPDATE public.quiz_attempts
+            SET total_questions = COALESCE(array_length(v_question_ids, 1), 0)
+            WHERE id = v_attempt_id;
+        END IF;
+
+        -- Store the draw with the order the student sees
+        PERFORM add_attempt_question(v_attempt_id, t.qid, t.ord::INTEGER)
+        FROM unnest(v_question_ids) WITH ORDINALITY AS t(qid, ord);
+    END IF;
+
+    -- The clock starts now for new attempts and for open ones that never had a deadline.
+    -- The limit is fixed here, so changing the settings does not affect running attempts.
+    IF v_time_limit_minutes IS NOT NULL THEN
+        UPDATE public.quiz_attempts
+        SET deadline_at = NOW() + make_interval(mins => v_time_limit_minutes)
+        WHERE id = v_attempt_id AND deadline_at IS NULL;
+    END IF;
+
+    RETURN json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'attempt_id', v_attempt_id,
+            'mode', p_mode,
+            'is_resumed', v_is_resumed,
+            'questions', (
+                SELECT json_agg(get_attempt_question_payload(v_attempt_id, qid) ORDER BY ord)
+                FROM unnest(v_question_ids) WITH ORDINALITY AS t(qid, ord)
+            ),
+            'passages', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', rp.id,
+                        'title', rp.title,
+                        'content', rp.content,
+                        'image_url', rp.image_url,
+                        'has_audio', rp.audio_url IS NOT NULL,
+                        'max_plays', rp.max_plays
+                    )
+                )
+                FROM public.reading_passages rp
+                WHERE rp.id IN (
+                    SELECT q.passage_id
+                    FROM public.questions q
+                    WHERE q.id = ANY(v_question_ids)
+                )
+            ),
+            'audio_plays', (
+                SELECT json_agg(
+                    json_build_object(
+                        'question_id', qap.question_id,
+                        'passage_id', qap.passage_id,
+                        'plays', qap.plays
+                    )
+                )
+                FROM (
+                    SELECT question_id, passage_id, COUNT(*) AS plays
+                    FROM public.quiz_audio_plays
+                    WHERE attempt_id = v_attempt_id
+                    GROUP BY question_id, passage_id
+                ) qap
+            ),
+            'saved_answers', (
+                -- Same shape as the answers sent to submit_quiz_answers
+                SELECT json_agg(
+                    json_build_object(
+                        'question_id', qa.question_id,
+                        'selected_option_id', qa.selected_option_id,
+                        'selected_option_ids', qa.selected_option_ids,
+                        'answer_data', qa.answer_data
+                    )
+                )
+                FROM public.quiz_answers qa
+                WHERE qa.attempt_id = v_attempt_id
+            ),
+            'checked_answers', (
+                -- Feedback for the practice answers checked so far
+                SELECT json_agg(get_practice_feedback(v_attempt_id, qa.question_id))
+                FROM public.quiz_answers qa
+                WHERE qa.attempt_id = v_attempt_id AND qa.checked_at IS NOT NULL
+            ),
+            'revealed_hints', (
+                SELECT json_agg(
+                    json_build_object(
+                        'question_id', qhr.question_id,
+                        'hint_number', qhr.hint_number,
+                        'hint_text', qh.hint_text
+                    ) ORDER BY qhr.question_id, qhr.hint_number
+                )
+                FROM public.quiz_hint_reveals qhr
+                JOIN public.question_hints qh ON qh.id = qhr.hint_id
+                WHERE qhr.attempt_id = v_attempt_id
+            ),
+            'flagged_question_ids', (
+                SELECT json_agg(question_id ORDER BY order_index)
+                FROM public.attempt_questions
+                WHERE attempt_id = v_attempt_id AND is_flagged
+            ),
+            'total_questions', COALESCE(array_length(v_question_ids, 1), 0),
+            'time_limit_minutes', v_time_limit_minutes,
+            'pass_mark', (v_policy->>'pass_mark')::DECIMAL,
+            'total_points', (SELECT SUM(points) FROM public.attempt_questions WHERE attempt_id = v_attempt_id),
+            'negative_marking', (SELECT negative_marking FROM public.quiz_attempts WHERE id = v_attempt_id),
+            'hint_penalty', (SELECT hint_penalty FROM public.quiz_attempts WHERE id = v_attempt_id),
+            'deadline_at', (SELECT deadline_at FROM public.quiz_attempts WHERE id = v_attempt_id),
+            -- Lets the client correct for a wrong device clock
+            'server_time', clock_timestamp()
+        )
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Recomputes an attempt's points and score from its stored answers and hint reveals
+CREATE OR REPLACE FUNCTION recalculate_attempt_score(p_attempt_id INTEGER)
+RETURNS VOID AS $$
+DECLARE
+    v_total_questions INTEGER;
+    v_negative_marking DECIMAL(5,2);
+    v_hint_penalty DECIMAL(5,2);
+    v_total_points DECIMAL;
+    v_points_earned DECIMAL;
+    v_correct_count INTEGER;
+    v_pending INTEGER;
+BEGIN
+    SELECT total_questions, negative_marking, hint_penalty
+    INTO v_total_questions, v_negative_marking, v_hint_penalty
+    FROM public.quiz_attempts
+    WHERE id = p_attempt_id;
+
+    -- An answer earns its credit share of the question's points. With negative
+    -- marking a wrong auto-graded answer (credit 0) loses that percentage of the
+    -- points; partly correct answers, tutor-graded and unanswered questions are
+    -- never penalised. Only questions drawn for the attempt are scored.
+    -- Each revealed hint takes the hint penalty's share of the points off what
+    -- the answer earned, down to zero
+    UPDATE public.quiz_answers qans
+    SET
+        hints_used = weights.hints_used,
+        hint_deduction = weights.hint_deduction,
+        points_awarded = CASE
+            WHEN qans.needs_grading THEN 0
+            WHEN COALESCE(qans.credit, 0) > 0 THEN qans.credit * weights.points - weights.hint_deduction
+            WHEN is_manually_graded(qans.question_id) THEN 0
+            ELSE -(v_negative_marking / 100) * weights.points
+        END
+    FROM (
+        SELECT
+            a.id,
+            aq.points,
+            hints.used AS hints_used,
+            CASE
+                WHEN a.needs_grading OR COALESCE(a.credit, 0) <= 0 THEN 0
+                ELSE LEAST(
+                    hints.used * (v_hint_penalty / 100) * aq.points,
+                    a.credit * aq.points
+                )
+            END AS hint_deduction
+        FROM public.quiz_answers a
+        JOIN public.attempt_questions aq
+          ON aq.attempt_id = a.attempt_id AND aq.question_id = a.question_id
+        CROSS JOIN LATERAL (
+            SELECT COUNT(*) AS used
+            FROM public.quiz_hint_reveals qhr
+            WHERE qhr.attempt_id = a.attempt_id AND qhr.question_id = a.question_id
+        ) hints
+        WHERE a.attempt_id = p_attempt_id
+    ) weights
+    WHERE qans.id = weights.id;
+
+    SELECT COALESCE(SUM(points), 0) INTO v_total_points
+    FROM public.attempt_questions
+    WHERE attempt_id = p_attempt_id;
+
+    -- Attempts from before the draw was stored count one point per question
+    IF v_total_points = 0 THEN
+        v_total_points := COALESCE(v_total_questions, 0);
+    END IF;
+
+    -- Penalties can cancel out points but never push the total below zero
+    SELECT GREATEST(COALESCE(SUM(points_awarded), 0), 0),
+           COUNT(*) FILTER (WHERE credit >= 1),
+           COUNT(*) FILTER (WHERE needs_grading)
+    INTO v_points_earned, v_correct_count, v_pending
+    FROM public.quiz_answers qans
+    JOIN public.attempt_questions aq
+      ON aq.attempt_id = qans.attempt_id AND aq.question_id = qans.question_id
+    WHERE qans.attempt_id = p_attempt_id;
+
+    UPDATE public.quiz_attempts
+    SET
+        correct_answers = v_correct_count,
+        points_earned = v_points_earned,
+        total_points = v_total_points,
+        score = CASE
+            WHEN v_total_points > 0 THEN (v_points_earned / v_total_points) * 100
+            ELSE 0
+        END,
+        grading_status = CASE WHEN v_pending > 0 THEN 'pending' ELSE 'graded' END
+    WHERE id = p_attempt_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Results of an attempt, with the hints used per question
+CREATE OR REPLACE FUNCTION get_quiz_results(p_attempt_id INTEGER)
+RETURNS JSON AS $$
+DECLARE
+    v_result JSON;
+    v_student_id UUID;
+    v_is_completed BOOLEAN;
+BEGIN
+    SELECT student_id, is_completed INTO v_student_id, v_is_completed
+    FROM public.quiz_attempts
+    WHERE id = p_attempt_id;
+
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Quiz attempt not found');
+    END IF;
+
+    IF v_student_id IS DISTINCT FROM auth.uid() AND NOT is_tutor_or_admin(auth.uid()) THEN
+        RETURN json_build_object('success', false, 'error', 'Not allowed to view this attempt');
+    END IF;
+
+    -- Correct answers and explanations are only revealed once the attempt is submitted
+    IF NOT v_is_completed AND NOT is_tutor_or_admin(auth.uid()) THEN
+        RETURN json_build_object('success', false, 'error', 'Results are available once the quiz is submitted');
+    END IF;
+
+    SELECT json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'attempt', (
+                SELECT json_build_object(
+                    'id', qa.id,
+                    'score', qa.score,
+                    'correct_answers', qa.correct_answers,
+                    'total_questions', qa.total_questions,
+                    'time_taken', qa.time_taken,
+                    'started_at', qa.started_at,
+                    'completed_at', qa.completed_at,
+                    'category_id', qa.category_id,
+                    'difficulty_id', qa.difficulty_id,
+                    'category_name', c.name,
+                    'difficulty_name', dl.name,
+                    'grading_status', qa.grading_status,
+                    'pass_mark', COALESCE(qs.pass_mark, 60),
+                    'points_earned', qa.points_earned,
+                    'total_points', qa.total_points,
+                    'negative_marking', qa.negative_marking,
+                    'hint_penalty', qa.hint_penalty,
+                    'hints_used', (
+                        SELECT COUNT(*)
+                        FROM public.quiz_hint_reveals
+                        WHERE attempt_id = qa.id
+                    ),
+                    'flagged_count', (
+                        SELECT COUNT(*)
+                        FROM public.attempt_questions
+                        WHERE attempt_id = qa.id AND is_flagged
+                    ),
+                    'mode', qa.mode,
+                    'ability_estimate', qa.ability_estimate,
+                    'ability_se', qa.ability_se,
+                    'estimated_difficulty_id', qa.estimated_difficulty_id,
+                    'estimated_difficulty_name', (
+                        SELECT name
+                        FROM public.difficulty_levels
+                        WHERE id = qa.estimated_difficulty_id
+                    ),
+                    -- Adaptive results are explained against the whole ladder
+                    'ladder', CASE WHEN qa.mode = 'adaptive' THEN (
+                        SELECT json_agg(
+                            json_build_object(
+                                'id', ladder.id,
+                                'name', ladder.name,
+                                'position', difficulty_ladder_position(ladder.id)
+                            ) ORDER BY ladder.order_index, ladder.id
+                        )
+                        FROM public.difficulty_levels ladder
+                    ) END
+                )
+                FROM public.quiz_attempts qa
+                JOIN public.categories c ON c.id = qa.category_id
+                JOIN public.difficulty_levels dl ON dl.id = qa.difficulty_id
+                LEFT JOIN public.quiz_settings qs
+                  ON qs.category_id = qa.category_id AND qs.difficulty_id = qa.difficulty_id
+                WHERE qa.id = p_attempt_id
+            ),
+            'questions', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', qans.question_id,
+                        'answer_id', qans.id,
+                        'question_type', q.question_type,
+                        'question_text', q.question_text,
+                        'difficulty_id', q.difficulty_id,
+                        'difficulty_name', (SELECT name FROM public.difficulty_levels WHERE id = q.difficulty_id),
+                        'passage_id', q.passage_id,
+                        'audio_url', q.audio_url,
+                        'transcript', q.transcript,
+                        'plays_used', (
+                            SELECT COUNT(*)
+                            FROM public.quiz_audio_plays qap
+                            WHERE qap.attempt_id = p_attempt_id AND qap.question_id = q.id
+                        ),
+                        'explanation', q.explanation,
+                        'selected_option_id', qans.selected_option_id,
+                        'selected_option_ids', qans.selected_option_ids,
+                        'answer_data', qans.answer_data,
+                        'is_correct', qans.is_correct,
+                        'credit', qans.credit,
+                        'points', COALESCE(aq.points, 1),
+                        'points_awarded', qans.points_awarded,
+                        'hints_used', qans.hints_used,
+                        'hint_deduction', qans.hint_deduction,
+                        'is_flagged', COALESCE(aq.is_flagged, false),
+                        'needs_grading', qans.needs_grading,
+                        'grader_comment', qans.grader_comment,
+                        'rubric_scores', (
+                            SELECT json_agg(
+                                json_build_object(
+                                    'criterion_id', qrc.id,
+                                    'name', qrc.name,
+                                    'max_score', qrc.max_score,
+                                    'score', rs.score
+                                ) ORDER BY qrc.order_index
+                            )
+                            FROM public.question_rubric_criteria qrc
+                            JOIN public.quiz_answer_rubric_scores rs
+                              ON rs.criterion_id = qrc.id AND rs.answer_id = qans.id
+                            WHERE qrc.question_id = q.id
+                        ),
+                        'options', (
+                            SELECT json_agg(
+                                json_build_object(
+                                    'id', qo.id,
+                                    'option_text', qo.option_text,
+                                    'is_correct', qo.is_correct,
+                                    'is_selected', qo.id = qans.selected_option_id
+                                        OR qo.id = ANY(COALESCE(qans.selected_option_ids, ARRAY[]::INTEGER[]))
+                                ) ORDER BY array_position(aq.option_order, qo.id), qo.order_index
+                            )
+                            FROM public.question_options qo
+                            WHERE qo.question_id = q.id
+                        ),
+                        'blanks', (
+                            SELECT json_agg(
+                                json_build_object(
+                                    'blank_index', qb.blank_index,
+                                    'accepted_answers', qb.accepted_answers,
+                                    'given_answer', qans.answer_data->>qb.blank_index::TEXT,
+                                    'is_correct', cloze_blank_is_correct(qb.id, qans.answer_data->>qb.blank_index::TEXT)
+                                ) ORDER BY qb.blank_index
+                            )
+                            FROM public.question_blanks qb
+                            WHERE qb.question_id = q.id
+                        ),
+                        'pairs', (
+                            SELECT json_agg(
+                                json_build_object(
+                                    'id', qmp.id,
+                                    'left_text', qmp.left_text,
+                                    'right_text', qmp.right_text,
+                                    'given_answer', qans.answer_data->>qmp.id::TEXT,
+                                    'is_correct', qmp.right_text = qans.answer_data->>qmp.id::TEXT
+                                ) ORDER BY qmp.order_index
+                            )
+                            FROM public.question_match_pairs qmp
+                            WHERE qmp.question_id = q.id
+                        ),
+                        'accepted_orders', (
+                            SELECT json_agg(qrs.tokens ORDER BY qrs.is_primary DESC, qrs.id)
+                            FROM public.question_reorder_sequences qrs
+                            WHERE qrs.question_id = q.id
+                        )
+                    ) ORDER BY aq.order_index, qans.id
+                )
+                FROM public.quiz_answers qans
+                JOIN public.questions q ON q.id = qans.question_id
+                JOIN public.attempt_questions aq
+                  ON aq.attempt_id = qans.attempt_id AND aq.question_id = qans.question_id
+                WHERE qans.attempt_id = p_attempt_id
+            ),
+            'passages', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', rp.id,
+                        'title', rp.title,
+                        'content', rp.content,
+                        'image_url', rp.image_url,
+                        'audio_url', rp.audio_url,
+                        'transcript', rp.transcript
+                    )
+                )
+                FROM public.reading_passages rp
+                WHERE rp.id IN (
+                    SELECT q.passage_id
+                    FROM public.quiz_answers qans
+                    JOIN public.attempt_questions aq
+                      ON aq.attempt_id = qans.attempt_id AND aq.question_id = qans.question_id
+                    JOIN public.questions q ON q.id = qans.question_id
+                    WHERE qans.attempt_id = p_attempt_id
+                )
+            )
+        )
+    ) INTO v_result;
+
+    RETURN v_result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Progress statistics with the hints used in quizzes
+CREATE OR REPLACE FUNCTION get_student_progress(p_student_id UUID)
+RETURNS JSON AS $$
+DECLARE
+    v_result JSON;
+BEGIN
+    SELECT json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'totalAttempts', (
+                SELECT COUNT(*)
+                FROM public.quiz_attempts
+                WHERE student_id = p_student_id AND is_completed = true AND mode NOT IN ('practice', 'adaptive', 'placement')
+            ),
+            -- Averages use one counted score per quiz, chosen by its scoring policy
+            'averageScore', (
+                SELECT COALESCE(ROUND(AVG(score), 2), 0)
+                FROM public.quiz_policy_scores
+                WHERE student_id = p_student_id
+            ),
+            'hintsUsed', (
+                SELECT COUNT(*)
+                FROM public.quiz_hint_reveals qhr
+                JOIN public.quiz_attempts qa ON qa.id = qhr.attempt_id
+                WHERE qa.student_id = p_student_id
+                  AND qa.is_completed = true
+                  AND qa.mode NOT IN ('practice', 'adaptive', 'placement')
+            ),
+            'bestScore', (
+                SELECT COALESCE(MAX(score), 0)
+                FROM public.quiz_policy_scores
+                WHERE student_id = p_student_id
+            ),
+            'categoryStats', (
+                SELECT json_object_agg(
+                    c.name,
+                    json_build_object(
+                        'attempts', stats.attempts,
+                        'averageScore', stats.avg_score,
+                        'bestScore', stats.best_score,
+                        'cefr', (
+                            SELECT json_build_object(
+                                'level', cl.code,
+                                'name', cl.name,
+                                'descriptor', cl.descriptor
+                            )
+                            FROM public.cefr_levels cl
+                            WHERE cl.code = estimate_cefr_level(p_student_id, stats.category_id)
+                        )
+                    )
+                )
+                FROM (
+                    SELECT
+                        qps.category_id,
+                        SUM(qps.attempts) as attempts,
+                        ROUND(AVG(qps.score), 2) as avg_score,
+                        MAX(qps.score) as best_score
+                    FROM public.quiz_policy_scores qps
+                    WHERE qps.student_id = p_student_id
+                    GROUP BY qps.category_id
+                ) stats
+                JOIN public.categories c ON c.id = stats.category_id
+            ),
+            'recentAttempts', (
+                SELECT json_agg(
+                    json_build_object(
+                        'id', qa.id,
+                        'category_name', c.name,
+                        'difficulty_name', dl.name,
+                        'score', qa.score,
+                        'hints_used', (
+                            SELECT COUNT(*)
+                            FROM public.quiz_hint_reveals qhr
+                            WHERE qhr.attempt_id = qa.id
+                        ),
+                        'completed_at', qa.completed_at
+                    ) ORDER BY qa.completed_at DESC
+                )
+                FROM public.quiz_attempts qa
+                JOIN public.categories c ON c.id = qa.category_id
+                JOIN public.difficulty_levels dl ON dl.id = qa.difficulty_id
+                WHERE qa.student_id = p_student_id AND qa.is_completed = true AND qa.mode NOT IN ('practice', 'adaptive', 'placement')
+                LIMIT 10
+            )
+        )
+    ) INTO v_result;
+
+    RETURN v_result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION reveal_quiz_hint(INTEGER, INTEGER) TO authenticated;
+
+COMMENT ON TABLE public.question_hints IS 'Hints for a question, revealed to students one at a time in order_index order.';
+COMMENT ON TABLE public.quiz_hint_reveals IS 'Hints revealed per attempt and question; each one costs the attempt''s hint penalty.';
+COMMENT ON FUNCTION reveal_quiz_hint(INTEGER, INTEGER) IS 'Reveals the next hint of a question in the caller''s open quiz attempt and logs it.';
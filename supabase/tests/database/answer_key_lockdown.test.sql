@@ -0,0 +1,198 @@
+-- Students must not be able to read the answer key, directly or through an
+-- attempt that is still open. Run against a local Supabase with
+-- `pg_prove` or `psql` (see "Database Tests" in
+-- supabase/instruction/SUPABASE_SETUP.md)
+
+BEGIN;
+
+CREATE EXTENSION IF NOT EXISTS pgtap WITH SCHEMA extensions;
+
+SELECT plan(22);
+
+-- Fixtures, created as the database owner
+INSERT INTO auth.users (id, email, raw_user_meta_data) VALUES
+    ('00000000-0000-4000-8000-000000000001', 'lockdown-student@test.local',
+     '{"username": "lockdown_student", "first_name": "Lock", "last_name": "Student", "role": "student"}'),
+    ('00000000-0000-4000-8000-000000000002', 'lockdown-other@test.local',
+     '{"username": "lockdown_other", "first_name": "Other", "last_name": "Student", "role": "student"}'),
+    ('00000000-0000-4000-8000-000000000003', 'lockdown-tutor@test.local',
+     '{"username": "lockdown_tutor", "first_name": "Lock", "last_name": "Tutor", "role": "tutor"}');
+
+UPDATE public.users SET role = 'tutor' WHERE id = '00000000-0000-4000-8000-000000000003';
+
+INSERT INTO public.categories (name) VALUES ('Lockdown Test') RETURNING id AS category_id \gset
+INSERT INTO public.difficulty_levels (name, order_index) VALUES ('Lockdown Test', 99) RETURNING id AS difficulty_id \gset
+
+INSERT INTO public.reading_passages (title, content, transcript, category_id)
+VALUES ('Lockdown passage', 'Read this.', 'Secret transcript', :category_id)
+RETURNING id AS passage_id \gset
+
+INSERT INTO public.questions (category_id, difficulty_id, question_text, explanation, passage_id)
+VALUES (:category_id, :difficulty_id, 'Which word is a verb?', 'Secret explanation', :passage_id)
+RETURNING id AS question_id \gset
+
+INSERT INTO public.question_options (question_id, option_text, is_correct, order_index)
+VALUES (:question_id, 'Run', true, 0)
+RETURNING id AS correct_option_id \gset
+
+INSERT INTO public.question_options (question_id, option_text, is_correct, order_index)
+VALUES (:question_id, 'Table', false, 1);
+
+-- A question from another quiz, so it is never drawn for the attempt below
+INSERT INTO public.categories (name) VALUES ('Lockdown Hidden') RETURNING id AS hidden_category_id \gset
+
+INSERT INTO public.questions (category_id, difficulty_id, question_text, explanation)
+VALUES (:hidden_category_id, :difficulty_id, 'Which word is a noun?', 'Hidden explanation')
+RETURNING id AS hidden_question_id \gset
+
+INSERT INTO public.question_options (question_id, option_text, is_correct, order_index)
+VALUES (:hidden_question_id, 'Chair', true, 0)
+RETURNING id AS hidden_option_id \gset
+
+-- Signed in as the student
+SET LOCAL ROLE authenticated;
+SELECT set_config('request.jwt.claims', '{"sub": "00000000-0000-4000-8000-000000000001", "role": "authenticated"}', true);
+SELECT set_config('request.jwt.claim.sub', '00000000-0000-4000-8000-000000000001', true);
+
+SELECT is_empty($$ SELECT is_correct FROM public.question_options $$, 'students cannot read question options');
+SELECT is_empty($$ SELECT explanation FROM public.questions $$, 'students cannot read questions');
+SELECT is_empty($$ SELECT transcript FROM public.reading_passages $$, 'students cannot read passages');
+SELECT is_empty($$ SELECT accepted_answers FROM public.question_blanks $$, 'students cannot read cloze blanks');
+SELECT is_empty($$ SELECT tokens FROM public.question_reorder_sequences $$, 'students cannot read reorder sequences');
+SELECT is_empty($$ SELECT right_text FROM public.question_match_pairs $$, 'students cannot read match pairs');
+
+SELECT throws_ok(
+    format('SELECT public.grade_quiz_answer(%s, %L::JSON)', :question_id, json_build_object('selected_option_id', :correct_option_id)),
+    '42501',
+    NULL,
+    'students cannot call the grader directly'
+);
+
+-- Practice checks answers but keeps the key while the quiz still counts
+SELECT public.start_quiz_attempt('00000000-0000-4000-8000-000000000001', :category_id, :difficulty_id, 10, 'practice')::TEXT AS practice_payload \gset
+SELECT (:'practice_payload'::JSON->'data'->>'attempt_id')::INTEGER AS practice_attempt_id \gset
+
+SELECT public.check_practice_answer(
+    :practice_attempt_id, :question_id, json_build_object('selected_option_id', :correct_option_id)
+)::TEXT AS practice_check \gset
+
+SELECT ok(
+    (:'practice_check'::JSON->'data'->>'is_correct')::BOOLEAN
+        AND :'practice_check'::JSON->'data'->'correct_option_ids' IS NULL
+        AND position('Secret explanation' IN :'practice_check') = 0,
+    'practice feedback leaves out the key while attempts are left'
+);
+
+SELECT public.start_quiz_attempt('00000000-0000-4000-8000-000000000001', :category_id, :difficulty_id)::TEXT AS start_payload \gset
+SELECT (:'start_payload'::JSON->'data'->>'attempt_id')::INTEGER AS attempt_id \gset
+
+SELECT ok(
+    (:'start_payload'::JSON->>'success')::BOOLEAN
+        AND position('is_correct' IN :'start_payload') = 0
+        AND position('Secret explanation' IN :'start_payload') = 0
+        AND position('Secret transcript' IN :'start_payload') = 0,
+    'start_quiz_attempt serves the quiz without the key'
+);
+
+SELECT throws_ok(
+    format(
+        'INSERT INTO public.quiz_answers (attempt_id, question_id, selected_option_id, is_correct) VALUES (%s, %s, %s, true)',
+        :attempt_id, :question_id, :correct_option_id
+    ),
+    '42501',
+    NULL,
+    'students cannot write answers directly'
+);
+
+SELECT is(
+    (public.save_quiz_answer(:attempt_id, :question_id, json_build_object('selected_option_id', :correct_option_id))->>'success')::BOOLEAN,
+    true,
+    'students save answers through save_quiz_answer'
+);
+
+SELECT is(
+    (public.start_quiz_attempt('00000000-0000-4000-8000-000000000001', :category_id, :difficulty_id, 10, 'practice')->>'success')::BOOLEAN,
+    false,
+    'practice is closed while a counted attempt is open'
+);
+
+UPDATE public.quiz_attempts SET is_completed = true WHERE id = :attempt_id;
+
+SELECT is(
+    (SELECT is_completed FROM public.quiz_attempts WHERE id = :attempt_id),
+    false,
+    'students cannot complete an attempt directly'
+);
+
+SELECT is(
+    (public.get_quiz_results(:attempt_id)->>'success')::BOOLEAN,
+    false,
+    'results of an open attempt are withheld'
+);
+
+SELECT is(
+    (public.submit_quiz_answers(
+        :attempt_id,
+        json_build_array(json_build_object('question_id', :hidden_question_id, 'selected_option_id', :hidden_option_id))
+    )->>'success')::BOOLEAN,
+    false,
+    'answers to questions outside the attempt are rejected'
+);
+
+SELECT is(
+    (public.submit_quiz_answers(:attempt_id)->>'success')::BOOLEAN,
+    true,
+    'the attempt is submitted'
+);
+
+-- Even an answer stored for a question outside the draw does not reveal its key
+RESET ROLE;
+INSERT INTO public.quiz_answers (attempt_id, question_id, selected_option_id)
+VALUES (:attempt_id, :hidden_question_id, :hidden_option_id);
+SET LOCAL ROLE authenticated;
+
+SELECT ok(
+    position('Hidden explanation' IN public.get_quiz_results(:attempt_id)::TEXT) = 0,
+    'results only cover the questions drawn for the attempt'
+);
+
+SELECT is(
+    public.get_quiz_results(:attempt_id)->'data'->'questions'->0->>'explanation',
+    'Secret explanation',
+    'explanations are revealed once the attempt is completed'
+);
+
+SELECT is(
+    (public.get_quiz_results(:attempt_id)->'data'->'questions'->0->>'is_correct')::BOOLEAN,
+    true,
+    'correctness is revealed once the attempt is completed'
+);
+
+SELECT ok(
+    position('Secret explanation' IN public.start_quiz_attempt(
+        '00000000-0000-4000-8000-000000000001', :category_id, :difficulty_id, 10, 'practice'
+    )::TEXT) > 0,
+    'practice feedback includes the key once no attempts are left'
+);
+
+-- Signed in as another student
+SELECT set_config('request.jwt.claims', '{"sub": "00000000-0000-4000-8000-000000000002", "role": "authenticated"}', true);
+SELECT set_config('request.jwt.claim.sub', '00000000-0000-4000-8000-000000000002', true);
+
+SELECT is(
+    (public.get_quiz_results(:attempt_id)->>'success')::BOOLEAN,
+    false,
+    'students cannot view another student''s results'
+);
+
+-- Signed in as a tutor
+SELECT set_config('request.jwt.claims', '{"sub": "00000000-0000-4000-8000-000000000003", "role": "authenticated"}', true);
+SELECT set_config('request.jwt.claim.sub', '00000000-0000-4000-8000-000000000003', true);
+
+SELECT isnt_empty(
+    format('SELECT is_correct FROM public.question_options WHERE question_id = %s', :question_id),
+    'tutors still read question options'
+);
+
+SELECT * FROM finish();
+ROLLBACK;